@@ -2,10 +2,22 @@
  * Mock Admin Server
  * 
  * Express.js server providing mock endpoints for admin operations:
- * - Weight configuration management
- * - Calibration preview simulation
+ * - Weight configuration management (KPI categories with name, scoring method and weight, see src/utils/kpiCategories.js)
+ * - Maker-checker approval of weight changes (requests approved by a second admin)
+ * - Calibration preview (current vs proposed weights over the employee KPI dataset)
+ * - 360-degree feedback on behavioural KPIs (rater weights, peer anonymity threshold), aggregated into
+ *   the rubric values scoring uses (server/data/feedback.json, see src/utils/feedback360.js)
+ * - Score history per month, fiscal quarter or fiscal year, with closed periods kept as snapshots
+ *   tagged with the weight version used (server/data/score-history.json, see utils/scoreSnapshotStore.js)
  * - Audit trail with filters
- * - Weight rollback
+ * - Audit exports (CSV, JSON Lines, signed PDF)
+ * - Tamper-evident audit log shared with the other servers (hash-chained, append-only server/data/audit.jsonl, see utils/auditLog.js)
+ * - Audit retention per action type, with expired entries archived to compressed, checksummed files
+ * - Effective-dated versions (pending until effectiveFrom, then auto-activated)
+ * - Version diffs (per-category and per-KPI weight deltas)
+ * - Weight rollback (a change request that restores the full stored category/KPI tree once approved)
+ * - Durable weight version store (server/data/weights.json, see utils/weightStore.js)
+ * - Bearer-token authentication and role checks (see src/utils/roles.js)
  * 
  * Run with: node server/mockAdminServer.js
  * Server runs on: http://localhost:3002
@@ -14,70 +26,66 @@
 import express from 'express';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { dirname, join } from 'path';
+import process from 'process';
+import { authenticate, authorize, rejectActorMismatch, requirePermission } from '../utils/auth.js';
+import { createWeightStore, WEIGHTS_PATH } from '../utils/weightStore.js';
+import { filterAuditEntries } from '../utils/auditStore.js';
+import { createAuditLog, AUDIT_ACTIONS, AUDIT_ARCHIVE_DIR } from '../utils/auditLog.js';
+import {
+  createAuditArchive,
+  createRetentionStore,
+  validateRetentionPolicy,
+  archiveExpiredEntries,
+  verifyAuditTrail,
+} from '../utils/auditArchive.js';
+import { AUDIT_EXPORT_FORMATS, toAuditCsv, toAuditJsonl, auditExportFilename } from '../utils/auditExport.js';
+import { ROLES, PERMISSIONS } from '../src/utils/roles.js';
+import { diffWeightVersions, toCategoryList } from '../src/utils/weightDiff.js';
+import {
+  DEFAULT_KPI_CATEGORIES,
+  SCORING_METHODS,
+  normalizeCategory,
+  validateCategories,
+} from '../src/utils/kpiCategories.js';
+import { validateNormalization } from '../src/utils/kpiNormalization.js';
+import { runCalibration } from '../utils/calibration.js';
+import { createEmployeeDataset, kpisForPeriod } from '../utils/employeeDataset.js';
+import { createScoreSnapshotStore, SCORE_HISTORY_PATH } from '../utils/scoreSnapshotStore.js';
+import { PERIOD_GRANULARITIES, listPeriods, parsePeriod, periodOf } from '../src/utils/periods.js';
+import {
+  aggregateFeedback,
+  applyFeedbackToKpis,
+  feedbackRaterType,
+  validateFeedbackPolicy,
+  validateRatings,
+  visibleComments,
+} from '../src/utils/feedback360.js';
+import { createFeedbackStore } from '../utils/feedbackStore.js';
+import { buildScoreHistory, computeScoreSnapshot } from '../src/utils/scoreHistory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const PORT = 3002;
+const DATA_DIR = process.env.ADMIN_DATA_DIR || join(__dirname, 'data');
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use('/api/admin', authenticate);
+app.use('/api/employees', authenticate);
 
-// In-memory database
-let weightsConfig = {
-  version: 'v2.1',
-  lastModified: new Date('2025-01-15T10:30:00Z').toISOString(),
-  modifiedBy: 'admin-003',
-  modifiedByName: 'Anjali Sharma',
-  categories: [
-    {
-      id: 'hq_operations',
-      name: 'HQ Operations',
-      weight: 0.25,
-      kpis: [
-        { id: 'reporting_timeliness', name: 'Reporting Timeliness', weight: 0.3 },
-        { id: 'data_accuracy', name: 'Data Accuracy', weight: 0.4 },
-        { id: 'process_adherence', name: 'Process Adherence', weight: 0.3 },
-      ],
-    },
-    {
-      id: 'field_operations',
-      name: 'Field Operations',
-      weight: 0.3,
-      kpis: [
-        { id: 'inspection_completion', name: 'Inspection Completion Rate', weight: 0.35 },
-        { id: 'travel_efficiency', name: 'Travel Efficiency', weight: 0.25 },
-        { id: 'quality_compliance', name: 'Quality Compliance', weight: 0.4 },
-      ],
-    },
-    {
-      id: 'team_collaboration',
-      name: 'Team Collaboration',
-      weight: 0.15,
-      kpis: [
-        { id: 'meeting_attendance', name: 'Meeting Attendance', weight: 0.4 },
-        { id: 'peer_support', name: 'Peer Support', weight: 0.35 },
-        { id: 'knowledge_sharing', name: 'Knowledge Sharing', weight: 0.25 },
-      ],
-    },
-    {
-      id: 'individual_behavior',
-      name: 'Individual Behavior',
-      weight: 0.3,
-      kpis: [
-        { id: 'punctuality', name: 'Punctuality', weight: 0.25 },
-        { id: 'initiative', name: 'Initiative', weight: 0.35 },
-        { id: 'professionalism', name: 'Professionalism', weight: 0.25 },
-        { id: 'learning_development', name: 'Learning & Development', weight: 0.15 },
-      ],
-    },
-  ],
-};
+// Role groups for admin endpoints
+const CAN_VIEW_WEIGHTS = authorize(ROLES.ADMIN, ROLES.HOD, ROLES.AUDITOR);
+const CAN_MANAGE_WEIGHTS = authorize(ROLES.ADMIN);
+const CAN_APPROVE_WEIGHTS = [authorize(ROLES.ADMIN), requirePermission(PERMISSIONS.APPROVE_WEIGHT_CHANGES)];
+const CAN_VIEW_AUDIT = authorize(ROLES.ADMIN, ROLES.AUDITOR);
+const CAN_MANAGE_AUDIT = authorize(ROLES.ADMIN);
 
-let weightHistory = [
+// Seed weight versions (newest first), written to the store on first run
+const SEED_WEIGHT_VERSIONS = [
   {
     versionId: 'v2.1',
     timestamp: new Date('2025-01-15T10:30:00Z').toISOString(),
@@ -85,6 +93,7 @@ let weightHistory = [
     modifiedByName: 'Anjali Sharma',
     comment: 'Increased field operations weight to 30% based on Q4 2024 review',
     status: 'active',
+    categories: DEFAULT_KPI_CATEGORIES,
   },
   {
     versionId: 'v2.0',
@@ -93,6 +102,49 @@ let weightHistory = [
     modifiedByName: 'Rajesh Kumar',
     comment: 'Quarterly weight adjustment - increased team collaboration emphasis',
     status: 'archived',
+    categories: [
+      {
+        id: 'hq_operations',
+        name: 'HQ Operations',
+        weight: 0.27,
+        kpis: [
+          { id: 'reporting_timeliness', name: 'Reporting Timeliness', weight: 0.3 },
+          { id: 'data_accuracy', name: 'Data Accuracy', weight: 0.4 },
+          { id: 'process_adherence', name: 'Process Adherence', weight: 0.3 },
+        ],
+      },
+      {
+        id: 'field_operations',
+        name: 'Field Operations',
+        weight: 0.28,
+        kpis: [
+          { id: 'inspection_completion', name: 'Inspection Completion Rate', weight: 0.35 },
+          { id: 'travel_efficiency', name: 'Travel Efficiency', weight: 0.25 },
+          { id: 'quality_compliance', name: 'Quality Compliance', weight: 0.4 },
+        ],
+      },
+      {
+        id: 'team_collaboration',
+        name: 'Team Collaboration',
+        weight: 0.15,
+        kpis: [
+          { id: 'meeting_attendance', name: 'Meeting Attendance', weight: 0.4 },
+          { id: 'peer_support', name: 'Peer Support', weight: 0.35 },
+          { id: 'knowledge_sharing', name: 'Knowledge Sharing', weight: 0.25 },
+        ],
+      },
+      {
+        id: 'individual_behavior',
+        name: 'Individual Behavior',
+        weight: 0.3,
+        kpis: [
+          { id: 'punctuality', name: 'Punctuality', weight: 0.25 },
+          { id: 'initiative', name: 'Initiative', weight: 0.35 },
+          { id: 'professionalism', name: 'Professionalism', weight: 0.25 },
+          { id: 'learning_development', name: 'Learning & Development', weight: 0.15 },
+        ],
+      },
+    ],
   },
   {
     versionId: 'v1.5',
@@ -101,10 +153,158 @@ let weightHistory = [
     modifiedByName: 'Priya Patel',
     comment: 'Initial production weights based on pilot feedback',
     status: 'archived',
+    categories: [
+      {
+        id: 'hq_operations',
+        name: 'HQ Operations',
+        weight: 0.3,
+        kpis: [
+          { id: 'reporting_timeliness', name: 'Reporting Timeliness', weight: 0.3 },
+          { id: 'data_accuracy', name: 'Data Accuracy', weight: 0.4 },
+          { id: 'process_adherence', name: 'Process Adherence', weight: 0.3 },
+        ],
+      },
+      {
+        id: 'field_operations',
+        name: 'Field Operations',
+        weight: 0.3,
+        kpis: [
+          { id: 'inspection_completion', name: 'Inspection Completion Rate', weight: 0.5 },
+          { id: 'quality_compliance', name: 'Quality Compliance', weight: 0.5 },
+        ],
+      },
+      {
+        id: 'team_collaboration',
+        name: 'Team Collaboration',
+        weight: 0.1,
+        kpis: [
+          { id: 'meeting_attendance', name: 'Meeting Attendance', weight: 0.5 },
+          { id: 'peer_support', name: 'Peer Support', weight: 0.5 },
+        ],
+      },
+      {
+        id: 'individual_behavior',
+        name: 'Individual Behavior',
+        weight: 0.3,
+        kpis: [
+          { id: 'punctuality', name: 'Punctuality', weight: 0.3 },
+          { id: 'initiative', name: 'Initiative', weight: 0.4 },
+          { id: 'professionalism', name: 'Professionalism', weight: 0.3 },
+        ],
+      },
+    ],
   },
 ];
 
-let auditTrail = [
+// Durable weight store (full category/KPI tree per version)
+const weightStore = createWeightStore({
+  filePath: WEIGHTS_PATH,
+  seed: SEED_WEIGHT_VERSIONS,
+});
+
+// Organisation-wide employee KPI values scored by calibration previews and score history
+const employeeDataset = createEmployeeDataset();
+
+// Per-period score snapshots (closed periods only)
+const scoreSnapshotStore = createScoreSnapshotStore({ filePath: SCORE_HISTORY_PATH });
+
+const MAX_HISTORY_PERIODS = 24;
+
+// 360-degree feedback submissions and policy
+const feedbackStore = createFeedbackStore({ filePath: join(DATA_DIR, 'feedback.json') });
+
+/**
+ * Shape a stored version as the active config returned by the API
+ */
+function toWeightsConfig(version) {
+  return {
+    version: version.versionId,
+    lastModified: version.timestamp,
+    modifiedBy: version.modifiedBy,
+    modifiedByName: version.modifiedByName,
+    effectiveFrom: version.effectiveFrom,
+    categories: version.categories,
+  };
+}
+
+/**
+ * Version metadata for history listings (tree omitted)
+ */
+function toHistoryEntry({ categories, ...meta }) {
+  return { ...meta, categoryCount: categories.length };
+}
+
+/**
+ * Change request with a diff of the proposed tree against its base version
+ */
+function toChangeRequestEntry(request) {
+  const base = weightStore.getVersion(request.baseVersion);
+  return {
+    ...request,
+    diff: diffWeightVersions(base?.categories, request.categories).summary,
+  };
+}
+
+/**
+ * Validate a proposed weight tree: category definitions, weights summing to
+ * 1.0 (categories, and KPIs within each category) and normalisation methods.
+ * Shared by weight saves and calibration previews.
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWeightTree(categories) {
+  // Validate category ids, names, scoring methods and weight values
+  const categoryError = validateCategories(categories);
+  if (categoryError) return categoryError;
+
+  // Validate weights sum to 1.0
+  const categoryWeightSum = categories.reduce((sum, cat) => sum + cat.weight, 0);
+  if (Math.abs(categoryWeightSum - 1.0) > 0.001) return 'Category weights must sum to 1.0';
+
+  // Validate KPI weights and normalisation methods within each category
+  for (const category of categories) {
+    const kpiWeightSum = category.kpis.reduce((sum, kpi) => sum + kpi.weight, 0);
+    if (Math.abs(kpiWeightSum - 1.0) > 0.001) return `KPI weights in category ${category.name} must sum to 1.0`;
+
+    const normalizationError = category.kpis.map(validateNormalization).find(Boolean);
+    if (normalizationError) return normalizationError;
+  }
+  return null;
+}
+
+/**
+ * Behavioural KPIs open to 360 feedback: the KPIs of rubric categories in the active version
+ */
+function behaviouralKpis() {
+  return weightStore
+    .getActiveVersion()
+    .categories.map(normalizeCategory)
+    .filter((category) => category.scoringMethod === SCORING_METHODS.RUBRIC)
+    .flatMap((category) => category.kpis.map(({ id, name }) => ({ id, name, category: category.id })));
+}
+
+/**
+ * How a user rates an employee: themself, as their supervisor or as a peer in
+ * the same division (see feedbackRaterType); null when they cannot
+ */
+function raterTypeFor(user, employee) {
+  const raterEmployee = employeeDataset.find((e) => e.employeeId === user.employeeId);
+  return feedbackRaterType(user, employee, raterEmployee);
+}
+
+/**
+ * Aggregated feedback for the quarters overlapping a period
+ */
+function feedbackAggregates(employeeId, period) {
+  const submissions = feedbackStore.listSubmissions(employeeId).filter((submission) => {
+    const quarter = parsePeriod(submission.period);
+    return quarter && quarter.startDate <= period.endDate && quarter.endDate >= period.startDate;
+  });
+  return aggregateFeedback(submissions, feedbackStore.getPolicy());
+}
+
+// Seed audit entries (newest first), chained into the audit log on first run
+const SEED_AUDIT_ENTRIES = [
   {
     id: 'audit-1247',
     timestamp: new Date('2025-01-15T10:30:00Z').toISOString(),
@@ -167,316 +367,743 @@ let auditTrail = [
   },
 ];
 
-// Generate audit ID
-let auditIdCounter = 1248;
-function generateAuditId() {
-  return `audit-${auditIdCounter++}`;
+// Shared hash-chained audit log, also written by the evidence, report and AI servers
+const auditLog = createAuditLog({ service: 'admin', seed: SEED_AUDIT_ENTRIES });
+const auditStore = auditLog.store;
+const logAudit = auditLog.log;
+
+// Compressed archives of entries past their retention period
+const auditArchive = createAuditArchive({ dir: AUDIT_ARCHIVE_DIR });
+const retentionStore = createRetentionStore({ filePath: join(DATA_DIR, 'audit-retention.json') });
+
+/**
+ * Log audit entry for actions taken by the weight scheduler (no request)
+ */
+function logSystemAudit(actionType, target, oldValue, newValue, comment, metadata = {}) {
+  return auditLog.logSystem('Weight Scheduler', actionType, target, oldValue, newValue, comment, metadata);
 }
 
-// Log audit entry
-function logAudit(actor, actorName, actionType, target, oldValue, newValue, comment, metadata = {}) {
-  const entry = {
-    id: generateAuditId(),
-    timestamp: new Date().toISOString(),
-    actor,
-    actorName,
-    actionType,
-    target,
-    oldValue,
-    newValue,
-    comment,
-    metadata,
-  };
-  auditTrail.unshift(entry);
-  return entry;
+/**
+ * Archive audit entries past their retention period
+ * Runs daily on a timer and on demand; the run is logged by the requesting
+ * user, or by the archiver when scheduled.
+ *
+ * @param {Object} [req] - Request of an admin running it on demand
+ * @returns {Promise<Object|null>} Archive record, or null when nothing expired
+ */
+async function runAuditArchival(req = null) {
+  const record = await archiveExpiredEntries({ store: auditStore, archive: auditArchive, policy: retentionStore.get() });
+  if (!record) return null;
+
+  const args = [
+    AUDIT_ACTIONS.AUDIT_ARCHIVED,
+    `audit_archive:${record.file}`,
+    null,
+    null,
+    `Archived ${record.entryCount} audit entries past their retention period`,
+    {
+      file: record.file,
+      entryCount: record.entryCount,
+      firstId: record.firstId,
+      lastId: record.lastId,
+      sha256: record.sha256,
+    },
+  ];
+  if (req) {
+    await logAudit(req, ...args);
+  } else {
+    await auditLog.logSystem('Audit Archiver', ...args);
+  }
+  return record;
+}
+
+/**
+ * Audit entries matching the filters, newest first
+ * With includeArchived, archives whose date range overlaps the filter are
+ * searched too; their entries are marked `archived: true`.
+ *
+ * @returns {{ entries: Object[], archivesSearched: string[] }}
+ */
+function queryAuditEntries(filters, includeArchived) {
+  const live = filterAuditEntries(auditStore.list(), filters);
+  if (!includeArchived) return { entries: live, archivesSearched: [] };
+
+  const liveIds = new Set(live.map((entry) => entry.id));
+  const { entries: archived, archivesSearched } = auditArchive.search(filters);
+  const entries = [
+    ...live,
+    // An interrupted archival run can leave an entry in both places
+    ...archived.filter((entry) => !liveIds.has(entry.id)).map((entry) => ({ ...entry, archived: true })),
+  ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return { entries, archivesSearched };
+}
+
+/**
+ * Activate pending weight versions whose effective time has passed
+ * Runs on a timer and before every weights request.
+ */
+async function activateScheduledVersions() {
+  const previous = weightStore.getActiveVersion()?.versionId || null;
+
+  for (const version of weightStore.activateDueVersions()) {
+    await logSystemAudit(
+      AUDIT_ACTIONS.WEIGHT_ACTIVATED,
+      `weight_config:${version.versionId}`,
+      previous,
+      version.versionId,
+      `Scheduled version ${version.versionId} became effective`,
+      { versionId: version.versionId, effectiveFrom: version.effectiveFrom }
+    );
+  }
 }
 
+// Scheduled weight versions take effect automatically
+const ACTIVATION_CHECK_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+  activateScheduledVersions().catch((error) => console.error('Weight activation error:', error));
+}, ACTIVATION_CHECK_INTERVAL_MS);
+app.use('/api/admin/weights', async (req, res, next) => {
+  await activateScheduledVersions();
+  next();
+});
+
+// Expired audit entries are archived at startup and then daily
+const ARCHIVAL_INTERVAL_MS = 24 * 60 * 60 * 1000;
+async function scheduledAuditArchival() {
+  try {
+    await runAuditArchival();
+  } catch (error) {
+    console.error('Audit archival error:', error);
+  }
+}
+scheduledAuditArchival();
+setInterval(scheduledAuditArchival, ARCHIVAL_INTERVAL_MS);
+
 // ===== ENDPOINTS =====
 
 /**
  * GET /api/admin/weights/config
  * Fetch current weight configuration
+ * Roles: admin, hod, auditor
  */
-app.get('/api/admin/weights/config', (req, res) => {
-  res.json(weightsConfig);
+app.get('/api/admin/weights/config', CAN_VIEW_WEIGHTS, (req, res) => {
+  res.json(toWeightsConfig(weightStore.getActiveVersion()));
 });
 
 /**
  * POST /api/admin/weights/config
- * Save new weight configuration
- * Body: { weights: {...}, reason: string, actor: string, actorName: string }
+ * Submit a weight change for approval, effective now or from a future date
+ * Body: { weights: { categories: [{ id, name, scoringMethod, weight, kpis: [{ id, name, weight, normalization?, target?, bands? }] }] (or keyed by id) }, reason: string, effectiveFrom?: string (ISO date, in the future) }
+ * Creates a 'pending_approval' change request; nothing changes until a second
+ * admin approves it (see /api/admin/weights/requests/:requestId/approve).
+ * Actor is taken from the session; a mismatching body `actor` is rejected.
+ * Roles: admin
  */
-app.post('/api/admin/weights/config', (req, res) => {
-  const { weights, reason, actor, actorName } = req.body;
+app.post('/api/admin/weights/config', CAN_MANAGE_WEIGHTS, rejectActorMismatch, async (req, res) => {
+  const { weights, reason, effectiveFrom } = req.body;
 
-  if (!weights || !reason || !actor || !actorName) {
-    return res.status(400).json({ error: 'Missing required fields: weights, reason, actor, actorName' });
+  if (!weights || !reason) {
+    return res.status(400).json({ error: 'Missing required fields: weights, reason' });
   }
 
-  // Validate weights sum to 1.0
-  const categoryWeightSum = weights.categories.reduce((sum, cat) => sum + cat.weight, 0);
-  if (Math.abs(categoryWeightSum - 1.0) > 0.001) {
-    return res.status(400).json({ error: 'Category weights must sum to 1.0' });
+  if (effectiveFrom && Number.isNaN(new Date(effectiveFrom).getTime())) {
+    return res.status(400).json({ error: 'effectiveFrom must be a valid ISO date' });
   }
 
-  // Validate KPI weights within each category
-  for (const category of weights.categories) {
-    const kpiWeightSum = category.kpis.reduce((sum, kpi) => sum + kpi.weight, 0);
-    if (Math.abs(kpiWeightSum - 1.0) > 0.001) {
-      return res.status(400).json({ error: `KPI weights in category ${category.name} must sum to 1.0` });
+  // Versions never take effect retroactively; omit effectiveFrom to apply on approval
+  if (effectiveFrom && new Date(effectiveFrom) <= new Date()) {
+    return res.status(400).json({ error: 'effectiveFrom must be in the future' });
+  }
+
+  // Categories may also be keyed by id
+  const categories = toCategoryList(weights.categories);
+
+  const treeError = validateWeightTree(categories);
+  if (treeError) {
+    return res.status(400).json({ error: treeError });
+  }
+
+  // Record the proposed tree; a version is only created on approval
+  const request = weightStore.createChangeRequest({
+    categories,
+    requestedBy: req.user.id,
+    requestedByName: req.user.name,
+    reason,
+    effectiveFrom,
+  });
+
+  // Log audit
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.WEIGHT_CHANGE_REQUESTED,
+    `weight_request:${request.requestId}`,
+    request.baseVersion,
+    null,
+    reason,
+    {
+      requestId: request.requestId,
+      baseVersion: request.baseVersion,
+      effectiveFrom: request.effectiveFrom,
     }
+  );
+
+  res.status(202).json({
+    success: true,
+    request: toChangeRequestEntry(request),
+    status: request.status,
+    message: `Weight change ${request.requestId} submitted for approval`,
+  });
+});
+
+/**
+ * GET /api/admin/weights/requests
+ * List weight change requests, newest first
+ * Query params: status (pending_approval | approved | rejected)
+ * Roles: admin, hod, auditor
+ */
+app.get('/api/admin/weights/requests', CAN_VIEW_WEIGHTS, (req, res) => {
+  const requests = weightStore.listChangeRequests(req.query.status).map(toChangeRequestEntry);
+
+  res.json({
+    requests,
+    total: requests.length,
+  });
+});
+
+/**
+ * Middleware: load a pending change request the current user may review
+ * The requester can never review their own change (maker-checker).
+ */
+function loadReviewableRequest(req, res, next) {
+  const { requestId } = req.params;
+  const request = weightStore.getChangeRequest(requestId);
+
+  if (!request) {
+    return res.status(404).json({ error: `Change request ${requestId} not found` });
+  }
+
+  if (request.status !== 'pending_approval') {
+    return res.status(409).json({ error: `Change request ${requestId} is already ${request.status}` });
   }
 
-  // Generate new version
-  const oldVersion = weightsConfig.version;
-  const versionNumber = parseFloat(oldVersion.substring(1)) + 0.1;
-  const newVersion = `v${versionNumber.toFixed(1)}`;
+  if (request.requestedBy === req.user.id) {
+    return res.status(403).json({ error: 'Change requests must be reviewed by a different admin' });
+  }
 
-  // Archive old version
-  weightHistory.unshift({
-    versionId: weightsConfig.version,
-    timestamp: weightsConfig.lastModified,
-    modifiedBy: weightsConfig.modifiedBy,
-    modifiedByName: weightsConfig.modifiedByName,
-    comment: `Archived on ${new Date().toISOString()}`,
-    status: 'archived',
+  if (!req.body?.comment) {
+    return res.status(400).json({ error: 'Missing required field: comment' });
+  }
+
+  req.changeRequest = request;
+  next();
+}
+
+/**
+ * POST /api/admin/weights/requests/:requestId/approve
+ * Approve a change request; its version becomes active now or is scheduled
+ * for the requested effectiveFrom (active now if that date has passed since).
+ * Approving a rollback request makes the stored version active again.
+ * Requests whose base version is no longer active are refused with 409.
+ * Body: { comment: string }
+ * Roles: admin with approve_weight_changes permission (not the requester)
+ */
+app.post('/api/admin/weights/requests/:requestId/approve', CAN_APPROVE_WEIGHTS, loadReviewableRequest, async (req, res) => {
+  const { comment } = req.body;
+  const previous = weightStore.getActiveVersion();
+
+  // The reviewed diff is against the base version; approving over newer weights would overwrite them
+  if (weightStore.isStaleChangeRequest(req.changeRequest)) {
+    return res.status(409).json({
+      error: `Change request ${req.changeRequest.requestId} was made against ${req.changeRequest.baseVersion}, but ${previous.versionId} is now active; the requester must submit it again`,
+    });
+  }
+
+  const approved = weightStore.approveChangeRequest(req.changeRequest.requestId, {
+    reviewedBy: req.user.id,
+    reviewedByName: req.user.name,
+    comment,
   });
 
-  // Update active config
-  weightsConfig = {
-    version: newVersion,
-    lastModified: new Date().toISOString(),
-    modifiedBy: actor,
-    modifiedByName: actorName,
-    categories: weights.categories,
-  };
+  if (!approved) {
+    return res.status(409).json({ error: `Version ${req.changeRequest.rollbackTo} no longer exists` });
+  }
+  const { request, version } = approved;
 
-  // Add to history
-  weightHistory.unshift({
-    versionId: newVersion,
-    timestamp: weightsConfig.lastModified,
-    modifiedBy: actor,
-    modifiedByName: actorName,
-    comment: reason,
-    status: 'active',
+  // Employees whose score moves once this version is in force
+  const { summary } = runCalibration({
+    employees: employeeDataset,
+    currentCategories: previous.categories,
+    proposedCategories: version.categories,
+  });
+  // Log audit
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.WEIGHT_CHANGE_APPROVED,
+    `weight_config:${version.versionId}`,
+    previous.versionId,
+    version.versionId,
+    comment,
+    {
+      requestId: request.requestId,
+      requestedBy: request.requestedBy,
+      versionId: version.versionId,
+      rollbackTo: request.rollbackTo,
+      affectedEmployees: summary.impactedEmployees,
+      effectiveFrom: version.effectiveFrom,
+      status: version.status,
+    }
+  );
+
+  res.json({
+    success: true,
+    request: toChangeRequestEntry(request),
+    config: toWeightsConfig(version),
+    status: version.status,
+    message:
+      version.status === 'pending'
+        ? `Weight configuration ${version.versionId} approved and scheduled for ${version.effectiveFrom}`
+        : `Weight configuration ${version.versionId} approved and ${version.status}`,
+  });
+});
+
+/**
+ * POST /api/admin/weights/requests/:requestId/reject
+ * Reject a change request; no version is created
+ * Body: { comment: string }
+ * Roles: admin with approve_weight_changes permission (not the requester)
+ */
+app.post('/api/admin/weights/requests/:requestId/reject', CAN_APPROVE_WEIGHTS, loadReviewableRequest, async (req, res) => {
+  const { comment } = req.body;
+  const request = weightStore.rejectChangeRequest(req.changeRequest.requestId, {
+    reviewedBy: req.user.id,
+    reviewedByName: req.user.name,
+    comment,
   });
 
   // Log audit
-  logAudit(
-    actor,
-    actorName,
-    'WEIGHT_UPDATE',
-    `weight_config:${newVersion}`,
-    oldVersion,
-    newVersion,
-    reason,
-    { versionId: newVersion, affectedEmployees: 248 }
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.WEIGHT_CHANGE_REJECTED,
+    `weight_request:${request.requestId}`,
+    request.baseVersion,
+    null,
+    comment,
+    { requestId: request.requestId, requestedBy: request.requestedBy }
   );
 
   res.json({
     success: true,
-    config: weightsConfig,
-    message: `Weight configuration updated to ${newVersion}`,
+    request: toChangeRequestEntry(request),
+    message: `Weight change ${request.requestId} rejected`,
   });
 });
 
 /**
  * GET /api/admin/weights/history
  * Fetch weight configuration history
+ * Roles: admin, hod, auditor
  */
-app.get('/api/admin/weights/history', (req, res) => {
+app.get('/api/admin/weights/history', CAN_VIEW_WEIGHTS, (req, res) => {
+  const versions = weightStore.listVersions().map(toHistoryEntry);
+
   res.json({
-    versions: weightHistory,
-    total: weightHistory.length,
+    versions,
+    total: versions.length,
+  });
+});
+
+/**
+ * GET /api/admin/weights/effective
+ * Weight version in force on a date (e.g. the start of an assessment period)
+ * Query params: date (ISO date, defaults to now)
+ * Roles: admin, hod, auditor
+ */
+app.get('/api/admin/weights/effective', CAN_VIEW_WEIGHTS, (req, res) => {
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+
+  if (Number.isNaN(date.getTime())) {
+    return res.status(400).json({ error: 'date must be a valid ISO date' });
+  }
+
+  const version = weightStore.getEffectiveVersion(date);
+  if (!version) {
+    return res.status(404).json({ error: `No weight version effective on ${date.toISOString()}` });
+  }
+
+  res.json(toWeightsConfig(version));
+});
+
+/**
+ * GET /api/admin/weights/diff
+ * Per-category and per-KPI weight deltas between two versions
+ * Query params: from (versionId), to (versionId, defaults to the active version)
+ * Roles: admin, hod, auditor
+ */
+app.get('/api/admin/weights/diff', CAN_VIEW_WEIGHTS, (req, res) => {
+  const { from, to = weightStore.getActiveVersion().versionId } = req.query;
+
+  if (!from) {
+    return res.status(400).json({ error: 'Missing required query param: from' });
+  }
+
+  const fromVersion = weightStore.getVersion(from);
+  const toVersion = weightStore.getVersion(to);
+  if (!fromVersion || !toVersion) {
+    return res.status(404).json({ error: `Version ${!fromVersion ? from : to} not found` });
+  }
+
+  res.json({
+    from: toHistoryEntry(fromVersion),
+    to: toHistoryEntry(toVersion),
+    ...diffWeightVersions(fromVersion.categories, toVersion.categories),
   });
 });
 
 /**
  * POST /api/admin/weights/rollback/:versionId
- * Rollback to a previous version
- * Body: { actor: string, actorName: string, reason: string }
+ * Request a rollback to a previous version
+ * Creates a 'pending_approval' change request for the stored tree; the
+ * version only becomes active again when a second admin approves it.
+ * Body: { reason: string }
+ * Actor is taken from the session; a mismatching body `actor` is rejected.
+ * Roles: admin
  */
-app.post('/api/admin/weights/rollback/:versionId', (req, res) => {
+app.post('/api/admin/weights/rollback/:versionId', CAN_MANAGE_WEIGHTS, rejectActorMismatch, async (req, res) => {
   const { versionId } = req.params;
-  const { actor, actorName, reason } = req.body;
+  const { reason } = req.body;
 
-  if (!actor || !actorName || !reason) {
-    return res.status(400).json({ error: 'Missing required fields: actor, actorName, reason' });
+  if (!reason) {
+    return res.status(400).json({ error: 'Missing required field: reason' });
   }
 
-  // Find version in history
-  const version = weightHistory.find((v) => v.versionId === versionId);
-  if (!version) {
+  // Find version in store
+  const target = weightStore.getVersion(versionId);
+  if (!target) {
     return res.status(404).json({ error: `Version ${versionId} not found` });
   }
 
-  // Archive current version
-  const oldVersion = weightsConfig.version;
-  weightHistory.unshift({
-    versionId: weightsConfig.version,
-    timestamp: weightsConfig.lastModified,
-    modifiedBy: weightsConfig.modifiedBy,
-    modifiedByName: weightsConfig.modifiedByName,
-    comment: `Archived before rollback to ${versionId}`,
-    status: 'archived',
-  });
+  if (target.status === 'pending') {
+    return res.status(400).json({ error: `Version ${versionId} is scheduled and cannot be rolled back to` });
+  }
 
-  // Restore version (in real system, would fetch full config from database)
-  weightsConfig = {
-    ...weightsConfig,
-    version: versionId,
-    lastModified: new Date().toISOString(),
-    modifiedBy: actor,
-    modifiedByName: actorName,
-  };
+  if (target.status === 'active') {
+    return res.status(400).json({ error: `Version ${versionId} is already active` });
+  }
 
-  // Update history
-  version.status = 'active';
+  // Approval restores the exact stored tree (see weightStore.approveChangeRequest)
+  const request = weightStore.createChangeRequest({
+    categories: target.categories,
+    requestedBy: req.user.id,
+    requestedByName: req.user.name,
+    reason,
+    rollbackTo: versionId,
+  });
 
   // Log audit
-  logAudit(
-    actor,
-    actorName,
-    'WEIGHT_ROLLBACK',
-    `weight_config:${versionId}`,
-    oldVersion,
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.WEIGHT_CHANGE_REQUESTED,
+    `weight_request:${request.requestId}`,
+    request.baseVersion,
     versionId,
     reason,
-    { versionId, reason }
+    {
+      requestId: request.requestId,
+      baseVersion: request.baseVersion,
+      rollbackTo: versionId,
+    }
   );
 
-  res.json({
+  res.status(202).json({
     success: true,
-    config: weightsConfig,
-    message: `Rolled back to version ${versionId}`,
+    request: toChangeRequestEntry(request),
+    status: request.status,
+    message: `Rollback to version ${versionId} submitted for approval as ${request.requestId}`,
   });
 });
 
 /**
  * POST /api/admin/calibrate
- * Run calibration preview simulation
- * Body: { weights: {...}, actor: string, actorName: string }
+ * Run calibration preview: scores every employee with the active weights and
+ * with the proposed weights (see utils/calibration.js)
+ * Body: { weights: { categories: [...] } } (categories may also be keyed by id)
+ * The weights are validated like POST /api/admin/weights/config.
+ * Actor is taken from the session; a mismatching body `actor` is rejected.
+ * Roles: admin
  */
-app.post('/api/admin/calibrate', (req, res) => {
-  const { weights, actor, actorName } = req.body;
+app.post('/api/admin/calibrate', CAN_MANAGE_WEIGHTS, rejectActorMismatch, async (req, res) => {
+  const { weights } = req.body;
 
   if (!weights) {
     return res.status(400).json({ error: 'Missing required field: weights' });
   }
 
-  // Simulate calibration (in real system, would recalculate all employee scores)
-  const mockCalibration = {
-    employeesAnalyzed: 248,
-    avgScoreChange: 2.3,
-    scoreDistribution: {
-      before: [
-        { bin: '0-10', count: 2 },
-        { bin: '10-20', count: 5 },
-        { bin: '20-30', count: 12 },
-        { bin: '30-40', count: 28 },
-        { bin: '40-50', count: 45 },
-        { bin: '50-60', count: 62 },
-        { bin: '60-70', count: 48 },
-        { bin: '70-80', count: 32 },
-        { bin: '80-90', count: 12 },
-        { bin: '90-100', count: 2 },
-      ],
-      after: [
-        { bin: '0-10', count: 1 },
-        { bin: '10-20', count: 4 },
-        { bin: '20-30', count: 10 },
-        { bin: '30-40', count: 25 },
-        { bin: '40-50', count: 42 },
-        { bin: '50-60', count: 58 },
-        { bin: '60-70', count: 55 },
-        { bin: '70-80', count: 38 },
-        { bin: '80-90', count: 13 },
-        { bin: '90-100', count: 2 },
-      ],
-    },
-    topImpacted: [
-      {
-        employeeId: 'emp-042',
-        employeeName: 'Rajesh Kumar',
-        division: 'East Zone',
-        scoreBefore: 68,
-        scoreAfter: 77,
-        delta: 9,
-        reason: 'Strong field operations performance benefits from increased weight',
-      },
-      {
-        employeeId: 'emp-128',
-        employeeName: 'Priya Sharma',
-        division: 'West Zone',
-        scoreBefore: 72,
-        scoreAfter: 65,
-        delta: -7,
-        reason: 'Lower team collaboration scores impacted by weight shift',
-      },
-      {
-        employeeId: 'emp-215',
-        employeeName: 'Amit Patel',
-        division: 'North Zone',
-        scoreBefore: 55,
-        scoreAfter: 61,
-        delta: 6,
-        reason: 'Above-average individual behavior scores gain weight',
-      },
-      {
-        employeeId: 'emp-089',
-        employeeName: 'Anjali Singh',
-        division: 'South Zone',
-        scoreBefore: 64,
-        scoreAfter: 58,
-        delta: -6,
-        reason: 'HQ operations performance below par, affected by weight reduction',
-      },
-      {
-        employeeId: 'emp-156',
-        employeeName: 'Vikram Reddy',
-        division: 'Central Zone',
-        scoreBefore: 59,
-        scoreAfter: 64,
-        delta: 5,
-        reason: 'Consistent field work benefits from increased weight',
-      },
-    ],
-    kpiImpactHeatmap: [
-      { categoryId: 'hq_operations', categoryName: 'HQ Operations', avgImpact: -1.2, employeesAffected: 85 },
-      { categoryId: 'field_operations', categoryName: 'Field Operations', avgImpact: 3.8, employeesAffected: 142 },
-      { categoryId: 'team_collaboration', categoryName: 'Team Collaboration', avgImpact: 0.5, employeesAffected: 68 },
-      { categoryId: 'individual_behavior', categoryName: 'Individual Behavior', avgImpact: -0.8, employeesAffected: 95 },
-    ],
-    significantChanges: 18,
-  };
+  if (typeof weights !== 'object') {
+    return res.status(400).json({ error: 'weights must be an object' });
+  }
 
-  // Log audit if actor provided
-  if (actor && actorName) {
-    logAudit(
-      actor,
-      actorName,
-      'CALIBRATION_PREVIEW',
-      'weight_config:preview',
-      null,
-      null,
-      'Previewed calibration impact',
-      {
-        employeesAnalyzed: mockCalibration.employeesAnalyzed,
-        avgScoreChange: mockCalibration.avgScoreChange,
-        significantChanges: mockCalibration.significantChanges,
-      }
-    );
+  // Same checks as a save, so previews never score an invalid tree
+  const proposedCategories = toCategoryList(weights.categories || weights);
+  const treeError = validateWeightTree(proposedCategories);
+  if (treeError) {
+    return res.status(400).json({ error: treeError });
   }
 
-  res.json(mockCalibration);
+  const activeVersion = weightStore.getActiveVersion();
+  const calibration = runCalibration({
+    employees: employeeDataset,
+    currentCategories: activeVersion.categories,
+    proposedCategories,
+  });
+
+  // Log audit
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.CALIBRATION_PREVIEW,
+    'weight_config:preview',
+    null,
+    null,
+    'Previewed calibration impact',
+    {
+      baseVersion: activeVersion.versionId,
+      employeesAnalyzed: calibration.summary.employeesAnalyzed,
+      avgScoreChange: calibration.summary.avgScoreChange,
+      significantChanges: calibration.summary.significantChanges,
+    }
+  );
+
+  res.json({ baseVersion: activeVersion.versionId, ...calibration });
+});
+
+/**
+ * GET /api/employees/:employeeId/score-history
+ * Score per period with the trend across periods, for charting
+ * Closed periods come from stored snapshots tagged with the weight version in
+ * force at the period start, so later weight changes never rewrite them; the
+ * current period is computed live (final: false). Behavioural KPIs take their
+ * 360 feedback aggregate where feedback exists for the period.
+ * Params: employeeId ('me' for the signed-in employee)
+ * Query: granularity ('month' | 'quarter' | 'fiscal_year', default 'quarter'), count (1-24, default 6)
+ * Returns: { employeeId, granularity, periods: Snapshot[], trend, kpis: { [kpiId]: [{ period, label, value, score }] } }
+ * Roles: all roles; employees only their own record
+ */
+app.get('/api/employees/:employeeId/score-history', (req, res) => {
+  const employeeId = req.params.employeeId === 'me' ? req.user.employeeId : req.params.employeeId;
+  const granularity = req.query.granularity || PERIOD_GRANULARITIES.QUARTER;
+  const count = req.query.count === undefined ? 6 : Number(req.query.count);
+
+  if (!Object.values(PERIOD_GRANULARITIES).includes(granularity)) {
+    return res.status(400).json({
+      error: `granularity must be one of: ${Object.values(PERIOD_GRANULARITIES).join(', ')}`,
+    });
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_HISTORY_PERIODS) {
+    return res.status(400).json({ error: `count must be an integer from 1 to ${MAX_HISTORY_PERIODS}` });
+  }
+
+  if (req.user.role === ROLES.EMPLOYEE && (!employeeId || employeeId !== req.user.employeeId)) {
+    return res.status(403).json({ error: 'Employees can only view their own score history' });
+  }
+
+  const employee = employeeDataset.find((e) => e.employeeId === employeeId);
+  if (!employee) {
+    return res.status(404).json({ error: 'Employee not found' });
+  }
+
+  const timeline = weightStore.getTimeline();
+  const snapshots = scoreSnapshotStore.resolveSnapshots(employeeId, listPeriods(granularity, count), (period) =>
+    computeScoreSnapshot({
+      employeeId,
+      kpis: applyFeedbackToKpis(kpisForPeriod(employee, period), feedbackAggregates(employeeId, period)),
+      period,
+      weights: timeline,
+    })
+  );
+
+  res.json(buildScoreHistory(employeeId, granularity, snapshots));
+});
+
+/**
+ * GET /api/employees/:employeeId/feedback
+ * 360 feedback on an employee's behavioural KPIs for a quarter: the aggregated
+ * rubric value per KPI, rater counts and visible comments. Individual ratings
+ * are never returned; peer ratings and comments stay hidden below the policy's
+ * minPeerRatings.
+ * Params: employeeId ('me' for the signed-in employee)
+ * Query: period (fiscal quarter id, e.g. '2025-26-Q3'; default current quarter)
+ * Returns: { employeeId, period, label, policy, kpis: [{ id, name, category, value, raterCounts, sources, peerRatingsHidden }],
+ *   comments, myRaterType, mySubmission, colleagues: [{ employeeId, name }] (the employee's division, for peer feedback) }
+ * Roles: all roles; employees only their own record
+ */
+app.get('/api/employees/:employeeId/feedback', (req, res) => {
+  const employeeId = req.params.employeeId === 'me' ? req.user.employeeId : req.params.employeeId;
+  const period = req.query.period ? parsePeriod(req.query.period) : periodOf(new Date(), PERIOD_GRANULARITIES.QUARTER);
+
+  if (!period || period.granularity !== PERIOD_GRANULARITIES.QUARTER) {
+    return res.status(400).json({ error: 'period must be a fiscal quarter id such as 2025-26-Q3' });
+  }
+
+  if (req.user.role === ROLES.EMPLOYEE && (!employeeId || employeeId !== req.user.employeeId)) {
+    return res.status(403).json({ error: 'Employees can only view feedback about themselves' });
+  }
+
+  const employee = employeeDataset.find((e) => e.employeeId === employeeId);
+  if (!employee) {
+    return res.status(404).json({ error: 'Employee not found' });
+  }
+
+  const policy = feedbackStore.getPolicy();
+  const submissions = feedbackStore.listSubmissions(employeeId, period.id);
+  const aggregates = aggregateFeedback(submissions, policy);
+  const mySubmission = submissions.find((s) => s.raterId === req.user.id);
+
+  res.json({
+    employeeId,
+    period: period.id,
+    label: period.label,
+    policy: { raterWeights: policy.raterWeights, minPeerRatings: policy.minPeerRatings },
+    kpis: behaviouralKpis().map((kpi) => ({
+      ...kpi,
+      ...(aggregates[kpi.id] || {
+        value: null,
+        raterCounts: { supervisor: 0, peer: 0, self: 0 },
+        sources: [],
+        peerRatingsHidden: false,
+      }),
+    })),
+    comments: visibleComments(submissions, policy),
+    myRaterType: raterTypeFor(req.user, employee),
+    mySubmission: mySubmission
+      ? { ratings: mySubmission.ratings, comment: mySubmission.comment, submittedAt: mySubmission.submittedAt }
+      : null,
+    colleagues: employeeDataset
+      .filter((e) => e.division === employee.division && e.employeeId !== employeeId)
+      .map((e) => ({ employeeId: e.employeeId, name: e.name })),
+  });
+});
+
+/**
+ * POST /api/employees/:employeeId/feedback
+ * Submit 360 feedback on an employee's behavioural KPIs (replaces the rater's
+ * earlier submission for the same quarter). The rater type follows from the
+ * session: self, supervisor (the employee reports to the user) or peer
+ * (another employee in the same division).
+ * Params: employeeId ('me' for self-assessment)
+ * Body: { period?: string (fiscal quarter id, default current quarter), ratings: { [kpiId]: 0-3 in half points }, comment?: string }
+ * Returns: { submissionId, employeeId, period, raterType, submittedAt }
+ * Errors: 403 when the user is neither the employee, their supervisor nor a peer in their division
+ * Roles: admin, hod, supervisor, employee
+ */
+app.post('/api/employees/:employeeId/feedback', async (req, res) => {
+  const employeeId = req.params.employeeId === 'me' ? req.user.employeeId : req.params.employeeId;
+  const { ratings, comment } = req.body;
+  const period = req.body.period ? parsePeriod(req.body.period) : periodOf(new Date(), PERIOD_GRANULARITIES.QUARTER);
+
+  if (!period || period.granularity !== PERIOD_GRANULARITIES.QUARTER) {
+    return res.status(400).json({ error: 'period must be a fiscal quarter id such as 2025-26-Q3' });
+  }
+
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return res.status(400).json({ error: 'comment must be a string' });
+  }
+
+  const employee = employeeDataset.find((e) => e.employeeId === employeeId);
+  if (!employee) {
+    return res.status(404).json({ error: 'Employee not found' });
+  }
+
+  const raterType = raterTypeFor(req.user, employee);
+  if (!raterType) {
+    return res.status(403).json({
+      error: 'Only the employee, their supervisor or a colleague in their division can rate them',
+    });
+  }
+
+  const validationError = validateRatings(ratings, behaviouralKpis().map((kpi) => kpi.id));
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const submission = feedbackStore.submit({
+    employeeId,
+    period: period.id,
+    raterId: req.user.id,
+    raterName: req.user.name,
+    raterType,
+    ratings,
+    comment: comment?.trim(),
+  });
+
+  // Log audit (ratings are left out so peer feedback stays anonymous to the ratee)
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.FEEDBACK_SUBMITTED,
+    `employee:${employeeId}`,
+    null,
+    null,
+    `Submitted ${raterType} feedback for ${period.label}`,
+    { period: period.id, raterType, kpiCount: Object.keys(ratings).length }
+  );
+
+  res.status(201).json({
+    submissionId: submission.submissionId,
+    employeeId,
+    period: submission.period,
+    raterType,
+    submittedAt: submission.submittedAt,
+  });
+});
+
+/**
+ * GET /api/admin/feedback/policy
+ * Fetch the 360 feedback policy (rater weights and peer anonymity threshold)
+ * Roles: admin, hod, auditor
+ */
+app.get('/api/admin/feedback/policy', CAN_VIEW_WEIGHTS, (req, res) => {
+  res.json(feedbackStore.getPolicy());
+});
+
+/**
+ * PUT /api/admin/feedback/policy
+ * Replace the 360 feedback policy
+ * Body: { raterWeights: { supervisor, peer, self } (sum to 1), minPeerRatings: number }
+ * Roles: admin
+ */
+app.put('/api/admin/feedback/policy', CAN_MANAGE_WEIGHTS, async (req, res) => {
+  const { raterWeights, minPeerRatings } = req.body;
+  const policy = { raterWeights, minPeerRatings };
+
+  const validationError = validateFeedbackPolicy(policy);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const previous = feedbackStore.getPolicy();
+  const updated = feedbackStore.updatePolicy(policy, { updatedBy: req.user.id, updatedByName: req.user.name });
+
+  // Log audit
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.FEEDBACK_POLICY_UPDATED,
+    'feedback_policy',
+    { raterWeights: previous.raterWeights, minPeerRatings: previous.minPeerRatings },
+    policy,
+    'Updated 360 feedback policy'
+  );
+
+  res.json(updated);
 });
 
 /**
  * GET /api/admin/audit
  * Fetch audit trail with filters
- * Query params: page, perPage, search, actionType, actor, dateFrom, dateTo
+ * Query params: page, perPage, search, actionType, actor, dateFrom, dateTo, includeArchived
+ * With includeArchived=true, archives overlapping the date range are searched too.
+ * Roles: admin, auditor
  */
-app.get('/api/admin/audit', (req, res) => {
+app.get('/api/admin/audit', CAN_VIEW_AUDIT, (req, res) => {
   const {
     page = 1,
     perPage = 50,
@@ -485,40 +1112,22 @@ app.get('/api/admin/audit', (req, res) => {
     actor,
     dateFrom,
     dateTo,
+    includeArchived,
   } = req.query;
 
-  let filtered = [...auditTrail];
-
-  // Filter by search (actor, target, comment)
-  if (search) {
-    const searchLower = search.toLowerCase();
-    filtered = filtered.filter(
-      (entry) =>
-        entry.actorName.toLowerCase().includes(searchLower) ||
-        entry.target.toLowerCase().includes(searchLower) ||
-        entry.comment.toLowerCase().includes(searchLower)
-    );
-  }
-
-  // Filter by action type
-  if (actionType && actionType !== 'all') {
-    filtered = filtered.filter((entry) => entry.actionType === actionType);
-  }
-
-  // Filter by actor
-  if (actor) {
-    filtered = filtered.filter((entry) => entry.actor === actor);
-  }
-
-  // Filter by date range
-  if (dateFrom) {
-    const fromDate = new Date(dateFrom);
-    filtered = filtered.filter((entry) => new Date(entry.timestamp) >= fromDate);
-  }
-  if (dateTo) {
-    const toDate = new Date(dateTo);
-    toDate.setHours(23, 59, 59, 999); // End of day
-    filtered = filtered.filter((entry) => new Date(entry.timestamp) <= toDate);
+  let filtered;
+  let archivesSearched;
+  try {
+    ({ entries: filtered, archivesSearched } = queryAuditEntries(
+      { search, actionType, actor, dateFrom, dateTo },
+      includeArchived === 'true'
+    ));
+  } catch (error) {
+    console.error('Audit archive search error:', error);
+    return res.status(500).json({
+      error: 'Failed to search audit archives',
+      message: error.message,
+    });
   }
 
   // Paginate
@@ -535,9 +1144,145 @@ app.get('/api/admin/audit', (req, res) => {
     page: pageNum,
     perPage: perPageNum,
     totalPages: Math.ceil(total / perPageNum),
+    archivesSearched,
   });
 });
 
+/**
+ * GET /api/admin/audit/export
+ * Download the filtered audit trail for auditors
+ * Query params: format (csv | jsonl | pdf), search, actionType, actor, dateFrom, dateTo, includeArchived
+ * The PDF is signed with signPDF (utils/signing.js). Every export is itself audited.
+ * Roles: admin, auditor
+ */
+app.get('/api/admin/audit/export', CAN_VIEW_AUDIT, async (req, res) => {
+  const { format = 'csv', search = '', actionType, actor, dateFrom, dateTo, includeArchived } = req.query;
+  const exportFormat = AUDIT_EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return res.status(400).json({ error: `Unsupported format: ${format}. Use csv, jsonl or pdf` });
+  }
+
+  const filters = { search, actionType, actor, dateFrom, dateTo };
+
+  try {
+    const { entries } = queryAuditEntries(filters, includeArchived === 'true');
+    let body;
+    let signature = null;
+
+    if (format === 'pdf') {
+      // pdf-lib and the signing SDKs are only loaded when a PDF is requested
+      const { createSignedAuditPdf } = await import('../utils/auditPdf.js');
+      ({ buffer: body, signature } = await createSignedAuditPdf(entries, {
+        exportedBy: req.user,
+        filters,
+        integrity: verifyAuditTrail({ store: auditStore, archive: auditArchive }),
+      }));
+      res.set('X-Signature-Algorithm', signature.algorithm);
+      res.set('X-Signature-Signer', signature.signer);
+    } else {
+      body = format === 'jsonl' ? toAuditJsonl(entries) : toAuditCsv(entries);
+    }
+
+    await logAudit(
+      req,
+      AUDIT_ACTIONS.AUDIT_EXPORTED,
+      `audit_export:${format}`,
+      null,
+      null,
+      `Exported ${entries.length} audit entries as ${format.toUpperCase()}`,
+      { format, entryCount: entries.length, filters, includeArchived: includeArchived === 'true', signed: Boolean(signature) }
+    );
+
+    res.set('Content-Type', exportFormat.contentType);
+    res.set('Content-Disposition', `attachment; filename="${auditExportFilename(format)}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Audit export error:', error);
+    res.status(500).json({
+      error: 'Audit export failed',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit/verify
+ * Recompute the audit hash chain, across live entries and archives, and report whether it is intact
+ * Response: { valid, totalEntries, verifiedEntries, archivedEntries, headHash, brokenAt, checkedAt, archives: [{ file, valid }] }
+ * Roles: admin, auditor
+ */
+app.get('/api/admin/audit/verify', CAN_VIEW_AUDIT, (req, res) => {
+  res.json(verifyAuditTrail({ store: auditStore, archive: auditArchive }));
+});
+
+/**
+ * GET /api/admin/audit/retention
+ * Fetch the audit retention policy (days per action type; null keeps forever)
+ * Roles: admin, auditor
+ */
+app.get('/api/admin/audit/retention', CAN_VIEW_AUDIT, (req, res) => {
+  res.json(retentionStore.get());
+});
+
+/**
+ * PUT /api/admin/audit/retention
+ * Replace the audit retention policy
+ * Body: { defaultDays, actionTypes: { [actionType]: days | null } }
+ * Roles: admin
+ */
+app.put('/api/admin/audit/retention', CAN_MANAGE_AUDIT, async (req, res) => {
+  const { defaultDays = null, actionTypes } = req.body;
+  const policy = { defaultDays, actionTypes };
+
+  const validationError = validateRetentionPolicy(policy);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const previous = retentionStore.get();
+  const updated = retentionStore.update(policy, { updatedBy: req.user.id, updatedByName: req.user.name });
+
+  // Log audit
+  await logAudit(
+    req,
+    AUDIT_ACTIONS.AUDIT_RETENTION_UPDATED,
+    'audit_retention',
+    { defaultDays: previous.defaultDays, actionTypes: previous.actionTypes },
+    policy,
+    'Updated audit retention policy'
+  );
+
+  res.json(updated);
+});
+
+/**
+ * GET /api/admin/audit/archives
+ * List audit archives (oldest first) with their checksums
+ * Roles: admin, auditor
+ */
+app.get('/api/admin/audit/archives', CAN_VIEW_AUDIT, (req, res) => {
+  res.json({ archives: auditArchive.list() });
+});
+
+/**
+ * POST /api/admin/audit/archive
+ * Archive entries past their retention period now instead of waiting for the daily run
+ * Roles: admin
+ */
+app.post('/api/admin/audit/archive', CAN_MANAGE_AUDIT, async (req, res) => {
+  try {
+    const archive = await runAuditArchival(req);
+    res.json({ archive, archivedEntries: archive ? archive.entryCount : 0 });
+  } catch (error) {
+    console.error('Audit archival error:', error);
+    res.status(500).json({
+      error: 'Audit archival failed',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Health check endpoint
  */
@@ -549,10 +1294,26 @@ app.get('/health', (req, res) => {
     endpoints: [
       'GET /api/admin/weights/config',
       'POST /api/admin/weights/config',
+      'GET /api/admin/weights/requests',
+      'POST /api/admin/weights/requests/:requestId/approve',
+      'POST /api/admin/weights/requests/:requestId/reject',
       'GET /api/admin/weights/history',
+      'GET /api/admin/weights/effective',
+      'GET /api/admin/weights/diff',
       'POST /api/admin/weights/rollback/:versionId',
       'POST /api/admin/calibrate',
+      'GET /api/employees/:employeeId/score-history',
+      'GET /api/employees/:employeeId/feedback',
+      'POST /api/employees/:employeeId/feedback',
+      'GET /api/admin/feedback/policy',
+      'PUT /api/admin/feedback/policy',
       'GET /api/admin/audit',
+      'GET /api/admin/audit/export',
+      'GET /api/admin/audit/verify',
+      'GET /api/admin/audit/retention',
+      'PUT /api/admin/audit/retention',
+      'GET /api/admin/audit/archives',
+      'POST /api/admin/audit/archive',
     ],
   });
 });
@@ -563,9 +1324,25 @@ app.listen(PORT, () => {
   console.log(`📊 Available endpoints:`);
   console.log(`   - GET  /api/admin/weights/config`);
   console.log(`   - POST /api/admin/weights/config`);
+  console.log(`   - GET  /api/admin/weights/requests`);
+  console.log(`   - POST /api/admin/weights/requests/:requestId/approve`);
+  console.log(`   - POST /api/admin/weights/requests/:requestId/reject`);
   console.log(`   - GET  /api/admin/weights/history`);
+  console.log(`   - GET  /api/admin/weights/effective`);
+  console.log(`   - GET  /api/admin/weights/diff`);
   console.log(`   - POST /api/admin/weights/rollback/:versionId`);
   console.log(`   - POST /api/admin/calibrate`);
+  console.log(`   - GET  /api/employees/:employeeId/score-history`);
+  console.log(`   - GET  /api/employees/:employeeId/feedback`);
+  console.log(`   - POST /api/employees/:employeeId/feedback`);
+  console.log(`   - GET  /api/admin/feedback/policy`);
+  console.log(`   - PUT  /api/admin/feedback/policy`);
   console.log(`   - GET  /api/admin/audit`);
+  console.log(`   - GET  /api/admin/audit/export`);
+  console.log(`   - GET  /api/admin/audit/verify`);
+  console.log(`   - GET  /api/admin/audit/retention`);
+  console.log(`   - PUT  /api/admin/audit/retention`);
+  console.log(`   - GET  /api/admin/audit/archives`);
+  console.log(`   - POST /api/admin/audit/archive`);
   console.log(`   - GET  /health`);
 });
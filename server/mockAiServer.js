@@ -12,6 +12,9 @@
  * - DELETE /api/ai/saved/:id - Delete saved query
  * - GET /api/ai/stats - Get query statistics
  * 
+ * All /api/ai endpoints require a bearer token (utils/auth.js). Queries are
+ * recorded as AI_QUERY in the shared audit log (utils/auditLog.js).
+ * 
  * Port: 3004
  */
 
@@ -19,6 +22,9 @@ import express from 'express';
 import cors from 'cors';
 import { retrieveContext } from '../utils/retrieval.js';
 import { generatePrompt, parseAiResponse } from '../utils/prompts.js';
+import { authenticate } from '../utils/auth.js';
+import { createAuditLog, AUDIT_ACTIONS } from '../utils/auditLog.js';
+import { readActiveCategories } from '../utils/weightStore.js';
 
 const app = express();
 const PORT = process.env.PORT || 3004;
@@ -26,6 +32,13 @@ const PORT = process.env.PORT || 3004;
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use('/api/ai', authenticate);
+
+// Shared audit log (queried from the admin Audit Trail page)
+const auditLog = createAuditLog({ service: 'ai' });
+
+// Longest query text kept in an audit comment
+const AUDIT_QUERY_LENGTH = 200;
 
 // In-memory storage (replace with database in production)
 const queryHistory = [];
@@ -186,6 +199,7 @@ app.post('/api/ai/query', async (req, res) => {
         divisionId: context.divisionId,
         userId: context.userId,
       },
+      categories: readActiveCategories(),
     });
 
     // Step 3: Call LLM (mock response - replace with actual API call)
@@ -226,6 +240,21 @@ app.post('/api/ai/query', async (req, res) => {
       queryHistory.pop();
     }
 
+    await auditLog.log(
+      req,
+      AUDIT_ACTIONS.AI_QUERY,
+      `ai_query:${queryHistory[0].id}`,
+      null,
+      null,
+      query.length > AUDIT_QUERY_LENGTH ? `${query.slice(0, AUDIT_QUERY_LENGTH)}...` : query,
+      {
+        model: response.model,
+        sourceIds: response.sources.map((source) => source.id),
+        confidence: response.confidence,
+        processingTime: response.processingTime,
+      }
+    );
+
     res.json(response);
   } catch (error) {
     console.error('[AI] Query processing error:', error);
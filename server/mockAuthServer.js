@@ -0,0 +1,277 @@
+/**
+ * Mock Auth Server
+ *
+ * Express.js server providing authentication and session management:
+ * - Email/password login against hashed credentials
+ * - Signed access tokens (15 min) and rotating refresh tokens (7 days)
+ * - Logout with server-side session revocation
+ * - Current user lookup (including role, see src/utils/roles.js)
+ *
+ * Run with: node server/mockAuthServer.js
+ * Server runs on: http://localhost:3005
+ */
+
+import express from 'express';
+import cors from 'cors';
+import crypto from 'crypto';
+import {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  authenticate,
+  signToken,
+  verifyPassword,
+  revokedSessions,
+  verifyToken,
+} from '../utils/auth.js';
+import { ROLES, PERMISSIONS } from '../src/utils/roles.js';
+
+const app = express();
+const PORT = 3005;
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// In-memory user store (passwords stored as scrypt hashes only)
+const users = [
+  {
+    id: 'admin-003',
+    name: 'Anjali Sharma',
+    email: 'anjali.sharma@prabhaav.gov.in',
+    role: ROLES.ADMIN,
+    employeeId: null,
+    permissions: [PERMISSIONS.APPROVE_WEIGHT_CHANGES],
+    passwordHash: 'scrypt$8a8bb7cd343aa2ad99b7d762030857a2$1970ad79915a484c42421082fb3de3a4a7e32d2c5ce1d93750a9e125ba15de293dfacc50375311a260b41e1e05f5e973bd89ad8f1c78a330d2a80550c30e5c5f',
+  },
+  {
+    id: 'admin-002',
+    name: 'Priya Patel',
+    email: 'priya.patel@prabhaav.gov.in',
+    role: ROLES.ADMIN,
+    employeeId: null,
+    permissions: [PERMISSIONS.APPROVE_WEIGHT_CHANGES],
+    passwordHash: 'scrypt$fbfba2e45c2045dc5cab22a5afe83d9d$8b754a77613b6c122ba9a054ad010279e1205604207b3e8f87b90ea8d6762b5493f246198fb89fada71526f1b2c4b1a0399e7424940f2527a47b0579ed536929',
+  },
+  {
+    id: 'hod-001',
+    name: 'Vikram Singh',
+    email: 'vikram.singh@prabhaav.gov.in',
+    role: ROLES.HOD,
+    employeeId: null,
+    permissions: [],
+    passwordHash: 'scrypt$0a3d72134fb3d6c024db4c510bc1605b$d085421f20fb15edaccbfa80fff4c5c1c4fb91931bc37cd762df291c6152cd3481638c69a906579d81916ca02640a611c8c0f16948975a7b91e5f827be8b3df9',
+  },
+  {
+    id: 'sup-001',
+    name: 'Amit Sharma',
+    email: 'amit.sharma@prabhaav.gov.in',
+    role: ROLES.SUPERVISOR,
+    employeeId: null,
+    permissions: [],
+    passwordHash: 'scrypt$ae11976937537e4c1206237dea035331$ad7cdc535f6723d97d56d62ee13c7f82d4f05ac70e9000b99d7e1cfcd556b0c62c89ddc241bb9076abab865487cdd78d657b27e873bb510f327e6345feadcc52',
+  },
+  {
+    id: 'emp-001',
+    name: 'Rajesh Kumar',
+    email: 'rajesh.kumar@prabhaav.gov.in',
+    role: ROLES.EMPLOYEE,
+    employeeId: 'emp-001',
+    permissions: [],
+    passwordHash: 'scrypt$72baa9d520b127dd4ab03ff904cc1959$5677f9fa7f9586d4d8899dc85be7e8162dc61dae6ad4fa8b8b54d7d8ca11cd050669fc226eb38287ea77822c8eb94004d58c782d840c7bd978027a8a1c0060c2',
+  },
+  {
+    id: 'aud-001',
+    name: 'Meera Iyer',
+    email: 'meera.iyer@prabhaav.gov.in',
+    role: ROLES.AUDITOR,
+    employeeId: null,
+    permissions: [],
+    passwordHash: 'scrypt$64e4cda19b3f3ea4a7a56b5ba8cc33ca$06e875d240a80e72b1f637a46ee4612fa841595598d983aeb3b3fa95777a66e18c908f10dec17faae37b8dc29b88e5a52850608d0113aedfef0c5515ea4848e0',
+  },
+];
+
+// Active sessions: sessionId -> { userId, refreshJti, createdAt, expiresAt }
+const sessions = new Map();
+
+/**
+ * End a session: its refresh token stops working here, and its access tokens
+ * are rejected by every server until they expire
+ */
+function endSession(sessionId) {
+  sessions.delete(sessionId);
+  revokedSessions.revoke(sessionId, Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL);
+}
+
+/**
+ * Public user fields (never expose password hashes)
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    employeeId: user.employeeId,
+    permissions: user.permissions,
+  };
+}
+
+/**
+ * Issue a fresh access/refresh token pair for a session
+ * Rotates the session's refresh token id so older refresh tokens stop working.
+ */
+function issueTokens(user, sessionId) {
+  const session = sessions.get(sessionId);
+  session.refreshJti = crypto.randomUUID();
+
+  const accessToken = signToken(
+    {
+      sub: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      employeeId: user.employeeId,
+      permissions: user.permissions,
+      sid: sessionId,
+      type: 'access',
+    },
+    ACCESS_TOKEN_TTL
+  );
+  const refreshToken = signToken(
+    { sub: user.id, sid: sessionId, jti: session.refreshJti, type: 'refresh' },
+    REFRESH_TOKEN_TTL
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL * 1000).toISOString(),
+    user: toPublicUser(user),
+  };
+}
+
+// ===== ENDPOINTS =====
+
+/**
+ * POST /api/auth/login
+ * Authenticate with email and password
+ * Body: { email: string, password: string }
+ */
+app.post('/api/auth/login', (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Missing required fields: email, password' });
+  }
+
+  const user = users.find((u) => u.email.toLowerCase() === String(email).toLowerCase());
+
+  // Same response for unknown email and wrong password
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: 'Invalid email or password' });
+  }
+
+  const sessionId = crypto.randomUUID();
+  sessions.set(sessionId, {
+    userId: user.id,
+    refreshJti: null,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+  });
+
+  res.json(issueTokens(user, sessionId));
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair
+ * Body: { refreshToken: string }
+ */
+app.post('/api/auth/refresh', (req, res) => {
+  const { refreshToken } = req.body;
+  const claims = verifyToken(refreshToken, 'refresh');
+
+  if (!claims) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  const session = sessions.get(claims.sid);
+
+  // Reuse of a rotated refresh token revokes the whole session
+  if (!session || session.refreshJti !== claims.jti) {
+    endSession(claims.sid);
+    return res.status(401).json({ error: 'Session has been revoked' });
+  }
+
+  const user = users.find((u) => u.id === session.userId);
+  if (!user) {
+    endSession(claims.sid);
+    return res.status(401).json({ error: 'User no longer exists' });
+  }
+
+  res.json(issueTokens(user, claims.sid));
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session; its access token is rejected by every server from now on
+ * Body: { refreshToken?: string } (bearer access token also accepted)
+ */
+app.post('/api/auth/logout', (req, res) => {
+  const refreshClaims = verifyToken(req.body?.refreshToken, 'refresh');
+  const [, bearer] = (req.headers.authorization || '').split(' ');
+  const accessClaims = verifyToken(bearer, 'access');
+  const sessionId = refreshClaims?.sid || accessClaims?.sid;
+
+  if (sessionId) {
+    endSession(sessionId);
+  }
+
+  res.json({ success: true, message: 'Logged out' });
+});
+
+/**
+ * GET /api/auth/me
+ * Fetch the authenticated user
+ */
+app.get('/api/auth/me', authenticate, (req, res) => {
+  if (!sessions.has(req.sessionId)) {
+    return res.status(401).json({ error: 'Session has been revoked' });
+  }
+
+  const user = users.find((u) => u.id === req.user.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ user: toPublicUser(user) });
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'mockAuthServer',
+    timestamp: new Date().toISOString(),
+    activeSessions: sessions.size,
+    endpoints: [
+      'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/auth/me',
+    ],
+  });
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log(`🚀 Mock Auth Server running on http://localhost:${PORT}`);
+  console.log(`📊 Available endpoints:`);
+  console.log(`   - POST /api/auth/login`);
+  console.log(`   - POST /api/auth/refresh`);
+  console.log(`   - POST /api/auth/logout`);
+  console.log(`   - GET  /api/auth/me`);
+  console.log(`   - GET  /health`);
+});
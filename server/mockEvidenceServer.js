@@ -2,9 +2,17 @@
  * Mock Server Endpoints for Evidence Upload
  * 
  * This file provides example server-side code for handling:
- * - Chunked file uploads
+ * - Chunked file uploads (SHA-256 per chunk and for the merged file, see
+ *   src/utils/uploadChunks.js)
  * - Upload status tracking
- * - Resumable uploads
+ * - Resumable uploads (the status lists the missing chunk indices)
+ * - Evidence records (owner, project, linked KPI, task and milestone, files,
+ *   metadata) persisted in
+ *   server/data/evidence.json, reviewed through the workflow in
+ *   src/utils/evidenceWorkflow.js, and scored for completeness by
+ *   src/utils/evidenceCompleteness.js
+ * - Evidence review and project milestone edits (authenticated and
+ *   recorded in the shared audit log, see utils/auditLog.js)
  * 
  * Technology: Express.js + Multer
  * 
@@ -12,11 +20,37 @@
  * npm install express multer fs-extra cors
  */
 
-const express = require('express');
-const multer = require('multer');
-const fs = require('fs-extra');
-const path = require('path');
-const cors = require('cors');
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs-extra';
+import path from 'path';
+import cors from 'cors';
+import crypto from 'crypto';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { authenticate, authorize } from '../utils/auth.js';
+import { createAuditLog, AUDIT_ACTIONS } from '../utils/auditLog.js';
+import { createEvidenceStore } from '../utils/evidenceStore.js';
+import { scoreEvidenceCompleteness } from '../src/utils/evidenceCompleteness.js';
+import { ROLES } from '../src/utils/roles.js';
+import {
+  UPLOAD_ERRORS,
+  UPLOAD_STATUSES,
+  chunkRange,
+  countChunks,
+  findMissingChunks,
+  isSha256,
+  parseUploadMetadata,
+} from '../src/utils/uploadChunks.js';
+import {
+  EVIDENCE_STATUSES,
+  EVIDENCE_STATUS_LABELS,
+  isEvidenceOwner,
+  validateTransition,
+} from '../src/utils/evidenceWorkflow.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = 3001;
@@ -28,106 +62,355 @@ app.use(express.json());
 // Upload storage directory
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
 const TEMP_DIR = path.join(__dirname, 'temp');
+const DATA_DIR = process.env.EVIDENCE_DATA_DIR || path.join(__dirname, 'data');
 
 // Ensure directories exist
 fs.ensureDirSync(UPLOAD_DIR);
 fs.ensureDirSync(TEMP_DIR);
 
 // Configure multer for chunk uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, TEMP_DIR);
-  },
-  filename: (req, file, cb) => {
-    const uploadId = req.body.uploadId || `upload-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const chunkIndex = req.body.chunkIndex || 0;
-    cb(null, `${uploadId}-chunk-${chunkIndex}`);
-  },
-});
+// Chunks are held in memory: multipart fields may arrive after the file, so
+// the chunk is only written to TEMP_DIR once uploadId and chunkIndex are known
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Roles that review evidence and manage project milestones
+const CAN_REVIEW_PROJECTS = authorize(ROLES.ADMIN, ROLES.HOD, ROLES.SUPERVISOR);
+
+const MILESTONE_STATUSES = ['not-started', 'in-progress', 'completed', 'delayed'];
+const MILESTONE_FIELDS = ['start_date', 'end_date', 'status', 'progress'];
+
+// Shared audit log (queried from the admin Audit Trail page)
+const auditLog = createAuditLog({ service: 'evidence' });
+
+// Audit action for each evidence status change
+const EVIDENCE_STATUS_ACTIONS = {
+  [EVIDENCE_STATUSES.UNDER_REVIEW]: AUDIT_ACTIONS.EVIDENCE_STATUS_CHANGED,
+  [EVIDENCE_STATUSES.VERIFIED]: AUDIT_ACTIONS.EVIDENCE_VERIFIED,
+  [EVIDENCE_STATUSES.REJECTED]: AUDIT_ACTIONS.EVIDENCE_REJECTED,
+  [EVIDENCE_STATUSES.NEEDS_MORE_INFO]: AUDIT_ACTIONS.EVIDENCE_STATUS_CHANGED,
+  [EVIDENCE_STATUSES.RESUBMITTED]: AUDIT_ACTIONS.EVIDENCE_SUBMITTED,
+};
+
+// In-memory upload tracking (chunks in flight)
+// uploadId -> { id, ownerId, fileName, fileSize, fileChecksum, metadata, totalChunks,
+//               chunks: { [index]: { checksum, size, receivedAt } }, status, evidenceId, error, createdAt, completedAt }
+const uploads = new Map();
 
-const upload = multer({ storage });
+// Evidence records and review history
+const evidenceStore = createEvidenceStore({ filePath: path.join(DATA_DIR, 'evidence.json'), scoreCompleteness });
 
-// In-memory upload tracking
-const uploads = new Map();
+/**
+ * Employees only see their own evidence; reviewers and auditors see all
+ */
+function canViewEvidence(user, record) {
+  return user.role !== ROLES.EMPLOYEE || isEvidenceOwner(record, user);
+}
+
+// In-memory project milestones (same ids as the Project Dashboard mock data)
+const milestones = new Map(
+  [
+    {
+      id: 'MS-001',
+      title: 'Requirements Gathering',
+      start_date: '2025-01-15',
+      end_date: '2025-02-28',
+      status: 'completed',
+      progress: 100,
+    },
+    {
+      id: 'MS-002',
+      title: 'Design & Architecture',
+      start_date: '2025-03-01',
+      end_date: '2025-04-30',
+      status: 'completed',
+      progress: 100,
+    },
+    {
+      id: 'MS-003',
+      title: 'Phase 1 Implementation',
+      start_date: '2025-05-01',
+      end_date: '2025-08-31',
+      status: 'in-progress',
+      progress: 65,
+    },
+    {
+      id: 'MS-004',
+      title: 'Testing & QA',
+      start_date: '2025-09-01',
+      end_date: '2025-10-31',
+      status: 'delayed',
+      progress: 30,
+    },
+    {
+      id: 'MS-005',
+      title: 'Deployment & Handover',
+      start_date: '2025-11-01',
+      end_date: '2025-12-31',
+      status: 'not-started',
+      progress: 0,
+    },
+  ].map((milestone) => [milestone.id, milestone])
+);
+
+// In-memory tasks (same ids as the Employee Dashboard mock data); evidence
+// linked to a task should be captured between its start and due dates
+const tasks = new Map(
+  [
+    { id: 'TASK-001', title: 'Complete Q4 Progress Report', start_date: '2025-11-15', due_date: '2025-12-15' },
+    { id: 'TASK-002', title: 'Site Inspection - Building A', start_date: '2025-12-01', due_date: '2025-12-10' },
+    { id: 'TASK-003', title: 'Update Training Documentation', start_date: '2025-12-01', due_date: '2025-12-20' },
+    { id: 'TASK-004', title: 'Peer Review - Design Document', start_date: '2025-11-20', due_date: '2025-11-30' },
+  ].map((task) => [task.id, task])
+);
+
+/**
+ * Completeness of an evidence record, checked against its linked task or milestone
+ */
+function scoreCompleteness(record, now = new Date()) {
+  return scoreEvidenceCompleteness(record, {
+    task: tasks.get(record.taskId),
+    milestone: milestones.get(record.milestoneId),
+    now,
+  });
+}
+
+/**
+ * SHA-256 of a buffer, as lowercase hex
+ */
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function chunkPath(uploadId, chunkIndex) {
+  return path.join(TEMP_DIR, `${uploadId}-chunk-${chunkIndex}`);
+}
+
+/**
+ * Upload session of the signed-in user (another user's upload is not found)
+ */
+function getOwnUpload(uploadId, user) {
+  const uploadInfo = uploads.get(uploadId);
+  return uploadInfo && uploadInfo.ownerId === user.id ? uploadInfo : null;
+}
+
+/**
+ * Upload progress as returned by the upload and status endpoints
+ */
+function uploadProgress(uploadInfo) {
+  const receivedChunks = Object.keys(uploadInfo.chunks).map(Number).sort((a, b) => a - b);
+  return {
+    uploadId: uploadInfo.id,
+    status: uploadInfo.status,
+    progress: Math.round((receivedChunks.length / uploadInfo.totalChunks) * 100),
+    totalChunks: uploadInfo.totalChunks,
+    receivedChunks,
+    missingChunks: findMissingChunks(receivedChunks, uploadInfo.totalChunks),
+  };
+}
 
 /**
  * POST /api/evidence/upload
  * Handle chunked file upload
+ * Chunks may arrive in any order and may be sent again: a chunk already
+ * received with the same checksum is acknowledged without being rewritten.
+ * Once every chunk is in, they are merged and the file's SHA-256 checked
+ * against fileChecksum; on a mismatch the upload fails and must start over.
  * 
  * Body (multipart/form-data):
  * - chunk: File (binary chunk data)
  * - chunkIndex: number (0-based index)
- * - totalChunks: number
- * - uploadId: string (optional for first chunk)
- * - fileName: string
- * - metadata: JSON string { title, description, tags, location, timestamp }
+ * - chunkChecksum: string (SHA-256 hex of the chunk)
+ * - uploadId: string (empty to start a new upload)
+ * - totalChunks, fileName, fileSize, fileChecksum (SHA-256 hex of the whole file), metadata: read when starting an upload
+ * - metadata: JSON string { title, description, tags, location, timestamp, evidenceType?, projectId?, kpiId?, taskId?, milestoneId? }
+ * Returns (partial): { uploadId, status: 'uploading', duplicate, progress, totalChunks, receivedChunks: number[], missingChunks: number[] }
+ * Returns (last chunk): { uploadId, evidenceId, status: 'completed', evidenceStatus: 'submitted', completeness: { score, missing }, progress }
+ * Errors: 400 invalid chunk, upload or metadata, 404 unknown upload, 409 chunk already received with different bytes
+ *   or upload failed, 422 chunk or file checksum mismatch
+ * Roles: all authenticated users; the uploader owns the evidence record
  */
-app.post('/api/evidence/upload', upload.single('chunk'), async (req, res) => {
+app.post('/api/evidence/upload', authenticate, upload.single('chunk'), async (req, res) => {
   try {
-    const { chunkIndex, totalChunks, uploadId: existingUploadId, fileName, metadata } = req.body;
-    const chunkIndexNum = parseInt(chunkIndex, 10);
-    const totalChunksNum = parseInt(totalChunks, 10);
-
-    // Generate or retrieve upload ID
-    let uploadId = existingUploadId;
-    if (!uploadId || chunkIndexNum === 0) {
-      uploadId = `upload-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const { uploadId: existingUploadId, chunkChecksum } = req.body;
+    const chunkIndex = Number(req.body.chunkIndex);
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Invalid chunk', message: 'chunk file is required' });
     }
 
-    // Initialize upload tracking
-    if (!uploads.has(uploadId)) {
-      uploads.set(uploadId, {
+    // Start a new upload or continue an existing one
+    let uploadInfo;
+    if (existingUploadId) {
+      uploadInfo = getOwnUpload(existingUploadId, req.user);
+      if (!uploadInfo) {
+        return res.status(404).json({
+          error: 'Upload not found',
+          message: `Upload ID ${existingUploadId} does not exist`,
+        });
+      }
+    } else {
+      const { fileName, fileChecksum } = req.body;
+      const fileSize = Number(req.body.fileSize);
+      const totalChunks = Number(req.body.totalChunks);
+      const metadata = parseUploadMetadata(req.body.metadata);
+
+      if (!fileName || !Number.isInteger(fileSize) || fileSize < 0 || !isSha256(fileChecksum)) {
+        return res.status(400).json({
+          error: 'Invalid upload',
+          message: 'fileName, fileSize and fileChecksum (SHA-256 hex) are required to start an upload',
+        });
+      }
+      if (totalChunks !== countChunks(fileSize)) {
+        return res.status(400).json({
+          error: 'Invalid upload',
+          message: `A ${fileSize}-byte file is uploaded in ${countChunks(fileSize)} chunks, not ${req.body.totalChunks}`,
+        });
+      }
+      if (!metadata) {
+        return res.status(400).json({ error: 'Invalid metadata', message: 'metadata must be a JSON object' });
+      }
+
+      const uploadId = `upload-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      uploadInfo = {
         id: uploadId,
-        fileName,
-        metadata: JSON.parse(metadata || '{}'),
-        totalChunks: totalChunksNum,
-        receivedChunks: [],
+        ownerId: req.user.id,
+        fileName: path.basename(fileName),
+        fileSize,
+        fileChecksum,
+        metadata,
+        totalChunks,
+        chunks: {},
         createdAt: new Date().toISOString(),
-        status: 'uploading',
+        status: UPLOAD_STATUSES.UPLOADING,
+      };
+      uploads.set(uploadId, uploadInfo);
+    }
+
+    const { id: uploadId, totalChunks } = uploadInfo;
+
+    // The last chunk arriving again after the upload completed
+    if (uploadInfo.status === UPLOAD_STATUSES.COMPLETED) {
+      return res.json(completedResponse(uploadInfo));
+    }
+    if (uploadInfo.status === UPLOAD_STATUSES.FAILED) {
+      return res.status(409).json({ error: 'Upload failed', message: uploadInfo.error });
+    }
+
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= totalChunks) {
+      return res.status(400).json({
+        error: 'Invalid chunk',
+        message: `chunkIndex must be between 0 and ${totalChunks - 1}`,
+      });
+    }
+    const { start, end } = chunkRange(chunkIndex, uploadInfo.fileSize);
+    if (req.file.size !== end - start) {
+      return res.status(400).json({
+        error: 'Invalid chunk',
+        message: `Chunk ${chunkIndex} must be ${end - start} bytes, received ${req.file.size}`,
       });
     }
 
-    const uploadInfo = uploads.get(uploadId);
-    uploadInfo.receivedChunks.push(chunkIndexNum);
+    const checksum = sha256(req.file.buffer);
+    if (!isSha256(chunkChecksum) || checksum !== chunkChecksum) {
+      return res.status(422).json({
+        error: UPLOAD_ERRORS.CHUNK_CHECKSUM_MISMATCH,
+        message: `Chunk ${chunkIndex} does not match its checksum; send it again`,
+      });
+    }
+
+    // Idempotent: a chunk already received is not written again
+    const received = uploadInfo.chunks[chunkIndex];
+    if (received && received.checksum !== checksum) {
+      return res.status(409).json({
+        error: 'Chunk conflict',
+        message: `Chunk ${chunkIndex} was already received with different contents`,
+      });
+    }
+    if (!received) {
+      // Write to a temporary name first so a partly written chunk is never merged
+      const partPath = `${chunkPath(uploadId, chunkIndex)}.${crypto.randomUUID()}.part`;
+      await fs.writeFile(partPath, req.file.buffer);
+      await fs.move(partPath, chunkPath(uploadId, chunkIndex), { overwrite: true });
+      uploadInfo.chunks[chunkIndex] = { checksum, size: req.file.size, receivedAt: new Date().toISOString() };
+    }
 
     // Simulate processing delay (remove in production)
     await new Promise((resolve) => setTimeout(resolve, 100));
 
-    // Check if all chunks received
-    if (uploadInfo.receivedChunks.length === totalChunksNum) {
-      // Merge chunks into final file
-      await mergeChunks(uploadId, fileName, totalChunksNum);
-      uploadInfo.status = 'completed';
-      uploadInfo.completedAt = new Date().toISOString();
-
-      // Store evidence metadata in database (mock)
-      const evidenceRecord = {
+    const progress = uploadProgress(uploadInfo);
+
+    // Merge once every chunk is in (only one request merges)
+    if (progress.missingChunks.length === 0 && uploadInfo.status === UPLOAD_STATUSES.UPLOADING) {
+      uploadInfo.status = UPLOAD_STATUSES.MERGING;
+
+      const filePath = path.join(UPLOAD_DIR, `${uploadId}-${uploadInfo.fileName}`);
+      let mergedChecksum;
+      try {
+        mergedChecksum = await mergeChunks(uploadInfo, filePath);
+      } catch (error) {
+        uploadInfo.status = UPLOAD_STATUSES.FAILED;
+        uploadInfo.error = `Merging the chunks failed: ${error.message}`;
+        throw error;
+      }
+      if (mergedChecksum !== uploadInfo.fileChecksum) {
+        await fs.remove(filePath);
+        uploadInfo.status = UPLOAD_STATUSES.FAILED;
+        uploadInfo.error = 'The merged file does not match fileChecksum; upload it again';
+        return res.status(422).json({
+          error: UPLOAD_ERRORS.FILE_CHECKSUM_MISMATCH,
+          message: uploadInfo.error,
+        });
+      }
+
+      const { projectId, kpiId, taskId, milestoneId, ...metadataFields } = uploadInfo.metadata;
+      const record = evidenceStore.create({
         id: uploadId,
-        fileName,
-        filePath: path.join(UPLOAD_DIR, `${uploadId}-${fileName}`),
-        metadata: uploadInfo.metadata,
-        uploadedAt: uploadInfo.completedAt,
-      };
-
-      console.log('Evidence uploaded:', evidenceRecord);
-
-      return res.json({
-        uploadId,
-        status: 'completed',
-        message: 'Upload completed successfully',
-        evidenceId: uploadId,
-        progress: 100,
+        owner: req.user,
+        projectId,
+        kpiId,
+        taskId,
+        milestoneId,
+        files: [
+          {
+            uploadId,
+            fileName: uploadInfo.fileName,
+            filePath,
+            size: uploadInfo.fileSize,
+            checksum: mergedChecksum,
+          },
+        ],
+        metadata: metadataFields,
       });
+
+      uploadInfo.status = UPLOAD_STATUSES.COMPLETED;
+      uploadInfo.completedAt = new Date().toISOString();
+      uploadInfo.evidenceId = record.id;
+
+      await auditLog.log(
+        req,
+        AUDIT_ACTIONS.EVIDENCE_SUBMITTED,
+        `evidence:${record.id}`,
+        null,
+        record.status,
+        `Evidence ${uploadInfo.fileName} submitted`,
+        {
+          evidenceId: record.id,
+          fileName: uploadInfo.fileName,
+          projectId: record.projectId,
+          kpiId: record.kpiId,
+          taskId: record.taskId,
+          milestoneId: record.milestoneId,
+        }
+      );
+
+      return res.json(completedResponse(uploadInfo));
     }
 
     // Partial upload response
-    const progress = Math.round((uploadInfo.receivedChunks.length / totalChunksNum) * 100);
     res.json({
-      uploadId,
-      status: 'uploading',
-      message: `Chunk ${chunkIndexNum + 1}/${totalChunksNum} received`,
-      progress,
-      receivedChunks: uploadInfo.receivedChunks.length,
+      ...progress,
+      duplicate: Boolean(received),
+      message: `Chunk ${chunkIndex + 1}/${totalChunks} received`,
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -138,109 +421,257 @@ app.post('/api/evidence/upload', upload.single('chunk'), async (req, res) => {
   }
 });
 
+/**
+ * Response for a completed upload
+ */
+function completedResponse(uploadInfo) {
+  const record = evidenceStore.get(uploadInfo.evidenceId);
+  return {
+    uploadId: uploadInfo.id,
+    status: UPLOAD_STATUSES.COMPLETED,
+    message: 'Upload completed successfully',
+    evidenceId: record.id,
+    evidenceStatus: record.status,
+    completeness: { score: record.completeness.score, missing: record.completeness.missing },
+    progress: 100,
+  };
+}
+
 /**
  * Merge chunks into final file
+ * Chunks are removed once merged.
+ *
+ * @returns {Promise<string>} SHA-256 hex of the merged file
  */
-async function mergeChunks(uploadId, fileName, totalChunks) {
-  const finalPath = path.join(UPLOAD_DIR, `${uploadId}-${fileName}`);
+async function mergeChunks(uploadInfo, finalPath) {
+  const hash = crypto.createHash('sha256');
   const writeStream = fs.createWriteStream(finalPath);
+  const finished = new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+  });
 
-  for (let i = 0; i < totalChunks; i++) {
-    const chunkPath = path.join(TEMP_DIR, `${uploadId}-chunk-${i}`);
-    const chunkBuffer = await fs.readFile(chunkPath);
+  for (let i = 0; i < uploadInfo.totalChunks; i++) {
+    const chunkBuffer = await fs.readFile(chunkPath(uploadInfo.id, i));
+    hash.update(chunkBuffer);
     writeStream.write(chunkBuffer);
-    await fs.remove(chunkPath); // Clean up chunk
   }
 
   writeStream.end();
+  await finished;
 
-  return new Promise((resolve, reject) => {
-    writeStream.on('finish', resolve);
-    writeStream.on('error', reject);
-  });
+  for (let i = 0; i < uploadInfo.totalChunks; i++) {
+    await fs.remove(chunkPath(uploadInfo.id, i)); // Clean up chunk
+  }
+
+  return hash.digest('hex');
 }
 
 /**
  * GET /api/evidence/upload/:uploadId/status
- * Get upload status
+ * Get upload status, with the exact chunks still to send
+ * 
+ * Returns: { uploadId, status: 'uploading'|'merging'|'completed'|'failed', progress, totalChunks, receivedChunks: number[],
+ *   missingChunks: number[], fileName, fileSize, evidenceId, error, createdAt, completedAt }
+ * Roles: the user who started the upload
  */
-app.get('/api/evidence/upload/:uploadId/status', (req, res) => {
+app.get('/api/evidence/upload/:uploadId/status', authenticate, (req, res) => {
   const { uploadId } = req.params;
+  const uploadInfo = getOwnUpload(uploadId, req.user);
 
-  if (!uploads.has(uploadId)) {
+  if (!uploadInfo) {
     return res.status(404).json({
       error: 'Upload not found',
       message: `Upload ID ${uploadId} does not exist`,
     });
   }
 
-  const uploadInfo = uploads.get(uploadId);
-  const progress = Math.round((uploadInfo.receivedChunks.length / uploadInfo.totalChunks) * 100);
-
   res.json({
-    uploadId,
-    status: uploadInfo.status,
-    progress,
-    receivedChunks: uploadInfo.receivedChunks.length,
-    totalChunks: uploadInfo.totalChunks,
+    ...uploadProgress(uploadInfo),
+    fileName: uploadInfo.fileName,
+    fileSize: uploadInfo.fileSize,
+    evidenceId: uploadInfo.evidenceId || null,
+    error: uploadInfo.error || null,
     createdAt: uploadInfo.createdAt,
     completedAt: uploadInfo.completedAt || null,
   });
 });
 
+/**
+ * GET /api/evidence/:id
+ * Evidence record with its review history
+ * 
+ * Returns: { id, ownerId, ownerName, projectId, kpiId, taskId, milestoneId, files, metadata, status, reviewer, statusReason, completeness, history, createdAt, updatedAt }
+ * Roles: all; employees only their own evidence
+ */
+app.get('/api/evidence/:id', authenticate, (req, res) => {
+  const record = evidenceStore.get(req.params.id);
+
+  if (!record || !canViewEvidence(req.user, record)) {
+    return res.status(404).json({
+      error: 'Evidence not found',
+      message: `Evidence ID ${req.params.id} does not exist`,
+    });
+  }
+
+  res.json(record);
+});
+
+/**
+ * GET /api/evidence/:id/completeness
+ * Completeness score of an evidence record, evaluated now, with what the
+ * uploader can fix (missing geo-tag, capture time outside the task window,
+ * short description, wrong file type, no linked KPI)
+ * 
+ * Returns: { evidenceId, evidenceType, score, checks: [{ id, label, weight, passed, message }], missing: [{ id, label, message }], evaluatedAt }
+ * Roles: all; employees only their own evidence
+ */
+app.get('/api/evidence/:id/completeness', authenticate, (req, res) => {
+  const record = evidenceStore.get(req.params.id);
+
+  if (!record || !canViewEvidence(req.user, record)) {
+    return res.status(404).json({
+      error: 'Evidence not found',
+      message: `Evidence ID ${req.params.id} does not exist`,
+    });
+  }
+
+  res.json({ evidenceId: record.id, ...scoreCompleteness(record) });
+});
+
 /**
  * PATCH /api/evidence/:id/status
- * Update evidence status (verify, reject, etc.)
+ * Move evidence through the review workflow
+ * (submitted → under_review → verified | rejected | needs_more_info → resubmitted → under_review)
  * 
  * Body:
- * - status: string (pending|verified|rejected)
- * - comment: string (optional)
+ * - status: string (next status, see EVIDENCE_TRANSITIONS)
+ * - reason: string (required for rejected and needs_more_info)
+ * - metadata: object (optional, resubmissions only: updated title, description, tags)
+ * Returns: updated evidence record
+ * Roles: admin, hod, supervisor review (not their own evidence); the owner resubmits
  */
-app.patch('/api/evidence/:id/status', (req, res) => {
+app.patch('/api/evidence/:id/status', authenticate, async (req, res) => {
   const { id } = req.params;
-  const { status, comment } = req.body;
+  const { status, reason, metadata } = req.body;
+  const record = evidenceStore.get(id);
 
-  if (!uploads.has(id)) {
+  if (!record || !canViewEvidence(req.user, record)) {
     return res.status(404).json({
       error: 'Evidence not found',
       message: `Evidence ID ${id} does not exist`,
     });
   }
 
-  const uploadInfo = uploads.get(id);
-  uploadInfo.status = status;
-  uploadInfo.statusComment = comment;
-  uploadInfo.statusUpdatedAt = new Date().toISOString();
+  const invalid = validateTransition(record, { to: status, reason, user: req.user });
+  if (invalid) {
+    return res.status(invalid.status).json({ error: invalid.error });
+  }
 
-  res.json({
-    id,
-    status: uploadInfo.status,
-    statusComment: uploadInfo.statusComment,
-    statusUpdatedAt: uploadInfo.statusUpdatedAt,
-    message: 'Status updated successfully',
+  const updated = evidenceStore.transition(id, {
+    to: status,
+    reason,
+    user: req.user,
+    metadata: status === EVIDENCE_STATUSES.RESUBMITTED ? metadata : undefined,
   });
+  const fileName = record.files[0]?.fileName;
+  const label = record.metadata?.title || fileName || id;
+
+  await auditLog.log(
+    req,
+    EVIDENCE_STATUS_ACTIONS[status],
+    `evidence:${id}`,
+    record.status,
+    status,
+    updated.statusReason || `Evidence ${label} marked ${EVIDENCE_STATUS_LABELS[status]}`,
+    { evidenceId: id, fileName, ownerId: record.ownerId }
+  );
+
+  res.json(updated);
+});
+
+/**
+ * PATCH /api/milestones/:milestoneId
+ * Edit a project milestone (e.g. drag on the Gantt chart)
+ * 
+ * Body (any of):
+ * - start_date, end_date: string (YYYY-MM-DD)
+ * - status: string (not-started|in-progress|completed|delayed)
+ * - progress: number (0-100)
+ * Roles: admin, hod, supervisor
+ */
+app.patch('/api/milestones/:milestoneId', authenticate, CAN_REVIEW_PROJECTS, async (req, res) => {
+  const { milestoneId } = req.params;
+  const milestone = milestones.get(milestoneId);
+
+  if (!milestone) {
+    return res.status(404).json({
+      error: 'Milestone not found',
+      message: `Milestone ID ${milestoneId} does not exist`,
+    });
+  }
+
+  const updates = Object.fromEntries(
+    MILESTONE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+  );
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({
+      error: 'No changes',
+      message: `Send at least one of: ${MILESTONE_FIELDS.join(', ')}`,
+    });
+  }
+  if (updates.status !== undefined && !MILESTONE_STATUSES.includes(updates.status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: `Status must be one of: ${MILESTONE_STATUSES.join(', ')}`,
+    });
+  }
+  if (updates.progress !== undefined && !(updates.progress >= 0 && updates.progress <= 100)) {
+    return res.status(400).json({ error: 'Invalid progress', message: 'Progress must be between 0 and 100' });
+  }
+
+  const startDate = updates.start_date || milestone.start_date;
+  const endDate = updates.end_date || milestone.end_date;
+  if (Number.isNaN(Date.parse(startDate)) || Number.isNaN(Date.parse(endDate)) || startDate > endDate) {
+    return res.status(400).json({ error: 'Invalid dates', message: 'start_date must be on or before end_date' });
+  }
+
+  const previous = Object.fromEntries(Object.keys(updates).map((field) => [field, milestone[field]]));
+  Object.assign(milestone, updates, { updated_at: new Date().toISOString(), updated_by: req.user.id });
+
+  await auditLog.log(
+    req,
+    AUDIT_ACTIONS.MILESTONE_UPDATED,
+    `milestone:${milestoneId}`,
+    previous,
+    updates,
+    `Updated ${Object.keys(updates).join(', ')} of ${milestone.title}`,
+    { milestoneId }
+  );
+
+  res.json(milestone);
 });
 
 /**
  * DELETE /api/evidence/upload/:uploadId
  * Cancel and clean up upload
+ * Roles: the user who started the upload
  */
-app.delete('/api/evidence/upload/:uploadId', async (req, res) => {
+app.delete('/api/evidence/upload/:uploadId', authenticate, async (req, res) => {
   const { uploadId } = req.params;
+  const uploadInfo = getOwnUpload(uploadId, req.user);
 
-  if (!uploads.has(uploadId)) {
+  if (!uploadInfo) {
     return res.status(404).json({
       error: 'Upload not found',
       message: `Upload ID ${uploadId} does not exist`,
     });
   }
 
-  const uploadInfo = uploads.get(uploadId);
-
   // Clean up chunks
   for (let i = 0; i < uploadInfo.totalChunks; i++) {
-    const chunkPath = path.join(TEMP_DIR, `${uploadId}-chunk-${i}`);
-    await fs.remove(chunkPath).catch(() => {});
+    await fs.remove(chunkPath(uploadId, i)).catch(() => {});
   }
 
   // Remove from tracking
@@ -254,21 +685,27 @@ app.delete('/api/evidence/upload/:uploadId', async (req, res) => {
 
 /**
  * GET /api/evidence
- * List all uploaded evidence (for testing)
+ * List evidence records, newest first
+ * 
+ * Query: projectId, kpiId, taskId, milestoneId, status, ownerId (all optional)
+ * Returns: { total, evidence: EvidenceRecord[] }
+ * Roles: all; employees only see their own evidence
  */
-app.get('/api/evidence', (req, res) => {
-  const evidenceList = Array.from(uploads.values())
-    .filter((upload) => upload.status === 'completed')
-    .map((upload) => ({
-      id: upload.id,
-      fileName: upload.fileName,
-      metadata: upload.metadata,
-      uploadedAt: upload.completedAt,
-    }));
+app.get('/api/evidence', authenticate, (req, res) => {
+  const { projectId, kpiId, taskId, milestoneId, status } = req.query;
+  if (status && !Object.values(EVIDENCE_STATUSES).includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: `Status must be one of: ${Object.values(EVIDENCE_STATUSES).join(', ')}`,
+    });
+  }
+
+  const ownerId = req.user.role === ROLES.EMPLOYEE ? req.user.employeeId || req.user.id : req.query.ownerId;
+  const evidence = evidenceStore.list({ ownerId, projectId, kpiId, taskId, milestoneId, status });
 
   res.json({
-    total: evidenceList.length,
-    evidence: evidenceList,
+    total: evidence.length,
+    evidence,
   });
 });
 
@@ -280,6 +717,7 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     activeUploads: uploads.size,
+    evidence: evidenceStore.list().length,
   });
 });
 
@@ -301,6 +739,11 @@ app.listen(PORT, () => {
   console.log(`Evidence upload server running on http://localhost:${PORT}`);
   console.log(`Upload directory: ${UPLOAD_DIR}`);
   console.log(`Temp directory: ${TEMP_DIR}`);
+  console.log(`Data directory: ${DATA_DIR}`);
+  console.log(
+    `Authenticated: POST /api/evidence/upload, GET /api/evidence/upload/:uploadId/status, DELETE /api/evidence/upload/:uploadId, GET /api/evidence, GET /api/evidence/:id, GET /api/evidence/:id/completeness, ` +
+      `PATCH /api/evidence/:id/status, PATCH /api/milestones/:milestoneId`
+  );
 });
 
-module.exports = app;
+export default app;
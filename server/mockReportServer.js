@@ -9,6 +9,8 @@
  * - Digital signature with PKCS7 (AWS KMS or local HSM)
  * - Job status tracking
  * - Signed PDF download
+ * - Role-based access (employees only see their own APARs)
+ * - Generation and downloads recorded in the shared audit log (utils/auditLog.js)
  * 
  * Run with: node server/mockReportServer.js
  * Server runs on: http://localhost:3003
@@ -19,6 +21,9 @@ import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs-extra';
+import { authenticate, authorize } from '../utils/auth.js';
+import { createAuditLog, AUDIT_ACTIONS } from '../utils/auditLog.js';
+import { ROLES } from '../src/utils/roles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -29,6 +34,13 @@ const PORT = 3003;
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use('/api/reports', authenticate);
+
+// Role groups for report endpoints (auditors have read-only access)
+const CAN_GENERATE_REPORTS = authorize(ROLES.ADMIN, ROLES.HOD, ROLES.SUPERVISOR, ROLES.EMPLOYEE);
+
+// Shared audit log (queried from the admin Audit Trail page)
+const auditLog = createAuditLog({ service: 'report' });
 
 // In-memory job queue
 const jobs = new Map();
@@ -116,6 +128,15 @@ async function processReportJob(jobId, employeeIds, startDate, endDate) {
   }
 }
 
+/**
+ * Helper: Check whether a user may access an employee's reports
+ * Employees are limited to their own record; other roles see all employees.
+ */
+function canAccessEmployee(user, employeeId) {
+  if (user.role !== ROLES.EMPLOYEE) return true;
+  return Boolean(user.employeeId) && user.employeeId === employeeId;
+}
+
 /**
  * Helper: Get employee name from ID
  */
@@ -162,8 +183,9 @@ function getEmployeeDivision(employeeId) {
  * 
  * Body: { employeeIds: string[], startDate: string, endDate: string }
  * Returns: { jobId: string, status: string, total: number }
+ * Roles: admin, hod, supervisor, employee (own record only)
  */
-app.post('/api/reports/generate', async (req, res) => {
+app.post('/api/reports/generate', CAN_GENERATE_REPORTS, async (req, res) => {
   const { employeeIds, startDate, endDate } = req.body;
 
   if (!employeeIds || !Array.isArray(employeeIds) || employeeIds.length === 0) {
@@ -174,6 +196,10 @@ app.post('/api/reports/generate', async (req, res) => {
     return res.status(400).json({ error: 'startDate and endDate are required' });
   }
 
+  if (!employeeIds.every((employeeId) => canAccessEmployee(req.user, employeeId))) {
+    return res.status(403).json({ error: 'Employees can only generate their own APAR' });
+  }
+
   // Create job
   const jobId = generateJobId();
   const job = {
@@ -186,11 +212,22 @@ app.post('/api/reports/generate', async (req, res) => {
     currentIndex: 0,
     progress: 0,
     createdAt: new Date().toISOString(),
+    createdBy: req.user.id,
     reports: [],
   };
 
   jobs.set(jobId, job);
 
+  await auditLog.log(
+    req,
+    AUDIT_ACTIONS.REPORT_GENERATED,
+    `report_job:${jobId}`,
+    null,
+    null,
+    `Requested APAR generation for ${employeeIds.length} employee(s), ${startDate} to ${endDate}`,
+    { jobId, employeeIds, startDate, endDate }
+  );
+
   // Start processing asynchronously
   processReportJob(jobId, employeeIds, startDate, endDate);
 
@@ -216,6 +253,10 @@ app.get('/api/reports/job/:jobId', (req, res) => {
     return res.status(404).json({ error: 'Job not found' });
   }
 
+  if (!job.employeeIds.every((employeeId) => canAccessEmployee(req.user, employeeId))) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
   res.json({
     jobId: job.jobId,
     status: job.status,
@@ -245,6 +286,20 @@ app.get('/api/reports/download/:reportId', async (req, res) => {
     return res.status(404).json({ error: 'Report not found' });
   }
 
+  if (!canAccessEmployee(req.user, report.employeeId)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  await auditLog.log(
+    req,
+    AUDIT_ACTIONS.REPORT_DOWNLOADED,
+    `report:${reportId}`,
+    null,
+    null,
+    `Downloaded APAR for ${report.employeeName} (${report.startDate} to ${report.endDate})`,
+    { reportId, employeeId: report.employeeId, signed: req.query.signed === 'true' }
+  );
+
   // In production, this would return the actual PDF file
   // For mock, we'll return a JSON with metadata
   res.json({
@@ -273,6 +328,10 @@ app.get('/api/reports/verify/:reportId', (req, res) => {
     return res.status(404).json({ error: 'Report not found' });
   }
 
+  if (!canAccessEmployee(req.user, report.employeeId)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
   res.json({
     reportId: report.id,
     valid: report.signature.valid,
@@ -286,7 +345,7 @@ app.get('/api/reports/verify/:reportId', (req, res) => {
 
 /**
  * GET /api/reports
- * List all generated reports
+ * List generated reports visible to the caller
  * 
  * Query: ?page=1&perPage=20
  * Returns: { reports: Array, total: number, page: number }
@@ -296,7 +355,9 @@ app.get('/api/reports', (req, res) => {
   const pageNum = parseInt(page, 10);
   const perPageNum = parseInt(perPage, 10);
 
-  const allReports = Array.from(reports.values());
+  const allReports = Array.from(reports.values()).filter((report) =>
+    canAccessEmployee(req.user, report.employeeId)
+  );
   const total = allReports.length;
   const start = (pageNum - 1) * perPageNum;
   const end = start + perPageNum;
@@ -11,6 +11,9 @@ import EvidenceUpload from './pages/EvidenceUpload';
 import Admin from './pages/Admin';
 import GenerateAPAR from './pages/Reports/GenerateAPAR';
 import AskPrabhaavModal from './components/AskPrabhaavModal';
+import AuthProvider from './components/auth/AuthProvider';
+import RequireAuth from './components/auth/RequireAuth';
+import { ROUTE_ROLES } from './utils/roles';
 
 // Create TanStack Query client
 const queryClient = new QueryClient({
@@ -72,17 +75,23 @@ const theme = createTheme({
  * - React Router for navigation
  * - TanStack Query for data fetching
  * - Material UI theming
+ * - Session management (AuthProvider) with RequireAuth route guard
  * - AI Assistant modal (Ask Prabhaav)
  * 
+ * All routes except /login require a signed-in session; unauthenticated
+ * visitors are redirected to /login and returned afterwards. Each route is
+ * also limited to the roles in ROUTE_ROLES (utils/roles.js); other users are
+ * sent to their own landing page.
+ * 
  * Routes:
  * - / -> Redirects to /login
  * - /login -> Login page
- * - /app/executive -> Executive Dashboard
- * - /app/division/:divisionId/project/:projectId -> Project Dashboard
- * - /app/me -> Employee Dashboard
- * - /evidence/upload -> Evidence Upload (mobile-first)
- * - /admin -> Admin Panel (KPI weight management, audit trail)
- * - /reports/apar -> Generate APAR Reports (digitally signed PDFs)
+ * - /app/executive -> Executive Dashboard (admin, hod)
+ * - /app/division/:divisionId/project/:projectId -> Project Dashboard (admin, hod, supervisor)
+ * - /app/me -> Employee Dashboard (all roles except auditor)
+ * - /evidence/upload -> Evidence Upload (mobile-first, all roles except auditor)
+ * - /admin -> Admin Panel (KPI weight management, audit trail; admin, auditor)
+ * - /reports/apar -> Generate APAR Reports (digitally signed PDFs; admin, hod, supervisor)
  */
 function App() {
   const [aiModalOpen, setAiModalOpen] = useState(false);
@@ -91,60 +100,77 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <ThemeProvider theme={theme}>
         <CssBaseline />
-        <Router>
-          <Routes>
-            {/* Default route redirects to login */}
-            <Route path="/" element={<Navigate to="/login" replace />} />
-            
-            {/* Login page */}
-            <Route path="/login" element={<Login />} />
-            
-            {/* Executive Dashboard */}
-            <Route path="/app/executive" element={<ExecutiveDashboard />} />
-            
-            {/* Project Dashboard */}
-            <Route path="/app/division/:divisionId/project/:projectId" element={<ProjectDashboard />} />
-            
-            {/* Employee Dashboard */}
-            <Route path="/app/me" element={<EmployeeDashboard />} />
-            
-            {/* Evidence Upload (mobile-first) */}
-            <Route path="/evidence/upload" element={<EvidenceUpload />} />
+        <AuthProvider>
+          <Router>
+            <Routes>
+              {/* Default route redirects to login */}
+              <Route path="/" element={<Navigate to="/login" replace />} />
             
-            {/* Admin Panel */}
-            <Route path="/admin" element={<Admin />} />
+              {/* Login page */}
+              <Route path="/login" element={<Login />} />
             
-            {/* Generate APAR Reports */}
-            <Route path="/reports/apar" element={<GenerateAPAR />} />
+              {/* Authenticated routes (role-restricted) */}
+              <Route element={<RequireAuth />}>
+                {/* Executive Dashboard */}
+                <Route element={<RequireAuth roles={ROUTE_ROLES.executive} />}>
+                  <Route path="/app/executive" element={<ExecutiveDashboard />} />
+                </Route>
+              
+                {/* Project Dashboard */}
+                <Route element={<RequireAuth roles={ROUTE_ROLES.project} />}>
+                  <Route path="/app/division/:divisionId/project/:projectId" element={<ProjectDashboard />} />
+                </Route>
+              
+                {/* Employee Dashboard */}
+                <Route element={<RequireAuth roles={ROUTE_ROLES.me} />}>
+                  <Route path="/app/me" element={<EmployeeDashboard />} />
+                </Route>
+              
+                {/* Evidence Upload (mobile-first) */}
+                <Route element={<RequireAuth roles={ROUTE_ROLES.evidenceUpload} />}>
+                  <Route path="/evidence/upload" element={<EvidenceUpload />} />
+                </Route>
+              
+                {/* Admin Panel */}
+                <Route element={<RequireAuth roles={ROUTE_ROLES.admin} />}>
+                  <Route path="/admin" element={<Admin />} />
+                </Route>
+              
+                {/* Generate APAR Reports */}
+                <Route element={<RequireAuth roles={ROUTE_ROLES.reports} />}>
+                  <Route path="/reports/apar" element={<GenerateAPAR />} />
+                </Route>
+              </Route>
             
-            {/* Catch-all: redirect to login */}
-            <Route path="*" element={<Navigate to="/login" replace />} />
-          </Routes>
+              {/* Catch-all: redirect to login */}
+              <Route path="*" element={<Navigate to="/login" replace />} />
+            </Routes>
 
-          {/* Floating AI Assistant Button */}
-          <Tooltip title="Ask Prabhaav" placement="left">
-            <Fab
-              color="primary"
-              aria-label="ask prabhaav"
-              onClick={() => setAiModalOpen(true)}
-              sx={{
-                position: 'fixed',
-                bottom: 24,
-                right: 24,
-                zIndex: 1000,
-              }}
-            >
-              <PsychologyIcon />
-            </Fab>
-          </Tooltip>
+            {/* Floating AI Assistant Button */}
+            <Tooltip title="Ask Prabhaav" placement="left">
+              <Fab
+                color="primary"
+                aria-label="ask prabhaav"
+                onClick={() => setAiModalOpen(true)}
+                sx={{
+                  position: 'fixed',
+                  bottom: 24,
+                  right: 24,
+                  zIndex: 1000,
+                }}
+              >
+                <PsychologyIcon />
+              </Fab>
+            </Tooltip>
 
-          {/* AI Assistant Modal */}
-          <AskPrabhaavModal
-            open={aiModalOpen}
-            onClose={() => setAiModalOpen(false)}
-            context={{}}
-          />
-        </Router>
+            {/* AI Assistant Modal */}
+            <AskPrabhaavModal
+              open={aiModalOpen}
+              onClose={() => setAiModalOpen(false)}
+              context={{}}
+            />
+          </Router>
+        </AuthProvider>
       </ThemeProvider>
     </QueryClientProvider>
   );
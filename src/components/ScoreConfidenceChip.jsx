@@ -0,0 +1,54 @@
+import React from 'react';
+import { Chip, Tooltip, Box } from '@mui/material';
+
+const LEVEL_COLORS = {
+  high: 'success',
+  medium: 'warning',
+  low: 'error',
+};
+
+const STATUS_LABELS = {
+  final: '',
+  provisional: ' • Provisional',
+  insufficient: ' • Insufficient data',
+};
+
+/**
+ * ScoreConfidenceChip Component
+ * Confidence level of a score (see computeScoreWithConfidence), with the
+ * reasons behind it in a tooltip.
+ *
+ * @param {Object} props
+ * @param {Object} props.confidence - { status, confidence, level, reasons }
+ * @param {Object} [props.sx] - Style overrides
+ */
+export default function ScoreConfidenceChip({ confidence, sx }) {
+  if (!confidence) return null;
+
+  const { status, level, reasons = [] } = confidence;
+  const label = `${level.charAt(0).toUpperCase()}${level.slice(1)} confidence${STATUS_LABELS[status] || ''}`;
+
+  return (
+    <Tooltip
+      arrow
+      title={
+        reasons.length > 0 ? (
+          <Box component="ul" sx={{ m: 0, pl: 2 }}>
+            {reasons.map((reason) => (
+              <li key={reason}>{reason}</li>
+            ))}
+          </Box>
+        ) : (
+          'Complete, current and confirmed KPI data'
+        )
+      }
+    >
+      <Chip
+        size="small"
+        color={LEVEL_COLORS[level]}
+        label={`${label} (${Math.round(confidence.confidence * 100)}%)`}
+        sx={sx}
+      />
+    </Tooltip>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { AuthContext } from '../../hooks/useAuth';
+import {
+  login as loginRequest,
+  logout as logoutRequest,
+  getStoredSession,
+  storeSession,
+  clearStoredSession,
+  refreshStoredSession,
+  REFRESH_MARGIN_MS,
+  SESSION_CHANGE_EVENT,
+} from '../../hooks/useAuthApi';
+
+/**
+ * AuthProvider Component
+ * Holds the current session, keeps it in sync with localStorage and
+ * refreshes the access token shortly before it expires.
+ */
+export default function AuthProvider({ children }) {
+  const queryClient = useQueryClient();
+  const [session, setSession] = useState(() => getStoredSession());
+
+  // Sync with session changes from authFetch refreshes and other tabs
+  useEffect(() => {
+    const syncSession = () => setSession(getStoredSession());
+    window.addEventListener(SESSION_CHANGE_EVENT, syncSession);
+    window.addEventListener('storage', syncSession);
+    return () => {
+      window.removeEventListener(SESSION_CHANGE_EVENT, syncSession);
+      window.removeEventListener('storage', syncSession);
+    };
+  }, []);
+
+  // Schedule a refresh before the access token expires
+  useEffect(() => {
+    if (!session?.expiresAt) return undefined;
+
+    const delay = Math.max(
+      new Date(session.expiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS,
+      0
+    );
+    const timer = setTimeout(() => {
+      refreshStoredSession();
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  const login = useCallback(async (credentials) => {
+    const nextSession = await loginRequest(credentials);
+    storeSession(nextSession);
+    return nextSession;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await logoutRequest(getStoredSession());
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+    }
+    clearStoredSession();
+    queryClient.clear();
+  }, [queryClient]);
+
+  const value = useMemo(
+    () => ({
+      session,
+      user: session?.user || null,
+      isAuthenticated: !!session?.accessToken,
+      login,
+      logout,
+    }),
+    [session, login, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
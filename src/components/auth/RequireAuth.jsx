@@ -0,0 +1,26 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
+import { hasRole, getLandingPath } from '../../utils/roles';
+
+/**
+ * RequireAuth Component
+ * Route guard: renders nested routes for signed-in users, otherwise
+ * redirects to /login remembering the requested location.
+ *
+ * When `roles` is given, signed-in users without one of those roles are
+ * sent to their own landing page instead.
+ */
+export default function RequireAuth({ roles, children }) {
+  const { isAuthenticated, user } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (!hasRole(user?.role, roles)) {
+    return <Navigate to={getLandingPath(user?.role)} replace />;
+  }
+
+  return children ?? <Outlet />;
+}
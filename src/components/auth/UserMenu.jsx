@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Avatar,
+  IconButton,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  Typography,
+  Divider,
+  Box,
+  Tooltip,
+} from '@mui/material';
+import { Logout as LogoutIcon } from '@mui/icons-material';
+import { useAuth } from '../../hooks/useAuth';
+import { ROLE_LABELS } from '../../utils/roles';
+
+/**
+ * UserMenu Component
+ * Avatar button showing the signed-in user with a logout action
+ */
+export default function UserMenu() {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  if (!user) return null;
+
+  const initials = user.name
+    .split(' ')
+    .map((part) => part[0])
+    .join('')
+    .slice(0, 2)
+    .toUpperCase();
+
+  const handleLogout = async () => {
+    setAnchorEl(null);
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <>
+      <Tooltip title={user.name}>
+        <IconButton
+          onClick={(e) => setAnchorEl(e.currentTarget)}
+          aria-label="account menu"
+          size="small"
+          sx={{ ml: 1 }}
+        >
+          <Avatar sx={{ width: 32, height: 32, bgcolor: 'primary.main', fontSize: '0.875rem' }}>
+            {initials}
+          </Avatar>
+        </IconButton>
+      </Tooltip>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ px: 2, py: 1 }}>
+          <Typography variant="subtitle2">{user.name}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {user.email}
+          </Typography>
+          {ROLE_LABELS[user.role] && (
+            <Typography variant="caption" color="text.secondary" display="block">
+              {ROLE_LABELS[user.role]}
+            </Typography>
+          )}
+        </Box>
+        <Divider />
+        <MenuItem onClick={handleLogout}>
+          <ListItemIcon>
+            <LogoutIcon fontSize="small" />
+          </ListItemIcon>
+          Logout
+        </MenuItem>
+      </Menu>
+    </>
+  );
+}
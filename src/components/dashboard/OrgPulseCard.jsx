@@ -16,6 +16,7 @@ import {
 } from '@mui/icons-material';
 import { LineChart, Line, ResponsiveContainer, XAxis, YAxis } from 'recharts';
 import { useOrgPulse } from '../../hooks/useDashboard';
+import ScoreConfidenceChip from '../ScoreConfidenceChip';
 
 /**
  * KPIChip Component
@@ -55,6 +56,7 @@ const KPIChip = ({ weightVersion, lastCompute }) => {
  * - Overall composite score (large number)
  * - 30-day trend sparkline
  * - Breakdown by HQ vs Field
+ * - Score confidence (coverage, stale and provisional data)
  * - Tooltip explanations
  * - Loading skeleton
  */
@@ -94,7 +96,7 @@ const OrgPulseCard = () => {
     );
   }
 
-  const { score, trend, breakdown, weight_version, last_compute } = data;
+  const { score, trend, breakdown, weight_version, last_compute, confidence } = data;
   const trendData = trend.map((value, index) => ({ day: index + 1, value }));
   const isPositiveTrend = trend[trend.length - 1] > trend[0];
 
@@ -146,6 +148,9 @@ const OrgPulseCard = () => {
           )}
         </Box>
 
+        {/* Score Confidence */}
+        <ScoreConfidenceChip confidence={confidence} sx={{ fontWeight: 600 }} />
+
         {/* 30-Day Trend Sparkline */}
         <Box sx={{ width: '100%', height: 80, mt: 2, mb: 3 }}>
           <ResponsiveContainer width="100%" height="100%">
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Box, TextField, MenuItem } from '@mui/material';
+
+const NONE = '';
+
+/**
+ * EvidenceLinkFields Component
+ * KPI, task and milestone pickers that link an upload to what it proves.
+ * Each link is optional.
+ *
+ * @param {Object} props
+ * @param {Object} props.value - Current links ({ kpiId, taskId, milestoneId }, null when not linked)
+ * @param {Function} props.onChange - Callback with the updated links
+ * @param {Array} props.kpis - KPIs that can be linked ({ id, name })
+ * @param {Array} props.tasks - Tasks that can be linked ({ id, title })
+ * @param {Array} props.milestones - Milestones that can be linked ({ id, title, project_name? })
+ */
+export default function EvidenceLinkFields({ value, onChange, kpis = [], tasks = [], milestones = [] }) {
+  const pickers = [
+    { field: 'kpiId', label: 'KPI', options: kpis.map((kpi) => ({ id: kpi.id, label: kpi.name })) },
+    { field: 'taskId', label: 'Task', options: tasks.map((task) => ({ id: task.id, label: task.title })) },
+    {
+      field: 'milestoneId',
+      label: 'Milestone',
+      options: milestones.map((milestone) => ({
+        id: milestone.id,
+        label: milestone.project_name ? `${milestone.title} (${milestone.project_name})` : milestone.title,
+      })),
+    },
+  ];
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mb: 2 }}>
+      {pickers.map(({ field, label, options }) => (
+        <TextField
+          key={field}
+          select
+          fullWidth
+          size="small"
+          label={`Linked ${label}`}
+          value={value[field] || NONE}
+          onChange={(e) => onChange({ ...value, [field]: e.target.value || null })}
+          disabled={options.length === 0}
+        >
+          <MenuItem value={NONE}>
+            <em>None</em>
+          </MenuItem>
+          {options.map((option) => (
+            <MenuItem key={option.id} value={option.id}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+      ))}
+    </Box>
+  );
+}
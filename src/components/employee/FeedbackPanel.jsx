@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  Rating,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import { RateReview as RateReviewIcon, VisibilityOff as VisibilityOffIcon } from '@mui/icons-material';
+import { RUBRIC_MAX } from '../../utils/kpiCategories';
+import { RATER_TYPES, RATER_TYPE_LABELS } from '../../utils/feedback360';
+
+const SELF = 'me';
+
+// Whole rubric points 0-3
+const RATING_OPTIONS = Array.from({ length: RUBRIC_MAX + 1 }, (_, index) => index);
+
+/**
+ * "Supervisor 1 • Peers 4 • Self 1"
+ */
+function formatRaterCounts({ supervisor, peer, self }) {
+  return `Supervisor ${supervisor} • Peers ${peer} • Self ${self}`;
+}
+
+/**
+ * FeedbackPanel Component
+ * 360-degree feedback on behavioural KPIs: the aggregated rubric value the
+ * scorecard uses for each KPI, and a form to rate yourself or a colleague.
+ * Peer ratings count (and peer comments show) only once enough peers have
+ * responded, so individual peers stay anonymous.
+ *
+ * @param {Object} props
+ * @param {Object} props.feedback - Feedback summary ({ label, policy, kpis, comments }, see useFeedback)
+ * @param {Array} props.colleagues - Colleagues who can be rated ({ employeeId, name })
+ * @param {Function} props.onSubmit - Callback ({ employeeId, period, ratings, comment }); employeeId 'me' for self
+ * @param {boolean} props.submitting - Submission in progress
+ * @param {boolean} props.loading - Loading state
+ */
+export default function FeedbackPanel({ feedback, colleagues = [], onSubmit, submitting = false, loading = false }) {
+  const [formOpen, setFormOpen] = useState(false);
+  const [ratee, setRatee] = useState(SELF);
+  const [ratings, setRatings] = useState({});
+  const [comment, setComment] = useState('');
+
+  const kpis = feedback?.kpis || [];
+  const raterType = ratee === SELF ? RATER_TYPES.SELF : RATER_TYPES.PEER;
+  const canSubmit = Object.keys(ratings).length > 0 && !submitting;
+
+  const handleOpen = () => {
+    setRatee(SELF);
+    setRatings({});
+    setComment('');
+    setFormOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    if (!canSubmit || !onSubmit) return;
+    await onSubmit({ employeeId: ratee, period: feedback.period, ratings, comment: comment.trim() || undefined });
+    setFormOpen(false);
+  };
+
+  return (
+    <>
+      <Card>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="h6">360° Feedback</Typography>
+            <Button
+              size="small"
+              startIcon={<RateReviewIcon />}
+              onClick={handleOpen}
+              disabled={loading || kpis.length === 0}
+            >
+              Give feedback
+            </Button>
+          </Box>
+
+          {loading ? (
+            <Box sx={{ py: 4 }}>
+              <LinearProgress />
+            </Box>
+          ) : (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {feedback?.label} • Behavioural KPIs rated by your supervisor, peers and yourself
+              </Typography>
+
+              {kpis.map((kpi) => (
+                <Box key={kpi.id} sx={{ mb: 1.5 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                      {kpi.name}
+                    </Typography>
+                    {kpi.value === null ? (
+                      <Typography variant="body2" color="text.disabled">
+                        Not rated yet
+                      </Typography>
+                    ) : (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Rating value={kpi.value} max={RUBRIC_MAX} precision={0.5} size="small" readOnly />
+                        <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                          {kpi.value.toFixed(1)} / {RUBRIC_MAX}
+                        </Typography>
+                      </Box>
+                    )}
+                  </Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="caption" color="text.secondary">
+                      {formatRaterCounts(kpi.raterCounts)}
+                    </Typography>
+                    {kpi.peerRatingsHidden && (
+                      <Chip
+                        size="small"
+                        icon={<VisibilityOffIcon />}
+                        label={`Peer ratings hidden until ${feedback.policy.minPeerRatings} peers respond`}
+                        sx={{ height: 20, fontSize: '0.65rem' }}
+                      />
+                    )}
+                  </Box>
+                </Box>
+              ))}
+
+              {feedback?.comments?.length > 0 && (
+                <List dense disablePadding sx={{ mt: 1 }}>
+                  {feedback.comments.map((item) => (
+                    <ListItem key={`${item.raterType}-${item.text}`} disableGutters>
+                      <ListItemText primary={`“${item.text}”`} secondary={RATER_TYPE_LABELS[item.raterType]} />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Feedback Form */}
+      <Dialog open={formOpen} onClose={() => setFormOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Give 360° Feedback</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+            <InputLabel id="feedback-ratee-label">Feedback for</InputLabel>
+            <Select
+              labelId="feedback-ratee-label"
+              label="Feedback for"
+              value={ratee}
+              onChange={(e) => setRatee(e.target.value)}
+            >
+              <MenuItem value={SELF}>Myself (self-assessment)</MenuItem>
+              {colleagues.map((colleague) => (
+                <MenuItem key={colleague.employeeId} value={colleague.employeeId}>
+                  {colleague.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Alert severity="info" sx={{ mt: 2 }}>
+            {raterType === RATER_TYPES.SELF
+              ? `Your self-assessment counts for ${Math.round((feedback?.policy.raterWeights.self || 0) * 100)}% of each behavioural KPI.`
+              : `Peer ratings are combined anonymously and only count once ${feedback?.policy.minPeerRatings} peers have responded.`}
+          </Alert>
+
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+            Rate each behaviour from 0 (below expectations) to {RUBRIC_MAX} (exceeds expectations)
+          </Typography>
+          {kpis.map((kpi) => (
+            <Box
+              key={kpi.id}
+              sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1.5 }}
+            >
+              <Typography variant="body2" id={`feedback-${kpi.id}`}>
+                {kpi.name}
+              </Typography>
+              <ToggleButtonGroup
+                exclusive
+                size="small"
+                aria-labelledby={`feedback-${kpi.id}`}
+                value={ratings[kpi.id] ?? null}
+                onChange={(e, value) =>
+                  setRatings((prev) => {
+                    const next = { ...prev };
+                    if (value === null) delete next[kpi.id];
+                    else next[kpi.id] = value;
+                    return next;
+                  })
+                }
+              >
+                {RATING_OPTIONS.map((option) => (
+                  <ToggleButton key={option} value={option} sx={{ px: 1.5 }}>
+                    {option}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Box>
+          ))}
+
+          <TextField
+            fullWidth
+            multiline
+            rows={2}
+            size="small"
+            label="Comment (optional)"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setFormOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSubmit} disabled={!canSubmit}>
+            {submitting ? 'Submitting...' : 'Submit feedback'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
@@ -24,6 +24,8 @@ import {
   Error as ErrorIcon,
   LocationOn as LocationOnIcon,
 } from '@mui/icons-material';
+import EvidenceLinkFields from './EvidenceLinkFields';
+import { EMPTY_EVIDENCE_LINKS, EVIDENCE_LINK_FIELDS } from '../../utils/evidenceLinks';
 
 /**
  * QuickUploadDrawer Component
@@ -32,9 +34,12 @@ import {
  * @param {Object} props
  * @param {boolean} props.open - Drawer open state
  * @param {Function} props.onClose - Close callback
- * @param {Function} props.onUpload - Upload callback (formData)
+ * @param {Function} props.onUpload - Upload callback (formData, including the linked kpiId, taskId and milestoneId)
  * @param {Array} props.uploadQueue - Offline upload queue
  * @param {boolean} props.uploading - Upload in progress
+ * @param {Array} props.kpis - KPIs the evidence can be linked to
+ * @param {Array} props.tasks - Tasks the evidence can be linked to
+ * @param {Array} props.milestones - Milestones the evidence can be linked to
  */
 export default function QuickUploadDrawer({
   open,
@@ -42,10 +47,14 @@ export default function QuickUploadDrawer({
   onUpload,
   uploadQueue = [],
   uploading = false,
+  kpis = [],
+  tasks = [],
+  milestones = [],
 }) {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [tags, setTags] = useState('');
+  const [links, setLinks] = useState(EMPTY_EVIDENCE_LINKS);
   const [file, setFile] = useState(null);
   const [location, setLocation] = useState(null);
   const [locationError, setLocationError] = useState(null);
@@ -105,6 +114,9 @@ export default function QuickUploadDrawer({
     if (location) {
       formData.append('location', JSON.stringify(location));
     }
+    EVIDENCE_LINK_FIELDS.forEach((field) => {
+      if (links[field]) formData.append(field, links[field]);
+    });
 
     await onUpload(formData);
 
@@ -112,6 +124,7 @@ export default function QuickUploadDrawer({
     setTitle('');
     setDescription('');
     setTags('');
+    setLinks(EMPTY_EVIDENCE_LINKS);
     setFile(null);
     setLocation(null);
     setLocationError(null);
@@ -197,6 +210,8 @@ export default function QuickUploadDrawer({
             sx={{ mb: 2 }}
           />
 
+          <EvidenceLinkFields value={links} onChange={setLinks} kpis={kpis} tasks={tasks} milestones={milestones} />
+
           <Button
             variant="outlined"
             component="label"
@@ -16,24 +16,40 @@ import {
   Divider,
 } from '@mui/material';
 import { Info as InfoIcon, Close as CloseIcon } from '@mui/icons-material';
-import { computeScore, computeScoreBreakdown, DEFAULT_WEIGHTS } from '../../utils/scoring';
+import {
+  computeScoreBreakdown,
+  explainScore,
+  normalizeCategoryKPIs,
+  resolveCategories,
+} from '../../utils/scoring';
+import { CATEGORY_COLORS, RUBRIC_MAX, SCORING_METHODS } from '../../utils/kpiCategories';
+import { NORMALIZATION_LABELS } from '../../utils/kpiNormalization';
+import { computeScoreWithConfidence } from '../../utils/scoreConfidence';
+import ScoreExplanation from './ScoreExplanation';
+import ScoreConfidenceChip from '../ScoreConfidenceChip';
+import ScoreHistoryChart from './ScoreHistoryChart';
 
 /**
  * ScoreCard Component
  * Displays employee's overall performance score with category breakdown
  * 
  * @param {Object} props
- * @param {Array} props.kpis - Array of KPI objects with { category, performance, target, weight_version, last_compute }
- * @param {Object} props.weights - Category weights (defaults to DEFAULT_WEIGHTS)
+ * @param {Array} props.kpis - Array of KPI objects with { category, value, target, normalization?, provisional?, weight_version, last_compute }
+ * @param {Array|Object} props.weights - Category configuration or weights (defaults to DEFAULT_KPI_CATEGORIES)
+ * @param {Object} props.policy - Data policy overrides (see DEFAULT_DATA_POLICY in utils/scoreConfidence)
+ * @param {Object} props.history - Score history ({ periods, trend }, see useScoreHistory), charted when present
  * @param {boolean} props.loading - Loading state
  */
-export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loading = false }) {
+export default function ScoreCard({ kpis = [], weights = null, policy, history, loading = false }) {
   const [drilldownOpen, setDrilldownOpen] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState(null);
 
-  // Compute overall score and breakdown
-  const overallScore = computeScore(kpis, weights);
+  // Compute overall score (null when the data is insufficient) and breakdown
+  const result = computeScoreWithConfidence(kpis, weights, { policy });
+  const overallScore = result.score;
+  const hasScore = overallScore !== null;
   const breakdown = computeScoreBreakdown(kpis, weights);
+  const explanation = explainScore(kpis, weights);
 
   // Find audit info (weight_version & last_compute)
   const auditInfo = kpis.length > 0 ? {
@@ -41,17 +57,22 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
     last_compute: kpis[0].last_compute || new Date().toISOString(),
   } : null;
 
-  // Category display config
-  const categories = [
-    { key: 'hq_operations', label: 'HQ Operations', color: '#2563eb' },
-    { key: 'field_operations', label: 'Field Operations', color: '#7c3aed' },
-    { key: 'team_collaboration', label: 'Team Collaboration', color: '#059669' },
-    { key: 'individual_behavior', label: 'Individual Behavior', color: '#dc2626' },
-  ];
-
-  const handleCategoryClick = (categoryKey) => {
-    const categoryKPIs = kpis.filter((k) => k.category === categoryKey);
-    setSelectedCategory({ key: categoryKey, kpis: categoryKPIs });
+  // Category display config, in configuration order
+  const categories = resolveCategories(weights).map((category, index) => ({
+    key: category.id,
+    label: category.name,
+    scoringMethod: category.scoringMethod,
+    config: category,
+    color: CATEGORY_COLORS[index % CATEGORY_COLORS.length],
+  }));
+
+  const handleCategoryClick = (category) => {
+    // KPIs with their normalised 0-100 score, as used for the category score
+    const categoryKPIs = normalizeCategoryKPIs(
+      kpis.filter((k) => k.category === category.key),
+      category.config
+    );
+    setSelectedCategory({ ...category, kpis: categoryKPIs });
     setDrilldownOpen(true);
   };
 
@@ -100,7 +121,9 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
                     width: 160,
                     height: 160,
                     borderRadius: '50%',
-                    background: `conic-gradient(${getScoreColor(overallScore)} ${overallScore * 3.6}deg, #e5e7eb 0deg)`,
+                    background: hasScore
+                      ? `conic-gradient(${getScoreColor(overallScore)} ${overallScore * 3.6}deg, #e5e7eb 0deg)`
+                      : '#e5e7eb',
                     display: 'flex',
                     alignItems: 'center',
                     justifyContent: 'center',
@@ -118,16 +141,24 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
                       justifyContent: 'center',
                     }}
                   >
-                    <Typography variant="h3" sx={{ fontWeight: 700, color: getScoreColor(overallScore) }}>
-                      {overallScore.toFixed(0)}
+                    <Typography
+                      variant="h3"
+                      sx={{ fontWeight: 700, color: hasScore ? getScoreColor(overallScore) : 'text.disabled' }}
+                    >
+                      {hasScore ? overallScore.toFixed(0) : '—'}
                     </Typography>
                     <Typography variant="caption" color="text.secondary">
-                      out of 100
+                      {hasScore ? 'out of 100' : 'Insufficient data'}
                     </Typography>
                   </Box>
                 </Box>
               </Box>
 
+              {/* Score confidence */}
+              <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+                <ScoreConfidenceChip confidence={result} />
+              </Box>
+
               {/* Category Breakdown */}
               <Box sx={{ mt: 3 }}>
                 <Typography variant="subtitle2" color="text.secondary" gutterBottom>
@@ -147,7 +178,7 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
                         p: 1,
                         borderRadius: 1,
                       }}
-                      onClick={() => handleCategoryClick(cat.key)}
+                      onClick={() => handleCategoryClick(cat)}
                     >
                       <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
                         <Typography variant="body2" sx={{ fontWeight: 500 }}>
@@ -168,12 +199,19 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
                         }}
                       />
                       <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5, display: 'block' }}>
-                        Weight: {(categoryData.weight * 100).toFixed(0)}% • {categoryData.count} KPI(s)
+                        Weight: {(categoryData.weight * 100).toFixed(0)}% • {categoryData.kpiCount} KPI(s)
+                        {categoryData.unmappedCount > 0 && ` • ${categoryData.unmappedCount} without definition`}
                       </Typography>
                     </Box>
                   );
                 })}
               </Box>
+
+              {/* Score per period */}
+              <ScoreHistoryChart history={history} />
+
+              {/* Computation trace */}
+              <ScoreExplanation explanation={explanation} />
             </>
           )}
         </CardContent>
@@ -187,7 +225,7 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
         fullWidth
       >
         <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-          {selectedCategory && categories.find((c) => c.key === selectedCategory.key)?.label}
+          {selectedCategory?.label}
           <IconButton size="small" onClick={() => setDrilldownOpen(false)}>
             <CloseIcon />
           </IconButton>
@@ -196,9 +234,7 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
           {selectedCategory && (
             <List>
               {selectedCategory.kpis.map((kpi, idx) => {
-                const performancePercent = kpi.category === 'individual_behavior'
-                  ? (kpi.performance / 3) * 100
-                  : (kpi.performance / kpi.target) * 100;
+                const isRubric = selectedCategory.scoringMethod === SCORING_METHODS.RUBRIC;
 
                 return (
                   <React.Fragment key={idx}>
@@ -207,21 +243,26 @@ export default function ScoreCard({ kpis = [], weights = DEFAULT_WEIGHTS, loadin
                         primary={kpi.name}
                         secondary={
                           <>
-                            {kpi.category === 'individual_behavior' ? (
+                            {isRubric ? (
                               <span>
-                                Rubric Score: {kpi.performance} / 3 ({performancePercent.toFixed(0)}%)
+                                Rubric Score: {kpi.value} / {RUBRIC_MAX} ({kpi.score.toFixed(0)}%)
                               </span>
                             ) : (
                               <span>
-                                Performance: {kpi.performance} / {kpi.target} ({performancePercent.toFixed(0)}%)
+                                Performance: {kpi.value}
+                                {kpi.target !== undefined && ` / ${kpi.target}`} ({kpi.score.toFixed(0)}% •{' '}
+                                {NORMALIZATION_LABELS[kpi.normalization]})
                               </span>
                             )}
+                            {kpi.definitionId === null && selectedCategory.config.kpis?.length > 0 && (
+                              <span> • No KPI definition in the weight configuration</span>
+                            )}
                           </>
                         }
                       />
                       <LinearProgress
                         variant="determinate"
-                        value={Math.min(performancePercent, 100)}
+                        value={kpi.score}
                         sx={{ width: '100%', mt: 1, height: 6, borderRadius: 3 }}
                       />
                     </ListItem>
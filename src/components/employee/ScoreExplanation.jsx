@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Collapse,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { ExpandMore as ExpandMoreIcon } from '@mui/icons-material';
+import { NORMALIZATION_LABELS } from '../../utils/kpiNormalization';
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+/**
+ * ScoreExplanation Component
+ * Expandable "How was this calculated?" panel showing the explainScore trace:
+ * each KPI's raw value, normalised score and weight, each category's weight,
+ * any re-normalisation for missing categories, and every contribution.
+ *
+ * @param {Object} props
+ * @param {Object} props.explanation - Result of explainScore()
+ */
+export default function ScoreExplanation({ explanation }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!explanation || explanation.categories.length === 0) return null;
+
+  // Unmapped KPIs are counted only when none in their category is linked to a definition
+  const { categories, missingCategories, unscoredKpis, unmappedKpis = [], normalizationFactor, score } = explanation;
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Button
+        size="small"
+        onClick={() => setExpanded(!expanded)}
+        endIcon={<ExpandMoreIcon sx={{ transform: expanded ? 'rotate(180deg)' : 'none' }} />}
+      >
+        How was this calculated?
+      </Button>
+
+      <Collapse in={expanded} timeout="auto" unmountOnExit>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Each KPI value is normalised to a 0-100 score, averaged within its category using the KPI
+          weights, and each category score is multiplied by the category weight.
+        </Typography>
+
+        {missingCategories.length > 0 && (
+          <Alert severity="info" sx={{ mt: 1 }}>
+            No KPIs recorded for {missingCategories.map((c) => `${c.name} (${formatPercent(c.weight)})`).join(', ')}.
+            The remaining category weights were scaled by ×{normalizationFactor.toFixed(2)} so they add up to 100%.
+          </Alert>
+        )}
+        {unscoredKpis.length > 0 && (
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            Not counted: {unscoredKpis.map((kpi) => `${kpi.name || kpi.id} (${kpi.reason})`).join(', ')}
+          </Alert>
+        )}
+        {unmappedKpis.length > 0 && (
+          <Alert severity="info" sx={{ mt: 1 }}>
+            No KPI definition in the weight configuration for {unmappedKpis.map((kpi) => kpi.name || kpi.id).join(', ')};
+            counted without a configured weight.
+          </Alert>
+        )}
+
+        <Table size="small" sx={{ mt: 1 }} aria-label="Score calculation">
+          <TableHead>
+            <TableRow>
+              <TableCell>KPI</TableCell>
+              <TableCell align="right">Value</TableCell>
+              <TableCell>Normalisation</TableCell>
+              <TableCell align="right">Score</TableCell>
+              <TableCell align="right">Weight</TableCell>
+              <TableCell align="right">Points</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {categories.map((category) => (
+              <React.Fragment key={category.id}>
+                <TableRow sx={{ bgcolor: 'action.hover' }}>
+                  <TableCell colSpan={3} sx={{ fontWeight: 600 }}>
+                    {category.name}
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 600 }}>
+                    {category.score.toFixed(1)}
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 600 }}>
+                    {formatPercent(category.weight)}
+                    {category.effectiveWeight !== category.weight && ` → ${formatPercent(category.effectiveWeight)}`}
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 600 }}>
+                    {category.contribution.toFixed(2)}
+                  </TableCell>
+                </TableRow>
+                {category.kpis.map((kpi) => (
+                  <TableRow key={kpi.id}>
+                    <TableCell sx={{ pl: 3 }}>{kpi.name}</TableCell>
+                    <TableCell align="right">
+                      {kpi.value}
+                      {kpi.target !== undefined && ` / ${kpi.target}`}
+                    </TableCell>
+                    <TableCell>{NORMALIZATION_LABELS[kpi.normalization]}</TableCell>
+                    <TableCell align="right">{kpi.normalizedScore.toFixed(1)}</TableCell>
+                    <TableCell align="right">{formatPercent(kpi.kpiWeight)}</TableCell>
+                    <TableCell align="right">{kpi.contribution.toFixed(2)}</TableCell>
+                  </TableRow>
+                ))}
+              </React.Fragment>
+            ))}
+            <TableRow>
+              <TableCell colSpan={5} sx={{ fontWeight: 700 }}>
+                Overall score
+              </TableCell>
+              <TableCell align="right" sx={{ fontWeight: 700 }}>
+                {score.toFixed(2)}
+              </TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      </Collapse>
+    </Box>
+  );
+}
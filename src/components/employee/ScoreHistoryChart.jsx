@@ -0,0 +1,109 @@
+import React from 'react';
+import { Box, Chip, Typography } from '@mui/material';
+import {
+  TrendingUp,
+  TrendingDown,
+  TrendingFlat,
+} from '@mui/icons-material';
+import { LineChart, Line, ResponsiveContainer, XAxis, YAxis, Tooltip } from 'recharts';
+
+const TREND_DISPLAY = {
+  up: { icon: <TrendingUp />, color: 'success', label: 'Improving' },
+  down: { icon: <TrendingDown />, color: 'error', label: 'Declining' },
+  flat: { icon: <TrendingFlat />, color: 'default', label: 'Steady' },
+};
+
+/**
+ * Group consecutive periods scored with the same weight version
+ * e.g. "v2.0 (Q4 2024-25) • v2.1 (Q1 2025-26 – Q3 2025-26)"
+ */
+function describeWeightVersions(periods) {
+  const segments = [];
+  periods.forEach((period) => {
+    const version = period.weightVersion || 'default';
+    const last = segments[segments.length - 1];
+    if (last && last.version === version) last.to = period.label;
+    else segments.push({ version, from: period.label, to: period.label });
+  });
+  return segments
+    .map(({ version, from, to }) => `${version} (${from === to ? from : `${from} – ${to}`})`)
+    .join(' • ');
+}
+
+function HistoryTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+
+  return (
+    <Box sx={{ bgcolor: 'background.paper', p: 1, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      <Typography variant="caption" sx={{ fontWeight: 600, display: 'block' }}>
+        {point.label}
+        {!point.final && ' (in progress)'}
+      </Typography>
+      <Typography variant="caption" sx={{ display: 'block' }}>
+        Score: {point.score === null ? 'Insufficient data' : point.score.toFixed(1)}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        Weights {point.weightVersion || 'default'}
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * ScoreHistoryChart Component
+ * Score per period from the score history endpoint, with the trend and the
+ * weight version each period was scored with.
+ *
+ * @param {Object} props
+ * @param {Object} props.history - { periods: [{ period, label, score, weightVersion, final }], trend }
+ */
+export default function ScoreHistoryChart({ history }) {
+  if (!history || history.periods.length === 0) return null;
+
+  const { periods, trend } = history;
+  const display = TREND_DISPLAY[trend.direction];
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="subtitle2" color="text.secondary">
+          Score History
+        </Typography>
+        <Chip
+          size="small"
+          icon={display.icon}
+          color={display.color}
+          variant="outlined"
+          label={
+            trend.change === null
+              ? display.label
+              : `${display.label} • ${trend.change >= 0 ? '+' : ''}${trend.change.toFixed(1)} vs ${trend.previousPeriod}`
+          }
+        />
+      </Box>
+
+      <Box sx={{ width: '100%', height: 140 }} role="img" aria-label="Score history chart">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={periods}>
+            <XAxis dataKey="label" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 10 }} width={28} />
+            <Tooltip content={<HistoryTooltip />} />
+            <Line
+              type="monotone"
+              dataKey="score"
+              stroke="#2563eb"
+              strokeWidth={2}
+              connectNulls
+              animationDuration={800}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </Box>
+
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+        Weights: {describeWeightVersions(periods)}
+      </Typography>
+    </Box>
+  );
+}
@@ -21,23 +21,30 @@ import {
   RadioButtonUnchecked as RadioButtonUncheckedIcon,
   Send as SendIcon,
   AccessTime as AccessTimeIcon,
+  AttachFile as AttachFileIcon,
 } from '@mui/icons-material';
 import TimeAgo from 'react-timeago';
+import { EVIDENCE_STATUS_COLORS, EVIDENCE_STATUS_LABELS, getEvidenceStatus } from '../../utils/evidenceWorkflow';
+import { groupEvidenceBy, getEvidenceTitle, summarizeEvidence } from '../../utils/evidenceLinks';
 
 /**
  * TaskList Component
- * Displays employee tasks with status toggles and inline comments
+ * Displays employee tasks with status toggles, inline comments and the
+ * evidence linked to each task (review status, completeness and what to fix)
  * 
  * @param {Object} props
  * @param {Array} props.tasks - Array of task objects
+ * @param {Array} props.evidence - Evidence records; those with a taskId are shown on their task
  * @param {Function} props.onUpdateStatus - Callback for status updates (taskId, status, comment)
  * @param {boolean} props.loading - Loading state
  */
-export default function TaskList({ tasks = [], onUpdateStatus, loading = false }) {
+export default function TaskList({ tasks = [], evidence = [], onUpdateStatus, loading = false }) {
   const [expandedTask, setExpandedTask] = useState(null);
   const [comments, setComments] = useState({});
   const [updatingTaskId, setUpdatingTaskId] = useState(null);
 
+  const evidenceByTask = groupEvidenceBy(evidence, 'taskId');
+
   const handleStatusChange = async (taskId, newStatus) => {
     if (!onUpdateStatus) return;
     setUpdatingTaskId(taskId);
@@ -100,131 +107,184 @@ export default function TaskList({ tasks = [], onUpdateStatus, loading = false }
           </Typography>
         ) : (
           <List sx={{ p: 0 }}>
-            {tasks.map((task) => (
-              <Box key={task.id} sx={{ mb: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
-                <ListItem
-                  sx={{
-                    flexDirection: 'column',
-                    alignItems: 'flex-start',
-                    cursor: 'pointer',
-                    '&:hover': { bgcolor: 'action.hover' },
-                  }}
-                  onClick={() => setExpandedTask(expandedTask === task.id ? null : task.id)}
-                >
-                  {/* Task Header */}
-                  <Box sx={{ display: 'flex', width: '100%', alignItems: 'center', mb: 1 }}>
-                    {getStatusIcon(task.status)}
-                    <Typography variant="subtitle1" sx={{ ml: 1, flex: 1, fontWeight: 500 }}>
-                      {task.title}
-                    </Typography>
-                    <IconButton
-                      size="small"
-                      sx={{
-                        transform: expandedTask === task.id ? 'rotate(180deg)' : 'rotate(0deg)',
-                        transition: 'transform 0.3s',
-                      }}
-                    >
-                      <ExpandMoreIcon />
-                    </IconButton>
-                  </Box>
-
-                  {/* Task Metadata */}
-                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
-                    <Chip label={task.priority} size="small" color={getPriorityColor(task.priority)} />
-                    <Chip label={task.status} size="small" variant="outlined" />
-                    {task.dueDate && (
-                      <Chip
-                        icon={<AccessTimeIcon />}
-                        label={
-                          <span>
-                            Due <TimeAgo date={task.dueDate} />
-                          </span>
-                        }
-                        size="small"
-                        color={isOverdue(task.dueDate) ? 'error' : 'default'}
-                        variant="outlined"
-                      />
-                    )}
-                  </Box>
-                </ListItem>
-
-                {/* Expanded Details */}
-                <Collapse in={expandedTask === task.id} timeout="auto" unmountOnExit>
-                  <Box sx={{ px: 2, pb: 2 }}>
-                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                      {task.description}
-                    </Typography>
-
-                    {/* Status Change */}
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
-                      <Typography variant="caption" sx={{ minWidth: 80 }}>
-                        Update Status:
+            {tasks.map((task) => {
+              const taskEvidence = evidenceByTask[task.id] || [];
+              const evidenceSummary = summarizeEvidence(taskEvidence);
+
+              return (
+                <Box key={task.id} sx={{ mb: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                  <ListItem
+                    sx={{
+                      flexDirection: 'column',
+                      alignItems: 'flex-start',
+                      cursor: 'pointer',
+                      '&:hover': { bgcolor: 'action.hover' },
+                    }}
+                    onClick={() => setExpandedTask(expandedTask === task.id ? null : task.id)}
+                  >
+                    {/* Task Header */}
+                    <Box sx={{ display: 'flex', width: '100%', alignItems: 'center', mb: 1 }}>
+                      {getStatusIcon(task.status)}
+                      <Typography variant="subtitle1" sx={{ ml: 1, flex: 1, fontWeight: 500 }}>
+                        {task.title}
                       </Typography>
-                      <FormControl size="small" sx={{ minWidth: 150 }}>
-                        <Select
-                          value={task.status}
-                          onChange={(e) => handleStatusChange(task.id, e.target.value)}
-                          disabled={updatingTaskId === task.id}
-                        >
-                          <MenuItem value="pending">Pending</MenuItem>
-                          <MenuItem value="in-progress">In Progress</MenuItem>
-                          <MenuItem value="completed">Completed</MenuItem>
-                        </Select>
-                      </FormControl>
-                      {updatingTaskId === task.id && <CircularProgress size={20} />}
+                      <IconButton
+                        size="small"
+                        sx={{
+                          transform: expandedTask === task.id ? 'rotate(180deg)' : 'rotate(0deg)',
+                          transition: 'transform 0.3s',
+                        }}
+                      >
+                        <ExpandMoreIcon />
+                      </IconButton>
                     </Box>
 
-                    {/* Comments Section */}
-                    {task.comments?.length > 0 && (
-                      <Box sx={{ mb: 2 }}>
-                        <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 600 }}>
-                          Comments:
+                    {/* Task Metadata */}
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                      <Chip label={task.priority} size="small" color={getPriorityColor(task.priority)} />
+                      <Chip label={task.status} size="small" variant="outlined" />
+                      {task.dueDate && (
+                        <Chip
+                          icon={<AccessTimeIcon />}
+                          label={
+                            <span>
+                              Due <TimeAgo date={task.dueDate} />
+                            </span>
+                          }
+                          size="small"
+                          color={isOverdue(task.dueDate) ? 'error' : 'default'}
+                          variant="outlined"
+                        />
+                      )}
+                      {evidenceSummary.total > 0 && (
+                        <Chip
+                          icon={<AttachFileIcon />}
+                          label={`${evidenceSummary.total} evidence • ${evidenceSummary.verified} verified`}
+                          size="small"
+                          variant="outlined"
+                          color={evidenceSummary.verified === evidenceSummary.total ? 'success' : 'default'}
+                        />
+                      )}
+                    </Box>
+                  </ListItem>
+
+                  {/* Expanded Details */}
+                  <Collapse in={expandedTask === task.id} timeout="auto" unmountOnExit>
+                    <Box sx={{ px: 2, pb: 2 }}>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                        {task.description}
+                      </Typography>
+
+                      {/* Status Change */}
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                        <Typography variant="caption" sx={{ minWidth: 80 }}>
+                          Update Status:
                         </Typography>
-                        {task.comments.map((comment) => (
-                          <Box key={comment.id} sx={{ mt: 1, p: 1, bgcolor: 'action.hover', borderRadius: 1 }}>
-                            <Typography variant="caption" sx={{ fontWeight: 600 }}>
-                              {comment.author}
-                            </Typography>
-                            <Typography variant="body2" sx={{ mt: 0.5 }}>
-                              {comment.text}
-                            </Typography>
-                            <Typography variant="caption" color="text.secondary">
-                              <TimeAgo date={comment.timestamp} />
-                            </Typography>
-                          </Box>
-                        ))}
+                        <FormControl size="small" sx={{ minWidth: 150 }}>
+                          <Select
+                            value={task.status}
+                            onChange={(e) => handleStatusChange(task.id, e.target.value)}
+                            disabled={updatingTaskId === task.id}
+                          >
+                            <MenuItem value="pending">Pending</MenuItem>
+                            <MenuItem value="in-progress">In Progress</MenuItem>
+                            <MenuItem value="completed">Completed</MenuItem>
+                          </Select>
+                        </FormControl>
+                        {updatingTaskId === task.id && <CircularProgress size={20} />}
                       </Box>
-                    )}
 
-                    {/* Add Comment */}
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                      <TextField
-                        size="small"
-                        fullWidth
-                        placeholder="Add a comment..."
-                        value={comments[task.id] || ''}
-                        onChange={(e) => setComments((prev) => ({ ...prev, [task.id]: e.target.value }))}
-                        onKeyDown={(e) => {
-                          if (e.key === 'Enter' && !e.shiftKey) {
-                            e.preventDefault();
-                            handleCommentSubmit(task.id);
-                          }
-                        }}
-                        disabled={updatingTaskId === task.id}
-                      />
-                      <IconButton
-                        color="primary"
-                        size="small"
-                        onClick={() => handleCommentSubmit(task.id)}
-                        disabled={!comments[task.id]?.trim() || updatingTaskId === task.id}
-                      >
-                        <SendIcon />
-                      </IconButton>
+                      {/* Linked Evidence */}
+                      {taskEvidence.length > 0 && (
+                        <Box sx={{ mb: 2 }}>
+                          <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 600 }}>
+                            Evidence:
+                          </Typography>
+                          {taskEvidence.map((item) => {
+                            const status = getEvidenceStatus(item);
+                            const missing = item.completeness?.missing || [];
+                            return (
+                              <Box key={item.id} sx={{ mt: 0.5 }}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                  <AttachFileIcon fontSize="small" color="action" />
+                                  <Typography variant="body2" sx={{ flex: 1 }} noWrap>
+                                    {getEvidenceTitle(item)}
+                                  </Typography>
+                                  {item.completeness && (
+                                    <Typography variant="caption" color="text.secondary">
+                                      {item.completeness.score}% complete
+                                    </Typography>
+                                  )}
+                                  <Chip
+                                    label={EVIDENCE_STATUS_LABELS[status]}
+                                    size="small"
+                                    color={EVIDENCE_STATUS_COLORS[status]}
+                                    title={item.statusReason || undefined}
+                                  />
+                                </Box>
+                                {missing.length > 0 && (
+                                  <Typography variant="caption" color="warning.main" sx={{ display: 'block', ml: 3.5 }}>
+                                    To fix: {missing.map((check) => check.message).join('; ')}
+                                  </Typography>
+                                )}
+                              </Box>
+                            );
+                          })}
+                        </Box>
+                      )}
+
+                      {/* Comments Section */}
+                      {task.comments?.length > 0 && (
+                        <Box sx={{ mb: 2 }}>
+                          <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 600 }}>
+                            Comments:
+                          </Typography>
+                          {task.comments.map((comment) => (
+                            <Box key={comment.id} sx={{ mt: 1, p: 1, bgcolor: 'action.hover', borderRadius: 1 }}>
+                              <Typography variant="caption" sx={{ fontWeight: 600 }}>
+                                {comment.author}
+                              </Typography>
+                              <Typography variant="body2" sx={{ mt: 0.5 }}>
+                                {comment.text}
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary">
+                                <TimeAgo date={comment.timestamp} />
+                              </Typography>
+                            </Box>
+                          ))}
+                        </Box>
+                      )}
+
+                      {/* Add Comment */}
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <TextField
+                          size="small"
+                          fullWidth
+                          placeholder="Add a comment..."
+                          value={comments[task.id] || ''}
+                          onChange={(e) => setComments((prev) => ({ ...prev, [task.id]: e.target.value }))}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                              e.preventDefault();
+                              handleCommentSubmit(task.id);
+                            }
+                          }}
+                          disabled={updatingTaskId === task.id}
+                        />
+                        <IconButton
+                          color="primary"
+                          size="small"
+                          onClick={() => handleCommentSubmit(task.id)}
+                          disabled={!comments[task.id]?.trim() || updatingTaskId === task.id}
+                        >
+                          <SendIcon />
+                        </IconButton>
+                      </Box>
                     </Box>
-                  </Box>
-                </Collapse>
-              </Box>
-            ))}
+                  </Collapse>
+                </Box>
+              );
+            })}
           </List>
         )}
       </CardContent>
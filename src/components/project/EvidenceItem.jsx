@@ -18,6 +18,13 @@ import {
   Image as ImageIcon,
   Description as DocumentIcon,
 } from '@mui/icons-material';
+import EvidenceReviewActions from './EvidenceReviewActions';
+import {
+  EVIDENCE_STATUSES,
+  EVIDENCE_STATUS_COLORS,
+  EVIDENCE_STATUS_LABELS,
+  getEvidenceStatus,
+} from '../../utils/evidenceWorkflow';
 
 /**
  * EvidenceItem Component
@@ -26,15 +33,17 @@ import {
  * - Lazy-loaded image
  * - Upload badge (user + timestamp)
  * - Geo-tag indicator
- * - Completeness score
- * - Verified status
+ * - Completeness score, with what is missing on hover
+ * - Review status, with the reviewer actions allowed from it
  * 
  * Props:
- * - evidence: {id, type, title, description, uploaded_by, uploaded_at, geo_tag, image_url, tags, verified, completeness_score}
- * - onVerify: (evidenceId, verified) => void
+ * - evidence: {id, type, title, description, uploaded_by, uploaded_at, geo_tag, image_url, tags, status, status_reason, completeness_score, completeness_missing}
+ *   (completeness_missing: [{id, label, message}] from src/utils/evidenceCompleteness.js)
+ *   (`verified: boolean` is read when there is no status)
+ * - onReview: (evidenceId, { status, reason }) => void; omit to hide the review actions
  * - onClick: (evidence) => void
  */
-const EvidenceItem = ({ evidence, onVerify, onClick }) => {
+const EvidenceItem = ({ evidence, onReview, onClick }) => {
   const {
     id,
     type,
@@ -45,9 +54,11 @@ const EvidenceItem = ({ evidence, onVerify, onClick }) => {
     geo_tag,
     image_url,
     tags = [],
-    verified,
+    status_reason,
     completeness_score,
+    completeness_missing = [],
   } = evidence;
+  const status = getEvidenceStatus(evidence);
 
   const getTypeIcon = () => {
     return type === 'image' ? <ImageIcon /> : <DocumentIcon />;
@@ -96,7 +107,7 @@ const EvidenceItem = ({ evidence, onVerify, onClick }) => {
             <Typography variant="subtitle2" fontWeight={600} sx={{ flex: 1 }}>
               {title}
             </Typography>
-            {verified && (
+            {status === EVIDENCE_STATUSES.VERIFIED && (
               <Tooltip title="Verified">
                 <VerifiedIcon
                   sx={{ fontSize: 18, color: 'success.main', ml: 1 }}
@@ -181,21 +192,37 @@ const EvidenceItem = ({ evidence, onVerify, onClick }) => {
             )}
           </Box>
 
-          {/* Completeness Score */}
+          {/* Completeness Score and Review Status */}
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
             <Typography variant="caption" color="text.secondary">
               Completeness:
             </Typography>
-            <Chip
-              label={`${completeness_score}%`}
-              size="small"
-              color={getCompletenessColor(completeness_score)}
-              sx={{
-                height: 20,
-                fontSize: '0.7rem',
-                fontWeight: 600,
-              }}
-            />
+            <Tooltip title={completeness_missing.map((item) => item.message).join(' • ')}>
+              <Chip
+                label={`${completeness_score}%`}
+                size="small"
+                color={getCompletenessColor(completeness_score)}
+                sx={{
+                  height: 20,
+                  fontSize: '0.7rem',
+                  fontWeight: 600,
+                }}
+              />
+            </Tooltip>
+            <Tooltip title={status_reason || ''}>
+              <Chip
+                label={EVIDENCE_STATUS_LABELS[status]}
+                size="small"
+                variant="outlined"
+                color={EVIDENCE_STATUS_COLORS[status]}
+                sx={{ height: 20, fontSize: '0.65rem' }}
+              />
+            </Tooltip>
+            {onReview && (
+              <Box sx={{ ml: 'auto' }}>
+                <EvidenceReviewActions status={status} onReview={(review) => onReview(id, review)} />
+              </Box>
+            )}
           </Box>
         </CardContent>
       </Box>
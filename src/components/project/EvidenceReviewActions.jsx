@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Menu,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+} from '@mui/material';
+import { RateReview as ReviewIcon } from '@mui/icons-material';
+import {
+  EVIDENCE_STATUSES,
+  EVIDENCE_STATUS_LABELS,
+  REASON_REQUIRED_STATUSES,
+  nextStatuses,
+} from '../../utils/evidenceWorkflow';
+
+const ACTION_LABELS = {
+  [EVIDENCE_STATUSES.UNDER_REVIEW]: 'Start review',
+  [EVIDENCE_STATUSES.VERIFIED]: 'Verify',
+  [EVIDENCE_STATUSES.REJECTED]: 'Reject',
+  [EVIDENCE_STATUSES.NEEDS_MORE_INFO]: 'Request more info',
+};
+
+/**
+ * EvidenceReviewActions Component
+ * "Review" menu with the reviewer transitions allowed from the evidence's
+ * current status (see src/utils/evidenceWorkflow.js). Rejecting or asking
+ * for more information opens a dialog that requires a reason.
+ *
+ * Props:
+ * - status: current evidence status
+ * - onReview: ({ status, reason }) => void
+ * - disabled: boolean
+ */
+const EvidenceReviewActions = ({ status, onReview, disabled = false }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [reasonFor, setReasonFor] = useState(null);
+  const [reason, setReason] = useState('');
+
+  // Resubmission belongs to the evidence owner
+  const actions = nextStatuses(status).filter((next) => ACTION_LABELS[next]);
+  if (actions.length === 0) return null;
+
+  const handleSelect = (next) => {
+    setAnchorEl(null);
+    if (REASON_REQUIRED_STATUSES.includes(next)) {
+      setReason('');
+      setReasonFor(next);
+    } else {
+      onReview({ status: next });
+    }
+  };
+
+  const handleConfirm = () => {
+    onReview({ status: reasonFor, reason: reason.trim() });
+    setReasonFor(null);
+  };
+
+  return (
+    // Keep clicks from opening the evidence detail behind the actions
+    <span onClick={(e) => e.stopPropagation()}>
+      <Button
+        size="small"
+        startIcon={<ReviewIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={disabled}
+        aria-haspopup="menu"
+      >
+        Review
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {actions.map((next) => (
+          <MenuItem key={next} onClick={() => handleSelect(next)}>
+            {ACTION_LABELS[next]}
+          </MenuItem>
+        ))}
+      </Menu>
+
+      <Dialog open={Boolean(reasonFor)} onClose={() => setReasonFor(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{reasonFor && `Mark as ${EVIDENCE_STATUS_LABELS[reasonFor]}`}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            rows={3}
+            label={reasonFor === EVIDENCE_STATUSES.REJECTED ? 'Reason for rejection' : 'Information needed'}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            required
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReasonFor(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleConfirm} disabled={!reason.trim()}>
+            {reasonFor && ACTION_LABELS[reasonFor]}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </span>
+  );
+};
+
+export default EvidenceReviewActions;
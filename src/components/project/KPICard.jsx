@@ -13,23 +13,28 @@ import {
   TrendingDown,
   OpenInNew as OpenIcon,
   Info as InfoIcon,
+  AttachFile as AttachFileIcon,
 } from '@mui/icons-material';
 import { LineChart, Line, ResponsiveContainer } from 'recharts';
+import { getEvidenceTitle, summarizeEvidence } from '../../utils/evidenceLinks';
 
 /**
  * KPICard Component
  * 
  * Displays a single KPI with:
  * - Current value vs target
- * - Mini sparkline trend
+ * - Mini sparkline of the value per period (score history), or the `trend` values
  * - Audit info (weight_version & last_compute) top-right
+ * - Evidence linked to the KPI (count, verified count, titles on hover)
  * - Click to drilldown
  * 
  * Props:
  * - kpi: {id, name, value, target, unit, trend, weight_version, last_compute, category}
+ * - history: [{period, label, value}] - KPI series from the score history endpoint; preferred over kpi.trend
+ * - evidence: evidence linked to this KPI ({id, title, status})
  * - onDrill: (kpi) => void
  */
-const KPICard = ({ kpi, onDrill }) => {
+const KPICard = ({ kpi, history, evidence = [], onDrill }) => {
   const {
     id,
     name,
@@ -43,10 +48,13 @@ const KPICard = ({ kpi, onDrill }) => {
   } = kpi;
 
   const isPositive = value >= target;
-  const trendData = trend.map((val, idx) => ({ index: idx, value: val }));
-  const lastTrendValue = trend[trend.length - 1];
-  const firstTrendValue = trend[0];
+  const trendData = history?.length
+    ? history.map((point) => ({ index: point.period, label: point.label, value: point.value }))
+    : trend.map((val, idx) => ({ index: idx, value: val }));
+  const lastTrendValue = trendData[trendData.length - 1]?.value;
+  const firstTrendValue = trendData[0]?.value;
   const isTrendingUp = lastTrendValue > firstTrendValue;
+  const evidenceSummary = summarizeEvidence(evidence);
 
   const formattedDate = new Date(last_compute).toLocaleString('en-US', {
     month: 'short',
@@ -160,8 +168,21 @@ const KPICard = ({ kpi, onDrill }) => {
           Target: {target} {unit}
         </Typography>
 
+        {/* Linked Evidence */}
+        {evidenceSummary.total > 0 && (
+          <Tooltip title={evidence.map(getEvidenceTitle).join(' • ')}>
+            <Chip
+              icon={<AttachFileIcon />}
+              label={`${evidenceSummary.total} evidence • ${evidenceSummary.verified} verified`}
+              size="small"
+              variant="outlined"
+              color={evidenceSummary.verified === evidenceSummary.total ? 'success' : 'default'}
+            />
+          </Tooltip>
+        )}
+
         {/* Mini Sparkline */}
-        {trend.length > 0 && (
+        {trendData.length > 0 && (
           <Box sx={{ width: '100%', height: 50, mt: 2 }}>
             <ResponsiveContainer width="100%" height="100%">
               <LineChart data={trendData}>
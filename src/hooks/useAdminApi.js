@@ -1,4 +1,5 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from './useAuthApi';
 
 /**
  * Admin API Functions
@@ -13,7 +14,7 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
  * Fetch current KPI weights configuration
  */
 export async function fetchWeightsConfig() {
-  const response = await fetch('/api/admin/weights/config');
+  const response = await authFetch('/api/admin/weights/config');
   if (!response.ok) throw new Error('Failed to fetch weights config');
   return response.json();
 }
@@ -22,16 +23,16 @@ export async function fetchWeightsConfig() {
  * Fetch weight history (all versions)
  */
 export async function fetchWeightHistory() {
-  const response = await fetch('/api/admin/weights/history');
+  const response = await authFetch('/api/admin/weights/history');
   if (!response.ok) throw new Error('Failed to fetch weight history');
   return response.json();
 }
 
 /**
- * Save new weight configuration
+ * Submit a weight configuration change for approval
  */
 export async function saveWeightsConfig(data) {
-  const response = await fetch('/api/admin/weights/config', {
+  const response = await authFetch('/api/admin/weights/config', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(data),
@@ -41,10 +42,50 @@ export async function saveWeightsConfig(data) {
 }
 
 /**
- * Rollback to previous weight version
+ * Fetch weight change requests (optionally by status)
+ */
+export async function fetchChangeRequests(status) {
+  const query = new URLSearchParams(status ? { status } : {});
+  const response = await authFetch(`/api/admin/weights/requests?${query}`);
+  if (!response.ok) throw new Error('Failed to fetch change requests');
+  return response.json();
+}
+
+/**
+ * Approve or reject a weight change request
+ * @param {string} requestId - Change request id
+ * @param {'approve'|'reject'} decision - Review decision
+ * @param {string} comment - Reviewer comment (required)
+ */
+export async function reviewChangeRequest(requestId, decision, comment) {
+  const response = await authFetch(`/api/admin/weights/requests/${requestId}/${decision}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ comment }),
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Failed to ${decision} change request`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch per-category and per-KPI deltas between two versions
+ */
+export async function fetchWeightDiff(from, to) {
+  const query = new URLSearchParams(to ? { from, to } : { from });
+  const response = await authFetch(`/api/admin/weights/diff?${query}`);
+  if (!response.ok) throw new Error('Failed to fetch weight diff');
+  return response.json();
+}
+
+/**
+ * Request a rollback to a previous weight version
+ * Applied once a second admin approves the change request.
  */
 export async function rollbackWeights(versionId, metadata) {
-  const response = await fetch(`/api/admin/weights/rollback/${versionId}`, {
+  const response = await authFetch(`/api/admin/weights/rollback/${versionId}`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(metadata),
@@ -57,7 +98,7 @@ export async function rollbackWeights(versionId, metadata) {
  * Run calibration preview with new weights
  */
 export async function runCalibrationPreview(weights) {
-  const response = await fetch('/api/admin/calibrate', {
+  const response = await authFetch('/api/admin/calibrate', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ weights }),
@@ -71,11 +112,86 @@ export async function runCalibrationPreview(weights) {
  */
 export async function fetchAuditTrail(params = {}) {
   const query = new URLSearchParams(params);
-  const response = await fetch(`/api/admin/audit?${query}`);
+  const response = await authFetch(`/api/admin/audit?${query}`);
   if (!response.ok) throw new Error('Failed to fetch audit trail');
   return response.json();
 }
 
+/**
+ * Download the filtered audit trail
+ * @param {'csv'|'jsonl'|'pdf'} format - Export format (PDF is signed)
+ * @param {Object} params - Same filters as fetchAuditTrail (pagination ignored)
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export async function exportAuditTrail(format, params = {}) {
+  const query = new URLSearchParams({ ...params, format });
+  const response = await authFetch(`/api/admin/audit/export?${query}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.message || body.error || 'Failed to export audit trail');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="(.+)"/)?.[1] || `audit-trail.${format}`;
+  return { blob: await response.blob(), filename };
+}
+
+/**
+ * Verify the audit log hash chain
+ */
+export async function fetchAuditIntegrity() {
+  const response = await authFetch('/api/admin/audit/verify');
+  if (!response.ok) throw new Error('Failed to verify audit trail');
+  return response.json();
+}
+
+/**
+ * Fetch the audit retention policy
+ */
+export async function fetchAuditRetention() {
+  const response = await authFetch('/api/admin/audit/retention');
+  if (!response.ok) throw new Error('Failed to fetch audit retention policy');
+  return response.json();
+}
+
+/**
+ * Replace the audit retention policy
+ * @param {Object} policy - { defaultDays, actionTypes: { [actionType]: days | null } }
+ */
+export async function updateAuditRetention(policy) {
+  const response = await authFetch('/api/admin/audit/retention', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(policy),
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || 'Failed to update audit retention policy');
+  }
+  return response.json();
+}
+
+/**
+ * Fetch audit archives
+ */
+export async function fetchAuditArchives() {
+  const response = await authFetch('/api/admin/audit/archives');
+  if (!response.ok) throw new Error('Failed to fetch audit archives');
+  return response.json();
+}
+
+/**
+ * Archive entries past their retention period now
+ */
+export async function runAuditArchival() {
+  const response = await authFetch('/api/admin/audit/archive', { method: 'POST' });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.message || body.error || 'Failed to archive audit entries');
+  }
+  return response.json();
+}
+
 // ============================================================================
 // Mock Data
 // ============================================================================
@@ -86,6 +202,8 @@ export const mockWeightsConfig = {
   createdBy: 'admin@example.com',
   categories: {
     hq_operations: {
+      name: 'HQ Operations',
+      scoringMethod: 'average',
       weight: 0.25,
       kpis: [
         { id: 'hq_reports', name: 'Field Reports Submitted', weight: 0.5 },
@@ -93,6 +211,8 @@ export const mockWeightsConfig = {
       ],
     },
     field_operations: {
+      name: 'Field Operations',
+      scoringMethod: 'average',
       weight: 0.30,
       kpis: [
         { id: 'field_inspections', name: 'Site Inspections', weight: 0.4 },
@@ -102,6 +222,8 @@ export const mockWeightsConfig = {
       ],
     },
     team_collaboration: {
+      name: 'Team Collaboration',
+      scoringMethod: 'average',
       weight: 0.15,
       kpis: [
         { id: 'team_meetings', name: 'Meeting Participation', weight: 0.5 },
@@ -109,6 +231,8 @@ export const mockWeightsConfig = {
       ],
     },
     individual_behavior: {
+      name: 'Individual Behavior',
+      scoringMethod: 'rubric',
       weight: 0.30,
       kpis: [
         { id: 'behavior_professionalism', name: 'Professionalism', weight: 0.2 },
@@ -122,6 +246,16 @@ export const mockWeightsConfig = {
 };
 
 export const mockWeightHistory = [
+  {
+    version: 'v2.2',
+    createdAt: '2025-12-03T11:00:00.000Z',
+    createdBy: 'admin@example.com',
+    reason: 'FY2026 Q1 weights: more emphasis on team collaboration',
+    changes: ['team_collaboration: 0.15 → 0.20', 'hq_operations: 0.25 → 0.20'],
+    isActive: false,
+    status: 'pending',
+    effectiveFrom: '2026-04-01T00:00:00.000Z',
+  },
   {
     version: 'v2.1',
     createdAt: '2025-12-01T10:00:00.000Z',
@@ -148,12 +282,129 @@ export const mockWeightHistory = [
   },
 ];
 
+export const mockChangeRequests = {
+  requests: [
+    {
+      requestId: 'cr-0002',
+      status: 'pending_approval',
+      baseVersion: 'v2.1',
+      requestedBy: 'admin-002',
+      requestedByName: 'Priya Patel',
+      requestedAt: '2025-12-05T09:15:00.000Z',
+      reason: 'Raise data accuracy emphasis after audit findings',
+      effectiveFrom: null,
+      reviewedBy: null,
+      reviewedByName: null,
+      reviewedAt: null,
+      reviewComment: null,
+      versionId: null,
+      diff: { categoriesChanged: 2, kpisChanged: 1, kpisAdded: 0, kpisRemoved: 0, hasChanges: true },
+    },
+    {
+      requestId: 'cr-0001',
+      status: 'approved',
+      baseVersion: 'v2.1',
+      requestedBy: 'admin-003',
+      requestedByName: 'Anjali Sharma',
+      requestedAt: '2025-12-03T10:30:00.000Z',
+      reason: 'FY2026 Q1 weights: more emphasis on team collaboration',
+      effectiveFrom: '2026-04-01T00:00:00.000Z',
+      reviewedBy: 'admin-002',
+      reviewedByName: 'Priya Patel',
+      reviewedAt: '2025-12-03T11:00:00.000Z',
+      reviewComment: 'Agreed in the December review board',
+      versionId: 'v2.2',
+      diff: { categoriesChanged: 2, kpisChanged: 0, kpisAdded: 0, kpisRemoved: 0, hasChanges: true },
+    },
+  ],
+  total: 2,
+};
+
+export const mockWeightDiff = {
+  from: { versionId: 'v2.0', comment: 'Rebalanced behavioral KPIs for consistency' },
+  to: { versionId: 'v2.1', comment: 'Increased field operations weight based on Q4 review' },
+  categories: [
+    {
+      id: 'hq_operations',
+      name: 'HQ Operations',
+      status: 'unchanged',
+      fromWeight: 0.25,
+      toWeight: 0.25,
+      delta: 0,
+      kpis: [
+        { id: 'hq_reports', name: 'Field Reports Submitted', status: 'unchanged', fromWeight: 0.5, toWeight: 0.5, delta: 0 },
+        { id: 'hq_compliance', name: 'Audit Compliance', status: 'unchanged', fromWeight: 0.5, toWeight: 0.5, delta: 0 },
+      ],
+    },
+    {
+      id: 'field_operations',
+      name: 'Field Operations',
+      status: 'changed',
+      fromWeight: 0.25,
+      toWeight: 0.3,
+      delta: 0.05,
+      kpis: [
+        { id: 'field_inspections', name: 'Site Inspections', status: 'changed', fromWeight: 0.5, toWeight: 0.4, delta: -0.1 },
+        { id: 'field_resolution', name: 'Issue Resolution Time', status: 'unchanged', fromWeight: 0.3, toWeight: 0.3, delta: 0 },
+        { id: 'field_travel', name: 'Travel Compliance', status: 'changed', fromWeight: 0.2, toWeight: 0.15, delta: -0.05 },
+        { id: 'field_expense', name: 'Field Expense Adherence', status: 'added', fromWeight: null, toWeight: 0.15, delta: 0.15 },
+      ],
+    },
+    {
+      id: 'team_collaboration',
+      name: 'Team Collaboration',
+      status: 'changed',
+      fromWeight: 0.2,
+      toWeight: 0.15,
+      delta: -0.05,
+      kpis: [
+        { id: 'team_meetings', name: 'Meeting Participation', status: 'changed', fromWeight: 0.4, toWeight: 0.5, delta: 0.1 },
+        { id: 'team_support', name: 'Peer Support', status: 'changed', fromWeight: 0.4, toWeight: 0.5, delta: 0.1 },
+        { id: 'team_knowledge', name: 'Knowledge Sharing', status: 'removed', fromWeight: 0.2, toWeight: null, delta: -0.2 },
+      ],
+    },
+    {
+      id: 'individual_behavior',
+      name: 'Individual Behavior',
+      status: 'unchanged',
+      fromWeight: 0.3,
+      toWeight: 0.3,
+      delta: 0,
+      kpis: [
+        { id: 'behavior_professionalism', name: 'Professionalism', status: 'unchanged', fromWeight: 0.2, toWeight: 0.2, delta: 0 },
+        { id: 'behavior_initiative', name: 'Initiative & Proactiveness', status: 'unchanged', fromWeight: 0.2, toWeight: 0.2, delta: 0 },
+        { id: 'behavior_quality', name: 'Quality of Work', status: 'unchanged', fromWeight: 0.2, toWeight: 0.2, delta: 0 },
+        { id: 'behavior_attendance', name: 'Attendance & Punctuality', status: 'unchanged', fromWeight: 0.2, toWeight: 0.2, delta: 0 },
+        { id: 'behavior_communication', name: 'Communication', status: 'unchanged', fromWeight: 0.2, toWeight: 0.2, delta: 0 },
+      ],
+    },
+  ],
+  summary: {
+    categoriesAdded: 0,
+    categoriesRemoved: 0,
+    categoriesChanged: 2,
+    kpisAdded: 1,
+    kpisRemoved: 1,
+    kpisChanged: 4,
+    hasChanges: true,
+  },
+};
+
+const mockImpactedEmployees = [
+  { employeeId: 'EMP-123', name: 'Rajesh Kumar', division: 'Western Division', gradeBand: 'L9-L11', designation: 'Assistant Engineer', scoreBefore: 72, scoreAfter: 81, delta: 9, gradeBefore: 'B', gradeAfter: 'A', rankBefore: 96, rankAfter: 41, rankChange: 55, significant: true, reason: 'Strong field operations performance benefited from weight increase' },
+  { employeeId: 'EMP-456', name: 'Priya Sharma', division: 'Eastern Division', gradeBand: 'L6-L8', designation: 'Junior Engineer', scoreBefore: 68, scoreAfter: 76, delta: 8, gradeBefore: 'B', gradeAfter: 'A', rankBefore: 118, rankAfter: 72, rankChange: 46, significant: true, reason: 'Consistent field inspections' },
+  { employeeId: 'EMP-789', name: 'Amit Patel', division: 'Northern Division', gradeBand: 'L12+', designation: 'Executive Engineer', scoreBefore: 82, scoreAfter: 75, delta: -7, gradeBefore: 'A', gradeAfter: 'A', rankBefore: 22, rankAfter: 64, rankChange: -42, significant: true, reason: 'Weaker in field operations, strong in team collaboration (reduced weight)' },
+  { employeeId: 'EMP-234', name: 'Sunita Verma', division: 'Southern Division', gradeBand: 'L6-L8', designation: 'Junior Engineer', scoreBefore: 65, scoreAfter: 72, delta: 7, gradeBefore: 'B', gradeAfter: 'B', rankBefore: 139, rankAfter: 96, rankChange: 43, significant: true, reason: 'Improved field metrics' },
+  { employeeId: 'EMP-567', name: 'Vikram Singh', division: 'Central Division', gradeBand: 'L12+', designation: 'Superintending Engineer', scoreBefore: 78, scoreAfter: 72, delta: -6, gradeBefore: 'A', gradeAfter: 'B', rankBefore: 58, rankAfter: 97, rankChange: -39, significant: true, reason: 'Collaboration focus reduced impact' },
+];
+
 export const mockCalibrationPreview = {
   summary: {
     employeesAnalyzed: 248,
     avgScoreChange: 2.3,
     impactedEmployees: 187,
-    significantChanges: 42,
+    gradeChanges: 27,
+    significantChanges: 48,
   },
   scoreDistribution: {
     before: {
@@ -274,6 +525,49 @@ export const mockCalibrationPreview = {
       ],
     },
   ],
+  groups: {
+    division: [
+      { key: 'Northern Division', employeeCount: 52, meanDelta: -1.4, medianShift: -1.0, affectedEmployees: 48, gradeChanges: 6, significantChanges: 9 },
+      { key: 'Central Division', employeeCount: 47, meanDelta: 0.8, medianShift: 0.5, affectedEmployees: 35, gradeChanges: 3, significantChanges: 6 },
+      { key: 'Southern Division', employeeCount: 49, meanDelta: 2.6, medianShift: 2.0, affectedEmployees: 37, gradeChanges: 4, significantChanges: 8 },
+      { key: 'Eastern Division', employeeCount: 50, meanDelta: 3.9, medianShift: 4.0, affectedEmployees: 34, gradeChanges: 5, significantChanges: 9 },
+      { key: 'Western Division', employeeCount: 50, meanDelta: 5.1, medianShift: 5.0, affectedEmployees: 33, gradeChanges: 7, significantChanges: 10 },
+    ],
+    gradeBand: [
+      { key: 'L12+', employeeCount: 64, meanDelta: -0.6, medianShift: -0.5, affectedEmployees: 51, gradeChanges: 5, significantChanges: 9 },
+      { key: 'L9-L11', employeeCount: 81, meanDelta: 2.4, medianShift: 2.0, affectedEmployees: 60, gradeChanges: 8, significantChanges: 14 },
+      { key: 'L6-L8', employeeCount: 103, meanDelta: 4.1, medianShift: 4.0, affectedEmployees: 76, gradeChanges: 12, significantChanges: 19 },
+    ],
+    designation: [
+      { key: 'Superintending Engineer', employeeCount: 31, meanDelta: -1.1, medianShift: -1.0, affectedEmployees: 25, gradeChanges: 2, significantChanges: 4 },
+      { key: 'Executive Engineer', employeeCount: 58, meanDelta: 1.2, medianShift: 1.0, affectedEmployees: 44, gradeChanges: 5, significantChanges: 9 },
+      { key: 'Assistant Engineer', employeeCount: 72, meanDelta: 2.9, medianShift: 3.0, affectedEmployees: 53, gradeChanges: 8, significantChanges: 12 },
+      { key: 'Junior Engineer', employeeCount: 87, meanDelta: 3.6, medianShift: 3.5, affectedEmployees: 65, gradeChanges: 10, significantChanges: 17 },
+    ],
+  },
+  employees: mockImpactedEmployees,
+  // Grade changes first
+  significantEmployees: [
+    ...mockImpactedEmployees.filter((emp) => emp.gradeBefore !== emp.gradeAfter),
+    ...mockImpactedEmployees.filter((emp) => emp.gradeBefore === emp.gradeAfter),
+  ],
+  gradeAnalysis: {
+    transitions: [
+      { from: 'B', to: 'A', direction: 'up', count: 11 },
+      { from: 'A', to: 'B', direction: 'down', count: 7 },
+      { from: 'C', to: 'B', direction: 'up', count: 5 },
+      { from: 'A', to: 'A+', direction: 'up', count: 2 },
+      { from: 'B', to: 'C', direction: 'down', count: 2 },
+    ],
+    upgrades: 18,
+    downgrades: 9,
+  },
+  rankAnalysis: {
+    employeesMoved: 231,
+    meanAbsShift: 14.2,
+    maxRise: 55,
+    maxFall: 42,
+  },
 };
 
 export const mockAuditTrail = {
@@ -341,6 +635,76 @@ export const mockAuditTrail = {
       comment: 'Rolled back due to unexpected score distribution',
       metadata: { reason: 'Testing failed validation' },
     },
+    {
+      id: 'AUDIT-006',
+      timestamp: '2025-11-30T10:05:00.000Z',
+      service: 'evidence',
+      actor: 'supervisor@example.com',
+      actorName: 'Supervisor User',
+      actionType: 'EVIDENCE_VERIFIED',
+      target: 'evidence:upload-1732961100000-k2x9m4p7q',
+      oldValue: 'completed',
+      newValue: 'verified',
+      comment: 'Geo-tagged site photos match the inspection report',
+      metadata: { evidenceId: 'upload-1732961100000-k2x9m4p7q', fileName: 'site-inspection.jpg' },
+    },
+    {
+      id: 'AUDIT-007',
+      timestamp: '2025-11-29T15:40:00.000Z',
+      service: 'ai',
+      actor: 'admin@example.com',
+      actorName: 'Admin User',
+      actionType: 'AI_QUERY',
+      target: 'ai_query:q-42',
+      oldValue: null,
+      newValue: null,
+      comment: 'Which teams are at risk of missing Q4 milestones?',
+      metadata: { model: 'claude-sonnet-4', sourceIds: ['team-beta'], confidence: 0.85 },
+    },
+  ],
+};
+
+export const mockAuditIntegrity = {
+  valid: true,
+  totalEntries: 1247,
+  verifiedEntries: 1247,
+  archivedEntries: 312,
+  headHash: '9f2c4e71b8a05d3e6c1f7a2b94d8e0c5a3b6f1d2e7c9a4b8f0e3d5c7a1b2c4d6',
+  brokenAt: null,
+  checkedAt: '2025-12-04T09:16:00.000Z',
+  archives: [{ file: 'audit-archive-2025-11-01T00-00-00-000Z.jsonl.gz', valid: true }],
+};
+
+export const mockAuditRetention = {
+  defaultDays: null,
+  actionTypes: {
+    CALIBRATION_PREVIEW: 365,
+    AI_QUERY: 365,
+    REPORT_DOWNLOADED: 730,
+    AUDIT_EXPORTED: 730,
+    WEIGHT_UPDATE: null,
+    KPI_WEIGHT_UPDATE: null,
+    WEIGHT_ROLLBACK: null,
+  },
+  updatedAt: null,
+  updatedBy: null,
+  updatedByName: null,
+};
+
+export const mockAuditArchives = {
+  archives: [
+    {
+      file: 'audit-archive-2025-11-01T00-00-00-000Z.jsonl.gz',
+      createdAt: '2025-11-01T00:00:00.000Z',
+      entryCount: 312,
+      firstId: 'audit-412',
+      lastId: 'audit-935',
+      fromTimestamp: '2023-09-04T08:12:00.000Z',
+      toTimestamp: '2024-10-30T17:45:00.000Z',
+      actionTypes: ['AI_QUERY', 'CALIBRATION_PREVIEW'],
+      sizeBytes: 48213,
+      sha256: '3b7e91c04d2a6f58e1c9b0a47d3f2e6185c4a9d07b2e3f16c8a5d9e0b4f7a2c1',
+    },
   ],
 };
 
@@ -373,15 +737,47 @@ export function useWeightHistory(useMock = true) {
 }
 
 /**
- * Hook: useSaveWeights
- * Mutation for saving weights
+ * Hook: useWeightDiff
+ * Fetch deltas between two versions (`to` defaults to the active version)
  */
-export function useSaveWeights() {
+export function useWeightDiff(from, to, useMock = true) {
+  return useQuery({
+    queryKey: ['weightDiff', from, to],
+    queryFn: () => (useMock ? Promise.resolve(mockWeightDiff) : fetchWeightDiff(from, to)),
+    enabled: Boolean(from),
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+/**
+ * Hook: useChangeRequests
+ * Fetch weight change requests awaiting or past review
+ */
+export function useChangeRequests(status, useMock = true) {
+  return useQuery({
+    queryKey: ['weightChangeRequests', status],
+    queryFn: () =>
+      useMock
+        ? Promise.resolve({
+            ...mockChangeRequests,
+            requests: mockChangeRequests.requests.filter((r) => !status || r.status === status),
+          })
+        : fetchChangeRequests(status),
+    staleTime: 1 * 60 * 1000,
+  });
+}
+
+/**
+ * Hook: useReviewChangeRequest
+ * Mutation for approving or rejecting a weight change request
+ */
+export function useReviewChangeRequest() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: saveWeightsConfig,
+    mutationFn: ({ requestId, decision, comment }) => reviewChangeRequest(requestId, decision, comment),
     onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['weightChangeRequests'] });
       queryClient.invalidateQueries({ queryKey: ['weightsConfig'] });
       queryClient.invalidateQueries({ queryKey: ['weightHistory'] });
       queryClient.invalidateQueries({ queryKey: ['employeeKPIs'] });
@@ -389,9 +785,24 @@ export function useSaveWeights() {
   });
 }
 
+/**
+ * Hook: useSaveWeights
+ * Mutation for submitting weights for approval
+ */
+export function useSaveWeights() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: saveWeightsConfig,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['weightChangeRequests'] });
+    },
+  });
+}
+
 /**
  * Hook: useRollbackWeights
- * Mutation for rolling back weights
+ * Mutation for requesting a rollback (queued for approval like a save)
  */
 export function useRollbackWeights() {
   const queryClient = useQueryClient();
@@ -399,8 +810,7 @@ export function useRollbackWeights() {
   return useMutation({
     mutationFn: ({ versionId, metadata }) => rollbackWeights(versionId, metadata),
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['weightsConfig'] });
-      queryClient.invalidateQueries({ queryKey: ['weightHistory'] });
+      queryClient.invalidateQueries({ queryKey: ['weightChangeRequests'] });
     },
   });
 }
@@ -427,3 +837,98 @@ export function useAuditTrail(params = {}, useMock = true) {
     staleTime: 1 * 60 * 1000, // 1 minute
   });
 }
+
+/**
+ * Hook: useAuditIntegrity
+ * Verify that the audit log hash chain is intact
+ */
+export function useAuditIntegrity(useMock = true) {
+  return useQuery({
+    queryKey: ['auditIntegrity'],
+    queryFn: () => (useMock ? Promise.resolve(mockAuditIntegrity) : fetchAuditIntegrity()),
+    staleTime: 1 * 60 * 1000,
+  });
+}
+
+/**
+ * Hook: useAuditRetention
+ * Fetch the audit retention policy
+ */
+export function useAuditRetention(useMock = true) {
+  return useQuery({
+    queryKey: ['auditRetention'],
+    queryFn: () => (useMock ? Promise.resolve(mockAuditRetention) : fetchAuditRetention()),
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+/**
+ * Hook: useAuditArchives
+ * Fetch audit archives
+ */
+export function useAuditArchives(useMock = true) {
+  return useQuery({
+    queryKey: ['auditArchives'],
+    queryFn: () => (useMock ? Promise.resolve(mockAuditArchives) : fetchAuditArchives()),
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+/**
+ * Hook: useUpdateAuditRetention
+ * Mutation for replacing the audit retention policy
+ */
+export function useUpdateAuditRetention() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updateAuditRetention,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['auditRetention'] });
+      queryClient.invalidateQueries({ queryKey: ['auditTrail'] });
+    },
+  });
+}
+
+/**
+ * Hook: useRunAuditArchival
+ * Mutation that archives expired audit entries now
+ */
+export function useRunAuditArchival() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: runAuditArchival,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['auditArchives'] });
+      queryClient.invalidateQueries({ queryKey: ['auditTrail'] });
+      queryClient.invalidateQueries({ queryKey: ['auditIntegrity'] });
+    },
+  });
+}
+
+/**
+ * Hook: useExportAuditTrail
+ * Mutation that downloads an audit export with the current filters
+ */
+export function useExportAuditTrail() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ format, params }) => exportAuditTrail(format, params),
+    onSuccess: ({ blob, filename }) => {
+      // Trigger browser download
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+
+      // The export itself is logged
+      queryClient.invalidateQueries({ queryKey: ['auditTrail'] });
+    },
+  });
+}
@@ -1,4 +1,5 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from './useAuthApi';
 
 const API_BASE_URL = 'http://localhost:3004';
 
@@ -13,7 +14,7 @@ const API_BASE_URL = 'http://localhost:3004';
  * @returns {Promise<object>} AI response with answer, highlights, actions, sources
  */
 export const queryAi = async ({ query, context }) => {
-  const response = await fetch(`${API_BASE_URL}/api/ai/query`, {
+  const response = await authFetch(`${API_BASE_URL}/api/ai/query`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ query, context }),
@@ -33,7 +34,7 @@ export const queryAi = async ({ query, context }) => {
  * @returns {Promise<object>} Query history
  */
 export const fetchQueryHistory = async ({ limit = 10 }) => {
-  const response = await fetch(`${API_BASE_URL}/api/ai/history?limit=${limit}`);
+  const response = await authFetch(`${API_BASE_URL}/api/ai/history?limit=${limit}`);
   
   if (!response.ok) {
     throw new Error('Failed to fetch query history');
@@ -48,7 +49,7 @@ export const fetchQueryHistory = async ({ limit = 10 }) => {
  * @returns {Promise<object>} Saved query
  */
 export const saveQuery = async ({ query }) => {
-  const response = await fetch(`${API_BASE_URL}/api/ai/save`, {
+  const response = await authFetch(`${API_BASE_URL}/api/ai/save`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ query }),
@@ -66,7 +67,7 @@ export const saveQuery = async ({ query }) => {
  * @returns {Promise<object>} Saved queries
  */
 export const fetchSavedQueries = async () => {
-  const response = await fetch(`${API_BASE_URL}/api/ai/saved`);
+  const response = await authFetch(`${API_BASE_URL}/api/ai/saved`);
   
   if (!response.ok) {
     throw new Error('Failed to fetch saved queries');
@@ -81,7 +82,7 @@ export const fetchSavedQueries = async () => {
  * @returns {Promise<void>}
  */
 export const deleteSavedQuery = async ({ queryId }) => {
-  const response = await fetch(`${API_BASE_URL}/api/ai/saved/${queryId}`, {
+  const response = await authFetch(`${API_BASE_URL}/api/ai/saved/${queryId}`, {
     method: 'DELETE',
   });
 
@@ -97,7 +98,7 @@ export const deleteSavedQuery = async ({ queryId }) => {
  * @returns {Promise<object>} Query stats
  */
 export const fetchAiStats = async () => {
-  const response = await fetch(`${API_BASE_URL}/api/ai/stats`);
+  const response = await authFetch(`${API_BASE_URL}/api/ai/stats`);
   
   if (!response.ok) {
     throw new Error('Failed to fetch AI stats');
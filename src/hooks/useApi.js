@@ -89,6 +89,22 @@ export const mockOrgPulse = {
   },
   weight_version: 'v2.1',
   last_compute: '2025-12-03T15:30:00Z',
+  // Combined employee score confidence (see summarizeConfidence in utils/scoreConfidence)
+  confidence: {
+    status: 'provisional',
+    confidence: 0.84,
+    level: 'high',
+    coverage: 0.96,
+    employeeCount: 248,
+    insufficientCount: 11,
+    provisionalCount: 18,
+    staleKpiCount: 37,
+    reasons: [
+      '11 of 248 employees have insufficient KPI data',
+      '37 stale KPIs',
+      '18 employees with provisional scores',
+    ],
+  },
 };
 
 export const mockRisks = [
@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Auth Context
+ * Provided by <AuthProvider>; value: { user, session, isAuthenticated, login, logout }
+ */
+export const AuthContext = createContext(null);
+
+/**
+ * Hook: useAuth
+ * Access the current session and login/logout actions
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
@@ -0,0 +1,169 @@
+const API_BASE_URL = 'http://localhost:3005'; // Auth server
+
+const SESSION_STORAGE_KEY = 'prabhaav.session';
+
+// Refresh access tokens this long before they expire
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Window event fired whenever the stored session changes
+export const SESSION_CHANGE_EVENT = 'prabhaav:session-change';
+
+/**
+ * Session Storage Helpers
+ * Session shape: { accessToken, refreshToken, expiresAt, user }
+ */
+
+export function getStoredSession() {
+  try {
+    const raw = window.localStorage.getItem(SESSION_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function storeSession(session) {
+  window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  window.dispatchEvent(new Event(SESSION_CHANGE_EVENT));
+}
+
+export function clearStoredSession() {
+  window.localStorage.removeItem(SESSION_STORAGE_KEY);
+  window.dispatchEvent(new Event(SESSION_CHANGE_EVENT));
+}
+
+/**
+ * Check whether the session's access token is expired (or about to be)
+ * @param {Object} session - Stored session
+ * @returns {boolean}
+ */
+export function isAccessTokenExpiring(session) {
+  if (!session?.expiresAt) return true;
+  return new Date(session.expiresAt).getTime() - Date.now() < REFRESH_MARGIN_MS;
+}
+
+/**
+ * API Functions
+ */
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ * @returns {Promise<{accessToken, refreshToken, expiresAt, user}>}
+ */
+export async function login({ email, password }) {
+  const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Login failed');
+  }
+
+  return response.json();
+}
+
+/**
+ * Exchange refresh token for a new session
+ * POST /api/auth/refresh
+ */
+export async function refreshSession(refreshToken) {
+  const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken }),
+  });
+
+  if (!response.ok) {
+    throw new Error('Session expired');
+  }
+
+  return response.json();
+}
+
+/**
+ * Revoke the session server-side
+ * POST /api/auth/logout
+ */
+export async function logout(session) {
+  const response = await fetch(`${API_BASE_URL}/api/auth/logout`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(session?.accessToken ? { Authorization: `Bearer ${session.accessToken}` } : {}),
+    },
+    body: JSON.stringify({ refreshToken: session?.refreshToken }),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to log out');
+  }
+
+  return response.json();
+}
+
+// Shared in-flight refresh so concurrent requests only refresh once
+let refreshPromise = null;
+
+/**
+ * Refresh the stored session, deduplicating concurrent calls
+ * Clears the stored session when refresh fails.
+ */
+export async function refreshStoredSession() {
+  const session = getStoredSession();
+  if (!session?.refreshToken) return null;
+
+  if (!refreshPromise) {
+    refreshPromise = refreshSession(session.refreshToken)
+      .then((next) => {
+        storeSession(next);
+        return next;
+      })
+      .catch(() => {
+        clearStoredSession();
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+}
+
+/**
+ * fetch() wrapper that attaches the session's bearer token
+ * Refreshes the access token when it is about to expire and retries once on 401.
+ *
+ * @param {string} url - Request URL
+ * @param {RequestInit} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function authFetch(url, options = {}) {
+  let session = getStoredSession();
+  if (session && isAccessTokenExpiring(session)) {
+    session = await refreshStoredSession();
+  }
+
+  const send = (activeSession) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(activeSession?.accessToken
+          ? { Authorization: `Bearer ${activeSession.accessToken}` }
+          : {}),
+      },
+    });
+
+  const response = await send(session);
+  if (response.status !== 401 || !session) {
+    return response;
+  }
+
+  const refreshed = await refreshStoredSession();
+  return refreshed ? send(refreshed) : response;
+}
@@ -3,11 +3,20 @@ import {
   fetchEmployeeData,
   fetchEmployeeKPIs,
   fetchEmployeeTasks,
+  fetchEmployeeMilestones,
+  fetchMyEvidence,
+  fetchScoreHistory,
+  fetchFeedback,
+  submitFeedback,
   updateTaskStatus,
   uploadEvidence,
   mockEmployeeData,
   mockEmployeeKPIs,
   mockEmployeeTasks,
+  mockEmployeeMilestones,
+  mockMyEvidence,
+  mockScoreHistory,
+  mockFeedback,
 } from './useEmployeeApi';
 
 /**
@@ -34,6 +43,52 @@ export function useEmployeeKPIs(useMock = true) {
   });
 }
 
+/**
+ * Hook: useScoreHistory
+ * Fetches the employee's score per period (with weight version and trend)
+ * 
+ * @param {Object} [params] - { granularity: 'month' | 'quarter' | 'fiscal_year', count }
+ */
+export function useScoreHistory(params = {}, useMock = true) {
+  return useQuery({
+    queryKey: ['scoreHistory', params],
+    queryFn: () => useMock ? Promise.resolve(mockScoreHistory) : fetchScoreHistory(params),
+    staleTime: 10 * 60 * 1000, // 10 minutes
+  });
+}
+
+/**
+ * Hook: useFeedback
+ * Fetches 360 feedback on the employee's behavioural KPIs for a quarter
+ * 
+ * @param {string} [period] - Fiscal quarter id (defaults to the current quarter)
+ */
+export function useFeedback(period, useMock = true) {
+  return useQuery({
+    queryKey: ['feedback', period],
+    queryFn: () => useMock ? Promise.resolve(mockFeedback) : fetchFeedback(period),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+}
+
+/**
+ * Hook: useSubmitFeedback
+ * Mutation for submitting 360 feedback (self-assessment or a colleague)
+ */
+export function useSubmitFeedback() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ employeeId, ...feedback }) => submitFeedback(employeeId, feedback),
+    onSuccess: () => {
+      // Behavioural KPI values and scores follow the aggregated feedback
+      queryClient.invalidateQueries({ queryKey: ['feedback'] });
+      queryClient.invalidateQueries({ queryKey: ['employeeKPIs'] });
+      queryClient.invalidateQueries({ queryKey: ['scoreHistory'] });
+    },
+  });
+}
+
 /**
  * Hook: useEmployeeTasks
  * Fetches employee tasks
@@ -96,6 +151,31 @@ export function useUpdateTaskStatus() {
   });
 }
 
+/**
+ * Hook: useEmployeeMilestones
+ * Fetches milestones of the employee's projects (for linking evidence)
+ */
+export function useEmployeeMilestones(useMock = true) {
+  return useQuery({
+    queryKey: ['employeeMilestones'],
+    queryFn: () => useMock ? Promise.resolve(mockEmployeeMilestones) : fetchEmployeeMilestones(),
+    staleTime: 10 * 60 * 1000, // 10 minutes
+  });
+}
+
+/**
+ * Hook: useMyEvidence
+ * Fetches the employee's evidence records with their KPI, task and milestone links
+ */
+export function useMyEvidence(useMock = true) {
+  return useQuery({
+    queryKey: ['myEvidence'],
+    queryFn: () => useMock ? Promise.resolve(mockMyEvidence) : fetchMyEvidence(),
+    select: (data) => data.evidence,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+  });
+}
+
 /**
  * Hook: useUploadEvidence
  * Mutation for evidence upload with offline queue support
@@ -108,6 +188,7 @@ export function useUploadEvidence() {
     onSuccess: () => {
       // Invalidate evidence queries
       queryClient.invalidateQueries({ queryKey: ['projectEvidence'] });
+      queryClient.invalidateQueries({ queryKey: ['myEvidence'] });
       queryClient.invalidateQueries({ queryKey: ['employeeKPIs'] });
     },
   });
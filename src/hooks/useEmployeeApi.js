@@ -4,11 +4,22 @@
  * API Contracts:
  * - GET /api/employees/me - Current employee data
  * - GET /api/employees/me/kpis - Employee KPIs
+ * - GET /api/employees/me/score-history - Score per period with trend
+ * - GET /api/employees/me/feedback - 360 feedback on behavioural KPIs
+ * - POST /api/employees/:employeeId/feedback - Submit 360 feedback (self, peer or supervisor)
  * - GET /api/employees/me/tasks - Tasks assigned to employee
  * - PATCH /api/tasks/:taskId - Update task status
+ * - GET /api/employees/me/milestones - Milestones of the employee's projects
+ * - GET /api/evidence - The employee's evidence, with the KPI, task and milestone it is linked to
  * - POST /api/evidence/upload - Upload evidence with offline queue
  */
 
+import { authFetch } from './useAuthApi';
+import { listPeriods } from '../utils/periods';
+import { buildScoreHistory, computeScoreSnapshot } from '../utils/scoreHistory';
+import { scoreEvidenceCompleteness } from '../utils/evidenceCompleteness';
+import { mockProjectMeta, mockProjectMilestones } from './useProjectApi';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
 
 /**
@@ -41,6 +52,60 @@ export async function fetchEmployeeKPIs() {
   return response.json();
 }
 
+/**
+ * Fetch Score History
+ * GET /api/employees/me/score-history?granularity=quarter&count=6
+ * 
+ * Returns: {
+ *   employeeId, granularity,
+ *   periods: [{ period, label, startDate, endDate, score, status, confidence, level,
+ *     weightVersion, final, computedAt, kpis: [{ id, name, value, score }] }],
+ *   trend: { direction: 'up' | 'down' | 'flat', slope, change, previousPeriod },
+ *   kpis: { [kpiId]: [{ period, label, value, score }] }
+ * }
+ */
+export async function fetchScoreHistory({ granularity = 'quarter', count = 6 } = {}) {
+  const params = new URLSearchParams({ granularity, count: String(count) });
+  const response = await authFetch(`${API_BASE_URL}/employees/me/score-history?${params}`);
+  if (!response.ok) throw new Error('Failed to fetch score history');
+  return response.json();
+}
+
+/**
+ * Fetch 360 Feedback
+ * GET /api/employees/me/feedback?period=2025-26-Q3
+ * 
+ * Returns: {
+ *   employeeId, period, label, policy: { raterWeights, minPeerRatings },
+ *   kpis: [{ id, name, category, value, raterCounts: { supervisor, peer, self }, sources, peerRatingsHidden }],
+ *   comments: [{ raterType, text }], myRaterType, mySubmission,
+ *   colleagues: [{ employeeId, name }] // same division, for peer feedback
+ * }
+ */
+export async function fetchFeedback(period) {
+  const query = period ? `?${new URLSearchParams({ period })}` : '';
+  const response = await authFetch(`${API_BASE_URL}/employees/me/feedback${query}`);
+  if (!response.ok) throw new Error('Failed to fetch feedback');
+  return response.json();
+}
+
+/**
+ * Submit 360 Feedback
+ * POST /api/employees/:employeeId/feedback
+ * 
+ * Body: { period?, ratings: { [kpiId]: 0-3 in half points }, comment? }
+ * Returns: { submissionId, employeeId, period, raterType, submittedAt }
+ */
+export async function submitFeedback(employeeId, { period, ratings, comment }) {
+  const response = await authFetch(`${API_BASE_URL}/employees/${employeeId}/feedback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ period, ratings, comment }),
+  });
+  if (!response.ok) throw new Error('Failed to submit feedback');
+  return response.json();
+}
+
 /**
  * Fetch Employee Tasks
  * GET /api/employees/me/tasks
@@ -74,11 +139,39 @@ export async function updateTaskStatus(taskId, status, comment = null) {
   return response.json();
 }
 
+/**
+ * Fetch Employee Milestones
+ * GET /api/employees/me/milestones
+ * 
+ * Returns: [{ id, title, status, start_date, end_date, project_id, project_name }]
+ */
+export async function fetchEmployeeMilestones() {
+  const response = await authFetch(`${API_BASE_URL}/employees/me/milestones`);
+  if (!response.ok) throw new Error('Failed to fetch milestones');
+  return response.json();
+}
+
+/**
+ * Fetch My Evidence
+ * GET /api/evidence
+ * 
+ * Returns: { total, evidence: [{
+ *   id, ownerId, ownerName, projectId, kpiId, taskId, milestoneId,
+ *   files, metadata: { title, ... }, status, statusReason, createdAt,
+ *   completeness: { score, missing: [{ id, label, message }], ... }, ...
+ * }] } - employees only get their own evidence
+ */
+export async function fetchMyEvidence() {
+  const response = await authFetch(`${API_BASE_URL}/evidence`);
+  if (!response.ok) throw new Error('Failed to fetch evidence');
+  return response.json();
+}
+
 /**
  * Upload Evidence
  * POST /api/evidence/upload
  * 
- * Body: FormData with file, title, description, tags, geo_tag
+ * Body: FormData with file, title, description, tags, geo_tag, and the linked kpiId, taskId, milestoneId
  * Returns: { id, url, status }
  */
 export async function uploadEvidence(formData) {
@@ -113,6 +206,7 @@ export const mockEmployeeKPIs = [
     value: 88,
     target: 90,
     unit: '%',
+    normalization: 'target_ratio',
     category: 'hq_operations',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -124,6 +218,7 @@ export const mockEmployeeKPIs = [
     value: 92,
     target: 95,
     unit: '%',
+    normalization: 'target_ratio',
     category: 'hq_operations',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -136,6 +231,7 @@ export const mockEmployeeKPIs = [
     value: 78,
     target: 80,
     unit: '%',
+    normalization: 'target_ratio',
     category: 'field_operations',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -147,6 +243,12 @@ export const mockEmployeeKPIs = [
     value: 85,
     target: 90,
     unit: 'count',
+    normalization: 'banded',
+    bands: [
+      { min: 90, score: 100 },
+      { min: 75, score: 80 },
+      { min: 50, score: 50 },
+    ],
     category: 'field_operations',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -159,6 +261,7 @@ export const mockEmployeeKPIs = [
     value: 7,
     target: 8,
     unit: 'sessions',
+    normalization: 'target_ratio',
     category: 'team_collaboration',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -170,6 +273,9 @@ export const mockEmployeeKPIs = [
     value: 4.2,
     target: 4.5,
     unit: '/5',
+    normalization: 'target_ratio',
+    // Awaiting the quarterly peer review
+    provisional: true,
     category: 'team_collaboration',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -182,6 +288,7 @@ export const mockEmployeeKPIs = [
     value: 3,
     target: 3,
     unit: 'rubric',
+    normalization: 'rubric',
     category: 'individual_behavior',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -193,6 +300,7 @@ export const mockEmployeeKPIs = [
     value: 2.5,
     target: 3,
     unit: 'rubric',
+    normalization: 'rubric',
     category: 'individual_behavior',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -204,6 +312,7 @@ export const mockEmployeeKPIs = [
     value: 3,
     target: 3,
     unit: 'rubric',
+    normalization: 'rubric',
     category: 'individual_behavior',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -215,6 +324,7 @@ export const mockEmployeeKPIs = [
     value: 2.5,
     target: 3,
     unit: 'rubric',
+    normalization: 'rubric',
     category: 'individual_behavior',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -226,6 +336,7 @@ export const mockEmployeeKPIs = [
     value: 2.5,
     target: 3,
     unit: 'rubric',
+    normalization: 'rubric',
     category: 'individual_behavior',
     weight_version: 'v2.1',
     last_compute: '2025-12-03T15:30:00Z',
@@ -233,6 +344,105 @@ export const mockEmployeeKPIs = [
   },
 ];
 
+// Weight version in force at the start of each mock history quarter
+const MOCK_HISTORY_WEIGHT_VERSIONS = ['v1.5', 'v2.0', 'v2.1', 'v2.1', 'v2.1'];
+const MOCK_HISTORY_AS_OF = '2025-12-03T15:30:00Z';
+
+/**
+ * Quarterly score history for the mock KPIs, Q3 2024-25 to Q3 2025-26
+ * The current quarter is still open (final: false).
+ */
+export const mockScoreHistory = buildScoreHistory(
+  mockEmployeeData.id,
+  'quarter',
+  listPeriods('quarter', MOCK_HISTORY_WEIGHT_VERSIONS.length, MOCK_HISTORY_AS_OF).map((period, index) =>
+    computeScoreSnapshot({
+      employeeId: mockEmployeeData.id,
+      // Only the open quarter still has provisional data
+      kpis: mockEmployeeKPIs.map(({ trend, provisional, ...kpi }) => ({
+        ...kpi,
+        value: trend[index],
+        provisional: provisional && index === trend.length - 1,
+      })),
+      period,
+      weightVersion: MOCK_HISTORY_WEIGHT_VERSIONS[index],
+      now: new Date(MOCK_HISTORY_AS_OF),
+    })
+  )
+);
+
+/**
+ * 360 feedback on the mock behavioural KPIs for the current quarter
+ * Communication Skills has too few peer ratings, so they are hidden.
+ */
+export const mockFeedback = {
+  employeeId: mockEmployeeData.id,
+  period: '2025-26-Q3',
+  label: 'Q3 2025-26',
+  policy: {
+    raterWeights: { supervisor: 0.5, peer: 0.3, self: 0.2 },
+    minPeerRatings: 3,
+  },
+  kpis: [
+    {
+      id: 'KPI-E-007',
+      name: 'Professionalism & Ethics',
+      category: 'individual_behavior',
+      value: 3,
+      raterCounts: { supervisor: 1, peer: 4, self: 1 },
+      sources: ['supervisor', 'peer', 'self'],
+      peerRatingsHidden: false,
+    },
+    {
+      id: 'KPI-E-008',
+      name: 'Initiative & Proactiveness',
+      category: 'individual_behavior',
+      value: 2.5,
+      raterCounts: { supervisor: 1, peer: 4, self: 1 },
+      sources: ['supervisor', 'peer', 'self'],
+      peerRatingsHidden: false,
+    },
+    {
+      id: 'KPI-E-009',
+      name: 'Quality of Work',
+      category: 'individual_behavior',
+      value: 3,
+      raterCounts: { supervisor: 1, peer: 3, self: 1 },
+      sources: ['supervisor', 'peer', 'self'],
+      peerRatingsHidden: false,
+    },
+    {
+      id: 'KPI-E-010',
+      name: 'Attendance & Punctuality',
+      category: 'individual_behavior',
+      value: 2.5,
+      raterCounts: { supervisor: 1, peer: 0, self: 1 },
+      sources: ['supervisor', 'self'],
+      peerRatingsHidden: false,
+    },
+    {
+      id: 'KPI-E-011',
+      name: 'Communication Skills',
+      category: 'individual_behavior',
+      value: 2.5,
+      raterCounts: { supervisor: 1, peer: 2, self: 1 },
+      sources: ['supervisor', 'self'],
+      peerRatingsHidden: true,
+    },
+  ],
+  comments: [
+    { raterType: 'peer', text: 'Always ready to help with site reports' },
+    { raterType: 'supervisor', text: 'Consistently thorough inspections this quarter' },
+  ],
+  myRaterType: 'self',
+  mySubmission: null,
+  colleagues: [
+    { employeeId: 'emp-002', name: 'Priya Sharma' },
+    { employeeId: 'emp-003', name: 'Amit Patel' },
+    { employeeId: 'emp-004', name: 'Anjali Singh' },
+  ],
+};
+
 export const mockEmployeeTasks = [
   {
     id: 'TASK-001',
@@ -284,6 +494,104 @@ export const mockEmployeeTasks = [
   },
 ];
 
+/**
+ * Milestones of the employee's project
+ */
+export const mockEmployeeMilestones = mockProjectMilestones.map((milestone) => ({
+  ...milestone,
+  project_id: mockProjectMeta.id,
+  project_name: mockProjectMeta.name,
+}));
+
+/**
+ * Evidence record as returned by GET /api/evidence, scored for completeness
+ * against its linked task or milestone
+ */
+function mockEvidenceRecord({
+  id,
+  title,
+  description = '',
+  location = null,
+  fileName,
+  status,
+  statusReason = null,
+  createdAt,
+  ...links
+}) {
+  const record = {
+    id,
+    ownerId: mockEmployeeData.id,
+    ownerName: mockEmployeeData.name,
+    projectId: mockProjectMeta.id,
+    kpiId: null,
+    taskId: null,
+    milestoneId: null,
+    ...links,
+    files: [{ uploadId: id, fileName }],
+    metadata: { title, description, tags: [], location, timestamp: createdAt },
+    status,
+    reviewer: status === 'submitted' ? null : { id: 'sup-001', name: 'Amit Sharma' },
+    statusReason,
+    createdAt,
+    updatedAt: createdAt,
+  };
+  record.completeness = scoreEvidenceCompleteness(record, {
+    task: mockEmployeeTasks.find((task) => task.id === record.taskId),
+    milestone: mockEmployeeMilestones.find((milestone) => milestone.id === record.milestoneId),
+    now: new Date(MOCK_HISTORY_AS_OF),
+  });
+  return record;
+}
+
+export const mockMyEvidence = {
+  total: 4,
+  evidence: [
+    mockEvidenceRecord({
+      id: 'upload-1764655200000-q4draft01',
+      title: 'Q4 progress report draft',
+      description: 'First draft of the Q4 progress report with project activity summaries',
+      fileName: 'q4-progress-draft.pdf',
+      status: 'submitted',
+      kpiId: 'KPI-E-002',
+      taskId: 'TASK-001',
+      milestoneId: 'MS-003',
+      createdAt: '2025-12-02T06:00:00Z',
+    }),
+    mockEvidenceRecord({
+      id: 'upload-1764578400000-bldga0001',
+      title: 'Building A east wing',
+      fileName: 'capture-1764578400000.jpg',
+      status: 'needs_more_info',
+      statusReason: 'Capture location so the photo is geo-tagged',
+      kpiId: 'KPI-E-004',
+      taskId: 'TASK-002',
+      createdAt: '2025-12-01T08:40:00Z',
+    }),
+    mockEvidenceRecord({
+      id: 'upload-1764576000000-bldga0000',
+      title: 'Building A site walk-through',
+      description: 'Walk-through of the Building A ground floor before the safety inspection',
+      location: { latitude: 28.6139, longitude: 77.209, accuracy: 12 },
+      fileName: 'capture-1764576000000.jpg',
+      status: 'under_review',
+      kpiId: 'KPI-E-003',
+      taskId: 'TASK-002',
+      milestoneId: 'MS-003',
+      createdAt: '2025-12-01T08:00:00Z',
+    }),
+    mockEvidenceRecord({
+      id: 'upload-1764410400000-review001',
+      title: 'Phase 2 design review notes',
+      description: 'Review comments',
+      fileName: 'phase-2-review.docx',
+      status: 'verified',
+      kpiId: 'KPI-E-006',
+      taskId: 'TASK-004',
+      createdAt: '2025-11-29T10:00:00Z',
+    }),
+  ],
+};
+
 /**
  * Evidence Upload Queue Item (for offline support)
  */
@@ -4,7 +4,7 @@ import {
   fetchProjectMilestones,
   fetchProjectKPIs,
   fetchProjectEvidence,
-  verifyEvidence,
+  updateEvidenceStatus,
   updateMilestone,
   mockProjectMeta,
   mockProjectMilestones,
@@ -83,16 +83,16 @@ export function useProjectEvidence(projectId, useMock = true) {
 }
 
 /**
- * Hook: useVerifyEvidence
- * Mutation for marking evidence as verified (optimistic update)
+ * Hook: useReviewEvidence
+ * Mutation for moving evidence through the review workflow (optimistic update)
  */
-export function useVerifyEvidence(projectId) {
+export function useReviewEvidence(projectId) {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: ({ evidenceId, verified }) => verifyEvidence(evidenceId, verified),
+    mutationFn: ({ evidenceId, status, reason }) => updateEvidenceStatus(evidenceId, { status, reason }),
     // Optimistic update
-    onMutate: async ({ evidenceId, verified }) => {
+    onMutate: async ({ evidenceId, status, reason }) => {
       // Cancel outgoing refetches
       await queryClient.cancelQueries({ queryKey: ['projectEvidence', projectId] });
 
@@ -107,7 +107,7 @@ export function useVerifyEvidence(projectId) {
           pages: old.pages.map((page) => ({
             ...page,
             items: page.items.map((item) =>
-              item.id === evidenceId ? { ...item, verified } : item
+              item.id === evidenceId ? { ...item, status, status_reason: reason || null } : item
             ),
           })),
         };
@@ -6,10 +6,12 @@
  * - GET /api/projects/:projectId/milestones
  * - GET /api/projects/:projectId/kpis
  * - GET /api/projects/:projectId/evidence?cursor=&limit=20
- * - PATCH /api/evidence/:evidenceId/verify
+ * - PATCH /api/evidence/:evidenceId/status
  * - PATCH /api/milestones/:milestoneId
  */
 
+import { authFetch } from './useAuthApi';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
 
 /**
@@ -66,7 +68,9 @@ export async function fetchProjectKPIs(projectId) {
  *   items: [{
  *     id, type, title, description, uploaded_by,
  *     uploaded_at, geo_tag: {lat, lng}, image_url,
- *     tags: [], verified, completeness_score
+ *     tags: [], status, status_reason,
+ *     completeness_score, completeness_missing: [{ id, label, message }],   // src/utils/evidenceCompleteness.js
+ *     kpi_id, task_id, milestone_id   // what the evidence proves, null when not linked
  *   }],
  *   next_cursor: string | null
  * }
@@ -83,19 +87,23 @@ export async function fetchProjectEvidence({ projectId, cursor, limit = 20 }) {
 }
 
 /**
- * Verify Evidence (Optimistic Update)
- * PATCH /api/evidence/:evidenceId/verify
+ * Review Evidence (Optimistic Update)
+ * PATCH /api/evidence/:evidenceId/status
  * 
- * Body: { verified: boolean }
- * Returns: { id, verified, verified_by, verified_at }
+ * Body: { status, reason? } - next status in the review workflow (see
+ *   src/utils/evidenceWorkflow.js); reason is required to reject or request more info
+ * Returns: evidence record { id, status, reviewer, statusReason, history, ... }
  */
-export async function verifyEvidence(evidenceId, verified) {
-  const response = await fetch(`${API_BASE_URL}/evidence/${evidenceId}/verify`, {
+export async function updateEvidenceStatus(evidenceId, { status, reason }) {
+  const response = await authFetch(`${API_BASE_URL}/evidence/${evidenceId}/status`, {
     method: 'PATCH',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ verified }),
+    body: JSON.stringify({ status, reason }),
   });
-  if (!response.ok) throw new Error('Failed to verify evidence');
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || 'Failed to update evidence status');
+  }
   return response.json();
 }
 
@@ -107,7 +115,7 @@ export async function verifyEvidence(evidenceId, verified) {
  * Returns: updated milestone
  */
 export async function updateMilestone(milestoneId, updates) {
-  const response = await fetch(`${API_BASE_URL}/milestones/${milestoneId}`, {
+  const response = await authFetch(`${API_BASE_URL}/milestones/${milestoneId}`, {
     method: 'PATCH',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(updates),
@@ -236,21 +244,31 @@ export const mockProjectEvidence = {
       geo_tag: { lat: 28.6139, lng: 77.2090 },
       image_url: 'https://picsum.photos/seed/evd1/400/300',
       tags: ['survey', 'building-a', 'phase-1'],
-      verified: true,
-      completeness_score: 95,
+      status: 'verified',
+      completeness_score: 85,
+      completeness_missing: [
+        { id: 'description', label: 'Description', message: 'Describe the evidence in at least 5 words (4 so far)' },
+      ],
+      kpi_id: 'KPI-002',
+      task_id: 'TASK-002',
+      milestone_id: 'MS-003',
     },
     {
       id: 'EVD-002',
       type: 'document',
       title: 'Design Approval Document',
-      description: 'Approved by stakeholder committee',
+      description: 'Design approval signed by the stakeholder committee after the architecture review',
       uploaded_by: 'Priya Sharma',
       uploaded_at: '2025-11-28T14:20:00Z',
       geo_tag: null,
       image_url: 'https://picsum.photos/seed/evd2/400/300',
       tags: ['approval', 'design', 'documentation'],
-      verified: true,
+      status: 'verified',
       completeness_score: 100,
+      completeness_missing: [],
+      kpi_id: 'KPI-002',
+      task_id: null,
+      milestone_id: 'MS-002',
     },
     {
       id: 'EVD-003',
@@ -262,21 +280,31 @@ export const mockProjectEvidence = {
       geo_tag: { lat: 28.6142, lng: 77.2095 },
       image_url: 'https://picsum.photos/seed/evd3/400/300',
       tags: ['construction', 'foundation', 'progress'],
-      verified: false,
-      completeness_score: 80,
+      status: 'under_review',
+      completeness_score: 85,
+      completeness_missing: [
+        { id: 'description', label: 'Description', message: 'Describe the evidence in at least 5 words (4 so far)' },
+      ],
+      kpi_id: 'KPI-003',
+      task_id: null,
+      milestone_id: 'MS-003',
     },
     {
       id: 'EVD-004',
-      type: 'image',
+      type: 'document',
       title: 'Quality Inspection Report',
-      description: 'Third-party inspection results',
+      description: 'Third-party inspection results for the foundation and structural steel, signed by the inspector',
       uploaded_by: 'Sneha Reddy',
       uploaded_at: '2025-11-20T16:45:00Z',
       geo_tag: null,
       image_url: 'https://picsum.photos/seed/evd4/400/300',
       tags: ['quality', 'inspection', 'compliance'],
-      verified: true,
+      status: 'verified',
       completeness_score: 100,
+      completeness_missing: [],
+      kpi_id: 'KPI-004',
+      task_id: null,
+      milestone_id: 'MS-004',
     },
     {
       id: 'EVD-005',
@@ -288,8 +316,13 @@ export const mockProjectEvidence = {
       geo_tag: { lat: 28.6138, lng: 77.2088 },
       image_url: 'https://picsum.photos/seed/evd5/400/300',
       tags: ['logistics', 'materials', 'procurement'],
-      verified: false,
-      completeness_score: 75,
+      status: 'needs_more_info',
+      status_reason: 'Attach the signed delivery challan',
+      completeness_score: 100,
+      completeness_missing: [],
+      kpi_id: 'KPI-001',
+      task_id: null,
+      milestone_id: 'MS-003',
     },
   ],
   next_cursor: 'cursor_page2',
@@ -1,4 +1,5 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authFetch } from './useAuthApi';
 
 const API_BASE_URL = 'http://localhost:3003'; // Report generation server
 
@@ -15,7 +16,7 @@ const API_BASE_URL = 'http://localhost:3003'; // Report generation server
  * @returns {Promise<{jobId: string, status: string}>}
  */
 export async function generateReport({ employeeIds, startDate, endDate }) {
-  const response = await fetch(`${API_BASE_URL}/api/reports/generate`, {
+  const response = await authFetch(`${API_BASE_URL}/api/reports/generate`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -43,7 +44,7 @@ export async function generateReport({ employeeIds, startDate, endDate }) {
 export async function fetchJobStatus(jobId) {
   if (!jobId) return null;
 
-  const response = await fetch(`${API_BASE_URL}/api/reports/job/${jobId}`);
+  const response = await authFetch(`${API_BASE_URL}/api/reports/job/${jobId}`);
 
   if (!response.ok) {
     const error = await response.json();
@@ -59,7 +60,7 @@ export async function fetchJobStatus(jobId) {
  * @returns {Promise<Blob>}
  */
 export async function downloadReport(reportId) {
-  const response = await fetch(`${API_BASE_URL}/api/reports/download/${reportId}`);
+  const response = await authFetch(`${API_BASE_URL}/api/reports/download/${reportId}`);
 
   if (!response.ok) {
     throw new Error('Failed to download report');
@@ -74,7 +75,7 @@ export async function downloadReport(reportId) {
  * @returns {Promise<{valid: boolean, signer: string, timestamp: string}>}
  */
 export async function verifySignature(reportId) {
-  const response = await fetch(`${API_BASE_URL}/api/reports/verify/${reportId}`);
+  const response = await authFetch(`${API_BASE_URL}/api/reports/verify/${reportId}`);
 
   if (!response.ok) {
     const error = await response.json();
@@ -92,7 +93,7 @@ export async function verifySignature(reportId) {
  * @returns {Promise<{reports: Array, total: number}>}
  */
 export async function listReports({ page = 1, perPage = 20 } = {}) {
-  const response = await fetch(
+  const response = await authFetch(
     `${API_BASE_URL}/api/reports?page=${page}&perPage=${perPage}`
   );
 
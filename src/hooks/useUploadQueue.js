@@ -1,5 +1,14 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
+import { authFetch } from './useAuthApi';
+import {
+  UPLOAD_ERRORS,
+  UPLOAD_STATUSES,
+  chunkRange,
+  countChunks,
+  sha256Hex,
+} from '../utils/uploadChunks';
+import { saveUploadFile, loadUploadFile, deleteUploadFile } from '../utils/uploadFileStore';
 
 /**
  * useUploadQueue Hook
@@ -9,14 +18,16 @@ import { useQueryClient } from '@tanstack/react-query';
  * - Max 3 concurrent uploads
  * - Exponential backoff retries (max 5 attempts)
  * - Pause/Resume/Cancel individual uploads
- * - Chunked upload strategy (5MB chunks)
+ * - Chunked upload strategy (5MB chunks, each with a SHA-256 checksum, plus a
+ *   whole-file checksum verified when the server merges them)
+ * - Resumes from the chunks the server is missing, including after a reload
  * - Progress tracking per upload
- * - localStorage persistence
+ * - localStorage persistence (files are kept in IndexedDB, see
+ *   src/utils/uploadFileStore.js)
  */
 
 const MAX_CONCURRENT_UPLOADS = 3;
 const MAX_RETRIES = 5;
-const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 
 const QUEUE_STORAGE_KEY = 'evidence_upload_queue';
@@ -49,6 +60,10 @@ export function createUploadItem(file, metadata = {}) {
       tags: metadata.tags || [],
       location: metadata.location || null,
       timestamp: metadata.timestamp || new Date().toISOString(),
+      // What the evidence proves (see src/utils/evidenceLinks.js)
+      kpiId: metadata.kpiId || null,
+      taskId: metadata.taskId || null,
+      milestoneId: metadata.milestoneId || null,
       ...metadata,
     },
     status: UploadStatus.QUEUED,
@@ -57,19 +72,46 @@ export function createUploadItem(file, metadata = {}) {
     retryCount: 0,
     error: null,
     uploadId: null, // Server-assigned upload ID
+    fileChecksum: null, // SHA-256 of the whole file, sent with the first chunk
     createdAt: new Date().toISOString(),
   };
 }
 
+/**
+ * Upload session on the server
+ *
+ * @returns {Promise<Object|null>} { status, receivedChunks, missingChunks, ... }, or null when the server no longer has it
+ */
+async function fetchUploadStatus(uploadId) {
+  const response = await authFetch(`/api/evidence/upload/${uploadId}/status`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Upload status check failed: ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Drop the kept file of an upload that is done with
+ */
+function forgetFile(itemId) {
+  deleteUploadFile(itemId).catch((error) => console.error('Failed to remove upload file:', error));
+}
+
 /**
  * Main upload queue hook
  */
 export function useUploadQueue() {
   const [queue, setQueue] = useState(() => {
-    // Load queue from localStorage on init
+    // Load queue from localStorage on init; uploads cut off by the reload
+    // are queued again and resume from the chunks the server is missing
     try {
       const stored = localStorage.getItem(QUEUE_STORAGE_KEY);
-      return stored ? JSON.parse(stored) : [];
+      return stored
+        ? JSON.parse(stored).map((item) =>
+            item.status === UploadStatus.UPLOADING ? { ...item, status: UploadStatus.QUEUED } : item
+          )
+        : [];
     } catch (error) {
       console.error('Failed to load queue from storage:', error);
       return [];
@@ -80,10 +122,10 @@ export function useUploadQueue() {
   const uploadControllers = useRef(new Map()); // AbortControllers for each upload
   const queryClient = useQueryClient();
 
-  // Persist queue to localStorage whenever it changes
+  // Persist queue to localStorage whenever it changes (without the files)
   useEffect(() => {
     try {
-      localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+      localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue.map((item) => ({ ...item, file: undefined }))));
     } catch (error) {
       console.error('Failed to persist queue:', error);
     }
@@ -94,6 +136,9 @@ export function useUploadQueue() {
    */
   const addToQueue = useCallback((items) => {
     const newItems = Array.isArray(items) ? items : [items];
+    newItems.forEach((item) => {
+      saveUploadFile(item.id, item.file).catch((error) => console.error('Failed to keep upload file:', error));
+    });
     setQueue((prev) => [...prev, ...newItems]);
     return newItems.map((item) => item.id);
   }, []);
@@ -104,6 +149,7 @@ export function useUploadQueue() {
   const removeFromQueue = useCallback((itemId) => {
     setQueue((prev) => prev.filter((item) => item.id !== itemId));
     uploadControllers.current.delete(itemId);
+    forgetFile(itemId);
   }, []);
 
   /**
@@ -117,28 +163,38 @@ export function useUploadQueue() {
 
   /**
    * Upload single chunk with retry logic
+   * Network and server errors are retried, and so is a chunk the server
+   * received corrupted; a repeated chunk is acknowledged without being
+   * written twice.
    */
-  const uploadChunk = async (item, chunkIndex, chunk, retryCount = 0) => {
+  const uploadChunk = async (item, chunkIndex, chunk, chunkChecksum, retryCount = 0) => {
     const formData = new FormData();
     formData.append('chunk', chunk);
     formData.append('chunkIndex', chunkIndex);
-    formData.append('totalChunks', Math.ceil(item.fileSize / CHUNK_SIZE));
+    formData.append('chunkChecksum', chunkChecksum);
+    formData.append('totalChunks', countChunks(item.fileSize));
     formData.append('uploadId', item.uploadId || '');
     formData.append('fileName', item.fileName);
+    formData.append('fileSize', item.fileSize);
+    formData.append('fileChecksum', item.fileChecksum);
     formData.append('metadata', JSON.stringify(item.metadata));
 
     const controller = new AbortController();
     uploadControllers.current.set(`${item.id}-${chunkIndex}`, controller);
 
     try {
-      const response = await fetch('/api/evidence/upload', {
+      // Authenticated: the uploader becomes the owner of the evidence record
+      const response = await authFetch('/api/evidence/upload', {
         method: 'POST',
         body: formData,
         signal: controller.signal,
       });
 
       if (!response.ok) {
-        throw new Error(`Upload failed: ${response.statusText}`);
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.message || `Upload failed: ${response.statusText}`);
+        error.retryable = response.status >= 500 || body.error === UPLOAD_ERRORS.CHUNK_CHECKSUM_MISMATCH;
+        throw error;
       }
 
       const data = await response.json();
@@ -153,40 +209,89 @@ export function useUploadQueue() {
       }
 
       // Retry with exponential backoff
-      if (retryCount < MAX_RETRIES) {
+      if (error.retryable !== false && retryCount < MAX_RETRIES) {
         const delay = INITIAL_RETRY_DELAY * Math.pow(2, retryCount);
         await new Promise((resolve) => setTimeout(resolve, delay));
-        return uploadChunk(item, chunkIndex, chunk, retryCount + 1);
+        return uploadChunk(item, chunkIndex, chunk, chunkChecksum, retryCount + 1);
       }
 
       throw error;
     }
   };
 
+  /**
+   * Mark an upload completed and refresh what it feeds
+   */
+  const completeUpload = useCallback((item) => {
+    updateQueueItem(item.id, {
+      status: UploadStatus.COMPLETED,
+      progress: 100,
+      uploadedBytes: item.fileSize,
+    });
+    forgetFile(item.id);
+
+    // Invalidate related queries
+    queryClient.invalidateQueries({ queryKey: ['projectEvidence'] });
+    queryClient.invalidateQueries({ queryKey: ['employeeKPIs'] });
+  }, [queryClient, updateQueueItem]);
+
   /**
    * Process upload for a single item
+   * An item with an uploadId asks the server which chunks it is missing and
+   * sends only those; otherwise the whole file is sent under a new uploadId.
    */
   const processUpload = useCallback(async (item) => {
-    if (!item.file) {
-      updateQueueItem(item.id, {
-        status: UploadStatus.FAILED,
-        error: 'File not found',
-      });
-      return;
-    }
-
     try {
       updateQueueItem(item.id, {
         status: UploadStatus.UPLOADING,
         error: null,
       });
 
-      const totalChunks = Math.ceil(item.fileSize / CHUNK_SIZE);
-      let uploadedBytes = item.uploadedBytes || 0;
-      let currentChunk = Math.floor(uploadedBytes / CHUNK_SIZE);
+      // After a reload the file comes back from IndexedDB
+      const file = item.file || (await loadUploadFile(item.id).catch(() => null));
+      if (!file) {
+        updateQueueItem(item.id, {
+          status: UploadStatus.FAILED,
+          error: 'File not found. Add the file again to upload it.',
+        });
+        return;
+      }
+
+      const totalChunks = countChunks(item.fileSize);
+      let { uploadId, fileChecksum } = item;
+      let pendingChunks = Array.from({ length: totalChunks }, (_, index) => index);
+
+      if (uploadId) {
+        const session = await fetchUploadStatus(uploadId);
+        if (session?.status === UPLOAD_STATUSES.COMPLETED) {
+          completeUpload(item);
+          return;
+        }
+        if (session?.status === UPLOAD_STATUSES.UPLOADING) {
+          pendingChunks = session.missingChunks;
+        } else {
+          // Expired or failed on the server: start over
+          uploadId = null;
+        }
+      }
+
+      if (!uploadId) {
+        fileChecksum = await sha256Hex(file);
+        updateQueueItem(item.id, { uploadId: null, fileChecksum });
+      }
+
+      const chunkBytes = (index) => {
+        const { start, end } = chunkRange(index, item.fileSize);
+        return end - start;
+      };
+      const percentOf = (bytes) => (item.fileSize ? Math.round((bytes / item.fileSize) * 100) : 0);
+
+      let uploadedBytes = pendingChunks.reduce((bytes, index) => bytes - chunkBytes(index), item.fileSize);
+      updateQueueItem(item.id, { uploadedBytes, progress: percentOf(uploadedBytes) });
 
       // Upload chunks
-      while (currentChunk < totalChunks) {
+      let result = null;
+      for (const chunkIndex of pendingChunks) {
         // Check if paused or cancelled
         const currentItem = queue.find((q) => q.id === item.id);
         if (currentItem?.status === UploadStatus.PAUSED) {
@@ -196,38 +301,31 @@ export function useUploadQueue() {
           throw new Error('Upload cancelled');
         }
 
-        const start = currentChunk * CHUNK_SIZE;
-        const end = Math.min(start + CHUNK_SIZE, item.fileSize);
-        const chunk = item.file.slice(start, end);
+        const { start, end } = chunkRange(chunkIndex, item.fileSize);
+        const chunk = file.slice(start, end);
+        const chunkChecksum = await sha256Hex(chunk);
 
-        const result = await uploadChunk(item, currentChunk, chunk);
+        result = await uploadChunk({ ...item, uploadId, fileChecksum }, chunkIndex, chunk, chunkChecksum);
 
-        // Store uploadId from first chunk response
-        if (currentChunk === 0 && result.uploadId) {
-          updateQueueItem(item.id, { uploadId: result.uploadId });
+        // Store uploadId from the response that opened the session
+        if (!uploadId && result.uploadId) {
+          uploadId = result.uploadId;
+          updateQueueItem(item.id, { uploadId });
         }
 
-        uploadedBytes = end;
-        const progress = Math.round((uploadedBytes / item.fileSize) * 100);
-
+        uploadedBytes += end - start;
         updateQueueItem(item.id, {
           uploadedBytes,
-          progress,
+          progress: percentOf(uploadedBytes),
         });
-
-        currentChunk++;
       }
 
-      // Mark as completed
-      updateQueueItem(item.id, {
-        status: UploadStatus.COMPLETED,
-        progress: 100,
-        uploadedBytes: item.fileSize,
-      });
+      // The server completes the upload once the merged file matches fileChecksum
+      if (result?.status !== UPLOAD_STATUSES.COMPLETED) {
+        throw new Error('Upload not completed by the server');
+      }
 
-      // Invalidate related queries
-      queryClient.invalidateQueries({ queryKey: ['projectEvidence'] });
-      queryClient.invalidateQueries({ queryKey: ['employeeKPIs'] });
+      completeUpload(item);
     } catch (error) {
       if (error.name === 'AbortError' || error.message === 'Upload cancelled') {
         // Already handled by cancel/pause
@@ -257,13 +355,16 @@ export function useUploadQueue() {
         return next;
       });
     }
-  }, [queue, queryClient, updateQueueItem]);
+  }, [queue, completeUpload, updateQueueItem]);
 
   /**
    * Start processing queue
    */
   useEffect(() => {
-    const queuedItems = queue.filter((item) => item.status === UploadStatus.QUEUED);
+    // An item already being processed is never started twice
+    const queuedItems = queue.filter(
+      (item) => item.status === UploadStatus.QUEUED && !activeUploads.has(item.id)
+    );
     const activeCount = activeUploads.size;
 
     // Start new uploads if slots available
@@ -317,6 +418,7 @@ export function useUploadQueue() {
     });
 
     updateQueueItem(itemId, { status: UploadStatus.CANCELLED });
+    forgetFile(itemId);
 
     // Remove from active uploads
     setActiveUploads((prev) => {
@@ -327,7 +429,7 @@ export function useUploadQueue() {
   }, [updateQueueItem]);
 
   /**
-   * Retry failed upload
+   * Retry failed upload (resumes from the chunks the server is missing)
    */
   const retryUpload = useCallback((itemId) => {
     updateQueueItem(itemId, {
@@ -357,6 +459,7 @@ export function useUploadQueue() {
       if (item.status === UploadStatus.UPLOADING) {
         cancelUpload(item.id);
       }
+      forgetFile(item.id);
     });
     setQueue([]);
   }, [queue, cancelUpload]);
@@ -17,6 +17,9 @@ import {
 import WeightEditor from './Admin/WeightEditor';
 import AuditTrail from './Admin/AuditTrail';
 import Logo from '../components/Logo';
+import UserMenu from '../components/auth/UserMenu';
+import { useAuth } from '../hooks/useAuth';
+import { ROLES, ROLE_LABELS } from '../utils/roles';
 
 /**
  * TabPanel Component
@@ -38,8 +41,10 @@ function TabPanel({ children, value, index, ...other }) {
 /**
  * Admin Component
  * Main admin panel with KPI weight management, calibration preview, and audit trail
+ * Auditors see the same panels in read-only mode.
  */
 export default function Admin() {
+  const { user } = useAuth();
   const [tabValue, setTabValue] = useState(0);
 
   const handleTabChange = (event, newValue) => {
@@ -57,11 +62,12 @@ export default function Admin() {
           </Typography>
           <Chip
             icon={<AdminIcon />}
-            label="Administrator"
-            color="error"
+            label={ROLE_LABELS[user?.role] || 'Administrator'}
+            color={user?.role === ROLES.ADMIN ? 'error' : 'default'}
             size="small"
             sx={{ fontWeight: 600 }}
           />
+          <UserMenu />
         </Toolbar>
       </AppBar>
 
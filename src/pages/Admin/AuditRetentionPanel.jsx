@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Button,
+  Alert,
+  Tooltip,
+  Collapse,
+} from '@mui/material';
+import { Archive as ArchiveIcon, ExpandMore as ExpandMoreIcon } from '@mui/icons-material';
+import {
+  useAuditRetention,
+  useAuditArchives,
+  useUpdateAuditRetention,
+  useRunAuditArchival,
+} from '../../hooks/useAdminApi';
+import { useAuth } from '../../hooks/useAuth';
+import { ROLES } from '../../utils/roles';
+import { AUDIT_ACTION_LABELS } from '../../utils/auditActions';
+
+/**
+ * Days field value: blank keeps forever
+ */
+const toDaysInput = (days) => (days === null || days === undefined ? '' : String(days));
+const fromDaysInput = (value) => (value.trim() === '' ? null : Number(value));
+
+const describeRetention = (days) => (days === null ? 'Keep forever' : `${days} days`);
+
+/**
+ * AuditRetentionPanel Component
+ * Retention period per action type and the archives of expired entries.
+ * Admins can edit the policy and archive expired entries immediately; the
+ * server also archives them daily.
+ */
+export default function AuditRetentionPanel() {
+  const { user } = useAuth();
+  const canEdit = user?.role === ROLES.ADMIN;
+
+  const { data: policy } = useAuditRetention();
+  const { data: archiveData } = useAuditArchives();
+  const updateMutation = useUpdateAuditRetention();
+  const archivalMutation = useRunAuditArchival();
+
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(null);
+
+  if (!policy) return null;
+
+  const archives = archiveData?.archives || [];
+  const editing = draft !== null;
+  const values = draft || {
+    defaultDays: toDaysInput(policy.defaultDays),
+    ...Object.fromEntries(
+      Object.keys(AUDIT_ACTION_LABELS).map((actionType) => [
+        actionType,
+        toDaysInput(actionType in policy.actionTypes ? policy.actionTypes[actionType] : policy.defaultDays),
+      ])
+    ),
+  };
+
+  const handleSave = async () => {
+    // Every listed action type is saved explicitly; the default covers new ones
+    const actionTypes = Object.fromEntries(
+      Object.keys(AUDIT_ACTION_LABELS).map((actionType) => [actionType, fromDaysInput(values[actionType])])
+    );
+
+    try {
+      await updateMutation.mutateAsync({ defaultDays: fromDaysInput(values.defaultDays), actionTypes });
+      setDraft(null);
+    } catch (error) {
+      console.error('Failed to update audit retention:', error);
+    }
+  };
+
+  const daysField = (key) =>
+    editing ? (
+      <TextField
+        size="small"
+        type="number"
+        value={values[key]}
+        onChange={(e) => setDraft({ ...values, [key]: e.target.value })}
+        placeholder="Forever"
+        inputProps={{ min: 1, 'aria-label': `${key} retention days` }}
+        sx={{ width: 120 }}
+      />
+    ) : (
+      describeRetention(fromDaysInput(values[key]))
+    );
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Box>
+            <Typography variant="h6">Retention & Archives</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {archives.length} archive{archives.length === 1 ? '' : 's'} •{' '}
+              {archives.reduce((sum, archive) => sum + archive.entryCount, 0)} entries archived • default{' '}
+              {describeRetention(policy.defaultDays).toLowerCase()}
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            {canEdit && (
+              <Button
+                variant="outlined"
+                startIcon={<ArchiveIcon />}
+                onClick={() => archivalMutation.mutate()}
+                disabled={archivalMutation.isPending}
+              >
+                {archivalMutation.isPending ? 'Archiving...' : 'Archive Expired Now'}
+              </Button>
+            )}
+            <Button
+              onClick={() => setExpanded(!expanded)}
+              endIcon={<ExpandMoreIcon sx={{ transform: expanded ? 'rotate(180deg)' : 'none' }} />}
+            >
+              {expanded ? 'Hide' : 'Details'}
+            </Button>
+          </Box>
+        </Box>
+
+        {archivalMutation.data && (
+          <Alert severity="success" sx={{ mt: 2 }} onClose={() => archivalMutation.reset()}>
+            {archivalMutation.data.archive
+              ? `Archived ${archivalMutation.data.archivedEntries} entries to ${archivalMutation.data.archive.file}`
+              : 'No entries are past their retention period'}
+          </Alert>
+        )}
+        {(archivalMutation.error || updateMutation.error) && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {(archivalMutation.error || updateMutation.error).message}
+          </Alert>
+        )}
+
+        <Collapse in={expanded} timeout="auto" unmountOnExit>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2, mb: 1 }}>
+            <Typography variant="subtitle2">Retention Policy</Typography>
+            {canEdit &&
+              (editing ? (
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button size="small" onClick={() => setDraft(null)}>
+                    Cancel
+                  </Button>
+                  <Button size="small" variant="contained" onClick={handleSave} disabled={updateMutation.isPending}>
+                    Save Policy
+                  </Button>
+                </Box>
+              ) : (
+                <Button size="small" onClick={() => setDraft(values)}>
+                  Edit
+                </Button>
+              ))}
+          </Box>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Action Type</TableCell>
+                  <TableCell>Retention</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 500 }}>Default (all other actions)</TableCell>
+                  <TableCell>{daysField('defaultDays')}</TableCell>
+                </TableRow>
+                {Object.entries(AUDIT_ACTION_LABELS).map(([actionType, label]) => (
+                  <TableRow key={actionType}>
+                    <TableCell>{label}</TableCell>
+                    <TableCell>
+                      {editing || actionType in policy.actionTypes ? (
+                        daysField(actionType)
+                      ) : (
+                        <Typography variant="body2" color="text.secondary">
+                          Default
+                        </Typography>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>
+            Archives
+          </Typography>
+          {archives.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No entries have been archived yet
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>File</TableCell>
+                    <TableCell>Period</TableCell>
+                    <TableCell align="right">Entries</TableCell>
+                    <TableCell align="right">Size</TableCell>
+                    <TableCell>SHA-256</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {[...archives].reverse().map((archive) => (
+                    <TableRow key={archive.file}>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{archive.file}</TableCell>
+                      <TableCell>
+                        {new Date(archive.fromTimestamp).toLocaleDateString()} –{' '}
+                        {new Date(archive.toTimestamp).toLocaleDateString()}
+                      </TableCell>
+                      <TableCell align="right">{archive.entryCount}</TableCell>
+                      <TableCell align="right">{(archive.sizeBytes / 1024).toFixed(1)} KB</TableCell>
+                      <TableCell>
+                        <Tooltip title={archive.sha256}>
+                          <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                            {archive.sha256.slice(0, 12)}…
+                          </Typography>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Collapse>
+      </CardContent>
+    </Card>
+  );
+}
@@ -20,15 +20,95 @@ import {
   IconButton,
   Collapse,
   Grid,
+  Alert,
+  Tooltip,
+  Button,
+  Menu,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   ExpandMore as ExpandMoreIcon,
   Search as SearchIcon,
   FilterList as FilterListIcon,
+  VerifiedUser as VerifiedUserIcon,
+  GppBad as GppBadIcon,
+  Refresh as RefreshIcon,
+  FileDownload as FileDownloadIcon,
 } from '@mui/icons-material';
-import { useAuditTrail } from '../../hooks/useAdminApi';
+import { useAuditTrail, useAuditIntegrity, useExportAuditTrail } from '../../hooks/useAdminApi';
+import { AUDIT_ACTION_LABELS } from '../../utils/auditActions';
+import AuditRetentionPanel from './AuditRetentionPanel';
 import TimeAgo from 'react-timeago';
 
+// Server that wrote the entry (entries from before the shared log are admin)
+const SERVICE_LABELS = {
+  admin: 'Admin',
+  evidence: 'Evidence',
+  report: 'Reports',
+  ai: 'AI Assistant',
+};
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'jsonl', label: 'JSON Lines' },
+  { format: 'pdf', label: 'Signed PDF' },
+];
+
+/**
+ * IntegrityIndicator Component
+ * Result of re-verifying the audit hash chain, with the first broken entry
+ */
+function IntegrityIndicator({ integrity, isFetching, onVerify }) {
+  const verifyButton = (
+    <Tooltip title="Verify again">
+      <span>
+        <IconButton size="small" onClick={onVerify} disabled={isFetching} aria-label="Verify audit chain">
+          <RefreshIcon fontSize="small" />
+        </IconButton>
+      </span>
+    </Tooltip>
+  );
+
+  if (!integrity) {
+    return (
+      <Chip label={isFetching ? 'Verifying chain...' : 'Chain not verified'} size="small" variant="outlined" />
+    );
+  }
+
+  if (integrity.valid) {
+    return (
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <Tooltip title={`Head hash ${integrity.headHash} • checked ${new Date(integrity.checkedAt).toLocaleString()}`}>
+          <Chip
+            icon={<VerifiedUserIcon />}
+            label={`Chain intact • ${integrity.verifiedEntries + (integrity.archivedEntries || 0)} entries verified`}
+            color="success"
+            size="small"
+          />
+        </Tooltip>
+        {verifyButton}
+      </Box>
+    );
+  }
+
+  const { brokenAt } = integrity;
+  if (!brokenAt) {
+    const failed = (integrity.archives || []).filter((archive) => !archive.valid).map((archive) => archive.file);
+    return (
+      <Alert severity="error" icon={<GppBadIcon />} action={verifyButton}>
+        Archive checksum mismatch: {failed.join(', ')}. Archived entries in these files cannot be trusted.
+      </Alert>
+    );
+  }
+  return (
+    <Alert severity="error" icon={<GppBadIcon />} action={verifyButton}>
+      Chain broken at entry {brokenAt.id || '(unreadable)'} (#{brokenAt.index + 1} of {integrity.totalEntries}):{' '}
+      {brokenAt.message}. Entries from this point cannot be trusted.
+    </Alert>
+  );
+}
+
 /**
  * AuditTrail Component
  * Searchable, paginated audit log with filters
@@ -40,7 +120,8 @@ export default function AuditTrail() {
   const [actorFilter, setActorFilter] = useState('');
   const [dateFromFilter, setDateFromFilter] = useState('');
   const [dateToFilter, setDateToFilter] = useState('');
-  
+  const [includeArchived, setIncludeArchived] = useState(false);
+
   // Pagination
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(50);
@@ -48,19 +129,36 @@ export default function AuditTrail() {
   // Expanded rows
   const [expandedRow, setExpandedRow] = useState(null);
 
+  // Export menu
+  const [exportAnchor, setExportAnchor] = useState(null);
+  const exportMutation = useExportAuditTrail();
+
+  // Filters shared by the table and exports (undefined values are dropped)
+  const filters = Object.fromEntries(
+    Object.entries({
+      search: searchQuery || undefined,
+      actionType: actionTypeFilter !== 'all' ? actionTypeFilter : undefined,
+      actor: actorFilter || undefined,
+      dateFrom: dateFromFilter || undefined,
+      dateTo: dateToFilter || undefined,
+      includeArchived: includeArchived || undefined,
+    }).filter(([, value]) => value !== undefined)
+  );
+
   // Fetch data
   const { data: auditData, isLoading } = useAuditTrail(
     {
       page: page + 1,
       perPage: rowsPerPage,
-      search: searchQuery,
-      actionType: actionTypeFilter !== 'all' ? actionTypeFilter : undefined,
-      actor: actorFilter || undefined,
-      dateFrom: dateFromFilter || undefined,
-      dateTo: dateToFilter || undefined,
+      ...filters,
     },
     true
   );
+  const {
+    data: integrity,
+    isFetching: isVerifying,
+    refetch: verifyChain,
+  } = useAuditIntegrity();
 
   const handleChangePage = (event, newPage) => {
     setPage(newPage);
@@ -71,6 +169,11 @@ export default function AuditTrail() {
     setPage(0);
   };
 
+  const handleExport = (format) => {
+    setExportAnchor(null);
+    exportMutation.mutate({ format, params: filters });
+  };
+
   const toggleRow = (id) => {
     setExpandedRow(expandedRow === id ? null : id);
   };
@@ -85,6 +188,29 @@ export default function AuditTrail() {
         return 'info';
       case 'WEIGHT_ROLLBACK':
         return 'warning';
+      case 'WEIGHT_ACTIVATED':
+      case 'WEIGHT_CHANGE_APPROVED':
+        return 'success';
+      case 'WEIGHT_CHANGE_REQUESTED':
+        return 'info';
+      case 'WEIGHT_CHANGE_REJECTED':
+      case 'EVIDENCE_REJECTED':
+        return 'error';
+      case 'EVIDENCE_VERIFIED':
+      case 'REPORT_GENERATED':
+        return 'success';
+      case 'MILESTONE_UPDATED':
+      case 'AUDIT_RETENTION_UPDATED':
+      case 'FEEDBACK_POLICY_UPDATED':
+        return 'warning';
+      case 'AUDIT_ARCHIVED':
+      case 'EVIDENCE_STATUS_CHANGED':
+        return 'secondary';
+      case 'REPORT_DOWNLOADED':
+      case 'AI_QUERY':
+      case 'FEEDBACK_SUBMITTED':
+      case 'EVIDENCE_SUBMITTED':
+        return 'info';
       default:
         return 'default';
     }
@@ -104,11 +230,35 @@ export default function AuditTrail() {
             Audit Trail
           </Typography>
           <Typography variant="body2" color="text.secondary">
-            Complete history of all admin actions and changes
+            Complete history of admin, evidence, report and AI assistant actions
           </Typography>
         </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <IntegrityIndicator integrity={integrity} isFetching={isVerifying} onVerify={() => verifyChain()} />
+          <Button
+            variant="outlined"
+            startIcon={<FileDownloadIcon />}
+            onClick={(e) => setExportAnchor(e.currentTarget)}
+            disabled={exportMutation.isPending}
+          >
+            {exportMutation.isPending ? 'Exporting...' : 'Export'}
+          </Button>
+          <Menu anchorEl={exportAnchor} open={Boolean(exportAnchor)} onClose={() => setExportAnchor(null)}>
+            {EXPORT_FORMATS.map(({ format, label }) => (
+              <MenuItem key={format} onClick={() => handleExport(format)}>
+                {label}
+              </MenuItem>
+            ))}
+          </Menu>
+        </Box>
       </Box>
 
+      {exportMutation.error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => exportMutation.reset()}>
+          {exportMutation.error.message}
+        </Alert>
+      )}
+
       {/* Filters */}
       <Card sx={{ mb: 3 }}>
         <CardContent>
@@ -134,10 +284,11 @@ export default function AuditTrail() {
                   label="Action Type"
                 >
                   <MenuItem value="all">All Actions</MenuItem>
-                  <MenuItem value="WEIGHT_UPDATE">Weight Update</MenuItem>
-                  <MenuItem value="KPI_WEIGHT_UPDATE">KPI Weight Update</MenuItem>
-                  <MenuItem value="CALIBRATION_PREVIEW">Calibration Preview</MenuItem>
-                  <MenuItem value="WEIGHT_ROLLBACK">Weight Rollback</MenuItem>
+                  {Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>
+                      {label}
+                    </MenuItem>
+                  ))}
                 </Select>
               </FormControl>
             </Grid>
@@ -166,10 +317,18 @@ export default function AuditTrail() {
                 <FilterListIcon />
               </IconButton>
             </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={<Switch checked={includeArchived} onChange={(e) => setIncludeArchived(e.target.checked)} />}
+                label="Include archived entries (searches archives overlapping the date range)"
+              />
+            </Grid>
           </Grid>
         </CardContent>
       </Card>
 
+      <AuditRetentionPanel />
+
       {/* Audit Log Table */}
       <Card>
         <CardContent>
@@ -239,6 +398,10 @@ export default function AuditTrail() {
                             size="small"
                             color={getActionTypeColor(entry.actionType)}
                           />
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {SERVICE_LABELS[entry.service || 'admin']}
+                            {entry.archived && ' • Archived'}
+                          </Typography>
                         </TableCell>
                         <TableCell>
                           <Typography variant="body2">{entry.target}</Typography>
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+} from '@mui/material';
+import { ArrowUpward as ArrowUpwardIcon, ArrowDownward as ArrowDownwardIcon } from '@mui/icons-material';
+
+// Significant changes listed before "Show all"
+const INITIAL_ROWS = 10;
+
+/**
+ * RankChange Component
+ * Rank before → after with the number of places moved
+ */
+function RankChange({ emp }) {
+  if (emp.rankChange === 0) {
+    return <Typography variant="body2">#{emp.rankBefore}</Typography>;
+  }
+
+  const rose = emp.rankChange > 0;
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color: rose ? 'success.main' : 'error.main' }}>
+      <Typography variant="body2" color="text.primary">
+        #{emp.rankBefore} → #{emp.rankAfter}
+      </Typography>
+      {rose ? <ArrowUpwardIcon fontSize="inherit" /> : <ArrowDownwardIcon fontSize="inherit" />}
+      <Typography variant="caption">{Math.abs(emp.rankChange)}</Typography>
+    </Box>
+  );
+}
+
+/**
+ * CalibrationGradeChanges Component
+ * APAR grade transitions, organisation-wide rank movement and the list of
+ * significant changes (every grade change plus score changes of ±5 points).
+ *
+ * @param {Object} props.gradeAnalysis - { transitions, upgrades, downgrades }
+ * @param {Object} props.rankAnalysis - { employeesMoved, meanAbsShift, maxRise, maxFall }
+ * @param {Array} props.significantEmployees - Significant changes, grade changes first
+ */
+export default function CalibrationGradeChanges({ gradeAnalysis, rankAnalysis, significantEmployees = [] }) {
+  const [showAll, setShowAll] = useState(false);
+  const rows = showAll ? significantEmployees : significantEmployees.slice(0, INITIAL_ROWS);
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Grade &amp; Rank Changes
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={12} md={6}>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Grade transitions: {gradeAnalysis.upgrades} up, {gradeAnalysis.downgrades} down
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              {gradeAnalysis.transitions.length === 0 && <Chip label="No grade changes" size="small" />}
+              {gradeAnalysis.transitions.map((transition) => (
+                <Chip
+                  key={`${transition.from}-${transition.to}`}
+                  label={`${transition.from} → ${transition.to}: ${transition.count}`}
+                  color={transition.direction === 'up' ? 'success' : 'error'}
+                  size="small"
+                />
+              ))}
+            </Box>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Rank movement
+            </Typography>
+            <Typography variant="body2">
+              {rankAnalysis.employeesMoved} employees change rank (average {rankAnalysis.meanAbsShift} places).
+              Largest rise {rankAnalysis.maxRise}, largest fall {rankAnalysis.maxFall}.
+            </Typography>
+          </Grid>
+        </Grid>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Employee</TableCell>
+                <TableCell align="center">Grade</TableCell>
+                <TableCell align="center">Score</TableCell>
+                <TableCell>Rank</TableCell>
+                <TableCell>Reason</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((emp) => (
+                <TableRow key={emp.employeeId}>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                      {emp.name}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {emp.employeeId} • {emp.division}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="center">
+                    {emp.gradeBefore === emp.gradeAfter ? (
+                      emp.gradeAfter
+                    ) : (
+                      <Chip label={`${emp.gradeBefore} → ${emp.gradeAfter}`} size="small" color="warning" />
+                    )}
+                  </TableCell>
+                  <TableCell align="center">
+                    {emp.scoreBefore} → {emp.scoreAfter}
+                  </TableCell>
+                  <TableCell>
+                    <RankChange emp={emp} />
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" color="text.secondary">
+                      {emp.reason}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {significantEmployees.length > INITIAL_ROWS && (
+          <Button size="small" onClick={() => setShowAll(!showAll)} sx={{ mt: 1 }}>
+            {showAll ? 'Show fewer' : `Show all ${significantEmployees.length}`}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Collapse,
+  IconButton,
+} from '@mui/material';
+import { ExpandMore as ExpandMoreIcon, ExpandLess as ExpandLessIcon } from '@mui/icons-material';
+
+const DIMENSIONS = [
+  { key: 'division', label: 'Division' },
+  { key: 'gradeBand', label: 'Grade Band' },
+  { key: 'designation', label: 'Designation' },
+];
+
+const formatDelta = (delta) => `${delta > 0 ? '+' : ''}${delta.toFixed(1)}`;
+
+const deltaColor = (delta) => {
+  if (delta > 0) return 'success.main';
+  if (delta < 0) return 'error.main';
+  return 'text.secondary';
+};
+
+/**
+ * AffectedEmployees Component
+ * Drill-down list of employees in one group whose score changes
+ */
+function AffectedEmployees({ employees }) {
+  if (employees.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+        No employees in this group change score.
+      </Typography>
+    );
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Employee</TableCell>
+          <TableCell align="center">Before</TableCell>
+          <TableCell align="center">After</TableCell>
+          <TableCell align="center">Delta</TableCell>
+          <TableCell align="center">Grade</TableCell>
+          <TableCell>Reason</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {employees.map((emp) => (
+          <TableRow key={emp.employeeId}>
+            <TableCell>
+              <Typography variant="body2">{emp.name}</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {emp.employeeId}
+              </Typography>
+            </TableCell>
+            <TableCell align="center">{emp.scoreBefore}</TableCell>
+            <TableCell align="center">{emp.scoreAfter}</TableCell>
+            <TableCell align="center" sx={{ color: deltaColor(emp.delta) }}>
+              {formatDelta(emp.delta)}
+            </TableCell>
+            <TableCell align="center">
+              {emp.gradeBefore === emp.gradeAfter ? (
+                emp.gradeBefore
+              ) : (
+                <Chip label={`${emp.gradeBefore} → ${emp.gradeAfter}`} size="small" color="warning" />
+              )}
+            </TableCell>
+            <TableCell>
+              <Typography variant="caption" color="text.secondary">
+                {emp.reason}
+              </Typography>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+/**
+ * CalibrationGroupBreakdown Component
+ * Calibration impact grouped by division, grade band or designation, so
+ * admins can spot a weight change that hurts one group disproportionately.
+ * Selecting a group lists its affected employees.
+ *
+ * @param {Object} props.groups - Group statistics keyed by dimension
+ * @param {Array} props.employees - Affected employees with division/gradeBand/designation
+ */
+export default function CalibrationGroupBreakdown({ groups, employees = [] }) {
+  const [dimension, setDimension] = useState(DIMENSIONS[0].key);
+  const [expandedGroup, setExpandedGroup] = useState(null);
+
+  const rows = groups[dimension] || [];
+
+  const handleDimensionChange = (event, value) => {
+    setDimension(value);
+    setExpandedGroup(null);
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Impact by Group
+        </Typography>
+        <Tabs value={dimension} onChange={handleDimensionChange} sx={{ mb: 2 }}>
+          {DIMENSIONS.map(({ key, label }) => (
+            <Tab key={key} value={key} label={label} />
+          ))}
+        </Tabs>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell />
+                <TableCell>{DIMENSIONS.find((d) => d.key === dimension).label}</TableCell>
+                <TableCell align="center">Employees</TableCell>
+                <TableCell align="center">Mean Delta</TableCell>
+                <TableCell align="center">Median Shift</TableCell>
+                <TableCell align="center">Grade Changes</TableCell>
+                <TableCell align="center">Significant</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((group) => {
+                const isExpanded = expandedGroup === group.key;
+
+                return (
+                  <React.Fragment key={group.key}>
+                    <TableRow
+                      hover
+                      onClick={() => setExpandedGroup(isExpanded ? null : group.key)}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell padding="checkbox">
+                        <IconButton size="small" aria-label={`Show employees in ${group.key}`}>
+                          {isExpanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                        </IconButton>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                          {group.key}
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="center">{group.employeeCount}</TableCell>
+                      <TableCell align="center" sx={{ color: deltaColor(group.meanDelta) }}>
+                        {formatDelta(group.meanDelta)}
+                      </TableCell>
+                      <TableCell align="center" sx={{ color: deltaColor(group.medianShift) }}>
+                        {formatDelta(group.medianShift)}
+                      </TableCell>
+                      <TableCell align="center">
+                        <Chip
+                          label={group.gradeChanges}
+                          size="small"
+                          color={group.gradeChanges > 0 ? 'warning' : 'default'}
+                        />
+                      </TableCell>
+                      <TableCell align="center">{group.significantChanges}</TableCell>
+                    </TableRow>
+                    <TableRow>
+                      <TableCell colSpan={7} sx={{ py: 0, borderBottom: isExpanded ? undefined : 'none' }}>
+                        <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                          <Box sx={{ py: 1 }}>
+                            <AffectedEmployees
+                              employees={employees.filter((emp) => emp[dimension] === group.key)}
+                            />
+                          </Box>
+                        </Collapse>
+                      </TableCell>
+                    </TableRow>
+                  </React.Fragment>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </CardContent>
+    </Card>
+  );
+}
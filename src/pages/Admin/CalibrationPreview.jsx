@@ -20,17 +20,30 @@ import {
   TrendingFlat as TrendingFlatIcon,
 } from '@mui/icons-material';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import CalibrationGroupBreakdown from './CalibrationGroupBreakdown';
+import CalibrationGradeChanges from './CalibrationGradeChanges';
 
 /**
  * CalibrationPreview Component
- * Displays before/after score distributions, top impacted employees, and KPI delta heatmap
+ * Displays before/after score distributions, top impacted employees, grade and
+ * rank changes, impact by division/grade band/designation, and KPI delta heatmap
  * 
  * @param {Object} props.data - Calibration preview data from API
  */
 export default function CalibrationPreview({ data }) {
   if (!data) return null;
 
-  const { summary, scoreDistribution, topImpacted, kpiDeltaHeatmap } = data;
+  const {
+    summary,
+    scoreDistribution,
+    topImpacted,
+    kpiDeltaHeatmap,
+    groups,
+    employees,
+    gradeAnalysis,
+    rankAnalysis,
+    significantEmployees,
+  } = data;
 
   // Prepare data for score distribution chart
   const distributionData = scoreDistribution.before.bins.map((bin, idx) => ({
@@ -117,7 +130,7 @@ export default function CalibrationPreview({ data }) {
                 {summary.significantChanges}
               </Typography>
               <Typography variant="caption" color="text.secondary">
-                ±5 points or more
+                ±5 points or a grade change
               </Typography>
             </CardContent>
           </Card>
@@ -222,6 +235,18 @@ export default function CalibrationPreview({ data }) {
         </CardContent>
       </Card>
 
+      {/* Grade boundary crossings and rank shifts */}
+      {gradeAnalysis && (
+        <CalibrationGradeChanges
+          gradeAnalysis={gradeAnalysis}
+          rankAnalysis={rankAnalysis}
+          significantEmployees={significantEmployees}
+        />
+      )}
+
+      {/* Impact by Division / Grade Band / Designation */}
+      {groups && <CalibrationGroupBreakdown groups={groups} employees={employees} />}
+
       {/* KPI Delta Heatmap */}
       <Card>
         <CardContent>
@@ -283,7 +308,7 @@ export default function CalibrationPreview({ data }) {
             High Impact Alert
           </Typography>
           <Typography variant="body2">
-            More than 20% of employees will experience significant score changes (±5 points). Consider
+            More than 20% of employees will experience significant changes (±5 points or a grade change). Consider
             reviewing the weight adjustments before saving.
           </Typography>
         </Alert>
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+} from '@mui/material';
+import { useChangeRequests, useReviewChangeRequest } from '../../hooks/useAdminApi';
+import { useAuth } from '../../hooks/useAuth';
+import { PERMISSIONS, hasPermission } from '../../utils/roles';
+
+const STATUS_CHIPS = {
+  pending_approval: { label: 'Awaiting Approval', color: 'warning' },
+  approved: { label: 'Approved', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' },
+};
+
+/**
+ * Summarise a request's diff against its base version
+ */
+const describeChanges = (diff) => {
+  if (!diff?.hasChanges) return 'No weight changes';
+  const parts = [];
+  if (diff.categoriesChanged) parts.push(`${diff.categoriesChanged} categories`);
+  if (diff.kpisChanged) parts.push(`${diff.kpisChanged} KPI weights`);
+  if (diff.kpisAdded) parts.push(`${diff.kpisAdded} KPIs added`);
+  if (diff.kpisRemoved) parts.push(`${diff.kpisRemoved} KPIs removed`);
+  return parts.join(', ');
+};
+
+/**
+ * ChangeRequestsPanel Component
+ * Maker-checker queue for KPI weight changes. Saved weights and rollbacks
+ * wait here until a second admin with approval rights approves or rejects
+ * them with a comment.
+ */
+export default function ChangeRequestsPanel() {
+  const { user } = useAuth();
+  const canApprove = hasPermission(user, PERMISSIONS.APPROVE_WEIGHT_CHANGES);
+  const { data } = useChangeRequests();
+  const reviewMutation = useReviewChangeRequest();
+
+  const [review, setReview] = useState(null);
+  const [comment, setComment] = useState('');
+
+  const requests = data?.requests || [];
+  if (requests.length === 0) return null;
+
+  const closeReview = () => {
+    setReview(null);
+    setComment('');
+    reviewMutation.reset();
+  };
+
+  const handleReview = async () => {
+    try {
+      await reviewMutation.mutateAsync({ requestId: review.request.requestId, decision: review.decision, comment });
+      closeReview();
+    } catch (error) {
+      console.error(`Failed to ${review.decision} change request:`, error);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Change Requests
+        </Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Request</TableCell>
+                <TableCell>Requested By</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Changes</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {requests.map((request) => {
+                const status = STATUS_CHIPS[request.status];
+                const isOwnRequest = request.requestedBy === user?.id;
+
+                return (
+                  <TableRow key={request.requestId}>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight={500}>
+                        {request.requestId}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {request.rollbackTo
+                          ? `Rollback to ${request.rollbackTo}`
+                          : request.effectiveFrom
+                            ? `Effective ${new Date(request.effectiveFrom).toLocaleDateString()}`
+                            : 'Effective on approval'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{request.requestedByName}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {new Date(request.requestedAt).toLocaleString()}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{request.reason}</TableCell>
+                    <TableCell>{describeChanges(request.diff)}</TableCell>
+                    <TableCell>
+                      <Tooltip
+                        title={
+                          request.reviewedByName
+                            ? `${request.reviewedByName}: ${request.reviewComment}`
+                            : ''
+                        }
+                      >
+                        <Chip label={status.label} color={status.color} size="small" />
+                      </Tooltip>
+                      {request.versionId && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          Version {request.versionId}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      {request.status === 'pending_approval' && canApprove && (
+                        <Tooltip title={isOwnRequest ? 'Requests must be reviewed by a different admin' : ''}>
+                          <Box component="span" sx={{ display: 'inline-flex', gap: 1 }}>
+                            <Button
+                              size="small"
+                              color="success"
+                              disabled={isOwnRequest}
+                              onClick={() => setReview({ request, decision: 'approve' })}
+                            >
+                              Approve
+                            </Button>
+                            <Button
+                              size="small"
+                              color="error"
+                              disabled={isOwnRequest}
+                              onClick={() => setReview({ request, decision: 'reject' })}
+                            >
+                              Reject
+                            </Button>
+                          </Box>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </CardContent>
+
+      {/* Review Dialog */}
+      <Dialog open={Boolean(review)} onClose={closeReview} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {review?.decision === 'approve' ? 'Approve' : 'Reject'} {review?.request.requestId}
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {review?.decision === 'approve'
+              ? review?.request.rollbackTo
+                ? `Approving makes version ${review.request.rollbackTo} active again for all employee scores immediately.`
+                : 'Approving creates a new weight version and applies it to all employee scores ' +
+                  (review?.request.effectiveFrom
+                    ? `from ${new Date(review.request.effectiveFrom).toLocaleDateString()}.`
+                    : 'immediately.')
+              : 'Rejected requests are kept for the audit trail and never applied.'}
+          </Typography>
+          {reviewMutation.error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {reviewMutation.error.message}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            label="Review Comment"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            multiline
+            rows={3}
+            required
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeReview}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={review?.decision === 'approve' ? 'success' : 'error'}
+            onClick={handleReview}
+            disabled={!comment.trim() || reviewMutation.isPending}
+          >
+            {review?.decision === 'approve' ? 'Approve' : 'Reject'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+}
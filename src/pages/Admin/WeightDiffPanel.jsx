@@ -0,0 +1,155 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Alert,
+  LinearProgress,
+  MenuItem,
+  TextField,
+} from '@mui/material';
+import { useWeightDiff } from '../../hooks/useAdminApi';
+
+const STATUS_STYLES = {
+  added: { label: 'Added', color: 'success', bgcolor: '#e8f5e9' },
+  removed: { label: 'Removed', color: 'error', bgcolor: '#ffebee' },
+  changed: { label: 'Changed', color: 'warning', bgcolor: '#fff8e1' },
+  unchanged: { label: 'Unchanged', color: 'default', bgcolor: 'transparent' },
+};
+
+const formatWeight = (weight) => (weight === null ? '—' : `${(weight * 100).toFixed(1)}%`);
+
+const formatDelta = (delta) => {
+  if (delta === 0) return '0';
+  return `${delta > 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts`;
+};
+
+/**
+ * DiffRow Component
+ * One category or KPI line; removed items are struck through
+ */
+function DiffRow({ item, indent = false }) {
+  const style = STATUS_STYLES[item.status];
+
+  return (
+    <TableRow sx={{ bgcolor: style.bgcolor }}>
+      <TableCell sx={{ pl: indent ? 5 : 2 }}>
+        <Typography
+          variant="body2"
+          fontWeight={indent ? 400 : 600}
+          sx={{ textDecoration: item.status === 'removed' ? 'line-through' : 'none' }}
+        >
+          {item.name}
+        </Typography>
+      </TableCell>
+      <TableCell align="right">{formatWeight(item.fromWeight)}</TableCell>
+      <TableCell align="right">{formatWeight(item.toWeight)}</TableCell>
+      <TableCell
+        align="right"
+        sx={{ color: item.delta > 0 ? 'success.main' : item.delta < 0 ? 'error.main' : 'text.secondary' }}
+      >
+        {formatDelta(item.delta)}
+      </TableCell>
+      <TableCell>
+        {item.status !== 'unchanged' && <Chip label={style.label} color={style.color} size="small" />}
+      </TableCell>
+    </TableRow>
+  );
+}
+
+/**
+ * WeightDiffPanel Component
+ * Side-by-side comparison of two weight versions with highlighted
+ * added/removed KPIs and changed weights.
+ *
+ * @param {Array} props.versions - Version history entries ({ version, isActive })
+ * @param {string} props.from - Older version id
+ * @param {string} props.to - Newer version id
+ * @param {Function} props.onChange - Called with { from, to } when a version is picked
+ */
+export default function WeightDiffPanel({ versions = [], from, to, onChange }) {
+  const { data: diff, isLoading, error } = useWeightDiff(from, to);
+
+  const versionSelect = (label, value, key) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={value || ''}
+      onChange={(e) => onChange({ from, to, [key]: e.target.value })}
+      sx={{ minWidth: 160 }}
+    >
+      {versions.map((version) => (
+        <MenuItem key={version.version} value={version.version}>
+          {version.version}
+          {version.isActive ? ' (active)' : ''}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          Compare Versions
+        </Typography>
+        {versionSelect('From', from, 'from')}
+        {versionSelect('To', to, 'to')}
+      </Box>
+
+      {isLoading && <LinearProgress />}
+      {error && <Alert severity="error">{error.message}</Alert>}
+
+      {diff && (
+        <>
+          <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+            {!diff.summary.hasChanges && <Chip label="No differences" size="small" />}
+            {diff.summary.categoriesChanged > 0 && (
+              <Chip label={`${diff.summary.categoriesChanged} categories changed`} color="warning" size="small" />
+            )}
+            {diff.summary.kpisChanged > 0 && (
+              <Chip label={`${diff.summary.kpisChanged} KPI weights changed`} color="warning" size="small" />
+            )}
+            {diff.summary.kpisAdded > 0 && (
+              <Chip label={`${diff.summary.kpisAdded} KPIs added`} color="success" size="small" />
+            )}
+            {diff.summary.kpisRemoved > 0 && (
+              <Chip label={`${diff.summary.kpisRemoved} KPIs removed`} color="error" size="small" />
+            )}
+          </Box>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Category / KPI</TableCell>
+                  <TableCell align="right">{diff.from.versionId}</TableCell>
+                  <TableCell align="right">{diff.to.versionId}</TableCell>
+                  <TableCell align="right">Delta</TableCell>
+                  <TableCell>Change</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {diff.categories.map((category) => (
+                  <React.Fragment key={category.id}>
+                    <DiffRow item={category} />
+                    {category.kpis.map((kpi) => (
+                      <DiffRow key={`${category.id}-${kpi.id}`} item={kpi} indent />
+                    ))}
+                  </React.Fragment>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+}
@@ -40,6 +40,12 @@ import {
   useRollbackWeights,
   useCalibrationPreview,
 } from '../../hooks/useAdminApi';
+import WeightDiffPanel from './WeightDiffPanel';
+import ChangeRequestsPanel from './ChangeRequestsPanel';
+import CalibrationPreview from './CalibrationPreview';
+import { useAuth } from '../../hooks/useAuth';
+import { ROLES } from '../../utils/roles';
+import { SCORING_METHODS, SCORING_METHOD_LABELS } from '../../utils/kpiCategories';
 
 /**
  * validateWeights
@@ -72,11 +78,20 @@ export function validateWeights(categories) {
   return errors;
 }
 
+// Earliest effective date the server accepts (it rejects dates not in the future)
+function tomorrowIsoDate() {
+  return new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
 /**
  * WeightEditor Component
- * Allows admins to edit KPI weights with validation and preview
+ * Allows admins to edit KPI weights with validation and preview.
+ * Saved changes and rollbacks are submitted for approval by a second admin.
+ * Other roles (HoD, auditor) get a read-only view.
  */
 export default function WeightEditor() {
+  const { user } = useAuth();
+  const canEdit = user?.role === ROLES.ADMIN;
   const { data: weightsConfig, isLoading } = useWeightsConfig(true);
   const { data: weightHistory } = useWeightHistory(true);
   const saveWeightsMutation = useSaveWeights();
@@ -90,7 +105,10 @@ export default function WeightEditor() {
   const [rollbackDialogOpen, setRollbackDialogOpen] = useState(false);
   const [previewDialogOpen, setPreviewDialogOpen] = useState(false);
   const [saveReason, setSaveReason] = useState('');
+  const [effectiveFrom, setEffectiveFrom] = useState('');
+  const [minEffectiveDate] = useState(tomorrowIsoDate);
   const [expandedCategories, setExpandedCategories] = useState({});
+  const [compareVersions, setCompareVersions] = useState(null);
 
   // Initialize edited weights when config loads
   useEffect(() => {
@@ -136,10 +154,12 @@ export default function WeightEditor() {
       await saveWeightsMutation.mutateAsync({
         categories: editedWeights,
         reason: saveReason,
-        adminId: 'admin@example.com', // Replace with actual auth
+        // Empty date = effective immediately
+        effectiveFrom: effectiveFrom ? new Date(effectiveFrom).toISOString() : undefined,
       });
       setSaveDialogOpen(false);
       setSaveReason('');
+      setEffectiveFrom('');
     } catch (error) {
       console.error('Failed to save weights:', error);
     }
@@ -161,7 +181,6 @@ export default function WeightEditor() {
       await rollbackMutation.mutateAsync({
         versionId,
         metadata: {
-          adminId: 'admin@example.com',
           reason: 'Manual rollback from weight editor',
         },
       });
@@ -175,6 +194,12 @@ export default function WeightEditor() {
     setEditedWeights(JSON.parse(JSON.stringify(weightsConfig.categories)));
   };
 
+  // Compare a version against the active one
+  const handleCompare = (versionId) => {
+    const active = weightHistory?.find((version) => version.isActive);
+    setCompareVersions({ from: versionId, to: active?.version });
+  };
+
   const toggleCategory = (categoryKey) => {
     setExpandedCategories((prev) => ({
       ...prev,
@@ -194,13 +219,6 @@ export default function WeightEditor() {
     );
   }
 
-  const categoryLabels = {
-    hq_operations: 'HQ Operations',
-    field_operations: 'Field Operations',
-    team_collaboration: 'Team Collaboration',
-    individual_behavior: 'Individual Behavior',
-  };
-
   return (
     <Box>
       {/* Header */}
@@ -222,25 +240,29 @@ export default function WeightEditor() {
           >
             History
           </Button>
-          <Button variant="outlined" onClick={handleReset} disabled={!hasChanges}>
-            Reset
-          </Button>
-          <Button
-            variant="outlined"
-            startIcon={<PreviewIcon />}
-            onClick={handlePreview}
-            disabled={validationErrors.length > 0 || !hasChanges}
-          >
-            Preview Impact
-          </Button>
-          <Button
-            variant="contained"
-            startIcon={<SaveIcon />}
-            onClick={() => setSaveDialogOpen(true)}
-            disabled={validationErrors.length > 0 || !hasChanges}
-          >
-            Save Changes
-          </Button>
+          {canEdit && (
+            <>
+              <Button variant="outlined" onClick={handleReset} disabled={!hasChanges}>
+                Reset
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<PreviewIcon />}
+                onClick={handlePreview}
+                disabled={validationErrors.length > 0 || !hasChanges}
+              >
+                Preview Impact
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<SaveIcon />}
+                onClick={() => setSaveDialogOpen(true)}
+                disabled={validationErrors.length > 0 || !hasChanges}
+              >
+                Submit for Approval
+              </Button>
+            </>
+          )}
         </Box>
       </Box>
 
@@ -258,6 +280,9 @@ export default function WeightEditor() {
         </Alert>
       )}
 
+      {/* Pending and reviewed change requests */}
+      <ChangeRequestsPanel />
+
       {/* Category Weights Table */}
       <Card sx={{ mb: 3 }}>
         <CardContent>
@@ -290,15 +315,21 @@ export default function WeightEditor() {
                               <ExpandMoreIcon />
                             )}
                           </IconButton>
-                          <Typography variant="body2" sx={{ fontWeight: 500 }}>
-                            {categoryLabels[catKey]}
-                          </Typography>
+                          <Box>
+                            <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                              {category.name || catKey}
+                            </Typography>
+                            <Typography variant="caption" color="text.secondary">
+                              {SCORING_METHOD_LABELS[category.scoringMethod || SCORING_METHODS.AVERAGE]}
+                            </Typography>
+                          </Box>
                         </Box>
                       </TableCell>
                       <TableCell>
                         <Slider
                           value={category.weight * 100}
                           onChange={(e, val) => handleCategoryWeightChange(catKey, val)}
+                          disabled={!canEdit}
                           min={0}
                           max={100}
                           step={1}
@@ -332,7 +363,7 @@ export default function WeightEditor() {
                         <Collapse in={expandedCategories[catKey]} timeout="auto" unmountOnExit>
                           <Box sx={{ p: 2, bgcolor: 'action.hover' }}>
                             <Typography variant="subtitle2" gutterBottom>
-                              {categoryLabels[catKey]} - KPI Weights
+                              {category.name || catKey} - KPI Weights
                             </Typography>
                             <Table size="small">
                               <TableHead>
@@ -357,6 +388,7 @@ export default function WeightEditor() {
                                         min={0}
                                         max={100}
                                         step={1}
+                                        disabled={!canEdit}
                                       />
                                     </TableCell>
                                     <TableCell>
@@ -423,10 +455,12 @@ export default function WeightEditor() {
 
       {/* Save Dialog */}
       <Dialog open={saveDialogOpen} onClose={() => setSaveDialogOpen(false)} maxWidth="sm" fullWidth>
-        <DialogTitle>Save Weight Configuration</DialogTitle>
+        <DialogTitle>Submit Weight Change for Approval</DialogTitle>
         <DialogContent>
           <Typography variant="body2" color="text.secondary" gutterBottom>
-            This will create a new weight version and apply changes to all employee scores.
+            A second admin must approve this change before it creates a new weight version. Once
+            approved it applies to all employee scores
+            {effectiveFrom ? ` from ${new Date(effectiveFrom).toLocaleDateString()}` : ' immediately'}.
           </Typography>
           <TextField
             fullWidth
@@ -439,6 +473,17 @@ export default function WeightEditor() {
             sx={{ mt: 2 }}
             placeholder="e.g., Increased field operations weight based on Q4 review"
           />
+          <TextField
+            fullWidth
+            type="date"
+            label="Effective From"
+            value={effectiveFrom}
+            onChange={(e) => setEffectiveFrom(e.target.value)}
+            sx={{ mt: 2 }}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: minEffectiveDate }}
+            helperText="Leave empty to apply on approval. Future dates are scheduled and activate automatically."
+          />
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setSaveDialogOpen(false)}>Cancel</Button>
@@ -447,7 +492,7 @@ export default function WeightEditor() {
             onClick={handleSave}
             disabled={!saveReason.trim() || saveWeightsMutation.isPending}
           >
-            {saveWeightsMutation.isPending ? 'Saving...' : 'Save'}
+            {saveWeightsMutation.isPending ? 'Submitting...' : 'Submit'}
           </Button>
         </DialogActions>
       </Dialog>
@@ -491,18 +536,27 @@ export default function WeightEditor() {
                     <TableCell>
                       {version.isActive ? (
                         <Chip label="Active" color="success" size="small" />
+                      ) : version.status === 'pending' ? (
+                        <Tooltip title={`Effective from ${new Date(version.effectiveFrom).toLocaleDateString()}`}>
+                          <Chip label="Pending" color="info" size="small" />
+                        </Tooltip>
                       ) : (
                         <Chip label="Inactive" size="small" />
                       )}
                     </TableCell>
                     <TableCell>
                       {!version.isActive && (
+                        <Button size="small" onClick={() => handleCompare(version.version)}>
+                          Compare
+                        </Button>
+                      )}
+                      {canEdit && !version.isActive && version.status !== 'pending' && (
                         <Button
                           size="small"
                           onClick={() => handleRollback(version.version)}
                           disabled={rollbackMutation.isPending}
                         >
-                          Rollback
+                          Request rollback
                         </Button>
                       )}
                     </TableCell>
@@ -511,13 +565,23 @@ export default function WeightEditor() {
               </TableBody>
             </Table>
           </TableContainer>
+
+          {/* Diff against the active version before rolling back */}
+          {compareVersions && (
+            <WeightDiffPanel
+              versions={weightHistory}
+              from={compareVersions.from}
+              to={compareVersions.to}
+              onChange={setCompareVersions}
+            />
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setRollbackDialogOpen(false)}>Close</Button>
         </DialogActions>
       </Dialog>
 
-      {/* Preview Dialog (placeholder, actual preview in CalibrationPreview component) */}
+      {/* Preview Dialog */}
       <Dialog
         open={previewDialogOpen}
         onClose={() => setPreviewDialogOpen(false)}
@@ -526,20 +590,7 @@ export default function WeightEditor() {
       >
         <DialogTitle>Calibration Preview</DialogTitle>
         <DialogContent>
-          {calibrationMutation.data && (
-            <Box>
-              <Alert severity="info" sx={{ mb: 2 }}>
-                This preview shows the impact of proposed weight changes on {calibrationMutation.data.summary.employeesAnalyzed} employees.
-              </Alert>
-              <Typography variant="h6">Summary</Typography>
-              <Box sx={{ display: 'flex', gap: 2, my: 2 }}>
-                <Chip label={`Avg Change: ${calibrationMutation.data.summary.avgScoreChange > 0 ? '+' : ''}${calibrationMutation.data.summary.avgScoreChange}`} />
-                <Chip label={`Impacted: ${calibrationMutation.data.summary.impactedEmployees}`} />
-                <Chip label={`Significant: ${calibrationMutation.data.summary.significantChanges}`} color="warning" />
-              </Box>
-              {/* Full preview rendered in CalibrationPreview component */}
-            </Box>
-          )}
+          <CalibrationPreview data={calibrationMutation.data} />
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setPreviewDialogOpen(false)}>Close</Button>
@@ -3,11 +3,18 @@ import { Container, Grid, Box, Typography, Fab, Alert, Snackbar } from '@mui/mat
 import { Add as AddIcon } from '@mui/icons-material';
 import ScoreCard from '../components/employee/ScoreCard';
 import TaskList from '../components/employee/TaskList';
+import FeedbackPanel from '../components/employee/FeedbackPanel';
 import QuickUploadDrawer from '../components/employee/QuickUploadDrawer';
+import UserMenu from '../components/auth/UserMenu';
 import {
   useEmployeeData,
   useEmployeeKPIs,
   useEmployeeTasks,
+  useEmployeeMilestones,
+  useMyEvidence,
+  useScoreHistory,
+  useFeedback,
+  useSubmitFeedback,
   useUpdateTaskStatus,
   useUploadEvidence,
   useUploadQueue,
@@ -26,10 +33,15 @@ export default function EmployeeDashboard() {
   const { data: employeeData, isLoading: loadingEmployee } = useEmployeeData(true);
   const { data: kpis, isLoading: loadingKPIs } = useEmployeeKPIs(true);
   const { data: tasks, isLoading: loadingTasks } = useEmployeeTasks(true);
+  const { data: milestones } = useEmployeeMilestones(true);
+  const { data: evidence } = useMyEvidence(true);
+  const { data: scoreHistory } = useScoreHistory({ granularity: 'quarter', count: 5 }, true);
+  const { data: feedback, isLoading: loadingFeedback } = useFeedback(undefined, true);
 
   // Mutations
   const updateTaskMutation = useUpdateTaskStatus();
   const uploadMutation = useUploadEvidence();
+  const feedbackMutation = useSubmitFeedback();
 
   // Upload queue
   const { queue, addToQueue, updateQueueItem } = useUploadQueue();
@@ -43,6 +55,15 @@ export default function EmployeeDashboard() {
     }
   };
 
+  const handleFeedbackSubmit = async (submission) => {
+    try {
+      await feedbackMutation.mutateAsync(submission);
+      setSnackbar({ open: true, message: 'Feedback submitted', severity: 'success' });
+    } catch {
+      setSnackbar({ open: true, message: 'Failed to submit feedback', severity: 'error' });
+    }
+  };
+
   const handleUpload = async (formData) => {
     try {
       // Check if online
@@ -58,6 +79,9 @@ export default function EmployeeDashboard() {
           tags: formData.get('tags'),
           file: formData.get('file').name,
           location: formData.get('location'),
+          kpiId: formData.get('kpiId'),
+          taskId: formData.get('taskId'),
+          milestoneId: formData.get('milestoneId'),
           formData,
         };
         addToQueue(uploadItem);
@@ -73,30 +97,45 @@ export default function EmployeeDashboard() {
     <Box sx={{ bgcolor: 'background.default', minHeight: '100vh', py: 4 }}>
       <Container maxWidth="lg">
         {/* Header */}
-        <Box sx={{ mb: 4 }}>
-          <Typography variant="h4" sx={{ fontWeight: 700 }}>
-            {loadingEmployee ? 'Loading...' : `Welcome, ${employeeData?.name || 'Employee'}`}
-          </Typography>
-          <Typography variant="body2" color="text.secondary">
-            {loadingEmployee ? '' : `${employeeData?.designation} • ${employeeData?.division}`}
-          </Typography>
+        <Box sx={{ mb: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <Box>
+            <Typography variant="h4" sx={{ fontWeight: 700 }}>
+              {loadingEmployee ? 'Loading...' : `Welcome, ${employeeData?.name || 'Employee'}`}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {loadingEmployee ? '' : `${employeeData?.designation} • ${employeeData?.division}`}
+            </Typography>
+          </Box>
+          <UserMenu />
         </Box>
 
         {/* Dashboard Grid */}
         <Grid container spacing={3}>
           {/* Left Column: ScoreCard */}
           <Grid item xs={12} md={5}>
-            <ScoreCard kpis={kpis || []} loading={loadingKPIs} />
+            <ScoreCard kpis={kpis || []} history={scoreHistory} loading={loadingKPIs} />
           </Grid>
 
           {/* Right Column: TaskList */}
           <Grid item xs={12} md={7}>
             <TaskList
               tasks={tasks || []}
+              evidence={evidence || []}
               onUpdateStatus={handleTaskUpdate}
               loading={loadingTasks}
             />
           </Grid>
+
+          {/* 360 Feedback */}
+          <Grid item xs={12} md={5}>
+            <FeedbackPanel
+              feedback={feedback}
+              colleagues={feedback?.colleagues}
+              onSubmit={handleFeedbackSubmit}
+              submitting={feedbackMutation.isPending}
+              loading={loadingFeedback}
+            />
+          </Grid>
         </Grid>
 
         {/* Floating Action Button */}
@@ -120,6 +159,9 @@ export default function EmployeeDashboard() {
           onUpload={handleUpload}
           uploadQueue={queue}
           uploading={uploadMutation.isPending}
+          kpis={kpis || []}
+          tasks={tasks || []}
+          milestones={milestones || []}
         />
 
         {/* Snackbar Notifications */}
@@ -44,6 +44,9 @@ import {
   CheckCircle as CheckCircleIcon,
 } from '@mui/icons-material';
 import { useUploadQueue, createUploadItem, UploadStatus } from '../hooks/useUploadQueue';
+import { useEmployeeKPIs, useEmployeeTasks, useEmployeeMilestones } from '../hooks/useEmployee';
+import EvidenceLinkFields from '../components/employee/EvidenceLinkFields';
+import { EMPTY_EVIDENCE_LINKS } from '../utils/evidenceLinks';
 
 /**
  * EvidenceUpload Page
@@ -64,6 +67,11 @@ export default function EvidenceUpload() {
     stats,
   } = useUploadQueue();
 
+  // What the evidence can be linked to
+  const { data: kpis } = useEmployeeKPIs(true);
+  const { data: tasks } = useEmployeeTasks(true);
+  const { data: milestones } = useEmployeeMilestones(true);
+
   // Camera state
   const [cameraActive, setCameraActive] = useState(false);
   const [stream, setStream] = useState(null);
@@ -80,6 +88,7 @@ export default function EvidenceUpload() {
     tags: '',
     location: null,
     timestamp: new Date().toISOString(),
+    ...EMPTY_EVIDENCE_LINKS,
   });
 
   // Geolocation state
@@ -247,6 +256,7 @@ export default function EvidenceUpload() {
       tags: '',
       location: null,
       timestamp: new Date().toISOString(),
+      ...EMPTY_EVIDENCE_LINKS,
     });
     setMetadataDialogOpen(false);
   };
@@ -575,6 +585,14 @@ export default function EvidenceUpload() {
             sx={{ mb: 2 }}
           />
 
+          <EvidenceLinkFields
+            value={currentMetadata}
+            onChange={(links) => setCurrentMetadata({ ...currentMetadata, ...links })}
+            kpis={kpis}
+            tasks={tasks}
+            milestones={milestones}
+          />
+
           <Box sx={{ mb: 2 }}>
             <Button
               variant="outlined"
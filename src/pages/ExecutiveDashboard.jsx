@@ -1,5 +1,6 @@
 import React, { Suspense, lazy } from 'react';
 import { Box, Container, Typography, Grid, Skeleton, CircularProgress } from '@mui/material';
+import UserMenu from '../components/auth/UserMenu';
 
 // Lazy-load heavy chart components
 const OrgPulseCard = lazy(() => import('../components/dashboard/OrgPulseCard'));
@@ -54,22 +55,25 @@ const ExecutiveDashboard = () => {
     >
       <Container maxWidth="xl">
         {/* Header Section */}
-        <Box sx={{ mb: 5 }}>
-          <Typography
-            variant="h4"
-            sx={{
-              fontWeight: 700,
-              mb: 1,
-              background: 'linear-gradient(135deg, #2563eb 0%, #7c3aed 100%)',
-              WebkitBackgroundClip: 'text',
-              WebkitTextFillColor: 'transparent',
-            }}
-          >
-            Executive Dashboard
-          </Typography>
-          <Typography variant="body1" color="text.secondary">
-            Real-time insights into organizational performance, risks, and reporting
-          </Typography>
+        <Box sx={{ mb: 5, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <Box>
+            <Typography
+              variant="h4"
+              sx={{
+                fontWeight: 700,
+                mb: 1,
+                background: 'linear-gradient(135deg, #2563eb 0%, #7c3aed 100%)',
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+              }}
+            >
+              Executive Dashboard
+            </Typography>
+            <Typography variant="body1" color="text.secondary">
+              Real-time insights into organizational performance, risks, and reporting
+            </Typography>
+          </Box>
+          <UserMenu />
         </Box>
 
         {/* Dashboard Grid Layout */}
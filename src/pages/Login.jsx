@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Navigate, useNavigate, useLocation } from 'react-router-dom';
 import {
   Box,
   Card,
@@ -12,6 +12,7 @@ import {
   CircularProgress,
   Fade,
   Slide,
+  Alert,
 } from '@mui/material';
 import {
   Email as EmailIcon,
@@ -20,6 +21,8 @@ import {
   VisibilityOff,
 } from '@mui/icons-material';
 import Logo from '../components/Logo';
+import { useAuth } from '../hooks/useAuth';
+import { getLandingPath } from '../utils/roles';
 
 /**
  * Login Page Component
@@ -29,7 +32,9 @@ import Logo from '../components/Logo';
  * - Glassmorphism effects for modern aesthetic
  * - Smooth animations (fade-in, slide-up, scale)
  * - Fully responsive (desktop and mobile ≤480px)
- * - Pure frontend UI - no authentication logic
+ * - Email/password authentication against the auth server (port 3005)
+ * - Returns to the originally requested route after a RequireAuth redirect,
+ *   otherwise lands on the role's home page (see utils/roles.js)
  * 
  * Layout Strategy:
  * - Flexbox centered card on gradient background
@@ -39,24 +44,38 @@ import Logo from '../components/Logo';
  */
 const Login = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { login, isAuthenticated, user } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
-  // Handle form submission (no actual authentication)
-  const handleLogin = (e) => {
+  // Route the user was bounced from by RequireAuth, else the role's landing page
+  const from = location.state?.from;
+  const getReturnTo = (role) => (from ? `${from.pathname}${from.search || ''}` : getLandingPath(role));
+
+  // Handle form submission
+  const handleLogin = async (e) => {
     e.preventDefault();
     setLoading(true);
-    
-    // Simulate API call with timeout
-    setTimeout(() => {
+    setError(null);
+
+    try {
+      const session = await login({ email, password });
+      navigate(getReturnTo(session.user?.role), { replace: true });
+    } catch (err) {
+      setError(err.message || 'Login failed');
       setLoading(false);
-      // Navigate to dashboard after "login"
-      navigate('/app/executive');
-    }, 1500);
+    }
   };
 
+  // Already signed in: skip the form
+  if (isAuthenticated && !loading) {
+    return <Navigate to={getReturnTo(user?.role)} replace />;
+  }
+
   return (
     <Box
       sx={{
@@ -165,6 +184,13 @@ const Login = () => {
 
             {/* Login Form */}
             <Box component="form" onSubmit={handleLogin} noValidate>
+              {/* Authentication Error */}
+              {error && (
+                <Alert severity="error" sx={{ mb: 2.5, borderRadius: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
               {/* Email Field */}
               <TextField
                 fullWidth
@@ -15,6 +15,7 @@ import {
   DialogActions,
   Chip,
   Skeleton,
+  Alert,
 } from '@mui/material';
 import {
   Refresh as RefreshIcon,
@@ -23,15 +24,22 @@ import {
 import Breadcrumbs from '../components/project/Breadcrumbs';
 import KPICard from '../components/project/KPICard';
 import EvidenceItem from '../components/project/EvidenceItem';
+import EvidenceReviewActions from '../components/project/EvidenceReviewActions';
 import GanttLite from '../components/project/GanttLite';
 import {
   useProjectMeta,
   useProjectMilestones,
   useProjectKPIs,
   useProjectEvidence,
-  useVerifyEvidence,
+  useReviewEvidence,
   useUpdateMilestone,
 } from '../hooks/useProject';
+import {
+  EVIDENCE_STATUS_COLORS,
+  EVIDENCE_STATUS_LABELS,
+  getEvidenceStatus,
+} from '../utils/evidenceWorkflow';
+import { groupEvidenceBy } from '../utils/evidenceLinks';
 
 /**
  * KPI Detail Modal
@@ -92,10 +100,13 @@ const KPIDetailModal = ({ kpi, open, onClose }) => {
 
 /**
  * Evidence Detail Modal
- * Shows full evidence details
+ * Shows full evidence details, including the KPI and milestone it is linked to
  */
-const EvidenceDetailModal = ({ evidence, open, onClose, onVerify }) => {
+const EvidenceDetailModal = ({ evidence, kpis = [], milestones = [], open, onClose, onReview }) => {
   if (!evidence) return null;
+  const status = getEvidenceStatus(evidence);
+  const linkedKpi = kpis.find((kpi) => kpi.id === evidence.kpi_id);
+  const linkedMilestone = milestones.find((milestone) => milestone.id === evidence.milestone_id);
 
   return (
     <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
@@ -137,6 +148,16 @@ const EvidenceDetailModal = ({ evidence, open, onClose, onVerify }) => {
               Location: <strong>{evidence.geo_tag.lat}, {evidence.geo_tag.lng}</strong>
             </Typography>
           )}
+          {linkedKpi && (
+            <Typography variant="body2" color="text.secondary">
+              KPI: <strong>{linkedKpi.name}</strong>
+            </Typography>
+          )}
+          {linkedMilestone && (
+            <Typography variant="body2" color="text.secondary">
+              Milestone: <strong>{linkedMilestone.title}</strong>
+            </Typography>
+          )}
         </Box>
         <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 2 }}>
           {evidence.tags.map((tag) => (
@@ -148,23 +169,34 @@ const EvidenceDetailModal = ({ evidence, open, onClose, onVerify }) => {
             label={`Completeness: ${evidence.completeness_score}%`}
             color={evidence.completeness_score >= 90 ? 'success' : 'warning'}
           />
-          {evidence.verified && (
-            <Chip label="Verified" color="success" sx={{ ml: 1 }} />
-          )}
+          <Chip label={EVIDENCE_STATUS_LABELS[status]} color={EVIDENCE_STATUS_COLORS[status]} sx={{ ml: 1 }} />
         </Box>
+        {evidence.status_reason && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Reviewer note: <strong>{evidence.status_reason}</strong>
+          </Typography>
+        )}
+        {evidence.completeness_missing?.length > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              To complete this evidence:
+            </Typography>
+            {evidence.completeness_missing.map((item) => (
+              <Typography key={item.id} variant="body2">
+                • {item.message}
+              </Typography>
+            ))}
+          </Alert>
+        )}
       </DialogContent>
       <DialogActions>
-        {!evidence.verified && (
-          <Button
-            variant="contained"
-            onClick={() => {
-              onVerify(evidence.id, true);
-              onClose();
-            }}
-          >
-            Mark as Verified
-          </Button>
-        )}
+        <EvidenceReviewActions
+          status={status}
+          onReview={(review) => {
+            onReview(evidence.id, review);
+            onClose();
+          }}
+        />
         <Button onClick={onClose}>Close</Button>
       </DialogActions>
     </Dialog>
@@ -197,11 +229,12 @@ const ProjectDashboard = () => {
     isFetchingNextPage,
   } = useProjectEvidence(projectId, true);
 
-  const verifyMutation = useVerifyEvidence(projectId);
+  const reviewMutation = useReviewEvidence(projectId);
   const updateMilestoneMutation = useUpdateMilestone(projectId);
 
   // Flatten evidence pages
   const allEvidence = evidenceData?.pages.flatMap((page) => page.items) || [];
+  const evidenceByKpi = groupEvidenceBy(allEvidence, 'kpi_id');
 
   // Breadcrumb items
   const breadcrumbItems = [
@@ -220,9 +253,9 @@ const ProjectDashboard = () => {
     setEvidenceModalOpen(true);
   }, []);
 
-  const handleVerifyEvidence = useCallback((evidenceId, verified) => {
-    verifyMutation.mutate({ evidenceId, verified });
-  }, [verifyMutation]);
+  const handleReviewEvidence = useCallback((evidenceId, { status, reason }) => {
+    reviewMutation.mutate({ evidenceId, status, reason });
+  }, [reviewMutation]);
 
   const handleMilestoneUpdate = useCallback((milestoneId, updates) => {
     updateMilestoneMutation.mutate({ milestoneId, updates });
@@ -235,7 +268,7 @@ const ProjectDashboard = () => {
       <div style={style}>
         <EvidenceItem
           evidence={evidence}
-          onVerify={handleVerifyEvidence}
+          onReview={handleReviewEvidence}
           onClick={handleEvidenceClick}
         />
       </div>
@@ -303,7 +336,7 @@ const ProjectDashboard = () => {
               <Grid container spacing={2}>
                 {(kpis || []).map((kpi) => (
                   <Grid item xs={12} sm={6} key={kpi.id}>
-                    <KPICard kpi={kpi} onDrill={handleKPIDrill} />
+                    <KPICard kpi={kpi} evidence={evidenceByKpi[kpi.id]} onDrill={handleKPIDrill} />
                   </Grid>
                 ))}
               </Grid>
@@ -357,9 +390,11 @@ const ProjectDashboard = () => {
       {/* Evidence Detail Modal */}
       <EvidenceDetailModal
         evidence={selectedEvidence}
+        kpis={kpis}
+        milestones={milestones}
         open={evidenceModalOpen}
         onClose={() => setEvidenceModalOpen(false)}
-        onVerify={handleVerifyEvidence}
+        onReview={handleReviewEvidence}
       />
     </Box>
   );
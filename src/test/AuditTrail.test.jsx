@@ -0,0 +1,448 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import express from 'express';
+import { createAuditStore, filterAuditEntries, GENESIS_HASH } from '../../utils/auditStore.js';
+import { toAuditCsv, toAuditJsonl, auditExportFilename } from '../../utils/auditExport.js';
+import { createAuditLog, AUDIT_ACTIONS } from '../../utils/auditLog.js';
+import { authenticate, rejectActorMismatch, signToken } from '../../utils/auth.js';
+import {
+  createAuditArchive,
+  archiveExpiredEntries,
+  findExpiredEntries,
+  validateRetentionPolicy,
+  verifyAuditTrail,
+} from '../../utils/auditArchive.js';
+
+// Newest first, as the admin server seeds them
+const seed = [
+  {
+    id: 'audit-1002',
+    timestamp: '2025-01-15T10:30:00.000Z',
+    actor: 'admin-003',
+    actorName: 'Anjali Sharma',
+    actionType: 'WEIGHT_UPDATE',
+    target: 'category:field_operations',
+    oldValue: 0.28,
+    newValue: 0.3,
+    comment: 'Increased field operations weight',
+    metadata: { versionId: 'v2.1' },
+  },
+  {
+    id: 'audit-1001',
+    timestamp: '2024-12-01T14:20:00.000Z',
+    actor: 'admin-001',
+    actorName: 'Rajesh Kumar',
+    actionType: 'WEIGHT_UPDATE',
+    target: 'category:team_collaboration',
+    oldValue: 0.12,
+    newValue: 0.15,
+    comment: 'Quarterly weight adjustment',
+    metadata: { versionId: 'v2.0' },
+  },
+];
+
+const entry = (comment) => ({
+  actor: 'admin-002',
+  actorName: 'Priya Patel',
+  actionType: 'CALIBRATION_PREVIEW',
+  target: 'weight_config:v2.1',
+  oldValue: null,
+  newValue: null,
+  comment,
+  metadata: { employeesAnalyzed: 248 },
+});
+
+const readLines = (filePath) => fs.readFileSync(filePath, 'utf8').trim().split('\n');
+const writeLines = (filePath, lines) => fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+
+/**
+ * Test Suite: Audit Hash Chain
+ */
+describe('Audit Hash Chain', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    filePath = path.join(dir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  it('chains seeded entries oldest first', () => {
+    const store = createAuditStore({ filePath, seed });
+    const [first, second] = readLines(filePath).map((line) => JSON.parse(line));
+
+    expect(first.id).toBe('audit-1001');
+    expect(first.prevHash).toBe(GENESIS_HASH);
+    expect(second.prevHash).toBe(first.hash);
+    expect(store.list().map((e) => e.id)).toEqual(['audit-1002', 'audit-1001']);
+  });
+
+  it('appends entries with the next id and verifies as intact', async () => {
+    const store = createAuditStore({ filePath, seed });
+    const appended = await store.append(entry('Preview run'));
+
+    expect(appended.id).toBe('audit-1003');
+    expect(appended.prevHash).toBe(store.list()[1].hash);
+    expect(store.verify()).toMatchObject({ valid: true, totalEntries: 3, verifiedEntries: 3, brokenAt: null });
+  });
+
+  it('survives a restart and keeps extending the chain', async () => {
+    await createAuditStore({ filePath, seed }).append(entry('Before restart'));
+    const reopened = createAuditStore({ filePath, seed: [] });
+    const appended = await reopened.append(entry('After restart'));
+
+    expect(appended.id).toBe('audit-1004');
+    expect(reopened.list()).toHaveLength(4);
+    expect(reopened.verify().valid).toBe(true);
+  });
+
+  it('chains after entries another process appended', async () => {
+    const store = createAuditStore({ filePath, seed });
+    const other = createAuditStore({ filePath });
+
+    await store.append(entry('First'));
+    const theirs = await other.append(entry('From another server'));
+    const ours = await store.append(entry('Second'));
+
+    expect(ours).toMatchObject({ id: 'audit-1005', prevHash: theirs.hash });
+    expect(store.verify()).toMatchObject({ valid: true, totalEntries: 5 });
+  });
+
+  it('chains after the live head once another process rewrote the file', async () => {
+    const store = createAuditStore({ filePath, seed });
+    const other = createAuditStore({ filePath });
+    const kept = await store.append(entry('Kept'));
+
+    await other.remove(['audit-1001']);
+    const appended = await store.append(entry('After rewrite'));
+
+    expect(appended).toMatchObject({ id: 'audit-1004', prevHash: kept.hash });
+  });
+
+  it('keeps the chain intact under concurrent appends', async () => {
+    const store = createAuditStore({ filePath, seed });
+    const other = createAuditStore({ filePath });
+
+    const appended = await Promise.all(
+      ['a', 'b', 'c', 'd'].map((comment, index) => (index % 2 ? other : store).append(entry(comment)))
+    );
+
+    expect(new Set(appended.map((e) => e.id)).size).toBe(4);
+    expect(store.verify()).toMatchObject({ valid: true, totalEntries: 6 });
+  });
+
+  it('detects an edited entry', async () => {
+    const store = createAuditStore({ filePath, seed });
+    await store.append(entry('Preview run'));
+
+    const lines = readLines(filePath);
+    const edited = JSON.parse(lines[1]);
+    edited.newValue = 0.5;
+    lines[1] = JSON.stringify(edited);
+    writeLines(filePath, lines);
+
+    expect(store.verify()).toMatchObject({
+      valid: false,
+      verifiedEntries: 1,
+      brokenAt: { index: 1, id: 'audit-1002', reason: 'hash_mismatch' },
+    });
+  });
+
+  it('detects a removed entry', async () => {
+    const store = createAuditStore({ filePath, seed });
+    await store.append(entry('Preview run'));
+
+    const lines = readLines(filePath);
+    writeLines(filePath, [lines[0], lines[2]]);
+
+    expect(store.verify().brokenAt).toMatchObject({ index: 1, id: 'audit-1003', reason: 'chain_broken' });
+  });
+
+  it('detects an unreadable line', () => {
+    const store = createAuditStore({ filePath, seed });
+    fs.appendFileSync(filePath, '{"id": "audit-99\n');
+
+    expect(store.verify().brokenAt).toMatchObject({ index: 2, id: null, reason: 'malformed_entry' });
+  });
+
+  it('does not let callers mutate stored entries', () => {
+    const store = createAuditStore({ filePath, seed });
+    store.list()[0].comment = 'changed';
+
+    expect(store.list()[0].comment).toBe('Increased field operations weight');
+    expect(store.verify().valid).toBe(true);
+  });
+});
+
+/**
+ * Test Suite: Shared Audit Log
+ */
+describe('Shared Audit Log', () => {
+  let dir;
+  let filePath;
+
+  const req = {
+    user: { id: 'sup-001', name: 'Amit Singh' },
+    ip: '::1',
+    get: () => 'vitest',
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    filePath = path.join(dir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  it('records the authenticated actor and the writing service', async () => {
+    const auditLog = createAuditLog({ service: 'evidence', filePath });
+    const entry = await auditLog.log(
+      req,
+      AUDIT_ACTIONS.EVIDENCE_VERIFIED,
+      'evidence:upload-1',
+      'pending',
+      'verified',
+      'Photos match the site report',
+      { evidenceId: 'upload-1' }
+    );
+
+    expect(entry).toMatchObject({
+      id: 'audit-1',
+      service: 'evidence',
+      actor: 'sup-001',
+      actorName: 'Amit Singh',
+      actionType: 'EVIDENCE_VERIFIED',
+      metadata: { evidenceId: 'upload-1', ip: '::1', userAgent: 'vitest' },
+    });
+  });
+
+  it('keeps one intact chain when several servers write to it', async () => {
+    const admin = createAuditLog({ service: 'admin', filePath, seed });
+    const report = createAuditLog({ service: 'report', filePath });
+    const ai = createAuditLog({ service: 'ai', filePath });
+
+    await report.log(req, AUDIT_ACTIONS.REPORT_GENERATED, 'report_job:job-000001', null, null, 'Requested APAR');
+    await ai.log(req, AUDIT_ACTIONS.AI_QUERY, 'ai_query:q-1', null, null, 'Which teams are at risk?');
+    await admin.logSystem('Weight Scheduler', AUDIT_ACTIONS.WEIGHT_ACTIVATED, 'weight_config:v2.2', 'v2.1', 'v2.2', 'Activated');
+    await report.log(req, AUDIT_ACTIONS.REPORT_DOWNLOADED, 'report:report-00000001', null, null, 'Downloaded APAR');
+
+    const entries = admin.store.list();
+    expect(entries.map((e) => e.id)).toEqual(['audit-1006', 'audit-1005', 'audit-1004', 'audit-1003', 'audit-1002', 'audit-1001']);
+    expect(entries.slice(0, 4).map((e) => e.service)).toEqual(['report', 'admin', 'ai', 'report']);
+    expect(ai.store.verify()).toMatchObject({ valid: true, totalEntries: 6 });
+  });
+
+  it('does not seed a log that another server already started', async () => {
+    await createAuditLog({ service: 'report', filePath }).log(req, AUDIT_ACTIONS.REPORT_GENERATED, 'report_job:1', null, null, '');
+    const admin = createAuditLog({ service: 'admin', filePath, seed });
+
+    expect(admin.store.list()).toHaveLength(1);
+  });
+});
+
+/**
+ * Test Suite: Audit Actor (admin server middleware)
+ */
+describe('Audit Actor', () => {
+  let dir;
+  let server;
+  let baseUrl;
+  let auditLog;
+
+  const token = signToken({ sub: 'admin-003', name: 'Anjali Sharma', role: 'admin', type: 'access' }, 60);
+
+  // Same chain as the admin server's audited routes
+  const post = (body) =>
+    fetch(`${baseUrl}/weights`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, 'User-Agent': 'audit-test' },
+      body: JSON.stringify(body),
+    });
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-actor-'));
+    auditLog = createAuditLog({ service: 'admin', filePath: path.join(dir, 'audit.jsonl') });
+
+    const app = express();
+    app.use(express.json());
+    app.post('/weights', authenticate, rejectActorMismatch, async (req, res) => {
+      res.json(await auditLog.log(req, AUDIT_ACTIONS.WEIGHT_CHANGE_REQUESTED, 'weight_request:cr-0001', null, null, 'Test'));
+    });
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.removeSync(dir);
+  });
+
+  it('rejects a body actor that differs from the token user', async () => {
+    const response = await post({ actor: 'admin-001', actorName: 'Anjali Sharma' });
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ error: 'Actor does not match authenticated user' });
+    expect(auditLog.store.list()).toHaveLength(0);
+  });
+
+  it('rejects a body actor name that differs from the token user', async () => {
+    const response = await post({ actor: 'admin-003', actorName: 'Priya Patel' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('logs the token user with client IP and user-agent', async () => {
+    const response = await post({ actor: 'admin-003' });
+    const entry = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(entry).toMatchObject({ actor: 'admin-003', actorName: 'Anjali Sharma', service: 'admin' });
+    expect(entry.metadata.ip).toMatch(/127\.0\.0\.1$/);
+    expect(entry.metadata.userAgent).toBe('audit-test');
+    expect(auditLog.store.list()[0].metadata).toEqual(entry.metadata);
+  });
+});
+
+/**
+ * Test Suite: Audit Export
+ */
+describe('Audit Export', () => {
+  it('applies the audit query filters', () => {
+    expect(filterAuditEntries(seed, { actor: 'admin-001' }).map((e) => e.id)).toEqual(['audit-1001']);
+    expect(filterAuditEntries(seed, { search: 'FIELD' }).map((e) => e.id)).toEqual(['audit-1002']);
+    expect(filterAuditEntries(seed, { actionType: 'all', dateFrom: '2025-01-01' })).toHaveLength(1);
+    expect(filterAuditEntries(seed, { dateTo: '2024-12-01' }).map((e) => e.id)).toEqual(['audit-1001']);
+    expect(filterAuditEntries(seed, {})).toHaveLength(2);
+  });
+
+  it('writes CSV with a header row and escaped cells', () => {
+    const lines = toAuditCsv([{ ...seed[0], service: 'admin', comment: 'Raised "field" weight, per review' }]).split('\r\n');
+
+    expect(lines[0]).toBe(
+      'id,timestamp,service,actor,actorName,actionType,target,oldValue,newValue,comment,metadata,prevHash,hash'
+    );
+    expect(lines[1]).toMatch(/^audit-1002,2025-01-15T10:30:00.000Z,admin,admin-003,/);
+    expect(lines[1]).toContain(',0.28,0.3,"Raised ""field"" weight, per review","{""versionId"":""v2.1""}",');
+  });
+
+  it('stops spreadsheet formulas in CSV cells', () => {
+    const csv = toAuditCsv([{ ...seed[0], comment: '=HYPERLINK("http://example.com")', oldValue: -0.1 }]);
+
+    expect(csv).toContain(`"'=HYPERLINK(""http://example.com"")"`);
+    expect(csv).toContain(',-0.1,');
+  });
+
+  it('stops formulas hidden behind a leading tab or carriage return', () => {
+    const csv = toAuditCsv([{ ...seed[0], comment: '\t=1+1', target: '\r=cmd|calc' }]);
+
+    expect(csv).toContain(`,'\t=1+1,`);
+    expect(csv).toContain(`,"'\r=cmd|calc",`);
+  });
+
+  it('writes one JSON entry per line', () => {
+    const lines = toAuditJsonl(seed).trim().split('\n');
+
+    expect(lines.map((line) => JSON.parse(line))).toEqual(seed);
+  });
+
+  it('names exports by date and format', () => {
+    expect(auditExportFilename('pdf', new Date('2025-03-31T12:00:00Z'))).toBe('audit-trail-2025-03-31.pdf');
+  });
+});
+
+/**
+ * Test Suite: Audit Retention & Archival
+ */
+describe('Audit Retention & Archival', () => {
+  let dir;
+  let filePath;
+  let archive;
+
+  // Previews kept for a year, weight updates forever
+  const policy = { defaultDays: null, actionTypes: { CALIBRATION_PREVIEW: 365, WEIGHT_UPDATE: null } };
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  // Seed (2024/2025 weight updates) plus two old previews and one recent one
+  const createStore = async () => {
+    const store = createAuditStore({ filePath, seed });
+    await store.append({ ...entry('Old preview'), timestamp: '2025-02-01T09:00:00.000Z' });
+    await store.append({ ...entry('Older preview'), timestamp: '2025-03-01T09:00:00.000Z' });
+    await store.append({ ...entry('Recent preview'), timestamp: '2026-05-01T09:00:00.000Z' });
+    return store;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-archive-'));
+    filePath = path.join(dir, 'audit.jsonl');
+    archive = createAuditArchive({ dir: path.join(dir, 'audit-archives') });
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  it('validates retention policies', () => {
+    expect(validateRetentionPolicy(policy)).toBeNull();
+    expect(validateRetentionPolicy({ actionTypes: { CALIBRATION_PREVIEW: 0 } })).toMatch(/CALIBRATION_PREVIEW/);
+    expect(validateRetentionPolicy({ actionTypes: { NOT_AN_ACTION: 30 } })).toBe('Unknown action type: NOT_AN_ACTION');
+  });
+
+  it('expires entries per action type but never the newest entry', async () => {
+    const store = await createStore();
+    const expired = findExpiredEntries(store.list(), policy, now);
+
+    expect(expired.map((e) => e.id)).toEqual(['audit-1003', 'audit-1004']);
+    expect(findExpiredEntries(store.list(), { defaultDays: 1, actionTypes: {} }, now)).not.toContainEqual(
+      expect.objectContaining({ id: 'audit-1005' })
+    );
+  });
+
+  it('moves expired entries into a checksummed archive and keeps the chain verifiable', async () => {
+    const store = await createStore();
+    const record = await archiveExpiredEntries({ store, archive, policy, now });
+
+    expect(record).toMatchObject({ entryCount: 2, firstId: 'audit-1003', lastId: 'audit-1004' });
+    expect(record.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(store.list().map((e) => e.id)).toEqual(['audit-1005', 'audit-1002', 'audit-1001']);
+
+    // Live log alone has a gap; archives fill it
+    expect(store.verify().brokenAt).toMatchObject({ id: 'audit-1005', reason: 'chain_broken' });
+    expect(verifyAuditTrail({ store, archive })).toMatchObject({ valid: true, verifiedEntries: 3, archivedEntries: 2 });
+
+    // Appends keep chaining from the live head
+    await store.append(entry('After archival'));
+    expect(verifyAuditTrail({ store, archive }).valid).toBe(true);
+  });
+
+  it('searches only archives overlapping the date range', async () => {
+    const store = await createStore();
+    const record = await archiveExpiredEntries({ store, archive, policy, now });
+
+    expect(archive.search({ dateFrom: '2025-02-15' })).toEqual({
+      entries: [expect.objectContaining({ id: 'audit-1004' })],
+      archivesSearched: [record.file],
+    });
+    expect(archive.search({ dateFrom: '2026-01-01' })).toEqual({ entries: [], archivesSearched: [] });
+  });
+
+  it('detects a modified archive file', async () => {
+    const store = await createStore();
+    const record = await archiveExpiredEntries({ store, archive, policy, now });
+    fs.appendFileSync(path.join(dir, 'audit-archives', record.file), 'x');
+
+    const result = verifyAuditTrail({ store, archive });
+    expect(result.valid).toBe(false);
+    expect(result.archives).toEqual([{ file: record.file, valid: false }]);
+    expect(() => archive.search({})).toThrow(/Checksum mismatch/);
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { Buffer } from 'buffer';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { hashPassword, verifyPassword, signToken, verifyToken } from '../../utils/auth.js';
+import { createRevocationList } from '../../utils/sessionRevocation.js';
+import { AuthContext } from '../hooks/useAuth';
+import RequireAuth from '../components/auth/RequireAuth';
+import { ROLES, ROUTE_ROLES, hasRole, getLandingPath } from '../utils/roles';
+
+/**
+ * Test Suite: Password Hashing
+ */
+describe('Password Hashing', () => {
+  it('verifies the original password', () => {
+    const hash = hashPassword('Prabhaav@2025');
+    expect(verifyPassword('Prabhaav@2025', hash)).toBe(true);
+  });
+
+  it('rejects a wrong password', () => {
+    const hash = hashPassword('Prabhaav@2025');
+    expect(verifyPassword('wrong-password', hash)).toBe(false);
+  });
+
+  it('never stores the plain password', () => {
+    const hash = hashPassword('Prabhaav@2025');
+    expect(hash).not.toContain('Prabhaav@2025');
+    expect(hash.startsWith('scrypt$')).toBe(true);
+  });
+
+  it('uses a unique salt per hash', () => {
+    expect(hashPassword('same')).not.toBe(hashPassword('same'));
+  });
+});
+
+/**
+ * Test Suite: Session Tokens
+ */
+describe('Session Tokens', () => {
+  it('round-trips claims', () => {
+    const token = signToken({ sub: 'admin-003', type: 'access' }, 60);
+    const claims = verifyToken(token, 'access');
+
+    expect(claims.sub).toBe('admin-003');
+    expect(claims.exp).toBeGreaterThan(claims.iat);
+  });
+
+  it('rejects tampered tokens', () => {
+    const token = signToken({ sub: 'emp-001', type: 'access' }, 60);
+    const [header, , signature] = token.split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ sub: 'admin-003', type: 'access', exp: 9999999999 })).toString('base64url');
+
+    expect(verifyToken(`${header}.${forgedBody}.${signature}`)).toBeNull();
+  });
+
+  it('rejects expired tokens', () => {
+    const token = signToken({ sub: 'emp-001', type: 'access' }, -1);
+    expect(verifyToken(token)).toBeNull();
+  });
+
+  it('rejects refresh tokens where access tokens are expected', () => {
+    const token = signToken({ sub: 'emp-001', type: 'refresh' }, 60);
+    expect(verifyToken(token, 'access')).toBeNull();
+  });
+});
+
+/**
+ * Test Suite: Session Revocation
+ */
+describe('Session Revocation', () => {
+  let dir;
+  let filePath;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'revoked-'));
+    filePath = path.join(dir, 'revoked-sessions.json');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.resetModules();
+    fs.removeSync(dir);
+  });
+
+  it('shares revoked sessions with the other servers', () => {
+    const authServer = createRevocationList({ filePath });
+    const adminServer = createRevocationList({ filePath });
+
+    expect(adminServer.isRevoked('session-1')).toBe(false);
+    authServer.revoke('session-1', now() + 60);
+
+    expect(adminServer.isRevoked('session-1')).toBe(true);
+    expect(adminServer.isRevoked('session-2')).toBe(false);
+  });
+
+  it('forgets sessions once their tokens have expired', () => {
+    const list = createRevocationList({ filePath });
+    list.revoke('session-1', now() - 1);
+    list.revoke('session-2', now() + 60);
+
+    expect(list.isRevoked('session-1')).toBe(false);
+    expect(Object.keys(fs.readJsonSync(filePath))).toEqual(['session-2']);
+  });
+
+  it('rejects access tokens of a logged-out session', async () => {
+    vi.stubEnv('AUTH_DATA_DIR', dir);
+    vi.resetModules();
+    const auth = await import('../../utils/auth.js');
+    const token = auth.signToken({ sub: 'admin-003', sid: 'session-1', type: 'access' }, 60);
+    const call = () => {
+      const res = { status: vi.fn(() => res), json: vi.fn() };
+      const next = vi.fn();
+      auth.authenticate({ headers: { authorization: `Bearer ${token}` } }, res, next);
+      return { res, next };
+    };
+
+    expect(call().next).toHaveBeenCalled();
+
+    auth.revokedSessions.revoke('session-1', now() + 60);
+    const { res, next } = call();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Session has been revoked' });
+  });
+});
+
+/**
+ * Test Suite: RequireAuth
+ */
+describe('RequireAuth', () => {
+  const renderWithAuth = (isAuthenticated) =>
+    render(
+      <AuthContext.Provider value={{ isAuthenticated, user: null }}>
+        <MemoryRouter initialEntries={['/admin']}>
+          <Routes>
+            <Route path="/login" element={<div>Login Page</div>} />
+            <Route element={<RequireAuth />}>
+              <Route path="/admin" element={<div>Admin Page</div>} />
+            </Route>
+          </Routes>
+        </MemoryRouter>
+      </AuthContext.Provider>
+    );
+
+  it('renders protected route for signed-in users', () => {
+    renderWithAuth(true);
+    expect(screen.getByText('Admin Page')).toBeInTheDocument();
+  });
+
+  it('redirects to login when signed out', () => {
+    renderWithAuth(false);
+    expect(screen.getByText('Login Page')).toBeInTheDocument();
+    expect(screen.queryByText('Admin Page')).not.toBeInTheDocument();
+  });
+});
+
+/**
+ * Test Suite: Role-Based Access
+ */
+describe('Role-Based Access', () => {
+  const renderAs = (role) =>
+    render(
+      <AuthContext.Provider value={{ isAuthenticated: true, user: { id: 'u-1', role } }}>
+        <MemoryRouter initialEntries={['/admin']}>
+          <Routes>
+            <Route path="/app/me" element={<div>Employee Dashboard</div>} />
+            <Route element={<RequireAuth roles={ROUTE_ROLES.admin} />}>
+              <Route path="/admin" element={<div>Admin Page</div>} />
+            </Route>
+          </Routes>
+        </MemoryRouter>
+      </AuthContext.Provider>
+    );
+
+  it('allows admins and auditors into the admin panel', () => {
+    renderAs(ROLES.AUDITOR);
+    expect(screen.getByText('Admin Page')).toBeInTheDocument();
+  });
+
+  it('sends other roles to their landing page', () => {
+    renderAs(ROLES.EMPLOYEE);
+    expect(screen.getByText('Employee Dashboard')).toBeInTheDocument();
+    expect(screen.queryByText('Admin Page')).not.toBeInTheDocument();
+  });
+
+  it('keeps reports away from employees and auditors', () => {
+    expect(hasRole(ROLES.SUPERVISOR, ROUTE_ROLES.reports)).toBe(true);
+    expect(hasRole(ROLES.EMPLOYEE, ROUTE_ROLES.reports)).toBe(false);
+    expect(hasRole(ROLES.AUDITOR, ROUTE_ROLES.reports)).toBe(false);
+  });
+
+  it('maps roles to landing pages', () => {
+    expect(getLandingPath(ROLES.ADMIN)).toBe('/admin');
+    expect(getLandingPath(ROLES.HOD)).toBe('/app/executive');
+    expect(getLandingPath(ROLES.EMPLOYEE)).toBe('/app/me');
+  });
+});
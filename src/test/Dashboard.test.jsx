@@ -83,6 +83,19 @@ describe('OrgPulseCard', () => {
     });
   });
 
+  it('shows the score confidence', async () => {
+    const queryClient = createTestQueryClient();
+    render(
+      <QueryClientProvider client={queryClient}>
+        <OrgPulseCard />
+      </QueryClientProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/High confidence • Provisional \(84%\)/)).toBeInTheDocument();
+    });
+  });
+
   it('displays KPI chip with version and timestamp', async () => {
     const queryClient = createTestQueryClient();
     render(
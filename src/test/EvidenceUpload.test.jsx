@@ -2,10 +2,26 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { renderHook, act, waitFor } from '@testing-library/react';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { useUploadQueue, createUploadItem, UploadStatus } from '../hooks/useUploadQueue';
+import {
+  countChunks,
+  chunkRange,
+  findMissingChunks,
+  parseUploadMetadata,
+  sha256Hex,
+  UPLOAD_CHUNK_SIZE,
+} from '../utils/uploadChunks';
+import { loadUploadFile } from '../utils/uploadFileStore';
 
 // Mock fetch
 global.fetch = vi.fn();
 
+// jsdom has no IndexedDB: files kept for resuming come from this mock
+vi.mock('../utils/uploadFileStore', () => ({
+  saveUploadFile: vi.fn(() => Promise.resolve(null)),
+  loadUploadFile: vi.fn(() => Promise.resolve(null)),
+  deleteUploadFile: vi.fn(() => Promise.resolve(null)),
+}));
+
 // Mock localStorage
 const localStorageMock = (() => {
   let store = {};
@@ -404,6 +420,101 @@ describe('useUploadQueue', () => {
   });
 });
 
+describe('useUploadQueue after a reload', () => {
+  beforeEach(() => {
+    // Earlier tests can leave fake timers behind when they time out
+    vi.useRealTimers();
+    localStorageMock.clear();
+    fetch.mockReset();
+  });
+
+  it('should resume from the missing chunks after a reload', async () => {
+    const fileSize = 2 * UPLOAD_CHUNK_SIZE + 1024; // 3 chunks
+    const file = createMockFile('large.jpg', fileSize);
+    const { file: _file, ...stored } = createUploadItem(file, { title: 'Large Upload' });
+
+    // Queue as persisted before the reload: interrupted mid-upload
+    localStorageMock.setItem(
+      'evidence_upload_queue',
+      JSON.stringify([{ ...stored, status: UploadStatus.UPLOADING, uploadId: 'upload-1', fileChecksum: 'f'.repeat(64) }])
+    );
+    loadUploadFile.mockResolvedValueOnce(file);
+
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      status: 200,
+      json: async () =>
+        url.endsWith('/status')
+          ? { uploadId: 'upload-1', status: 'uploading', receivedChunks: [0, 1], missingChunks: [2] }
+          : { uploadId: 'upload-1', status: 'completed', progress: 100 },
+    }));
+
+    const { result } = renderHook(() => useUploadQueue(), {
+      wrapper: createWrapper(),
+    });
+
+    await waitFor(
+      () => {
+        expect(result.current.queue[0].status).toBe(UploadStatus.COMPLETED);
+      },
+      { timeout: 3000 }
+    );
+
+    // One status check, then only the missing chunk
+    const calls = fetch.mock.calls;
+    expect(calls.filter(([url]) => url === '/api/evidence/upload/upload-1/status')).toHaveLength(1);
+    const chunkBodies = calls.map(([, options]) => options?.body).filter((body) => body?.get?.('uploadId') === 'upload-1');
+    expect(chunkBodies).toHaveLength(1);
+    const [body] = chunkBodies;
+    expect(body.get('chunkIndex')).toBe('2');
+    expect(body.get('chunkChecksum')).toBe(await sha256Hex(file.slice(2 * UPLOAD_CHUNK_SIZE, fileSize)));
+  });
+
+  it('should fail a reloaded upload whose file was not kept', async () => {
+    const { file: _file, ...stored } = createUploadItem(createMockFile(), { title: 'Lost Upload' });
+    localStorageMock.setItem('evidence_upload_queue', JSON.stringify([{ ...stored, uploadId: 'upload-2' }]));
+
+    const { result } = renderHook(() => useUploadQueue(), {
+      wrapper: createWrapper(),
+    });
+
+    await waitFor(() => {
+      expect(result.current.queue[0].status).toBe(UploadStatus.FAILED);
+    });
+    expect(result.current.queue[0].error).toMatch(/Add the file again/);
+    expect(fetch).not.toHaveBeenCalledWith('/api/evidence/upload/upload-2/status');
+  });
+});
+
+describe('Upload chunks', () => {
+  it('should split a file into 5MB chunks', () => {
+    expect(countChunks(0)).toBe(1);
+    expect(countChunks(UPLOAD_CHUNK_SIZE)).toBe(1);
+    expect(countChunks(UPLOAD_CHUNK_SIZE + 1)).toBe(2);
+    expect(chunkRange(1, UPLOAD_CHUNK_SIZE + 10)).toEqual({ start: UPLOAD_CHUNK_SIZE, end: UPLOAD_CHUNK_SIZE + 10 });
+  });
+
+  it('should list the exact missing chunk indices', () => {
+    expect(findMissingChunks([3, 0, 0, 2], 6)).toEqual([1, 4, 5]);
+    expect(findMissingChunks([0, 1], 2)).toEqual([]);
+  });
+
+  it('should hash chunks with SHA-256', async () => {
+    expect(await sha256Hex(new TextEncoder().encode('abc'))).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    );
+    expect(await sha256Hex(new Blob(['abc']))).toBe(await sha256Hex(new TextEncoder().encode('abc')));
+  });
+
+  it('should reject upload metadata that is not a JSON object', () => {
+    expect(parseUploadMetadata('{"title":"Site visit"}')).toEqual({ title: 'Site visit' });
+    expect(parseUploadMetadata(undefined)).toEqual({});
+    expect(parseUploadMetadata('{"title":')).toBeNull();
+    expect(parseUploadMetadata('null')).toBeNull();
+    expect(parseUploadMetadata('["photo"]')).toBeNull();
+  });
+});
+
 describe('createUploadItem', () => {
   it('should create upload item with file and metadata', () => {
     const file = createMockFile('test.jpg', 2048);
@@ -439,5 +550,13 @@ describe('createUploadItem', () => {
     expect(uploadItem.metadata.description).toBe('');
     expect(uploadItem.metadata.tags).toEqual([]);
     expect(uploadItem.metadata.location).toBeNull();
+    expect(uploadItem.metadata).toMatchObject({ kpiId: null, taskId: null, milestoneId: null });
+  });
+
+  it('should carry the KPI, task and milestone the evidence is linked to', () => {
+    const file = createMockFile('site.jpg');
+    const uploadItem = createUploadItem(file, { title: 'Site visit', kpiId: 'KPI-E-003', taskId: 'TASK-002' });
+
+    expect(uploadItem.metadata).toMatchObject({ kpiId: 'KPI-E-003', taskId: 'TASK-002', milestoneId: null });
   });
 });
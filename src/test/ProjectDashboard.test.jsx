@@ -2,13 +2,20 @@
  * Unit and Integration Tests for Project Dashboard Components
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { BrowserRouter } from 'react-router-dom';
 import KPICard from '../components/project/KPICard';
 import EvidenceItem from '../components/project/EvidenceItem';
 import GanttLite from '../components/project/GanttLite';
+import { applyTransition, validateTransition } from '../utils/evidenceWorkflow';
+import { groupEvidenceBy } from '../utils/evidenceLinks';
+import { scoreEvidenceCompleteness, getEvidenceType } from '../utils/evidenceCompleteness';
+import { createEvidenceStore } from '../../utils/evidenceStore.js';
 
 // Test utilities
 const createTestQueryClient = () =>
@@ -91,6 +98,26 @@ describe('KPICard', () => {
     const trendIcon = screen.getByTestId('TrendingUpIcon');
     expect(trendIcon).toBeInTheDocument();
   });
+
+  it('prefers the score history series over the trend values', () => {
+    const history = [
+      { period: '2025-26-Q1', label: 'Q1 2025-26', value: 82 },
+      { period: '2025-26-Q2', label: 'Q2 2025-26', value: 78.5 },
+    ];
+    renderWithProviders(<KPICard kpi={mockKPI} history={history} />);
+
+    expect(screen.getByTestId('TrendingDownIcon')).toBeInTheDocument();
+  });
+
+  it('shows the evidence linked to the KPI', () => {
+    const evidence = [
+      { id: 'EVD-1', title: 'Budget statement', status: 'verified' },
+      { id: 'EVD-2', title: 'Invoice batch', status: 'under_review' },
+    ];
+    renderWithProviders(<KPICard kpi={mockKPI} evidence={evidence} />);
+
+    expect(screen.getByText('2 evidence • 1 verified')).toBeInTheDocument();
+  });
 });
 
 /**
@@ -163,6 +190,224 @@ describe('EvidenceItem', () => {
   });
 });
 
+/**
+ * Test Suite: Evidence Review Workflow
+ */
+describe('Evidence Review Workflow', () => {
+  const owner = { id: 'user-emp-001', employeeId: 'emp-001', name: 'Rajesh Kumar', role: 'employee' };
+  const supervisor = { id: 'user-sup-001', employeeId: 'emp-090', name: 'Amit Sharma', role: 'supervisor' };
+  const submitted = { id: 'EVD-9', ownerId: 'emp-001', status: 'submitted', history: [] };
+
+  it('only allows the next steps of the workflow', () => {
+    expect(validateTransition(submitted, { to: 'under_review', user: supervisor })).toBeNull();
+    expect(validateTransition(submitted, { to: 'verified', user: supervisor })).toMatchObject({ status: 409 });
+    expect(validateTransition({ ...submitted, status: 'verified' }, { to: 'rejected', reason: 'x', user: supervisor }))
+      .toMatchObject({ status: 409 });
+    expect(validateTransition(submitted, { to: 'pending', user: supervisor })).toMatchObject({ status: 400 });
+  });
+
+  it('requires a reason to reject and a reviewer to decide', () => {
+    const underReview = { ...submitted, status: 'under_review' };
+
+    expect(validateTransition(underReview, { to: 'rejected', reason: ' ', user: supervisor }).error).toMatch(/reason is required/);
+    expect(validateTransition(underReview, { to: 'verified', user: owner })).toMatchObject({ status: 403 });
+    expect(validateTransition(underReview, { to: 'verified', user: { ...supervisor, employeeId: 'emp-001' } }))
+      .toMatchObject({ status: 403 });
+  });
+
+  it('lets only the owner resubmit', () => {
+    const rejected = { ...submitted, status: 'rejected' };
+
+    expect(validateTransition(rejected, { to: 'resubmitted', user: supervisor })).toMatchObject({ status: 403 });
+    expect(validateTransition(rejected, { to: 'resubmitted', user: owner })).toBeNull();
+  });
+
+  it('records the reviewer and history on each transition', () => {
+    const record = applyTransition(
+      { ...submitted, status: 'under_review' },
+      { to: 'needs_more_info', reason: 'Add GPS tag', user: supervisor, now: new Date('2025-12-01T10:00:00Z') }
+    );
+
+    expect(record).toMatchObject({ status: 'needs_more_info', statusReason: 'Add GPS tag', reviewer: { name: 'Amit Sharma' } });
+    expect(record.history).toEqual([
+      {
+        from: 'under_review',
+        to: 'needs_more_info',
+        by: 'user-sup-001',
+        byName: 'Amit Sharma',
+        role: 'supervisor',
+        reason: 'Add GPS tag',
+        at: '2025-12-01T10:00:00.000Z',
+      },
+    ]);
+  });
+
+  describe('Evidence store', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+    });
+
+    afterEach(() => {
+      fs.removeSync(dir);
+    });
+
+    it('persists records and their review history', () => {
+      const filePath = path.join(dir, 'evidence.json');
+      const store = createEvidenceStore({ filePath });
+      store.create({
+        id: 'upload-1',
+        owner,
+        projectId: 'PRJ-001',
+        kpiId: 'KPI-E-004',
+        files: [{ uploadId: 'upload-1', fileName: 'site.jpg', filePath: '/tmp/site.jpg', size: 10 }],
+        metadata: { title: 'Site photo' },
+      });
+      store.transition('upload-1', { to: 'under_review', user: supervisor });
+      store.transition('upload-1', { to: 'rejected', reason: 'Blurred', user: supervisor });
+      store.transition('upload-1', { to: 'resubmitted', user: owner, metadata: { description: 'Retaken' } });
+
+      const reopened = createEvidenceStore({ filePath });
+      const record = reopened.get('upload-1');
+      expect(record).toMatchObject({ ownerId: 'emp-001', status: 'resubmitted', reviewer: { id: 'user-sup-001' } });
+      expect(record.metadata).toEqual({ title: 'Site photo', description: 'Retaken' });
+      expect(record.history.map((entry) => entry.to)).toEqual(['submitted', 'under_review', 'rejected', 'resubmitted']);
+      expect(reopened.list({ projectId: 'PRJ-001', status: 'resubmitted' })).toHaveLength(1);
+      expect(reopened.list({ ownerId: 'emp-002' })).toHaveLength(0);
+    });
+
+    it('links evidence to the KPI, task and milestone it proves', () => {
+      const store = createEvidenceStore({ filePath: path.join(dir, 'evidence.json') });
+      const files = [];
+      store.create({ id: 'upload-1', owner, kpiId: 'KPI-E-003', taskId: 'TASK-002', milestoneId: 'MS-003', files });
+      store.create({ id: 'upload-2', owner, taskId: 'TASK-002', files });
+      store.create({ id: 'upload-3', owner, files });
+
+      expect(store.get('upload-2')).toMatchObject({ kpiId: null, taskId: 'TASK-002', milestoneId: null });
+      expect(store.list({ taskId: 'TASK-002' })).toHaveLength(2);
+      expect(store.list({ milestoneId: 'MS-003' }).map((record) => record.id)).toEqual(['upload-1']);
+
+      const byTask = groupEvidenceBy(store.list(), 'taskId');
+      expect(Object.keys(byTask)).toEqual(['TASK-002']);
+      expect(byTask['TASK-002']).toHaveLength(2);
+    });
+
+    it('scores completeness on submission and again when the owner resubmits', () => {
+      const store = createEvidenceStore({
+        filePath: path.join(dir, 'evidence.json'),
+        scoreCompleteness: (record) => scoreEvidenceCompleteness(record, { now: new Date('2025-12-05') }),
+      });
+      const created = store.create({
+        id: 'upload-1',
+        owner,
+        files: [{ uploadId: 'upload-1', fileName: 'site.jpg' }],
+        metadata: { description: 'Site', location: null, timestamp: '2025-12-04T09:00:00Z' },
+      });
+      expect(created.completeness.missing.map((item) => item.id)).toEqual(['geo_tag', 'description', 'kpi_link']);
+
+      store.transition('upload-1', { to: 'under_review', user: supervisor });
+      store.transition('upload-1', { to: 'needs_more_info', reason: 'Incomplete', user: supervisor });
+      const resubmitted = store.transition('upload-1', {
+        to: 'resubmitted',
+        user: owner,
+        metadata: {
+          kpiId: 'KPI-E-003',
+          description: 'Site photo of the east wing stairwell',
+          location: { latitude: 28.6, longitude: 77.2 },
+        },
+      });
+
+      expect(resubmitted).toMatchObject({ kpiId: 'KPI-E-003', completeness: { score: 100, missing: [] } });
+      expect(resubmitted.metadata).not.toHaveProperty('kpiId');
+    });
+  });
+
+  it('reviews from the evidence item with a required rejection reason', async () => {
+    const onReview = vi.fn();
+    const onClick = vi.fn();
+    const evidence = {
+      id: 'EVD-3',
+      title: 'Foundation Work',
+      uploaded_by: 'Amit Patel',
+      uploaded_at: '2025-11-25T09:15:00Z',
+      tags: [],
+      status: 'under_review',
+      completeness_score: 80,
+    };
+    renderWithProviders(<EvidenceItem evidence={evidence} onReview={onReview} onClick={onClick} />);
+
+    expect(screen.getByText('Under Review')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /review/i }));
+    fireEvent.click(await screen.findByRole('menuitem', { name: 'Reject' }));
+
+    const confirm = screen.getByRole('button', { name: 'Reject' });
+    expect(confirm).toBeDisabled();
+    fireEvent.change(screen.getByLabelText(/reason for rejection/i), { target: { value: 'Wrong site' } });
+    fireEvent.click(confirm);
+
+    expect(onReview).toHaveBeenCalledWith('EVD-3', { status: 'rejected', reason: 'Wrong site' });
+    expect(onClick).not.toHaveBeenCalled();
+  });
+});
+
+/**
+ * Test Suite: Evidence Completeness
+ */
+describe('Evidence Completeness', () => {
+  const now = new Date('2025-12-05T12:00:00Z');
+  const task = { id: 'TASK-002', title: 'Site Inspection - Building A', start_date: '2025-12-01', due_date: '2025-12-10' };
+  const photo = {
+    kpiId: 'KPI-E-003',
+    files: [{ fileName: 'capture-1.jpg' }],
+    metadata: {
+      description: 'East wing stairwell before the safety inspection',
+      location: { latitude: 28.6139, longitude: 77.209 },
+      timestamp: '2025-12-04T09:00:00Z',
+    },
+  };
+
+  it('scores complete evidence 100 with nothing missing', () => {
+    const result = scoreEvidenceCompleteness(photo, { task, now });
+
+    expect(result).toMatchObject({ evidenceType: 'image', score: 100, missing: [] });
+    expect(result.checks.map((check) => check.id)).toEqual(['geo_tag', 'timestamp', 'description', 'file_type', 'kpi_link']);
+  });
+
+  it('lists what the uploader can fix', () => {
+    const record = { ...photo, kpiId: null, metadata: { ...photo.metadata, location: null, description: 'Stairwell' } };
+    const result = scoreEvidenceCompleteness(record, { task, now });
+
+    // Geo-tag 25, description 15 and KPI link 25 of 100
+    expect(result.score).toBe(35);
+    expect(result.missing.map((item) => item.id)).toEqual(['geo_tag', 'description', 'kpi_link']);
+    expect(result.missing[1].message).toBe('Describe the evidence in at least 5 words (1 so far)');
+  });
+
+  it('checks the capture time against the task window, or the milestone without a task', () => {
+    const late = { ...photo, metadata: { ...photo.metadata, timestamp: '2025-12-11T08:00:00Z' } };
+    const milestone = { id: 'MS-003', title: 'Phase 1 Implementation', start_date: '2025-05-01', end_date: '2025-08-31' };
+
+    expect(scoreEvidenceCompleteness(late, { task, now: new Date('2025-12-12') }).missing[0].message).toBe(
+      'Captured 2025-12-11, outside the task "Site Inspection - Building A" window (2025-12-01 to 2025-12-10)'
+    );
+    expect(scoreEvidenceCompleteness(photo, { milestone, now }).missing.map((item) => item.id)).toEqual(['timestamp']);
+    expect(scoreEvidenceCompleteness(photo, { now }).score).toBe(100);
+  });
+
+  it('applies the rules of the evidence type', () => {
+    const report = { ...photo, files: [{ fileName: 'inspection.pdf' }] };
+    const declaredVideo = { ...photo, metadata: { ...photo.metadata, evidenceType: 'video' } };
+
+    expect(getEvidenceType(report)).toBe('document');
+    // Documents need no geo-tag but 10 words of description
+    expect(scoreEvidenceCompleteness(report, { task, now }).missing.map((item) => item.id)).toEqual(['description']);
+    expect(scoreEvidenceCompleteness(declaredVideo, { task, now }).missing).toEqual([
+      { id: 'file_type', label: 'File type', message: 'Upload a video file (MP4, MOV, WEBM)' },
+    ]);
+  });
+});
+
 /**
  * Test Suite: GanttLite
  */
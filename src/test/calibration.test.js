@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { scoreToGrade } from '../utils/scoring';
+import { runCalibration } from '../../utils/calibration.js';
+import { createEmployeeDataset } from '../../utils/employeeDataset.js';
+import { mockWeightCategories } from './fixtures';
+
+/**
+ * Test Suite: Calibration Preview
+ */
+describe('Calibration Preview', () => {
+  const employees = [
+    {
+      employeeId: 'emp-001',
+      name: 'Field Specialist',
+      division: 'East Zone',
+      gradeBand: 'L6-L8',
+      designation: 'Junior Engineer',
+      kpis: [
+        { id: 'inspection_completion', category: 'field_operations', value: 90 },
+        { id: 'initiative', category: 'individual_behavior', value: 1.5 },
+      ],
+    },
+    {
+      employeeId: 'emp-002',
+      name: 'Office Specialist',
+      division: 'West Zone',
+      gradeBand: 'L6-L8',
+      designation: 'Assistant Engineer',
+      kpis: [
+        { id: 'inspection_completion', category: 'field_operations', value: 40 },
+        { id: 'initiative', category: 'individual_behavior', value: 3 },
+      ],
+    },
+  ];
+
+  it('reports an unchanged configuration as having no impact', () => {
+    const { summary, scoreDistribution } = runCalibration({
+      employees,
+      currentCategories: mockWeightCategories(0.3),
+      proposedCategories: mockWeightCategories(0.3),
+    });
+
+    expect(summary).toMatchObject({ employeesAnalyzed: 2, avgScoreChange: 0, impactedEmployees: 0 });
+    expect(scoreDistribution.before).toEqual(scoreDistribution.after);
+  });
+
+  it('computes real before/after scores and deltas', () => {
+    const { summary, topImpacted } = runCalibration({
+      employees,
+      currentCategories: mockWeightCategories(0.3),
+      proposedCategories: mockWeightCategories(0.5),
+    });
+
+    // emp-001: 0.3 * 90 + 0.7 * 50 = 62 -> 0.5 * 90 + 0.5 * 50 = 70
+    expect(topImpacted[0]).toMatchObject({ employeeId: 'emp-002', scoreBefore: 82, scoreAfter: 70, delta: -12 });
+    expect(topImpacted[1]).toMatchObject({ employeeId: 'emp-001', scoreBefore: 62, scoreAfter: 70, delta: 8 });
+    expect(topImpacted[1].reason).toMatch(/Strong Field Operations/);
+    expect(summary.significantChanges).toBe(2);
+  });
+
+  it('attributes score changes to categories', () => {
+    const { kpiDeltaHeatmap } = runCalibration({
+      employees,
+      currentCategories: mockWeightCategories(0.3),
+      proposedCategories: mockWeightCategories(0.5),
+    });
+    const field = kpiDeltaHeatmap.find((entry) => entry.category === 'field_operations');
+    const behavior = kpiDeltaHeatmap.find((entry) => entry.category === 'individual_behavior');
+
+    // Per-category effects add up to the average change of -2
+    expect(field.avgImpact + behavior.avgImpact).toBeCloseTo(-2);
+  });
+
+  it('groups impact by division, grade band and designation', () => {
+    const { groups, employees: affected } = runCalibration({
+      employees,
+      currentCategories: mockWeightCategories(0.3),
+      proposedCategories: mockWeightCategories(0.5),
+    });
+
+    // Worst-hit group first
+    expect(groups.division.map((group) => group.key)).toEqual(['West Zone', 'East Zone']);
+    expect(groups.division[0]).toMatchObject({ employeeCount: 1, meanDelta: -12, medianShift: -12, gradeChanges: 1 });
+    expect(groups.gradeBand).toEqual([
+      expect.objectContaining({ key: 'L6-L8', employeeCount: 2, meanDelta: -2, medianShift: -2, gradeChanges: 1 }),
+    ]);
+    expect(affected.find((emp) => emp.employeeId === 'emp-002')).toMatchObject({
+      designation: 'Assistant Engineer',
+      gradeBefore: 'A',
+      gradeAfter: 'B',
+    });
+  });
+
+  it('flags grade changes and rank shifts', () => {
+    const { summary, gradeAnalysis, rankAnalysis, significantEmployees } = runCalibration({
+      employees,
+      currentCategories: mockWeightCategories(0.3),
+      proposedCategories: mockWeightCategories(0.5),
+    });
+
+    expect(summary.gradeChanges).toBe(1);
+    expect(gradeAnalysis).toMatchObject({
+      transitions: [{ from: 'A', to: 'B', direction: 'down', count: 1 }],
+      upgrades: 0,
+      downgrades: 1,
+    });
+    // emp-001 ties emp-002 at 70 and moves up from #2 to #1
+    expect(rankAnalysis).toMatchObject({ employeesMoved: 1, maxRise: 1, maxFall: 0 });
+    expect(significantEmployees[0]).toMatchObject({ employeeId: 'emp-002', rankBefore: 1, rankAfter: 1 });
+    expect(significantEmployees[0].reason).toMatch(/^Drops below the A boundary \(75\): Weak Field Operations score \(40\) gains weight/);
+  });
+
+  it('maps scores to APAR grades', () => {
+    expect([95, 90, 78, 60, 59.9, 10].map(scoreToGrade)).toEqual(['A+', 'A+', 'A', 'B', 'C', 'D']);
+  });
+
+  it('uses a reproducible employee dataset', () => {
+    expect(createEmployeeDataset({ count: 3 })).toEqual(createEmployeeDataset({ count: 3 }));
+  });
+});
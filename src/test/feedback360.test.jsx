@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { computeScoreBreakdown } from '../utils/scoring';
+import {
+  aggregateFeedback,
+  applyFeedbackToKpis,
+  feedbackRaterType,
+  validateFeedbackPolicy,
+  validateRatings,
+  visibleComments,
+} from '../utils/feedback360';
+import { createFeedbackStore } from '../../utils/feedbackStore.js';
+import { createEmployeeDataset } from '../../utils/employeeDataset.js';
+import FeedbackPanel from '../components/employee/FeedbackPanel';
+
+/**
+ * Test Suite: 360 Feedback
+ */
+describe('360 Feedback', () => {
+  const policy = { raterWeights: { supervisor: 0.5, peer: 0.3, self: 0.2 }, minPeerRatings: 3 };
+  const rating = (raterType, value, comment) => ({ raterType, ratings: { initiative: value }, comment });
+
+  it('combines rater types with the configured weights', () => {
+    const result = aggregateFeedback([rating('supervisor', 3), rating('peer', 2), rating('peer', 2), rating('peer', 1), rating('self', 3)], policy);
+
+    // supervisor 3 × 0.5 + peers 1.67 × 0.3 + self 3 × 0.2
+    expect(result.initiative).toMatchObject({
+      value: 2.6,
+      raterCounts: { supervisor: 1, peer: 3, self: 1 },
+      sources: ['supervisor', 'peer', 'self'],
+      peerRatingsHidden: false,
+    });
+  });
+
+  it('leaves out peer ratings below the anonymity threshold', () => {
+    const submissions = [rating('supervisor', 3, 'Strong lead'), rating('peer', 0, 'Rarely helps'), rating('self', 2)];
+    const result = aggregateFeedback(submissions, policy);
+
+    expect(result.initiative.peerRatingsHidden).toBe(true);
+    expect(result.initiative.sources).toEqual(['supervisor', 'self']);
+    expect(result.initiative.value).toBeCloseTo((3 * 0.5 + 2 * 0.2) / 0.7, 2);
+    expect(visibleComments(submissions, policy).map((c) => c.text)).toEqual(['Strong lead']);
+  });
+
+  it('feeds the aggregate into rubric scoring', () => {
+    const kpis = [{ id: 'initiative', name: 'Initiative', value: 1, target: 3, category: 'individual_behavior' }];
+    const [kpi] = applyFeedbackToKpis(kpis, aggregateFeedback([rating('supervisor', 3)], policy));
+
+    expect(kpi).toMatchObject({ value: 3, source: '360' });
+    expect(computeScoreBreakdown([kpi]).individual_behavior.score).toBeCloseTo(100);
+  });
+
+  it('validates policies and ratings', () => {
+    expect(validateFeedbackPolicy(policy)).toBeNull();
+    expect(validateFeedbackPolicy({ ...policy, raterWeights: { supervisor: 0.5, peer: 0.5, self: 0.5 } })).toMatch(/sum to 100%/);
+    expect(validateFeedbackPolicy({ ...policy, minPeerRatings: 0 })).toMatch(/minPeerRatings/);
+    expect(validateRatings({ initiative: 2.5 }, ['initiative'])).toBeNull();
+    expect(validateRatings({ initiative: 2.3 }, ['initiative'])).toMatch(/half points/);
+    expect(validateRatings({ data_accuracy: 2 }, ['initiative'])).toMatch(/Not a behavioural KPI/);
+  });
+
+  describe('Rater relationships', () => {
+    const employee = { employeeId: 'emp-001', division: 'East Zone', supervisorId: 'sup-001' };
+    const user = (id, role, employeeId = null) => ({ id, role, employeeId });
+
+    it('lets only the reporting supervisor rate as supervisor', () => {
+      expect(feedbackRaterType(user('sup-001', 'supervisor'), employee)).toBe('supervisor');
+      expect(feedbackRaterType(user('sup-002', 'supervisor'), employee)).toBeNull();
+      expect(feedbackRaterType(user('hod-001', 'hod'), employee)).toBeNull();
+      expect(feedbackRaterType(user('admin-003', 'admin'), employee)).toBeNull();
+      expect(feedbackRaterType(user('aud-001', 'auditor'), employee)).toBeNull();
+    });
+
+    it('lets employees rate themselves and colleagues in their division', () => {
+      const self = user('emp-001', 'employee', 'emp-001');
+      const peer = user('emp-006', 'employee', 'emp-006');
+      const outsider = user('emp-002', 'employee', 'emp-002');
+
+      expect(feedbackRaterType(self, employee, employee)).toBe('self');
+      expect(feedbackRaterType(peer, employee, { employeeId: 'emp-006', division: 'East Zone' })).toBe('peer');
+      expect(feedbackRaterType(outsider, employee, { employeeId: 'emp-002', division: 'West Zone' })).toBeNull();
+      expect(feedbackRaterType(outsider, employee)).toBeNull();
+    });
+
+    it('assigns every dataset employee to their division supervisor', () => {
+      const employees = createEmployeeDataset({ count: 10 });
+
+      expect(employees[0]).toMatchObject({ employeeId: 'emp-001', division: 'East Zone', supervisorId: 'sup-001' });
+      expect(employees[5]).toMatchObject({ division: 'East Zone', supervisorId: 'sup-001' });
+      expect(employees[1].supervisorId).toBe('sup-002');
+    });
+  });
+
+  describe('Feedback store', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-'));
+      filePath = path.join(dir, 'feedback.json');
+    });
+
+    afterEach(() => {
+      fs.removeSync(dir);
+    });
+
+    it('keeps one submission per rater and quarter across restarts', () => {
+      const store = createFeedbackStore({ filePath });
+      const base = { employeeId: 'emp-001', period: '2025-26-Q3', raterId: 'emp-002', raterName: 'Priya', raterType: 'peer' };
+      store.submit({ ...base, ratings: { initiative: 1 } });
+      store.submit({ ...base, ratings: { initiative: 3 } });
+      store.submit({ ...base, period: '2025-26-Q2', ratings: { initiative: 2 } });
+
+      const reopened = createFeedbackStore({ filePath });
+      expect(reopened.listSubmissions('emp-001', '2025-26-Q3').map((s) => s.ratings.initiative)).toEqual([3]);
+      expect(reopened.listSubmissions('emp-001')).toHaveLength(2);
+      expect(reopened.getPolicy().minPeerRatings).toBe(3);
+    });
+  });
+
+  it('shows aggregates and hides thin peer feedback in the dashboard panel', () => {
+    const feedback = {
+      period: '2025-26-Q3',
+      label: 'Q3 2025-26',
+      policy,
+      kpis: [
+        { id: 'initiative', name: 'Initiative', value: 2.5, raterCounts: { supervisor: 1, peer: 2, self: 1 }, peerRatingsHidden: true },
+        { id: 'punctuality', name: 'Punctuality', value: null, raterCounts: { supervisor: 0, peer: 0, self: 0 }, peerRatingsHidden: false },
+      ],
+      comments: [{ raterType: 'supervisor', text: 'Strong lead' }],
+      colleagues: [{ employeeId: 'emp-002', name: 'Priya Sharma' }],
+    };
+
+    render(<FeedbackPanel feedback={feedback} colleagues={feedback.colleagues} />);
+
+    expect(screen.getByText('2.5 / 3')).toBeInTheDocument();
+    expect(screen.getByText('Peer ratings hidden until 3 peers respond')).toBeInTheDocument();
+    expect(screen.getByText('Not rated yet')).toBeInTheDocument();
+    expect(screen.getByText('“Strong lead”')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /give feedback/i }));
+    expect(screen.getByRole('button', { name: 'Submit feedback' })).toBeDisabled();
+    fireEvent.click(screen.getAllByRole('button', { name: '2' })[0]);
+    expect(screen.getByRole('button', { name: 'Submit feedback' })).toBeEnabled();
+  });
+});
@@ -176,3 +176,43 @@ export const mockRiskEvidence = {
     },
   ],
 };
+
+/**
+ * Mock Weight Categories
+ * Two-category weight tree; Individual Behavior takes the remaining weight
+ */
+export const mockWeightCategories = (fieldWeight) => [
+  {
+    id: 'field_operations',
+    name: 'Field Operations',
+    weight: fieldWeight,
+    kpis: [{ id: 'inspection_completion', name: 'Inspection Completion Rate', weight: 1 }],
+  },
+  {
+    id: 'individual_behavior',
+    name: 'Individual Behavior',
+    weight: 1 - fieldWeight,
+    kpis: [{ id: 'initiative', name: 'Initiative', weight: 1 }],
+  },
+];
+
+/**
+ * Mock Weight Versions (newest first, as the weight store seeds them)
+ * GET /api/admin/weights/history
+ */
+export const mockWeightVersions = [
+  {
+    versionId: 'v2.1',
+    timestamp: '2025-01-15T10:30:00.000Z',
+    status: 'active',
+    comment: 'Current',
+    categories: mockWeightCategories(0.3),
+  },
+  {
+    versionId: 'v2.0',
+    timestamp: '2024-12-01T14:20:00.000Z',
+    status: 'archived',
+    comment: 'Previous',
+    categories: mockWeightCategories(0.28),
+  },
+];
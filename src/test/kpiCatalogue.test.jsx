@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { computeScore, computeScoreBreakdown, explainScore } from '../utils/scoring';
+import { resolveDefinitionId } from '../utils/kpiCatalogue';
+import ScoreCard from '../components/employee/ScoreCard';
+
+/**
+ * Test Suite: KPI Catalogue
+ */
+describe('KPI Catalogue', () => {
+  const hq = [
+    // reporting_timeliness (weight 0.3); its own weight is ignored
+    { id: 'KPI-E-002', name: 'Report Submission Timeliness', value: 30, target: 100, weight: 5, category: 'hq_operations' },
+    { id: 'HQ-17', name: 'Register Accuracy', definitionId: 'data_accuracy', value: 100, category: 'hq_operations' },
+  ];
+  const adHoc = { id: 'KPI-E-099', name: 'Ad hoc Duty', value: 0, category: 'hq_operations' };
+
+  it('links KPI instances to configured definitions', () => {
+    expect(resolveDefinitionId({ id: 'KPI-E-001' })).toBe('process_adherence');
+    expect(resolveDefinitionId({ id: 'KPI-E-001', definitionId: 'data_accuracy' })).toBe('data_accuracy');
+    expect(resolveDefinitionId({ id: 'initiative' })).toBe('initiative');
+  });
+
+  it('weights KPIs with the admin-configured weights', () => {
+    // (30 * 0.3 + 100 * 0.4) / 0.7
+    expect(computeScore(hq)).toBeCloseTo(70);
+    expect(explainScore(hq).categories[0].kpis.map((kpi) => kpi.kpiWeight)).toEqual([
+      expect.closeTo(0.3 / 0.7),
+      expect.closeTo(0.4 / 0.7),
+    ]);
+  });
+
+  it('splits a definition weight between KPIs that share it', () => {
+    const twice = [...hq, { ...hq[1], id: 'HQ-18', value: 0 }];
+
+    // (30 * 0.3 + 100 * 0.2 + 0 * 0.2) / 0.7
+    expect(computeScore(twice)).toBeCloseTo(29 / 0.7);
+  });
+
+  it('flags KPIs without a definition and leaves them out of the score', () => {
+    const trace = explainScore([...hq, adHoc]);
+
+    expect(trace.score).toBeCloseTo(70);
+    expect(trace.unscoredKpis).toEqual([
+      { id: 'KPI-E-099', name: 'Ad hoc Duty', category: 'hq_operations', reason: 'No KPI definition in the weight configuration' },
+    ]);
+    expect(trace.unmappedKpis).toEqual([]);
+    expect(computeScoreBreakdown([...hq, adHoc]).hq_operations).toMatchObject({ kpiCount: 2, unmappedCount: 1 });
+  });
+
+  it('keeps KPI weights in categories with no linked KPIs', () => {
+    const legacy = [
+      { id: 'K1', value: 100, weight: 3, category: 'hq_operations' },
+      { id: 'K2', value: 0, weight: 1, category: 'hq_operations' },
+    ];
+
+    expect(computeScore(legacy)).toBeCloseTo(75);
+    expect(explainScore(legacy).unmappedKpis.map((kpi) => kpi.id)).toEqual(['K1', 'K2']);
+  });
+
+  it('gives KPIs weighted 0 no share of the category', () => {
+    const legacy = [
+      { id: 'K1', value: 100, weight: 1, category: 'hq_operations' },
+      { id: 'K2', value: 0, weight: 0, category: 'hq_operations' },
+    ];
+
+    expect(computeScore(legacy)).toBeCloseTo(100);
+    expect(explainScore(legacy).categories[0].kpis.map((kpi) => kpi.kpiWeight)).toEqual([1, 0]);
+  });
+
+  it('shows unmapped KPIs in the scorecard', () => {
+    render(<ScoreCard kpis={[...hq, adHoc]} />);
+
+    expect(screen.getByText(/2 KPI\(s\) • 1 without definition/)).toBeInTheDocument();
+  });
+});
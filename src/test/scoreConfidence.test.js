@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { computeScore } from '../utils/scoring';
+import { computeScoreWithConfidence, summarizeConfidence } from '../utils/scoreConfidence';
+
+/**
+ * Test Suite: Score Confidence
+ */
+describe('Score Confidence', () => {
+  const now = new Date('2025-12-31T00:00:00Z');
+  const kpi = (id, category, extra = {}) => ({
+    id,
+    value: 80,
+    target: 100,
+    category,
+    last_compute: '2025-12-15T00:00:00Z',
+    ...extra,
+  });
+  const complete = [
+    kpi('K1', 'hq_operations'),
+    kpi('K2', 'field_operations'),
+    kpi('K3', 'team_collaboration'),
+    kpi('K4', 'individual_behavior', { value: 3, target: 3 }),
+  ];
+
+  it('returns a final, high-confidence score for complete current data', () => {
+    const result = computeScoreWithConfidence(complete, null, { now });
+
+    expect(result).toMatchObject({ status: 'final', level: 'high', coverage: 1, kpiCount: 4 });
+    expect(result.score).toBeCloseTo(computeScore(complete));
+  });
+
+  it('withholds the score below the minimum KPI count or coverage', () => {
+    const thin = computeScoreWithConfidence(complete.slice(0, 2), null, { now });
+    expect(thin).toMatchObject({ status: 'insufficient', score: null });
+    expect(thin.reasons[0]).toMatch(/Only 2 KPIs recorded \(minimum 3\)/);
+
+    const narrow = computeScoreWithConfidence(
+      [kpi('K1', 'team_collaboration'), kpi('K2', 'team_collaboration'), kpi('K3', 'team_collaboration')],
+      null,
+      { now }
+    );
+    expect(narrow.status).toBe('insufficient');
+    expect(narrow.coverage).toBeCloseTo(0.15);
+  });
+
+  it('lowers confidence for stale data and can exclude it', () => {
+    const stale = [...complete.slice(0, 3), kpi('K4', 'individual_behavior', { last_compute: '2025-01-01T00:00:00Z' })];
+
+    const kept = computeScoreWithConfidence(stale, null, { now });
+    expect(kept.staleKpis).toEqual(['K4']);
+    expect(kept.confidence).toBeCloseTo(1 - 0.5 * 0.25);
+
+    const excluded = computeScoreWithConfidence(stale, null, { now, policy: { excludeStale: true } });
+    expect(excluded.excludedKpis).toEqual(['K4']);
+    expect(excluded.coverage).toBeCloseTo(0.7);
+  });
+
+  it('marks scores with provisional KPIs as provisional', () => {
+    const result = computeScoreWithConfidence([...complete, kpi('K5', 'hq_operations', { provisional: true })], null, {
+      now,
+    });
+
+    expect(result.status).toBe('provisional');
+    expect(result.provisionalKpis).toEqual(['K5']);
+  });
+
+  it('combines employee confidence for organisation scores', () => {
+    const results = [
+      computeScoreWithConfidence(complete, null, { now }),
+      computeScoreWithConfidence(complete.slice(0, 1), null, { now }),
+    ];
+    const summary = summarizeConfidence(results);
+
+    expect(summary).toMatchObject({ status: 'final', coverage: 0.5, insufficientCount: 1, level: 'medium' });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { computeScore } from '../utils/scoring';
+import { listPeriods, parsePeriod, periodOf } from '../utils/periods';
+import { buildScoreHistory, computeScoreSnapshot, computeTrend } from '../utils/scoreHistory';
+import { createScoreSnapshotStore } from '../../utils/scoreSnapshotStore.js';
+import ScoreCard from '../components/employee/ScoreCard';
+import { mockWeightCategories, mockWeightVersions } from './fixtures';
+
+/**
+ * Test Suite: Score History
+ */
+describe('Score History', () => {
+  const timeline = mockWeightVersions.map((v) => ({ versionId: v.versionId, effectiveFrom: v.timestamp, categories: v.categories }));
+  const kpis = [
+    { id: 'inspection_completion', name: 'Inspection Completion Rate', value: 90, target: 100, category: 'field_operations' },
+    { id: 'initiative', name: 'Initiative', value: 2, target: 3, category: 'individual_behavior' },
+  ];
+  const policy = { minKpis: 2 };
+  const now = new Date('2025-05-10T00:00:00Z');
+
+  it('builds fiscal periods running April to March', () => {
+    expect(periodOf('2025-02-10', 'quarter')).toEqual({
+      id: '2024-25-Q4',
+      granularity: 'quarter',
+      label: 'Q4 2024-25',
+      startDate: '2025-01-01',
+      endDate: '2025-03-31',
+    });
+    expect(periodOf('2025-02-10', 'fiscal_year')).toMatchObject({ id: '2024-25', startDate: '2024-04-01', endDate: '2025-03-31' });
+    expect(periodOf('2024-02-10', 'month')).toMatchObject({ id: '2024-02', label: 'Feb 2024', endDate: '2024-02-29' });
+
+    expect(parsePeriod('2024-25')).toMatchObject({ granularity: 'fiscal_year', startDate: '2024-04-01' });
+    expect(parsePeriod('2024-25-Q1')).toMatchObject({ granularity: 'quarter', endDate: '2024-06-30' });
+    expect(parsePeriod('2024-07')).toMatchObject({ granularity: 'month', label: 'Jul 2024' });
+    expect(parsePeriod('2024-26-Q1')).toBeNull();
+    expect(listPeriods('quarter', 3, '2025-05-10').map((p) => p.id)).toEqual(['2024-25-Q3', '2024-25-Q4', '2025-26-Q1']);
+  });
+
+  it('tags each snapshot with the weight version in force at the period start', () => {
+    const [q3, q4, q1] = listPeriods('quarter', 3, now).map((period) =>
+      computeScoreSnapshot({ employeeId: 'emp-001', kpis, period, weights: timeline, policy, now })
+    );
+
+    expect(q3).toMatchObject({ period: '2024-25-Q3', weightVersion: null, final: true });
+    expect(q4).toMatchObject({ period: '2024-25-Q4', weightVersion: 'v2.0', final: true });
+    expect(q4.score).toBeCloseTo(computeScore(kpis, mockWeightVersions[1].categories));
+    expect(q1).toMatchObject({ period: '2025-26-Q1', weightVersion: 'v2.1', final: false });
+    expect(q1.kpis.map((kpi) => kpi.id)).toEqual(['inspection_completion', 'initiative']);
+  });
+
+  it('computes the trend across scored periods', () => {
+    const series = [{ score: 60, label: 'Q1' }, { score: null, label: 'Q2' }, { score: 64, label: 'Q3' }, { score: 67, label: 'Q4' }];
+
+    expect(computeTrend(series)).toMatchObject({ direction: 'up', change: 3, previousPeriod: 'Q3' });
+    expect(computeTrend([{ score: 70, label: 'Q1' }, { score: 70.2, label: 'Q2' }]).direction).toBe('flat');
+    expect(computeTrend([{ score: 70, label: 'Q1' }])).toMatchObject({ direction: 'flat', change: null });
+  });
+
+  describe('Snapshot store', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-history-'));
+      filePath = path.join(dir, 'score-history.json');
+    });
+
+    afterEach(() => {
+      fs.removeSync(dir);
+    });
+
+    it('keeps closed periods as scored and recomputes the open one', () => {
+      const periods = listPeriods('quarter', 2, now);
+      const compute = (weights) => (period) =>
+        computeScoreSnapshot({ employeeId: 'emp-001', kpis, period, weights, policy, now });
+
+      const first = createScoreSnapshotStore({ filePath }).resolveSnapshots('emp-001', periods, compute(timeline));
+
+      // Weight trees change after the fact; the closed quarter keeps its v2.0 score
+      const changed = timeline.map((version) => ({ ...version, categories: mockWeightCategories(0.9) }));
+      const store = createScoreSnapshotStore({ filePath });
+      const second = store.resolveSnapshots('emp-001', periods, compute(changed));
+
+      expect(second[0]).toEqual(first[0]);
+      expect(second[0].weightVersion).toBe('v2.0');
+      expect(second[1].score).not.toBeCloseTo(first[1].score);
+      expect(store.listSnapshots('emp-001').map((snapshot) => snapshot.period)).toEqual(['2024-25-Q4']);
+    });
+  });
+
+  it('charts the history on the ScoreCard', () => {
+    const periods = listPeriods('quarter', 3, now);
+    const history = buildScoreHistory(
+      'emp-001',
+      'quarter',
+      periods.map((period, index) =>
+        computeScoreSnapshot({
+          employeeId: 'emp-001',
+          kpis: kpis.map((kpi) => ({ ...kpi, value: kpi.value - (2 - index) * (kpi.target === 3 ? 0.5 : 10) })),
+          period,
+          weights: timeline,
+          policy,
+          now,
+        })
+      )
+    );
+
+    render(<ScoreCard kpis={kpis} weights={mockWeightVersions[0].categories} policy={policy} history={history} />);
+
+    expect(screen.getByText('Score History')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Score history chart' })).toBeInTheDocument();
+    expect(screen.getByText(/Improving • \+\d+\.\d vs Q4 2024-25/)).toBeInTheDocument();
+    expect(screen.getByText('Weights: default (Q3 2024-25) • v2.0 (Q4 2024-25) • v2.1 (Q1 2025-26)')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { computeScore, computeScoreBreakdown, explainScore, selectEffectiveVersion } from '../utils/scoring';
+import { validateCategories } from '../utils/kpiCategories';
+import { normalizeKpiScore, resolveNormalization, validateNormalization } from '../utils/kpiNormalization';
+import { buildSystemContext } from '../../utils/prompts.js';
+import { buildAparPerformance } from '../../utils/aparPerformance.js';
+import ScoreCard from '../components/employee/ScoreCard';
+import { mockWeightCategories } from './fixtures';
+
+/**
+ * Test Suite: Effective-Dated Scoring
+ */
+describe('Effective-Dated Scoring', () => {
+  const versions = [
+    { versionId: 'v2.1', effectiveFrom: '2025-01-15T00:00:00.000Z', categories: mockWeightCategories(0.3) },
+    { versionId: 'v2.2', effectiveFrom: '2025-04-01T00:00:00.000Z', categories: mockWeightCategories(0.8) },
+  ];
+  const kpis = [
+    { id: 'K1', value: 100, category: 'field_operations' },
+    { id: 'K2', value: 0, category: 'individual_behavior' },
+  ];
+
+  it('selects the latest version effective on a date', () => {
+    expect(selectEffectiveVersion(versions, '2025-03-31').versionId).toBe('v2.1');
+    expect(selectEffectiveVersion(versions, '2025-04-01').versionId).toBe('v2.2');
+    expect(selectEffectiveVersion(versions, '2024-12-31')).toBeNull();
+  });
+
+  it('scores with the weights in force at the period start', () => {
+    const q4 = { startDate: '2025-01-20', endDate: '2025-03-31' };
+    const q1 = { startDate: '2025-04-01', endDate: '2025-06-30' };
+
+    expect(computeScore(kpis, versions, { period: q4 })).toBeCloseTo(30);
+    expect(computeScore(kpis, versions, { period: q1 })).toBeCloseTo(80);
+  });
+
+  it('still accepts a plain category weight map', () => {
+    expect(computeScore(kpis, { field_operations: 0.5, individual_behavior: 0.5 })).toBeCloseTo(50);
+  });
+});
+
+/**
+ * Test Suite: Configurable KPI Categories
+ */
+describe('KPI Categories', () => {
+  const categories = [
+    { id: 'field_operations', name: 'Field Operations', scoringMethod: 'average', weight: 0.6, kpis: [] },
+    { id: 'community_outreach', name: 'Community Outreach', scoringMethod: 'rubric', weight: 0.4, kpis: [] },
+  ];
+  const kpis = [
+    { id: 'K1', name: 'Inspections', value: 80, target: 100, category: 'field_operations' },
+    { id: 'K2', name: 'Village Meetings', value: 1.5, target: 3, category: 'community_outreach' },
+  ];
+
+  it('scores each category with its configured method', () => {
+    // 80 * 0.6 + (1.5 / 3 * 100) * 0.4
+    expect(computeScore(kpis, categories)).toBeCloseTo(68);
+  });
+
+  it('follows the configuration rather than the category id', () => {
+    const averaged = [{ id: 'individual_behavior', name: 'Individual Behavior', scoringMethod: 'average', weight: 1 }];
+    const behaviour = [{ id: 'K3', value: 60, category: 'individual_behavior' }];
+
+    expect(computeScore(behaviour, averaged)).toBeCloseTo(60);
+  });
+
+  it('reports names and scoring methods in the breakdown', () => {
+    const breakdown = computeScoreBreakdown(kpis, categories);
+
+    expect(breakdown.community_outreach).toMatchObject({ name: 'Community Outreach', scoringMethod: 'rubric', score: 50 });
+  });
+
+  it('validates category definitions', () => {
+    expect(validateCategories(categories)).toBeNull();
+    expect(validateCategories([...categories, categories[0]])).toMatch(/Duplicate/);
+    expect(validateCategories([{ ...categories[0], scoringMethod: 'median' }])).toMatch(/Unknown scoring method/);
+  });
+
+  it('rejects weights that are not numbers from 0 to 1', () => {
+    const kpi = { id: 'K1', name: 'Inspections', weight: 1 };
+
+    expect(validateCategories([{ ...categories[0], weight: '0.6' }])).toMatch(/Weight for Field Operations/);
+    expect(validateCategories([{ ...categories[0], weight: -0.2 }])).toMatch(/between 0 and 1/);
+    expect(validateCategories([{ ...categories[0], weight: NaN }])).toMatch(/between 0 and 1/);
+    expect(validateCategories([{ ...categories[0], kpis: [{ ...kpi, weight: 'abc' }] }])).toMatch(/KPI Inspections/);
+    expect(validateCategories([{ ...categories[0], kpis: [{ ...kpi, weight: 1.5 }] }])).toMatch(/KPI Inspections/);
+    expect(validateCategories([{ ...categories[0], kpis: [kpi] }])).toBeNull();
+  });
+
+  it('requires a KPI list in every category', () => {
+    const { kpis: _kpis, ...withoutKpis } = categories[0];
+
+    expect(validateCategories([withoutKpis])).toMatch(/KPIs for Field Operations must be a list/);
+  });
+
+  it('describes the configured categories to the AI assistant', () => {
+    const context = buildSystemContext(categories);
+
+    expect(context).toContain('across 2 categories');
+    expect(context).toContain('- Community Outreach (40%)');
+    expect(context).toContain('Scored on a 0-3 rubric');
+  });
+
+  it('builds the APAR performance section from the configuration', () => {
+    const performance = buildAparPerformance({ kpis, categories });
+
+    expect(performance.overallScore).toBe(68);
+    expect(performance.categories.map((c) => [c.name, c.weight, c.score])).toEqual([
+      ['Field Operations', 60, 80],
+      ['Community Outreach', 40, 50],
+    ]);
+  });
+});
+
+/**
+ * Test Suite: KPI Normalisation
+ */
+describe('KPI Normalisation', () => {
+  it('scores achievement against the target', () => {
+    // Knowledge Sharing Sessions: 7 of 8 sessions
+    expect(normalizeKpiScore({ value: 7, target: 8 })).toBeCloseTo(87.5);
+    expect(normalizeKpiScore({ value: 12, target: 8 })).toBe(100);
+  });
+
+  it('scores lower-is-better KPIs inversely', () => {
+    const responseTime = { value: 60, target: 48, normalization: 'inverse' };
+
+    expect(normalizeKpiScore(responseTime)).toBeCloseTo(80);
+    expect(normalizeKpiScore({ ...responseTime, value: 36 })).toBe(100);
+  });
+
+  it('scores banded KPIs by the first matching band', () => {
+    const bands = [
+      { min: 90, score: 100 },
+      { min: 75, score: 80 },
+    ];
+
+    expect(normalizeKpiScore({ value: 85, normalization: 'banded', bands })).toBe(80);
+    expect(normalizeKpiScore({ value: 40, normalization: 'banded', bands })).toBe(0);
+  });
+
+  it('applies the method declared on the KPI definition before weighting', () => {
+    const categories = [
+      {
+        id: 'hq_operations',
+        weight: 1,
+        kpis: [{ id: 'response_time', weight: 1, normalization: 'inverse', target: 48 }],
+      },
+    ];
+
+    expect(computeScore([{ id: 'response_time', value: 96, category: 'hq_operations' }], categories)).toBeCloseTo(50);
+  });
+
+  it('lets the KPI definition override the method and target on the KPI', () => {
+    const definition = { id: 'response_time', normalization: 'inverse', target: 48 };
+    const kpi = { id: 'response_time', value: 96, target: 200, normalization: 'percent' };
+
+    expect(resolveNormalization(kpi, definition)).toMatchObject({ method: 'inverse', target: 48 });
+    expect(normalizeKpiScore(kpi, definition)).toBeCloseTo(50);
+    // The KPI's own values apply only where the definition has none
+    expect(resolveNormalization(kpi, { id: 'response_time', normalization: 'inverse' }).target).toBe(200);
+    expect(resolveNormalization(kpi, { id: 'response_time' }).method).toBe('percent');
+  });
+
+  it('keeps 0-3 rubric scoring in rubric categories', () => {
+    const kpis = [
+      { id: 'K1', value: 3, target: 3, category: 'individual_behavior' },
+      { id: 'K2', value: 1.5, target: 3, category: 'individual_behavior' },
+    ];
+
+    expect(computeScore(kpis, { individual_behavior: 1 })).toBeCloseTo(75);
+  });
+
+  it('weights rubric KPIs by their configured weights', () => {
+    // Initiative 0.35, Learning & Development 0.15 in the default configuration
+    const behaviour = [
+      { id: 'initiative', value: 3, category: 'individual_behavior' },
+      { id: 'learning_development', value: 0, category: 'individual_behavior' },
+    ];
+
+    expect(computeScore(behaviour)).toBeCloseTo(70);
+    expect(explainScore(behaviour).categories[0].kpis.map((kpi) => kpi.kpiWeight)).toEqual([
+      expect.closeTo(0.7),
+      expect.closeTo(0.3),
+    ]);
+  });
+
+  it('rejects unknown methods and bands without scores', () => {
+    expect(validateNormalization({ name: 'X', normalization: 'log' })).toMatch(/Unknown normalization/);
+    expect(validateNormalization({ name: 'X', normalization: 'banded', bands: [{ min: 1 }] })).toMatch(/bands/);
+    expect(validateNormalization({ name: 'X', normalization: 'inverse', target: 48 })).toBeNull();
+  });
+});
+
+/**
+ * Test Suite: Score Explanation
+ */
+describe('Score Explanation', () => {
+  const kpis = [
+    { id: 'K1', name: 'Knowledge Sharing Sessions', value: 7, target: 8, weight: 0.5, category: 'team_collaboration' },
+    { id: 'K2', name: 'Peer Support Rating', value: 4.5, target: 4.5, weight: 0.5, category: 'team_collaboration' },
+    { id: 'K3', name: 'Initiative', value: 2, target: 3, category: 'individual_behavior' },
+    { id: 'K4', name: 'Legacy KPI', value: 50, category: 'retired_category' },
+  ];
+
+  it('matches computeScore', () => {
+    expect(explainScore(kpis).score).toBeCloseTo(computeScore(kpis));
+  });
+
+  it('traces each KPI from raw value to contribution', () => {
+    const trace = explainScore(kpis);
+    const sessions = trace.categories.find((c) => c.id === 'team_collaboration').kpis[0];
+
+    expect(sessions).toMatchObject({ value: 7, target: 8, normalization: 'target_ratio', kpiWeight: 0.5 });
+    expect(sessions.normalizedScore).toBeCloseTo(87.5);
+
+    const total = trace.categories.flatMap((c) => c.kpis).reduce((sum, kpi) => sum + kpi.contribution, 0);
+    expect(total).toBeCloseTo(trace.score);
+  });
+
+  it('reports the re-normalisation for missing categories', () => {
+    const trace = explainScore(kpis);
+
+    expect(trace.missingCategories.map((c) => c.id)).toEqual(['hq_operations', 'field_operations']);
+    expect(trace.appliedWeight).toBeCloseTo(0.45);
+    expect(trace.normalizationFactor).toBeCloseTo(1 / 0.45);
+    expect(trace.categories[0].effectiveWeight).toBeCloseTo(0.15 / 0.45);
+  });
+
+  it('lists KPIs that do not count', () => {
+    expect(explainScore(kpis).unscoredKpis).toEqual([
+      { id: 'K4', name: 'Legacy KPI', category: 'retired_category', reason: 'Category is not in the weight configuration' },
+    ]);
+  });
+
+  it('shows the trace in the scorecard', () => {
+    render(<ScoreCard kpis={kpis} />);
+    fireEvent.click(screen.getByRole('button', { name: /how was this calculated/i }));
+
+    expect(screen.getByRole('table', { name: /score calculation/i })).toBeInTheDocument();
+    expect(screen.getByText('Knowledge Sharing Sessions')).toBeInTheDocument();
+    expect(screen.getByText(/scaled by ×2.22/)).toBeInTheDocument();
+  });
+
+  it('adds the trace to the APAR performance section', () => {
+    const { explanation } = buildAparPerformance({ kpis, categories: null });
+
+    expect(explanation.score).toBe(explainScore(kpis).score.toFixed(2));
+    expect(explanation.normalizationNote).toMatch(/HQ Operations \(25.0%\)/);
+    expect(explanation.unscoredNote).toMatch(/Legacy KPI/);
+  });
+});
@@ -0,0 +1,256 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { createWeightStore } from '../../utils/weightStore.js';
+import { diffWeightVersions } from '../utils/weightDiff';
+import { mockWeightCategories, mockWeightVersions } from './fixtures';
+
+/**
+ * Test Suite: Weight Store
+ */
+describe('Weight Store', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weights-'));
+    filePath = path.join(dir, 'weights.json');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  it('seeds the file on first use', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+
+    expect(fs.existsSync(filePath)).toBe(true);
+    expect(store.getActiveVersion().versionId).toBe('v2.1');
+  });
+
+  it('stores the full tree for new versions', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const saved = store.createVersion({
+      categories: mockWeightCategories(0.4),
+      modifiedBy: 'admin-003',
+      modifiedByName: 'Anjali Sharma',
+      comment: 'More field weight',
+    });
+
+    expect(saved.versionId).toBe('v2.2');
+    expect(store.getVersion('v2.1').status).toBe('archived');
+    expect(store.getActiveVersion().categories[0].weight).toBe(0.4);
+  });
+
+  it('rollback restores the exact stored tree', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    store.createVersion({ categories: mockWeightCategories(0.5), comment: 'Experiment' });
+
+    const restored = store.activateVersion('v2.0');
+
+    expect(restored.categories).toEqual(mockWeightCategories(0.28));
+    expect(store.getActiveVersion().categories).toEqual(mockWeightCategories(0.28));
+  });
+
+  it('survives a restart', () => {
+    createWeightStore({ filePath, seed: mockWeightVersions }).activateVersion('v2.0');
+    const reopened = createWeightStore({ filePath, seed: mockWeightVersions });
+
+    expect(reopened.getActiveVersion().versionId).toBe('v2.0');
+  });
+
+  it('does not share references with callers', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    store.getActiveVersion().categories[0].weight = 0.99;
+
+    expect(store.getActiveVersion().categories[0].weight).toBe(0.3);
+  });
+
+  it('keeps future-dated versions pending', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const saved = store.createVersion({
+      categories: mockWeightCategories(0.4),
+      comment: 'Next quarter',
+      effectiveFrom: '2999-04-01T00:00:00.000Z',
+    });
+
+    expect(saved.status).toBe('pending');
+    expect(store.getActiveVersion().versionId).toBe('v2.1');
+  });
+
+  it('activates pending versions once their date passes', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    store.createVersion({ categories: mockWeightCategories(0.4), effectiveFrom: '2999-04-01T00:00:00.000Z' });
+
+    expect(store.activateDueVersions(new Date('2999-03-31T00:00:00.000Z'))).toEqual([]);
+    const [activated] = store.activateDueVersions(new Date('2999-04-01T00:00:01.000Z'));
+
+    expect(activated.versionId).toBe('v2.2');
+    expect(store.getVersion('v2.1').status).toBe('archived');
+  });
+
+  it('returns the version effective on a past date', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+
+    expect(store.getEffectiveVersion('2024-12-15').versionId).toBe('v2.0');
+    expect(store.getEffectiveVersion('2025-02-01').versionId).toBe('v2.1');
+    expect(store.getEffectiveVersion('2024-01-01')).toBeNull();
+  });
+
+  it('never reuses a version id after rollback', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    store.activateVersion('v2.0');
+
+    expect(store.createVersion({ categories: mockWeightCategories(0.3) }).versionId).toBe('v2.2');
+  });
+});
+
+/**
+ * Test Suite: Weight Change Approval
+ */
+describe('Weight Change Approval', () => {
+  let dir;
+  let filePath;
+  const proposal = {
+    categories: mockWeightCategories(0.4),
+    requestedBy: 'admin-003',
+    requestedByName: 'Anjali Sharma',
+    reason: 'More field weight',
+  };
+  const review = { reviewedBy: 'admin-002', reviewedByName: 'Priya Patel', comment: 'Agreed' };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weights-'));
+    filePath = path.join(dir, 'weights.json');
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  it('keeps submitted changes out of the active weights', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const request = store.createChangeRequest(proposal);
+
+    expect(request).toMatchObject({ requestId: 'cr-0001', status: 'pending_approval', baseVersion: 'v2.1' });
+    expect(store.getActiveVersion().versionId).toBe('v2.1');
+    expect(store.listVersions()).toHaveLength(2);
+  });
+
+  it('creates the version on approval', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const { requestId } = store.createChangeRequest(proposal);
+
+    const { request, version } = store.approveChangeRequest(requestId, review);
+
+    expect(request).toMatchObject({ status: 'approved', reviewedBy: 'admin-002', versionId: 'v2.2' });
+    expect(version).toMatchObject({ modifiedBy: 'admin-003', approvedBy: 'admin-002', status: 'active' });
+    expect(store.getActiveVersion().categories[0].weight).toBe(0.4);
+  });
+
+  it('schedules approved changes with a future effective date', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const { requestId } = store.createChangeRequest({ ...proposal, effectiveFrom: '2999-04-01T00:00:00.000Z' });
+
+    expect(store.approveChangeRequest(requestId, review).version.status).toBe('pending');
+    expect(store.getActiveVersion().versionId).toBe('v2.1');
+  });
+
+  it('activates now when the requested date passed before approval', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const { requestId } = store.createChangeRequest({ ...proposal, effectiveFrom: '2024-01-01T00:00:00.000Z' });
+
+    const { version } = store.approveChangeRequest(requestId, review);
+
+    expect(version.status).toBe('active');
+    expect(new Date(version.effectiveFrom).getTime()).toBeGreaterThan(new Date('2025-01-01').getTime());
+    // Earlier periods keep the version that was effective then
+    expect(store.getEffectiveVersion('2024-06-01')).toBeNull();
+    expect(store.getEffectiveVersion('2025-02-01').versionId).toBe('v2.1');
+  });
+
+  it('never applies rejected changes', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const { requestId } = store.createChangeRequest(proposal);
+
+    expect(store.rejectChangeRequest(requestId, review).status).toBe('rejected');
+    expect(store.approveChangeRequest(requestId, review)).toBeNull();
+    expect(store.getActiveVersion().versionId).toBe('v2.1');
+  });
+
+  it('applies a rollback only once it is approved', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const { requestId } = store.createChangeRequest({
+      ...proposal,
+      categories: store.getVersion('v2.0').categories,
+      rollbackTo: 'v2.0',
+    });
+
+    expect(store.getActiveVersion().versionId).toBe('v2.1');
+
+    const { request, version } = store.approveChangeRequest(requestId, review);
+
+    expect(request).toMatchObject({ status: 'approved', rollbackTo: 'v2.0', versionId: 'v2.0' });
+    expect(version.categories).toEqual(mockWeightCategories(0.28));
+    expect(store.getActiveVersion().versionId).toBe('v2.0');
+    expect(store.listVersions()).toHaveLength(2);
+  });
+
+  it('refuses requests made against a version that is no longer active', () => {
+    const store = createWeightStore({ filePath, seed: mockWeightVersions });
+    const first = store.createChangeRequest(proposal);
+    const second = store.createChangeRequest({ ...proposal, categories: mockWeightCategories(0.5) });
+
+    store.approveChangeRequest(first.requestId, review);
+
+    expect(store.isStaleChangeRequest(store.getChangeRequest(second.requestId))).toBe(true);
+    expect(store.approveChangeRequest(second.requestId, review)).toBeNull();
+    expect(store.getChangeRequest(second.requestId).status).toBe('pending_approval');
+    expect(store.getActiveVersion().categories[0].weight).toBe(0.4);
+  });
+
+  it('persists requests across a restart', () => {
+    createWeightStore({ filePath, seed: mockWeightVersions }).createChangeRequest(proposal);
+    const reopened = createWeightStore({ filePath, seed: mockWeightVersions });
+
+    expect(reopened.listChangeRequests('pending_approval')).toHaveLength(1);
+  });
+});
+
+/**
+ * Test Suite: Weight Diff
+ */
+describe('Weight Diff', () => {
+  it('reports category and KPI weight deltas', () => {
+    const { categories, summary } = diffWeightVersions(mockWeightCategories(0.28), mockWeightCategories(0.3));
+
+    expect(categories[0]).toMatchObject({ id: 'field_operations', status: 'changed', delta: 0.02 });
+    expect(categories[0].kpis[0].status).toBe('unchanged');
+    expect(summary.categoriesChanged).toBe(2);
+    expect(summary.hasChanges).toBe(true);
+  });
+
+  it('flags added and removed KPIs', () => {
+    const from = mockWeightCategories(0.3);
+    const to = mockWeightCategories(0.3);
+    to[0].kpis = [
+      { id: 'inspection_completion', name: 'Inspection Completion Rate', weight: 0.6 },
+      { id: 'travel_efficiency', name: 'Travel Efficiency', weight: 0.4 },
+    ];
+    from[1].kpis.push({ id: 'punctuality', name: 'Punctuality', weight: 0 });
+
+    const { categories, summary } = diffWeightVersions(from, to);
+
+    expect(categories[0].kpis.map((kpi) => kpi.status)).toEqual(['changed', 'added']);
+    expect(categories[1].kpis[1]).toMatchObject({ id: 'punctuality', status: 'removed', toWeight: null });
+    expect(summary).toMatchObject({ kpisAdded: 1, kpisRemoved: 1, kpisChanged: 1 });
+  });
+
+  it('accepts categories keyed by id', () => {
+    const keyed = { field_operations: { weight: 0.3, kpis: [] } };
+    const { summary } = diffWeightVersions(keyed, keyed);
+
+    expect(summary.hasChanges).toBe(false);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Audit Action Labels
+ *
+ * Display names for the audit action types written by the mock servers
+ * (see utils/auditLog.js), in the order the Audit Trail filters list them.
+ */
+
+export const AUDIT_ACTION_LABELS = {
+  WEIGHT_UPDATE: 'Weight Update',
+  KPI_WEIGHT_UPDATE: 'KPI Weight Update',
+  CALIBRATION_PREVIEW: 'Calibration Preview',
+  WEIGHT_ROLLBACK: 'Weight Rollback',
+  WEIGHT_ACTIVATED: 'Scheduled Weight Activated',
+  WEIGHT_CHANGE_REQUESTED: 'Weight Change Requested',
+  WEIGHT_CHANGE_APPROVED: 'Weight Change Approved',
+  WEIGHT_CHANGE_REJECTED: 'Weight Change Rejected',
+  AUDIT_EXPORTED: 'Audit Exported',
+  AUDIT_RETENTION_UPDATED: 'Audit Retention Updated',
+  AUDIT_ARCHIVED: 'Audit Entries Archived',
+  FEEDBACK_SUBMITTED: '360 Feedback Submitted',
+  FEEDBACK_POLICY_UPDATED: '360 Feedback Policy Updated',
+  EVIDENCE_SUBMITTED: 'Evidence Submitted',
+  EVIDENCE_STATUS_CHANGED: 'Evidence Review Updated',
+  EVIDENCE_VERIFIED: 'Evidence Verified',
+  EVIDENCE_REJECTED: 'Evidence Rejected',
+  MILESTONE_UPDATED: 'Milestone Updated',
+  REPORT_GENERATED: 'Report Generated',
+  REPORT_DOWNLOADED: 'Report Downloaded',
+  AI_QUERY: 'AI Query',
+};
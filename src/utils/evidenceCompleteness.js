@@ -0,0 +1,205 @@
+/**
+ * Evidence Completeness
+ *
+ * Scores an evidence record against the rules for its evidence type and
+ * lists what the uploader can fix. Used by the evidence server when a record
+ * is submitted or resubmitted (stored as `record.completeness`) and by
+ * GET /api/evidence/:id/completeness.
+ *
+ * Checks:
+ * - geo_tag:     capture location recorded (photos and videos)
+ * - timestamp:   capture time recorded, not in the future, and within the
+ *                linked task's window (start to due date) or, without a task,
+ *                the linked milestone's
+ * - description: at least N words (per type)
+ * - file_type:   file extension accepted for the evidence type
+ * - kpi_link:    linked to the KPI it supports
+ *
+ * Each type weights its checks out of 100; the score is the weight passed.
+ */
+
+export const EVIDENCE_TYPES = {
+  IMAGE: 'image',
+  DOCUMENT: 'document',
+  VIDEO: 'video',
+};
+
+export const COMPLETENESS_CHECKS = {
+  GEO_TAG: 'geo_tag',
+  TIMESTAMP: 'timestamp',
+  DESCRIPTION: 'description',
+  FILE_TYPE: 'file_type',
+  KPI_LINK: 'kpi_link',
+};
+
+export const COMPLETENESS_CHECK_LABELS = {
+  [COMPLETENESS_CHECKS.GEO_TAG]: 'Geo-tag',
+  [COMPLETENESS_CHECKS.TIMESTAMP]: 'Capture time',
+  [COMPLETENESS_CHECKS.DESCRIPTION]: 'Description',
+  [COMPLETENESS_CHECKS.FILE_TYPE]: 'File type',
+  [COMPLETENESS_CHECKS.KPI_LINK]: 'Linked KPI',
+};
+
+/**
+ * Rules per evidence type: accepted file extensions, minimum description
+ * words and check weights (a check without a weight does not apply)
+ */
+export const COMPLETENESS_RULES = {
+  [EVIDENCE_TYPES.IMAGE]: {
+    label: 'Photo',
+    extensions: ['jpg', 'jpeg', 'png', 'heic', 'webp'],
+    minDescriptionWords: 5,
+    weights: { geo_tag: 25, timestamp: 20, description: 15, file_type: 15, kpi_link: 25 },
+  },
+  [EVIDENCE_TYPES.DOCUMENT]: {
+    label: 'Document',
+    extensions: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv'],
+    minDescriptionWords: 10,
+    weights: { timestamp: 20, description: 30, file_type: 20, kpi_link: 30 },
+  },
+  [EVIDENCE_TYPES.VIDEO]: {
+    label: 'Video',
+    extensions: ['mp4', 'mov', 'webm'],
+    minDescriptionWords: 5,
+    weights: { geo_tag: 20, timestamp: 20, description: 20, file_type: 15, kpi_link: 25 },
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fileExtension(fileName = '') {
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+}
+
+function countWords(text = '') {
+  return String(text).trim().split(/\s+/).filter(Boolean).length;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Evidence type of a record
+ * The type declared in the metadata wins; otherwise it follows the file
+ * extension, and unknown files are treated as documents.
+ *
+ * @param {Object} record - Evidence record ({ metadata: { evidenceType? }, files })
+ * @returns {string} One of EVIDENCE_TYPES
+ */
+export function getEvidenceType(record) {
+  const declared = record.metadata?.evidenceType;
+  if (COMPLETENESS_RULES[declared]) return declared;
+
+  const extension = fileExtension(record.files?.[0]?.fileName);
+  const match = Object.entries(COMPLETENESS_RULES).find(([, rules]) => rules.extensions.includes(extension));
+  return match ? match[0] : EVIDENCE_TYPES.DOCUMENT;
+}
+
+/**
+ * Window the evidence should have been captured in
+ *
+ * @param {Object} [context] - { task: { id, title, start_date?, due_date }, milestone: { id, title, start_date, end_date } }
+ * @returns {{ start: Date|null, end: Date, source: string }|null} End is inclusive of the due date
+ */
+function captureWindow({ task, milestone } = {}) {
+  if (task?.due_date) {
+    return {
+      start: task.start_date ? new Date(task.start_date) : null,
+      end: new Date(new Date(task.due_date).getTime() + DAY_MS),
+      source: `task "${task.title || task.id}"`,
+    };
+  }
+  if (milestone?.end_date) {
+    return {
+      start: new Date(milestone.start_date),
+      end: new Date(new Date(milestone.end_date).getTime() + DAY_MS),
+      source: `milestone "${milestone.title || milestone.id}"`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Run one check
+ *
+ * @returns {string|null} What the uploader can fix, or null when the check passes
+ */
+function runCheck(check, record, rules, { window, now }) {
+  const metadata = record.metadata || {};
+
+  switch (check) {
+    case COMPLETENESS_CHECKS.GEO_TAG: {
+      const location = metadata.location;
+      const hasLocation = Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+      return hasLocation ? null : `Capture the location so the ${rules.label.toLowerCase()} is geo-tagged`;
+    }
+    case COMPLETENESS_CHECKS.TIMESTAMP: {
+      const capturedAt = new Date(metadata.timestamp);
+      if (!metadata.timestamp || Number.isNaN(capturedAt.getTime())) {
+        return 'Add the date and time the evidence was captured';
+      }
+      if (capturedAt > now) return 'Capture time is in the future';
+      if (window && ((window.start && capturedAt < window.start) || capturedAt >= window.end)) {
+        const from = window.start ? formatDate(window.start) : 'the start';
+        const to = formatDate(new Date(window.end.getTime() - DAY_MS));
+        return `Captured ${formatDate(capturedAt)}, outside the ${window.source} window (${from} to ${to})`;
+      }
+      return null;
+    }
+    case COMPLETENESS_CHECKS.DESCRIPTION: {
+      const words = countWords(metadata.description);
+      return words >= rules.minDescriptionWords
+        ? null
+        : `Describe the evidence in at least ${rules.minDescriptionWords} words (${words} so far)`;
+    }
+    case COMPLETENESS_CHECKS.FILE_TYPE: {
+      const fileName = record.files?.[0]?.fileName;
+      return rules.extensions.includes(fileExtension(fileName))
+        ? null
+        : `Upload a ${rules.label.toLowerCase()} file (${rules.extensions.map((extension) => extension.toUpperCase()).join(', ')})`;
+    }
+    case COMPLETENESS_CHECKS.KPI_LINK:
+      return record.kpiId ? null : 'Link the evidence to the KPI it supports';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Score an evidence record for completeness
+ *
+ * @param {Object} record - Evidence record ({ kpiId, files: [{ fileName }], metadata: { description, location, timestamp, evidenceType? } })
+ * @param {Object} [context]
+ * @param {Object} [context.task] - Linked task ({ id, title, start_date?, due_date })
+ * @param {Object} [context.milestone] - Linked milestone ({ id, title, start_date, end_date }), used when there is no task
+ * @param {Date} [context.now] - Evaluation time
+ * @returns {{ evidenceType: string, score: number, checks: Object[], missing: Object[], evaluatedAt: string }}
+ *   checks: [{ id, label, weight, passed, message }]; missing: the failed checks, for the uploader to fix
+ *
+ * @example
+ * scoreEvidenceCompleteness(record, { task: { id: 'TASK-002', due_date: '2025-12-10' } });
+ * // { evidenceType: 'image', score: 75, missing: [{ id: 'geo_tag', label: 'Geo-tag', message: 'Capture the location ...' }], ... }
+ */
+export function scoreEvidenceCompleteness(record, { task, milestone, now = new Date() } = {}) {
+  const evidenceType = getEvidenceType(record);
+  const rules = COMPLETENESS_RULES[evidenceType];
+  const window = captureWindow({ task, milestone });
+
+  const checks = Object.entries(rules.weights).map(([id, weight]) => {
+    const message = runCheck(id, record, rules, { window, now });
+    return { id, label: COMPLETENESS_CHECK_LABELS[id], weight, passed: message === null, message };
+  });
+
+  const total = checks.reduce((sum, check) => sum + check.weight, 0);
+  const passed = checks.filter((check) => check.passed).reduce((sum, check) => sum + check.weight, 0);
+
+  return {
+    evidenceType,
+    score: total === 0 ? 100 : Math.round((passed / total) * 100),
+    checks,
+    missing: checks.filter((check) => !check.passed).map(({ id, label, message }) => ({ id, label, message })),
+    evaluatedAt: now.toISOString(),
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Evidence Links
+ *
+ * Evidence is linked to what it proves: a KPI, a task and/or a project
+ * milestone. Upload metadata and evidence records carry the ids as
+ * `kpiId`, `taskId` and `milestoneId`; the project evidence feed uses
+ * `kpi_id`, `task_id` and `milestone_id`.
+ */
+
+import { EVIDENCE_STATUSES, getEvidenceStatus } from './evidenceWorkflow.js';
+
+/**
+ * Link fields on upload metadata and evidence records
+ */
+export const EVIDENCE_LINK_FIELDS = ['kpiId', 'taskId', 'milestoneId'];
+
+/**
+ * Empty links for a new upload
+ */
+export const EMPTY_EVIDENCE_LINKS = { kpiId: null, taskId: null, milestoneId: null };
+
+/**
+ * Group evidence by the item it is linked to
+ *
+ * @param {Object[]} evidence - Evidence records or feed items
+ * @param {string} field - Link field ('kpiId', 'taskId', 'milestoneId', or the feed's 'kpi_id', ...)
+ * @returns {Object<string, Object[]>} Linked id -> evidence; unlinked evidence is left out
+ *
+ * @example
+ * groupEvidenceBy(records, 'taskId');
+ * // { 'TASK-002': [{ id: 'upload-1', taskId: 'TASK-002', ... }] }
+ */
+export function groupEvidenceBy(evidence, field) {
+  const groups = {};
+  for (const item of evidence) {
+    const id = item[field];
+    if (!id) continue;
+    (groups[id] ||= []).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Count linked evidence and how much of it is verified
+ *
+ * @param {Object[]} evidence - Evidence linked to one item
+ * @returns {{ total: number, verified: number }}
+ */
+export function summarizeEvidence(evidence = []) {
+  return {
+    total: evidence.length,
+    verified: evidence.filter((item) => getEvidenceStatus(item) === EVIDENCE_STATUSES.VERIFIED).length,
+  };
+}
+
+/**
+ * Display title of an evidence record or feed item
+ *
+ * @param {Object} evidence - Record ({ metadata: { title }, files }) or feed item ({ title })
+ * @returns {string}
+ */
+export function getEvidenceTitle(evidence) {
+  return evidence.title || evidence.metadata?.title || evidence.files?.[0]?.fileName || evidence.id;
+}
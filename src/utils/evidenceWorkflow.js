@@ -0,0 +1,182 @@
+/**
+ * Evidence Review Workflow
+ *
+ * Shared by the evidence server and the Project Dashboard so both enforce
+ * the same state machine:
+ *
+ *   submitted → under_review → verified
+ *                            → rejected        → resubmitted → under_review
+ *                            → needs_more_info → resubmitted
+ *
+ * Reviewers (admin, hod, supervisor) start reviews and decide; only the
+ * evidence owner resubmits. Rejections and information requests need a
+ * reason. Every transition is appended to the record's history.
+ */
+
+import { ROLES } from './roles.js';
+
+export const EVIDENCE_STATUSES = {
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected',
+  NEEDS_MORE_INFO: 'needs_more_info',
+  RESUBMITTED: 'resubmitted',
+};
+
+export const EVIDENCE_STATUS_LABELS = {
+  [EVIDENCE_STATUSES.SUBMITTED]: 'Submitted',
+  [EVIDENCE_STATUSES.UNDER_REVIEW]: 'Under Review',
+  [EVIDENCE_STATUSES.VERIFIED]: 'Verified',
+  [EVIDENCE_STATUSES.REJECTED]: 'Rejected',
+  [EVIDENCE_STATUSES.NEEDS_MORE_INFO]: 'Needs More Info',
+  [EVIDENCE_STATUSES.RESUBMITTED]: 'Resubmitted',
+};
+
+/**
+ * MUI chip colour for each status
+ */
+export const EVIDENCE_STATUS_COLORS = {
+  [EVIDENCE_STATUSES.SUBMITTED]: 'default',
+  [EVIDENCE_STATUSES.UNDER_REVIEW]: 'info',
+  [EVIDENCE_STATUSES.VERIFIED]: 'success',
+  [EVIDENCE_STATUSES.REJECTED]: 'error',
+  [EVIDENCE_STATUSES.NEEDS_MORE_INFO]: 'warning',
+  [EVIDENCE_STATUSES.RESUBMITTED]: 'default',
+};
+
+/**
+ * Statuses each status may move to
+ */
+export const EVIDENCE_TRANSITIONS = {
+  [EVIDENCE_STATUSES.SUBMITTED]: [EVIDENCE_STATUSES.UNDER_REVIEW],
+  [EVIDENCE_STATUSES.UNDER_REVIEW]: [
+    EVIDENCE_STATUSES.VERIFIED,
+    EVIDENCE_STATUSES.REJECTED,
+    EVIDENCE_STATUSES.NEEDS_MORE_INFO,
+  ],
+  [EVIDENCE_STATUSES.VERIFIED]: [],
+  [EVIDENCE_STATUSES.REJECTED]: [EVIDENCE_STATUSES.RESUBMITTED],
+  [EVIDENCE_STATUSES.NEEDS_MORE_INFO]: [EVIDENCE_STATUSES.RESUBMITTED],
+  [EVIDENCE_STATUSES.RESUBMITTED]: [EVIDENCE_STATUSES.UNDER_REVIEW],
+};
+
+/**
+ * Roles that may review evidence
+ */
+export const EVIDENCE_REVIEWER_ROLES = [ROLES.ADMIN, ROLES.HOD, ROLES.SUPERVISOR];
+
+/**
+ * Statuses that need a reason
+ */
+export const REASON_REQUIRED_STATUSES = [EVIDENCE_STATUSES.REJECTED, EVIDENCE_STATUSES.NEEDS_MORE_INFO];
+
+/**
+ * Statuses set by the evidence owner rather than a reviewer
+ */
+const OWNER_STATUSES = [EVIDENCE_STATUSES.RESUBMITTED];
+
+/**
+ * Statuses a record may move to next
+ *
+ * @param {string} status - Current status
+ * @returns {string[]}
+ */
+export function nextStatuses(status) {
+  return EVIDENCE_TRANSITIONS[status] || [];
+}
+
+/**
+ * Status of an evidence item
+ * Feed items from before the workflow only carry a `verified` flag.
+ *
+ * @param {Object} evidence - Evidence ({ status?, verified? })
+ * @returns {string}
+ */
+export function getEvidenceStatus(evidence) {
+  if (evidence.status) return evidence.status;
+  return evidence.verified ? EVIDENCE_STATUSES.VERIFIED : EVIDENCE_STATUSES.SUBMITTED;
+}
+
+/**
+ * Check whether a transition is allowed, and for whom
+ *
+ * @param {Object} record - Evidence record ({ status, ownerId })
+ * @param {Object} params
+ * @param {string} params.to - Target status
+ * @param {string} [params.reason] - Reason (required for REASON_REQUIRED_STATUSES)
+ * @param {Object} params.user - Acting user ({ id, employeeId, role })
+ * @returns {{ status: number, error: string }|null} HTTP status and message, or null when allowed
+ *
+ * @example
+ * validateTransition(record, { to: 'rejected', user: supervisor });
+ * // { status: 400, error: 'A reason is required to mark evidence Rejected' }
+ */
+export function validateTransition(record, { to, reason, user }) {
+  if (!Object.values(EVIDENCE_STATUSES).includes(to)) {
+    return { status: 400, error: `Status must be one of: ${Object.values(EVIDENCE_STATUSES).join(', ')}` };
+  }
+  if (!nextStatuses(record.status).includes(to)) {
+    return {
+      status: 409,
+      error: `Evidence that is ${EVIDENCE_STATUS_LABELS[record.status]} cannot be marked ${EVIDENCE_STATUS_LABELS[to]}`,
+    };
+  }
+
+  if (OWNER_STATUSES.includes(to)) {
+    if (!isEvidenceOwner(record, user)) return { status: 403, error: 'Only the evidence owner can resubmit' };
+  } else if (!EVIDENCE_REVIEWER_ROLES.includes(user?.role)) {
+    return { status: 403, error: 'Only reviewers can review evidence' };
+  } else if (isEvidenceOwner(record, user)) {
+    return { status: 403, error: 'Reviewers cannot review their own evidence' };
+  }
+
+  if (REASON_REQUIRED_STATUSES.includes(to) && !String(reason || '').trim()) {
+    return { status: 400, error: `A reason is required to mark evidence ${EVIDENCE_STATUS_LABELS[to]}` };
+  }
+  return null;
+}
+
+/**
+ * Whether a user owns an evidence record
+ *
+ * @param {Object} record - Evidence record ({ ownerId })
+ * @param {Object} user - User ({ id, employeeId })
+ * @returns {boolean}
+ */
+export function isEvidenceOwner(record, user) {
+  return Boolean(user) && [user.employeeId, user.id].includes(record.ownerId);
+}
+
+/**
+ * Apply a validated transition
+ *
+ * @param {Object} record - Evidence record
+ * @param {Object} params
+ * @param {string} params.to - Target status
+ * @param {string} [params.reason] - Reason or comment
+ * @param {Object} params.user - Acting user ({ id, name, role })
+ * @param {Date} [params.now] - Transition time
+ * @returns {Object} New record with the status, reviewer and history entry
+ */
+export function applyTransition(record, { to, reason, user, now = new Date() }) {
+  const at = now.toISOString();
+  const entry = {
+    from: record.status,
+    to,
+    by: user.id,
+    byName: user.name,
+    role: user.role,
+    reason: reason ? String(reason).trim() : null,
+    at,
+  };
+
+  return {
+    ...record,
+    status: to,
+    reviewer: OWNER_STATUSES.includes(to) ? record.reviewer : { id: user.id, name: user.name },
+    statusReason: entry.reason,
+    updatedAt: at,
+    history: [...(record.history || []), entry],
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * 360-Degree Feedback
+ *
+ * Supervisors, peers and the employee themself rate each behavioural KPI on
+ * the 0-3 rubric (see RUBRIC_MAX). The ratings are aggregated into the KPI
+ * value that rubric scoring consumes:
+ * 1. Ratings are averaged per rater type (supervisor, peer, self)
+ * 2. Peer ratings only count once at least `minPeerRatings` peers have rated
+ *    the KPI, so no single peer's rating can be worked out from the result
+ * 3. The rater type averages are combined with the policy's rater weights,
+ *    re-normalised over the rater types that count
+ *
+ * Individual ratings never leave the feedback store; the ratee sees only the
+ * aggregate, rater counts and comments (peer comments under the same threshold).
+ */
+
+import { RUBRIC_MAX } from './kpiCategories.js';
+import { ROLES } from './roles.js';
+
+export const RATER_TYPES = {
+  SUPERVISOR: 'supervisor',
+  PEER: 'peer',
+  SELF: 'self',
+};
+
+export const RATER_TYPE_LABELS = {
+  [RATER_TYPES.SUPERVISOR]: 'Supervisor',
+  [RATER_TYPES.PEER]: 'Peer',
+  [RATER_TYPES.SELF]: 'Self',
+};
+
+/**
+ * Policy used until an admin saves one
+ */
+export const DEFAULT_FEEDBACK_POLICY = {
+  raterWeights: {
+    [RATER_TYPES.SUPERVISOR]: 0.5,
+    [RATER_TYPES.PEER]: 0.3,
+    [RATER_TYPES.SELF]: 0.2,
+  },
+  minPeerRatings: 3,
+};
+
+/**
+ * Validate a feedback policy
+ *
+ * @param {Object} policy - { raterWeights: { supervisor, peer, self }, minPeerRatings }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFeedbackPolicy(policy) {
+  if (!policy || typeof policy !== 'object') return 'Feedback policy must be an object';
+
+  const { raterWeights, minPeerRatings } = policy;
+  if (!raterWeights || typeof raterWeights !== 'object') return 'raterWeights must map rater types to weights';
+
+  const unknown = Object.keys(raterWeights).find((type) => !Object.values(RATER_TYPES).includes(type));
+  if (unknown) return `Unknown rater type: ${unknown}`;
+
+  const weights = Object.values(RATER_TYPES).map((type) => raterWeights[type]);
+  if (weights.some((weight) => typeof weight !== 'number' || weight < 0)) {
+    return 'Every rater type needs a weight of 0 or more';
+  }
+  if (Math.abs(weights.reduce((sum, weight) => sum + weight, 0) - 1) > 0.001) {
+    return 'Rater weights must sum to 100%';
+  }
+
+  if (!Number.isInteger(minPeerRatings) || minPeerRatings < 1) {
+    return 'minPeerRatings must be a whole number of at least 1';
+  }
+  return null;
+}
+
+/**
+ * How a user may rate an employee
+ * Employees rate themselves and colleagues in their own division; a
+ * supervisor rates the employees who report to them. Anyone else, including
+ * admins and HoDs outside the reporting line, cannot rate the employee.
+ *
+ * @param {Object} user - Signed-in user ({ id, role, employeeId })
+ * @param {Object} employee - Ratee ({ employeeId, division, supervisorId })
+ * @param {Object} [raterEmployee] - The user's own employee record (for peer ratings)
+ * @returns {string|null} Rater type, or null when the user cannot rate the employee
+ *
+ * @example
+ * feedbackRaterType({ id: 'sup-001', role: 'supervisor' }, { employeeId: 'emp-001', supervisorId: 'sup-001' });
+ * // 'supervisor'
+ */
+export function feedbackRaterType(user, employee, raterEmployee = null) {
+  if (user.employeeId && user.employeeId === employee.employeeId) return RATER_TYPES.SELF;
+  if (employee.supervisorId && employee.supervisorId === user.id) return RATER_TYPES.SUPERVISOR;
+  if (user.role === ROLES.EMPLOYEE && raterEmployee && raterEmployee.division === employee.division) {
+    return RATER_TYPES.PEER;
+  }
+  return null;
+}
+
+/**
+ * Validate submitted ratings
+ *
+ * @param {Object} ratings - { [kpiId]: rating } on the 0-3 rubric, in half points
+ * @param {string[]} kpiIds - Behavioural KPIs that can be rated
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRatings(ratings, kpiIds) {
+  if (!ratings || typeof ratings !== 'object' || Object.keys(ratings).length === 0) {
+    return 'Rate at least one behavioural KPI';
+  }
+
+  for (const [kpiId, rating] of Object.entries(ratings)) {
+    if (!kpiIds.includes(kpiId)) return `Not a behavioural KPI: ${kpiId}`;
+    if (typeof rating !== 'number' || rating < 0 || rating > RUBRIC_MAX || (rating * 2) % 1 !== 0) {
+      return `Rating for ${kpiId} must be 0-${RUBRIC_MAX} in half points`;
+    }
+  }
+  return null;
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Aggregate submissions into behavioural KPI values
+ *
+ * @param {Object[]} submissions - { raterType, ratings: { [kpiId]: rating }, comment? }
+ * @param {Object} [policy] - Feedback policy (DEFAULT_FEEDBACK_POLICY)
+ * @returns {Object.<string, Object>} Per KPI id: {
+ *   value,             // 0-3 rubric value (2 decimals), null when no rater type counts
+ *   raterCounts,       // { supervisor, peer, self }
+ *   sources,           // rater types that counted
+ *   peerRatingsHidden  // peers rated, but fewer than minPeerRatings
+ * }
+ *
+ * @example
+ * aggregateFeedback([
+ *   { raterType: 'supervisor', ratings: { initiative: 3 } },
+ *   { raterType: 'self', ratings: { initiative: 2 } },
+ * ]);
+ * // { initiative: { value: 2.71, sources: ['supervisor', 'self'], ... } } (0.5 and 0.2 re-normalised)
+ */
+export function aggregateFeedback(submissions = [], policy = DEFAULT_FEEDBACK_POLICY) {
+  const byKpi = {};
+  submissions.forEach(({ raterType, ratings }) => {
+    Object.entries(ratings).forEach(([kpiId, rating]) => {
+      byKpi[kpiId] = byKpi[kpiId] || { supervisor: [], peer: [], self: [] };
+      byKpi[kpiId][raterType].push(rating);
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(byKpi).map(([kpiId, ratingsByType]) => {
+      const raterCounts = Object.fromEntries(
+        Object.values(RATER_TYPES).map((type) => [type, ratingsByType[type].length])
+      );
+      const peerRatingsHidden = raterCounts.peer > 0 && raterCounts.peer < policy.minPeerRatings;
+      const sources = Object.values(RATER_TYPES).filter(
+        (type) =>
+          raterCounts[type] > 0 &&
+          policy.raterWeights[type] > 0 &&
+          !(type === RATER_TYPES.PEER && peerRatingsHidden)
+      );
+
+      const totalWeight = sources.reduce((sum, type) => sum + policy.raterWeights[type], 0);
+      const weighted = sources.reduce((sum, type) => sum + mean(ratingsByType[type]) * policy.raterWeights[type], 0);
+      const value = sources.length > 0 ? Math.round((weighted / totalWeight) * 100) / 100 : null;
+
+      return [kpiId, { value, raterCounts, sources, peerRatingsHidden }];
+    })
+  );
+}
+
+/**
+ * Comments the ratee may see
+ * Peer comments are shown only once enough peers have submitted, and
+ * comments are sorted by text so their order does not reveal who wrote them.
+ *
+ * @param {Object[]} submissions - { raterType, comment? }
+ * @param {Object} [policy] - Feedback policy
+ * @returns {Array<{ raterType: string, text: string }>}
+ */
+export function visibleComments(submissions = [], policy = DEFAULT_FEEDBACK_POLICY) {
+  const peerCount = submissions.filter((s) => s.raterType === RATER_TYPES.PEER).length;
+
+  return submissions
+    .filter((s) => s.comment && (s.raterType !== RATER_TYPES.PEER || peerCount >= policy.minPeerRatings))
+    .map((s) => ({ raterType: s.raterType, text: s.comment }))
+    .sort((a, b) => a.text.localeCompare(b.text));
+}
+
+/**
+ * Replace behavioural KPI values with their 360 aggregate
+ * KPIs without an aggregate value keep their recorded value.
+ *
+ * @param {Object[]} kpis - KPI values
+ * @param {Object} aggregates - Result of aggregateFeedback()
+ * @returns {Object[]} KPIs; aggregated ones carry `source: '360'` and `raterCounts`
+ */
+export function applyFeedbackToKpis(kpis, aggregates = {}) {
+  return kpis.map((kpi) => {
+    const aggregate = aggregates[kpi.id];
+    if (!aggregate || aggregate.value === null) return kpi;
+    return { ...kpi, value: aggregate.value, source: '360', raterCounts: aggregate.raterCounts };
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * KPI Catalogue
+ *
+ * Links the KPIs recorded for an employee (KPI instances such as
+ * 'KPI-E-001') to the KPI definitions in the admin weight configuration
+ * (such as 'process_adherence' in HQ Operations, see
+ * src/utils/kpiCategories.js). Scoring takes each KPI's weight within its
+ * category from its definition, so the configured weights apply exactly.
+ *
+ * An instance is linked by, in order:
+ * 1. its own `definitionId`
+ * 2. the KPI_CATALOGUE entry for its id
+ * 3. its id, when that is a definition id (the admin dataset records KPIs this way)
+ *
+ * KPIs that link to no definition in their category are flagged as unmapped.
+ */
+
+/**
+ * Employee KPI instance id -> KPI definition id
+ * Instances without an entry (e.g. Quality of Work, Communication Skills)
+ * have no definition in the weight configuration yet.
+ */
+export const KPI_CATALOGUE = {
+  'KPI-E-001': 'process_adherence', // Documentation Compliance
+  'KPI-E-002': 'reporting_timeliness', // Report Submission Timeliness
+  'KPI-E-003': 'inspection_completion', // Site Visit Completion
+  'KPI-E-004': 'quality_compliance', // Field Evidence Uploads
+  'KPI-E-005': 'knowledge_sharing', // Knowledge Sharing Sessions
+  'KPI-E-006': 'peer_support', // Peer Support Rating
+  'KPI-E-007': 'professionalism', // Professionalism & Ethics
+  'KPI-E-008': 'initiative', // Initiative & Proactiveness
+  'KPI-E-010': 'punctuality', // Attendance & Punctuality
+};
+
+/**
+ * Definition id a KPI instance refers to
+ *
+ * @param {Object} kpi - KPI instance ({ id, definitionId? })
+ * @returns {string} Definition id (the KPI id when it is not catalogued)
+ */
+export function resolveDefinitionId(kpi) {
+  return kpi.definitionId || KPI_CATALOGUE[kpi.id] || kpi.id;
+}
+
+/**
+ * Find the definition of each KPI in a category
+ *
+ * @param {Object[]} kpis - KPI instances in the category
+ * @param {Object} [category] - Category configuration ({ kpis: [{ id, name, weight, ... }] })
+ * @returns {Array<{ kpi: Object, definition: Object|null }>} In KPI order; definition is null when unmapped
+ *
+ * @example
+ * linkKpiDefinitions([{ id: 'KPI-E-001', value: 88 }], hqOperations);
+ * // [{ kpi: { id: 'KPI-E-001', ... }, definition: { id: 'process_adherence', weight: 0.3, ... } }]
+ */
+export function linkKpiDefinitions(kpis, category) {
+  const definitions = new Map((category?.kpis || []).map((definition) => [definition.id, definition]));
+
+  return kpis.map((kpi) => ({ kpi, definition: definitions.get(resolveDefinitionId(kpi)) || null }));
+}
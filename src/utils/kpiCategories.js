@@ -0,0 +1,150 @@
+/**
+ * KPI Category Definitions
+ *
+ * Categories are part of the admin weight configuration: each version stores
+ * its categories with id, name, description, scoring method, weight and KPIs.
+ * Scoring (src/utils/scoring.js), the AI system prompt (utils/prompts.js) and
+ * the APAR template all read categories from that configuration.
+ *
+ * DEFAULT_KPI_CATEGORIES is the configuration the admin server seeds as its
+ * active version, and what scoring falls back to when no weights are given.
+ */
+
+/**
+ * How a category turns its KPI values into a 0-100 score
+ * - average: KPI values are already 0-100; take the (weighted) average
+ * - rubric: KPI values are 0-3 rubric points; total points as a share of the maximum
+ */
+export const SCORING_METHODS = {
+  AVERAGE: 'average',
+  RUBRIC: 'rubric',
+};
+
+export const SCORING_METHOD_LABELS = {
+  [SCORING_METHODS.AVERAGE]: 'Average of KPI values (0-100)',
+  [SCORING_METHODS.RUBRIC]: '0-3 rubric scaled to 100',
+};
+
+/**
+ * Display colours for categories, assigned by position in the configuration
+ */
+export const CATEGORY_COLORS = ['#2563eb', '#7c3aed', '#059669', '#dc2626', '#f59e0b', '#0891b2'];
+
+/**
+ * Maximum points per KPI on the behavioural rubric
+ * 0 = Needs Significant Improvement, 1 = Meets Minimum Standards,
+ * 2 = Meets Expectations, 3 = Exceeds Expectations
+ */
+export const RUBRIC_MAX = 3;
+
+/**
+ * Category configuration used until an admin saves one (weights sum to 1.0)
+ */
+export const DEFAULT_KPI_CATEGORIES = [
+  {
+    id: 'hq_operations',
+    name: 'HQ Operations',
+    description: 'Measures efficiency and effectiveness of headquarters operations',
+    scoringMethod: SCORING_METHODS.AVERAGE,
+    weight: 0.25,
+    kpis: [
+      { id: 'reporting_timeliness', name: 'Reporting Timeliness', weight: 0.3 },
+      { id: 'data_accuracy', name: 'Data Accuracy', weight: 0.4 },
+      { id: 'process_adherence', name: 'Process Adherence', weight: 0.3 },
+    ],
+  },
+  {
+    id: 'field_operations',
+    name: 'Field Operations',
+    description: 'Evaluates field activities, site visits, and operational execution',
+    scoringMethod: SCORING_METHODS.AVERAGE,
+    weight: 0.3,
+    kpis: [
+      { id: 'inspection_completion', name: 'Inspection Completion Rate', weight: 0.35 },
+      { id: 'travel_efficiency', name: 'Travel Efficiency', weight: 0.25 },
+      { id: 'quality_compliance', name: 'Quality Compliance', weight: 0.4 },
+    ],
+  },
+  {
+    id: 'team_collaboration',
+    name: 'Team Collaboration',
+    description: 'Assesses teamwork, communication, and collaborative effectiveness',
+    scoringMethod: SCORING_METHODS.AVERAGE,
+    weight: 0.15,
+    kpis: [
+      { id: 'meeting_attendance', name: 'Meeting Attendance', weight: 0.4 },
+      { id: 'peer_support', name: 'Peer Support', weight: 0.35 },
+      { id: 'knowledge_sharing', name: 'Knowledge Sharing', weight: 0.25 },
+    ],
+  },
+  {
+    id: 'individual_behavior',
+    name: 'Individual Behavior',
+    description: 'Measures personal conduct, professionalism, and work ethics',
+    scoringMethod: SCORING_METHODS.RUBRIC,
+    weight: 0.3,
+    kpis: [
+      { id: 'punctuality', name: 'Punctuality', weight: 0.25 },
+      { id: 'initiative', name: 'Initiative', weight: 0.35 },
+      { id: 'professionalism', name: 'Professionalism', weight: 0.25 },
+      { id: 'learning_development', name: 'Learning & Development', weight: 0.15 },
+    ],
+  },
+];
+
+// Weights are fractions; strings or NaN would slip through the sum checks
+function isWeight(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+/**
+ * Validate a category configuration
+ * Category and KPI weights must be numbers from 0 to 1; whether they sum to
+ * 1.0 is checked by the caller.
+ *
+ * @param {Object[]} categories - [{ id, name, scoringMethod, weight, kpis }]
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCategories(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) return 'At least one category is required';
+
+  const ids = new Set();
+  for (const category of categories) {
+    if (!category || !category.id || !category.name) return 'Every category needs an id and a name';
+    if (ids.has(category.id)) return `Duplicate category id: ${category.id}`;
+    ids.add(category.id);
+
+    if (category.scoringMethod && !Object.values(SCORING_METHODS).includes(category.scoringMethod)) {
+      return `Unknown scoring method for ${category.name}: ${category.scoringMethod}`;
+    }
+
+    if (!isWeight(category.weight)) return `Weight for ${category.name} must be a number between 0 and 1`;
+    if (!Array.isArray(category.kpis)) return `KPIs for ${category.name} must be a list`;
+
+    for (const kpi of category.kpis) {
+      if (!isWeight(kpi?.weight)) {
+        return `Weight for KPI ${kpi?.name || kpi?.id} in ${category.name} must be a number between 0 and 1`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill in fields missing from a stored category (versions saved before
+ * categories carried a scoring method or description) from the default
+ * configuration; unknown categories are averaged.
+ *
+ * @param {Object} category - { id, weight, ... }
+ * @returns {Object} Category with name, description and scoringMethod
+ */
+export function normalizeCategory(category) {
+  const defaults = DEFAULT_KPI_CATEGORIES.find((c) => c.id === category.id);
+
+  return {
+    name: defaults?.name || category.id,
+    description: defaults?.description || '',
+    ...category,
+    scoringMethod: category.scoringMethod || defaults?.scoringMethod || SCORING_METHODS.AVERAGE,
+  };
+}
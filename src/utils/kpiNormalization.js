@@ -0,0 +1,128 @@
+/**
+ * KPI Normalisation
+ *
+ * Turns a KPI's raw value into a 0-100 score before category weighting.
+ * The method is declared on the KPI definition (a KPI in the category
+ * configuration, see src/utils/kpiCategories.js), which is authoritative,
+ * or on the KPI itself when the definition declares none:
+ *
+ *   { id: 'response_time', name: 'Grievance Response Time', weight: 0.3,
+ *     normalization: 'inverse', target: 48 }
+ *
+ * Methods:
+ * - target_ratio: achievement vs target, value / target, capped at 100
+ * - inverse: lower is better, target / value, capped at 100 (value at or under target scores 100)
+ * - banded: first matching band in `bands` ([{ min?, max?, score }]); no match scores 0
+ * - rubric: 0-3 rubric points scaled to 100
+ * - percent: value is already a 0-100 score
+ *
+ * KPIs without a declared method use rubric in rubric categories,
+ * target_ratio when they have a target, and percent otherwise.
+ */
+
+import { RUBRIC_MAX, SCORING_METHODS } from './kpiCategories.js';
+
+export const NORMALIZATION_METHODS = {
+  TARGET_RATIO: 'target_ratio',
+  INVERSE: 'inverse',
+  BANDED: 'banded',
+  RUBRIC: 'rubric',
+  PERCENT: 'percent',
+};
+
+export const NORMALIZATION_LABELS = {
+  [NORMALIZATION_METHODS.TARGET_RATIO]: 'Achievement vs target',
+  [NORMALIZATION_METHODS.INVERSE]: 'Lower is better',
+  [NORMALIZATION_METHODS.BANDED]: 'Threshold bands',
+  [NORMALIZATION_METHODS.RUBRIC]: `0-${RUBRIC_MAX} rubric`,
+  [NORMALIZATION_METHODS.PERCENT]: 'Percentage',
+};
+
+const clampScore = (score) => Math.max(0, Math.min(100, score));
+
+/**
+ * Method and parameters that apply to a KPI
+ * The definition wins over the KPI's own declaration, so an employee's KPI
+ * record cannot change how it is scored; the KPI's normalization, target
+ * and bands are used only where the definition has none. The category's
+ * scoring method supplies the default.
+ *
+ * @param {Object} kpi - KPI value ({ value, target?, normalization?, bands? })
+ * @param {Object} [definition] - KPI definition from the category configuration
+ * @param {string} [categoryMethod] - Category scoring method ('average' | 'rubric')
+ * @returns {{ method: string, target: number|undefined, bands: Object[]|undefined }}
+ */
+export function resolveNormalization(kpi, definition = {}, categoryMethod = SCORING_METHODS.AVERAGE) {
+  const target = definition.target ?? kpi.target;
+  const declared = definition.normalization || kpi.normalization;
+
+  let method = declared;
+  if (!method) {
+    if (categoryMethod === SCORING_METHODS.RUBRIC) method = NORMALIZATION_METHODS.RUBRIC;
+    else if (target) method = NORMALIZATION_METHODS.TARGET_RATIO;
+    else method = NORMALIZATION_METHODS.PERCENT;
+  }
+
+  return { method, target, bands: definition.bands || kpi.bands };
+}
+
+/**
+ * Normalise a KPI value to a 0-100 score
+ *
+ * @param {Object} kpi - KPI value ({ value, target?, normalization?, bands? })
+ * @param {Object} [definition] - KPI definition from the category configuration
+ * @param {string} [categoryMethod] - Category scoring method ('average' | 'rubric')
+ * @returns {number} Score (0-100)
+ *
+ * @example
+ * normalizeKpiScore({ value: 7, target: 8 }); // 87.5 (target_ratio)
+ * normalizeKpiScore({ value: 60, target: 48, normalization: 'inverse' }); // 80
+ */
+export function normalizeKpiScore(kpi, definition, categoryMethod) {
+  const { method, target, bands } = resolveNormalization(kpi, definition, categoryMethod);
+  const value = Number(kpi.value) || 0;
+
+  switch (method) {
+    case NORMALIZATION_METHODS.TARGET_RATIO:
+      return target > 0 ? clampScore((value / target) * 100) : 0;
+    case NORMALIZATION_METHODS.INVERSE:
+      if (!(target > 0)) return 0;
+      return value <= target ? 100 : clampScore((target / value) * 100);
+    case NORMALIZATION_METHODS.BANDED: {
+      const band = (bands || []).find(
+        (b) => (b.min === undefined || value >= b.min) && (b.max === undefined || value <= b.max)
+      );
+      return band ? clampScore(band.score) : 0;
+    }
+    case NORMALIZATION_METHODS.RUBRIC:
+      return clampScore((value / RUBRIC_MAX) * 100);
+    case NORMALIZATION_METHODS.PERCENT:
+      return clampScore(value);
+    default:
+      throw new Error(`Unknown KPI normalization method: ${method}`);
+  }
+}
+
+/**
+ * Validate the normalisation declared on a KPI definition
+ * @param {Object} kpi - KPI definition ({ name, normalization?, target?, bands? })
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateNormalization(kpi) {
+  const { normalization, bands, target } = kpi;
+  const label = kpi.name || kpi.id;
+
+  if (!normalization) return null;
+  if (!Object.values(NORMALIZATION_METHODS).includes(normalization)) {
+    return `Unknown normalization for ${label}: ${normalization}`;
+  }
+  if (normalization === NORMALIZATION_METHODS.BANDED) {
+    const valid =
+      Array.isArray(bands) &&
+      bands.length > 0 &&
+      bands.every((b) => typeof b.score === 'number' && (b.min !== undefined || b.max !== undefined));
+    if (!valid) return `Banded KPI ${label} needs bands with a score and a min or max`;
+  }
+  if (target !== undefined && !(target > 0)) return `Target for ${label} must be a positive number`;
+  return null;
+}
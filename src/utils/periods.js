@@ -0,0 +1,174 @@
+/**
+ * Assessment Periods
+ *
+ * Monthly, quarterly and fiscal-year periods used to score performance over
+ * time. The fiscal year runs April to March, as in the APAR data, so
+ * quarters are fiscal quarters (Q1 = April-June).
+ *
+ * Period ids:
+ * - month: '2024-07'
+ * - quarter: '2024-25-Q2'
+ * - fiscal_year: '2024-25'
+ *
+ * Periods carry `startDate` and `endDate` (inclusive, 'YYYY-MM-DD', UTC), so
+ * they can be passed straight to the scoring `period` option.
+ */
+
+export const PERIOD_GRANULARITIES = {
+  MONTH: 'month',
+  QUARTER: 'quarter',
+  FISCAL_YEAR: 'fiscal_year',
+};
+
+// April (0-based month index)
+const FISCAL_YEAR_START_MONTH = 3;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * 'YYYY-MM-DD' for a UTC calendar day (month and day may overflow)
+ */
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Fiscal year id ('2024-25') for the fiscal year starting in April of `startYear`
+ */
+function fiscalYearId(startYear) {
+  return `${startYear}-${pad((startYear + 1) % 100)}`;
+}
+
+/**
+ * Build a period of `months` months starting on the first of startMonth
+ */
+function buildPeriod({ id, granularity, label, year, startMonth, months }) {
+  return {
+    id,
+    granularity,
+    label,
+    startDate: isoDate(year, startMonth, 1),
+    endDate: isoDate(year, startMonth + months, 0),
+  };
+}
+
+/**
+ * Period of a given granularity that contains a date
+ *
+ * @param {string|Date} date - Any date in the period
+ * @param {string} granularity - One of PERIOD_GRANULARITIES
+ * @returns {{ id, granularity, label, startDate, endDate }}
+ * @throws {Error} When the granularity is unknown
+ *
+ * @example
+ * periodOf('2024-08-15', 'quarter'); // { id: '2024-25-Q2', label: 'Q2 2024-25', startDate: '2024-07-01', endDate: '2024-09-30' }
+ */
+export function periodOf(date, granularity) {
+  const value = new Date(date);
+  const year = value.getUTCFullYear();
+  const month = value.getUTCMonth();
+  const fiscalYear = month >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+
+  switch (granularity) {
+    case PERIOD_GRANULARITIES.MONTH:
+      return buildPeriod({
+        id: `${year}-${pad(month + 1)}`,
+        granularity,
+        label: `${MONTH_NAMES[month]} ${year}`,
+        year,
+        startMonth: month,
+        months: 1,
+      });
+    case PERIOD_GRANULARITIES.QUARTER: {
+      const quarter = Math.floor(((month - FISCAL_YEAR_START_MONTH + 12) % 12) / 3) + 1;
+      return buildPeriod({
+        id: `${fiscalYearId(fiscalYear)}-Q${quarter}`,
+        granularity,
+        label: `Q${quarter} ${fiscalYearId(fiscalYear)}`,
+        year: fiscalYear,
+        startMonth: FISCAL_YEAR_START_MONTH + (quarter - 1) * 3,
+        months: 3,
+      });
+    }
+    case PERIOD_GRANULARITIES.FISCAL_YEAR:
+      return buildPeriod({
+        id: fiscalYearId(fiscalYear),
+        granularity,
+        label: `FY ${fiscalYearId(fiscalYear)}`,
+        year: fiscalYear,
+        startMonth: FISCAL_YEAR_START_MONTH,
+        months: 12,
+      });
+    default:
+      throw new Error(`Unknown period granularity: ${granularity}`);
+  }
+}
+
+/**
+ * Parse a period id
+ * 'YYYY-YY' is a fiscal year when YY is the following year, otherwise
+ * 'YYYY-MM' is a month.
+ *
+ * @param {string} id - Period id ('2024-07', '2024-25-Q2' or '2024-25')
+ * @returns {Object|null} The period, or null when the id is not valid
+ */
+export function parsePeriod(id) {
+  const quarterMatch = /^(\d{4})-(\d{2})-Q([1-4])$/.exec(id || '');
+  if (quarterMatch) {
+    const [, year, suffix, quarter] = quarterMatch;
+    if (fiscalYearId(Number(year)) !== `${year}-${suffix}`) return null;
+    const startMonth = FISCAL_YEAR_START_MONTH + (Number(quarter) - 1) * 3;
+    return periodOf(isoDate(Number(year), startMonth, 1), PERIOD_GRANULARITIES.QUARTER);
+  }
+
+  const match = /^(\d{4})-(\d{2})$/.exec(id || '');
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const second = Number(match[2]);
+  if (fiscalYearId(year) === id) {
+    return periodOf(isoDate(year, FISCAL_YEAR_START_MONTH, 1), PERIOD_GRANULARITIES.FISCAL_YEAR);
+  }
+  if (second >= 1 && second <= 12) {
+    return periodOf(isoDate(year, second - 1, 1), PERIOD_GRANULARITIES.MONTH);
+  }
+  return null;
+}
+
+/**
+ * The most recent `count` periods up to the one containing `asOf`, oldest first
+ *
+ * @param {string} granularity - One of PERIOD_GRANULARITIES
+ * @param {number} count - Number of periods
+ * @param {string|Date} [asOf] - Date in the latest period (defaults to now)
+ * @returns {Object[]} Periods
+ *
+ * @example
+ * listPeriods('fiscal_year', 2, '2025-06-01').map((p) => p.id); // ['2024-25', '2025-26']
+ */
+export function listPeriods(granularity, count, asOf = new Date()) {
+  const periods = [periodOf(asOf, granularity)];
+  while (periods.length < count) {
+    const start = new Date(`${periods[0].startDate}T00:00:00Z`);
+    periods.unshift(periodOf(new Date(start.getTime() - DAY_MS), granularity));
+  }
+  return periods;
+}
+
+/**
+ * First instant after a period (midnight UTC after its endDate)
+ */
+export function periodEnd(period) {
+  return new Date(new Date(`${period.endDate}T00:00:00Z`).getTime() + DAY_MS);
+}
+
+/**
+ * Whether a period has ended
+ */
+export function isPeriodClosed(period, now = new Date()) {
+  return new Date(now) >= periodEnd(period);
+}
@@ -0,0 +1,93 @@
+/**
+ * Role Model
+ *
+ * Shared by the React router guards and the mock servers so both sides
+ * enforce the same access rules.
+ *
+ * Roles:
+ * - admin: Manages KPI weights, calibration and all reports
+ * - hod: Head of Department - executive view and divisional reports
+ * - supervisor: Reviews team evidence and generates team APARs
+ * - employee: Own dashboard, own KPIs and own APARs only
+ * - auditor: Read-only access to configuration and audit trail
+ *
+ * Permissions are granted per user on top of the role (e.g. only some admins
+ * may approve weight changes).
+ */
+
+export const ROLES = {
+  ADMIN: 'admin',
+  HOD: 'hod',
+  SUPERVISOR: 'supervisor',
+  EMPLOYEE: 'employee',
+  AUDITOR: 'auditor',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Administrator',
+  [ROLES.HOD]: 'Head of Department',
+  [ROLES.SUPERVISOR]: 'Supervisor',
+  [ROLES.EMPLOYEE]: 'Employee',
+  [ROLES.AUDITOR]: 'Auditor',
+};
+
+export const PERMISSIONS = {
+  // Checker in the maker-checker workflow for KPI weight changes
+  APPROVE_WEIGHT_CHANGES: 'approve_weight_changes',
+};
+
+/**
+ * Roles allowed on each protected route group
+ */
+export const ROUTE_ROLES = {
+  executive: [ROLES.ADMIN, ROLES.HOD],
+  project: [ROLES.ADMIN, ROLES.HOD, ROLES.SUPERVISOR],
+  me: [ROLES.ADMIN, ROLES.HOD, ROLES.SUPERVISOR, ROLES.EMPLOYEE],
+  evidenceUpload: [ROLES.ADMIN, ROLES.HOD, ROLES.SUPERVISOR, ROLES.EMPLOYEE],
+  admin: [ROLES.ADMIN, ROLES.AUDITOR],
+  reports: [ROLES.ADMIN, ROLES.HOD, ROLES.SUPERVISOR],
+};
+
+/**
+ * Landing page for each role after login
+ */
+const LANDING_PATHS = {
+  [ROLES.ADMIN]: '/admin',
+  [ROLES.HOD]: '/app/executive',
+  [ROLES.SUPERVISOR]: '/app/me',
+  [ROLES.EMPLOYEE]: '/app/me',
+  [ROLES.AUDITOR]: '/admin',
+};
+
+/**
+ * Check whether a role is in an allowed list
+ *
+ * @param {string} role - User role
+ * @param {string[]} [allowedRoles] - Allowed roles (any role when omitted)
+ * @returns {boolean}
+ */
+export function hasRole(role, allowedRoles) {
+  if (!allowedRoles || allowedRoles.length === 0) return true;
+  return allowedRoles.includes(role);
+}
+
+/**
+ * Check whether a user holds a permission
+ *
+ * @param {Object} user - User with optional `permissions` array
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(user, permission) {
+  return Boolean(user?.permissions?.includes(permission));
+}
+
+/**
+ * Default landing path for a role
+ *
+ * @param {string} role - User role
+ * @returns {string} Route path
+ */
+export function getLandingPath(role) {
+  return LANDING_PATHS[role] || '/app/me';
+}
@@ -0,0 +1,190 @@
+/**
+ * Score Confidence
+ *
+ * Data policies applied on top of computeScore, so a score built from thin,
+ * old or unconfirmed data is labelled as such instead of looking final:
+ * - Minimum coverage: no score with fewer than `minKpis` KPIs, or when the
+ *   categories with KPIs carry less than `minCoverage` of the total weight
+ * - Staleness: a KPI whose `last_compute` is older than `staleAfterDays` is
+ *   stale; it still counts unless `excludeStale` is set
+ * - Provisional data: KPIs flagged `provisional: true` count, but the score
+ *   is provisional until they are confirmed
+ *
+ * Confidence (0-1) = coverage × (1 − 0.5 × stale share) × (1 − 0.25 × provisional share)
+ */
+
+import { explainScore, resolveCategories } from './scoring.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Policy used unless a caller passes its own
+ */
+export const DEFAULT_DATA_POLICY = {
+  minKpis: 3,
+  minCoverage: 0.5,
+  staleAfterDays: 90,
+  excludeStale: false,
+};
+
+export const SCORE_STATUS = {
+  FINAL: 'final',
+  PROVISIONAL: 'provisional',
+  INSUFFICIENT: 'insufficient',
+};
+
+/**
+ * Confidence level for a 0-1 confidence value
+ * @param {number} value - Confidence (0-1)
+ * @returns {'high'|'medium'|'low'}
+ */
+export function confidenceLevel(value) {
+  if (value >= 0.8) return 'high';
+  if (value >= 0.5) return 'medium';
+  return 'low';
+}
+
+/**
+ * Whether a KPI's value is older than the policy allows
+ * KPIs without `last_compute` are never stale.
+ */
+export function isStaleKpi(kpi, policy = DEFAULT_DATA_POLICY, now = new Date()) {
+  if (!kpi.last_compute) return false;
+  return now - new Date(kpi.last_compute) > policy.staleAfterDays * DAY_MS;
+}
+
+/**
+ * Compute a score with its confidence
+ *
+ * @param {Object[]} kpis - KPI values ({ id, name, value, category, last_compute?, provisional? })
+ * @param {Object[]|Object} [weights] - Any weight input accepted by computeScore
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Overrides for DEFAULT_DATA_POLICY
+ * @param {Date} [options.now] - Reference time for staleness
+ * @param {Object} [options.period] - Assessment period (selects the effective weight version)
+ * @returns {Object} {
+ *   score,        // null when status is 'insufficient'
+ *   status,       // 'final' | 'provisional' | 'insufficient'
+ *   confidence,   // 0-1
+ *   level,        // 'high' | 'medium' | 'low'
+ *   coverage,     // share of the configured category weight with KPIs (0-1)
+ *   kpiCount,     // KPIs that counted
+ *   staleKpis,    // ids of stale KPIs
+ *   provisionalKpis, // ids of provisional KPIs
+ *   excludedKpis, // ids of stale KPIs left out (excludeStale)
+ *   reasons       // human-readable notes behind status and confidence
+ * }
+ *
+ * @example
+ * const { score, status, level } = computeScoreWithConfidence(kpis);
+ * // status 'insufficient' => score null, show "Insufficient data"
+ */
+export function computeScoreWithConfidence(kpis = [], weights = null, options = {}) {
+  const policy = { ...DEFAULT_DATA_POLICY, ...options.policy };
+  const now = options.now || new Date();
+  const all = kpis || [];
+
+  const staleKpis = all.filter((kpi) => isStaleKpi(kpi, policy, now)).map((kpi) => kpi.id);
+  const excludedKpis = policy.excludeStale ? staleKpis : [];
+  const counted = all.filter((kpi) => !excludedKpis.includes(kpi.id));
+
+  const trace = explainScore(counted, weights, { period: options.period });
+  const scored = trace.categories.flatMap((category) => category.kpis);
+  const scoredIds = new Set(scored.map((kpi) => kpi.id));
+  const provisionalKpis = counted.filter((kpi) => kpi.provisional && scoredIds.has(kpi.id)).map((kpi) => kpi.id);
+
+  const totalWeight = resolveCategories(weights, options.period).reduce(
+    (sum, category) => sum + Math.max(category.weight, 0),
+    0
+  );
+  const coverage = totalWeight > 0 ? Math.min(trace.appliedWeight / totalWeight, 1) : 0;
+  const kpiCount = scored.length;
+
+  const staleShare = kpiCount > 0 ? staleKpis.filter((id) => scoredIds.has(id)).length / kpiCount : 0;
+  const provisionalShare = kpiCount > 0 ? provisionalKpis.length / kpiCount : 0;
+  const confidence = coverage * (1 - 0.5 * staleShare) * (1 - 0.25 * provisionalShare);
+
+  const reasons = [];
+  if (kpiCount < policy.minKpis) {
+    reasons.push(`Only ${kpiCount} KPI${kpiCount === 1 ? '' : 's'} recorded (minimum ${policy.minKpis})`);
+  }
+  if (coverage < policy.minCoverage) {
+    reasons.push(
+      `KPIs cover ${Math.round(coverage * 100)}% of the category weight (minimum ${Math.round(policy.minCoverage * 100)}%)`
+    );
+  }
+  if (trace.missingCategories.length > 0) {
+    reasons.push(
+      `No KPIs for ${trace.missingCategories.map((category) => category.name).join(', ')}; remaining weights re-normalised`
+    );
+  }
+  if (staleKpis.length > 0) {
+    reasons.push(
+      `${staleKpis.length} KPI${staleKpis.length === 1 ? '' : 's'} not updated in ${policy.staleAfterDays} days${
+        policy.excludeStale ? ' (excluded)' : ''
+      }`
+    );
+  }
+  if (provisionalKpis.length > 0) {
+    reasons.push(`${provisionalKpis.length} provisional KPI${provisionalKpis.length === 1 ? '' : 's'} awaiting confirmation`);
+  }
+
+  let status = SCORE_STATUS.FINAL;
+  if (kpiCount < policy.minKpis || coverage < policy.minCoverage) status = SCORE_STATUS.INSUFFICIENT;
+  else if (provisionalKpis.length > 0) status = SCORE_STATUS.PROVISIONAL;
+
+  return {
+    score: status === SCORE_STATUS.INSUFFICIENT ? null : trace.score,
+    status,
+    confidence,
+    level: confidenceLevel(confidence),
+    coverage,
+    kpiCount,
+    staleKpis,
+    provisionalKpis,
+    excludedKpis,
+    reasons,
+  };
+}
+
+/**
+ * Combine per-employee confidence into one for an organisation-wide score
+ *
+ * @param {Object[]} results - computeScoreWithConfidence() results, one per employee
+ * @returns {Object} { status, confidence, level, coverage, employeeCount, insufficientCount,
+ *   provisionalCount, staleKpiCount, reasons } — coverage is the share of employees with a score
+ */
+export function summarizeConfidence(results = []) {
+  const scored = results.filter((result) => result.status !== SCORE_STATUS.INSUFFICIENT);
+  const insufficientCount = results.length - scored.length;
+  const provisionalCount = results.filter((result) => result.status === SCORE_STATUS.PROVISIONAL).length;
+  const staleKpiCount = results.reduce((sum, result) => sum + result.staleKpis.length, 0);
+
+  const coverage = results.length > 0 ? scored.length / results.length : 0;
+  const meanConfidence =
+    scored.length > 0 ? scored.reduce((sum, result) => sum + result.confidence, 0) / scored.length : 0;
+  const confidence = meanConfidence * coverage;
+
+  const reasons = [];
+  if (insufficientCount > 0) {
+    reasons.push(`${insufficientCount} of ${results.length} employees have insufficient KPI data`);
+  }
+  if (staleKpiCount > 0) reasons.push(`${staleKpiCount} stale KPIs`);
+  if (provisionalCount > 0) reasons.push(`${provisionalCount} employees with provisional scores`);
+
+  let status = SCORE_STATUS.FINAL;
+  if (scored.length === 0) status = SCORE_STATUS.INSUFFICIENT;
+  else if (provisionalCount > 0) status = SCORE_STATUS.PROVISIONAL;
+
+  return {
+    status,
+    confidence,
+    level: confidenceLevel(confidence),
+    coverage,
+    employeeCount: results.length,
+    insufficientCount,
+    provisionalCount,
+    staleKpiCount,
+    reasons,
+  };
+}
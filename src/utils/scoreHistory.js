@@ -0,0 +1,143 @@
+/**
+ * Score History
+ *
+ * Per-period score snapshots and the trend across them. A snapshot records
+ * the score for one assessment period (see utils/periods) together with the
+ * weight version it was computed with, so a stored history still explains
+ * itself after the weights change.
+ */
+
+import { explainScore, selectEffectiveVersion } from './scoring.js';
+import { computeScoreWithConfidence } from './scoreConfidence.js';
+import { isPeriodClosed, periodEnd } from './periods.js';
+
+export const TREND_DIRECTIONS = {
+  UP: 'up',
+  DOWN: 'down',
+  FLAT: 'flat',
+};
+
+// Slopes smaller than this (points per period) count as flat
+const FLAT_SLOPE = 0.5;
+
+/**
+ * Compute the score snapshot for one period
+ *
+ * Closed periods are evaluated as at their end, so staleness reflects the
+ * data available when the period closed.
+ *
+ * @param {Object} params
+ * @param {string} params.employeeId - Employee the KPIs belong to
+ * @param {Object[]} params.kpis - KPI values for the period
+ * @param {Object} params.period - Period (see periodOf)
+ * @param {Object[]|Object} [params.weights] - Any weight input accepted by computeScore;
+ *   a WeightVersion[] timeline selects the version in force at the period start
+ * @param {string} [params.weightVersion] - Version id to record when `weights` is not a timeline
+ * @param {Object} [params.policy] - Data policy overrides (see DEFAULT_DATA_POLICY)
+ * @param {Date} [params.now] - Current time
+ * @returns {Object} {
+ *   employeeId, period, granularity, label, startDate, endDate,
+ *   score, status, confidence, level, // as computeScoreWithConfidence
+ *   weightVersion, // version id used, null for the default configuration
+ *   final,         // true once the period has closed
+ *   computedAt,
+ *   kpis: [{ id, name, value, score }]
+ * }
+ */
+export function computeScoreSnapshot({ employeeId, kpis, period, weights = null, weightVersion, policy, now = new Date() }) {
+  const final = isPeriodClosed(period, now);
+  const asOf = final ? periodEnd(period) : now;
+  const options = { period, policy, now: asOf };
+
+  const version = Array.isArray(weights) ? selectEffectiveVersion(weights, period.startDate) : null;
+  const result = computeScoreWithConfidence(kpis, weights, options);
+  const trace = explainScore(kpis, weights, options);
+
+  return {
+    employeeId,
+    period: period.id,
+    granularity: period.granularity,
+    label: period.label,
+    startDate: period.startDate,
+    endDate: period.endDate,
+    score: result.score,
+    status: result.status,
+    confidence: result.confidence,
+    level: result.level,
+    weightVersion: weightVersion || version?.versionId || null,
+    final,
+    computedAt: new Date(now).toISOString(),
+    kpis: trace.categories.flatMap((category) =>
+      category.kpis.map((kpi) => ({ id: kpi.id, name: kpi.name, value: kpi.value, score: kpi.normalizedScore }))
+    ),
+  };
+}
+
+/**
+ * Trend across a series of snapshots
+ * Periods without a score are skipped; the slope is a least-squares fit over
+ * the period positions, so gaps do not exaggerate the change.
+ *
+ * @param {Object[]} snapshots - Snapshots, oldest first
+ * @returns {{ direction: string, slope: number, change: number|null, previousPeriod: string|null }}
+ *   `change` is the latest score minus the previous scored period's
+ */
+export function computeTrend(snapshots = []) {
+  const points = snapshots
+    .map((snapshot, index) => ({ x: index, y: snapshot.score, label: snapshot.label }))
+    .filter((point) => point.y !== null && point.y !== undefined);
+
+  if (points.length < 2) {
+    return { direction: TREND_DIRECTIONS.FLAT, slope: 0, change: null, previousPeriod: null };
+  }
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const slope = covariance / variance;
+
+  let direction = TREND_DIRECTIONS.FLAT;
+  if (slope >= FLAT_SLOPE) direction = TREND_DIRECTIONS.UP;
+  else if (slope <= -FLAT_SLOPE) direction = TREND_DIRECTIONS.DOWN;
+
+  const latest = points[points.length - 1];
+  const previous = points[points.length - 2];
+
+  return { direction, slope, change: latest.y - previous.y, previousPeriod: previous.label };
+}
+
+/**
+ * Per-KPI series across snapshots, for KPI sparklines
+ *
+ * @param {Object[]} snapshots - Snapshots, oldest first
+ * @returns {Object.<string, Array<{ period, label, value, score }>>} Series keyed by KPI id
+ */
+export function toKpiSeries(snapshots = []) {
+  const series = {};
+  snapshots.forEach((snapshot) => {
+    snapshot.kpis.forEach((kpi) => {
+      series[kpi.id] = series[kpi.id] || [];
+      series[kpi.id].push({ period: snapshot.period, label: snapshot.label, value: kpi.value, score: kpi.score });
+    });
+  });
+  return series;
+}
+
+/**
+ * Score history as served by GET /api/employees/:employeeId/score-history
+ *
+ * @param {string} employeeId - Employee id
+ * @param {string} granularity - Period granularity
+ * @param {Object[]} snapshots - Snapshots, oldest first
+ * @returns {{ employeeId, granularity, periods: Object[], trend: Object, kpis: Object }}
+ */
+export function buildScoreHistory(employeeId, granularity, snapshots) {
+  return {
+    employeeId,
+    granularity,
+    periods: snapshots,
+    trend: computeTrend(snapshots),
+    kpis: toKpiSeries(snapshots),
+  };
+}
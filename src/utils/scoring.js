@@ -4,49 +4,37 @@
  * This module implements the weighted KPI scoring algorithm that computes
  * an employee's overall performance score based on multiple KPI categories.
  * 
- * Reference: Individual Behaviour KPIs (behavioral rubric 0-3 scaled to 30 points)
+ * Categories come from the admin weight configuration (see
+ * src/utils/kpiCategories.js). Each category declares its weight and its
+ * scoring method:
+ * - average: KPI scores are averaged (weighted by KPI weight when present)
+ * - rubric: KPI scores are averaged with equal weight (0-3 rubric KPIs)
  * 
- * KPI Categories and Weights:
- * - HQ Operations: Administrative, compliance, documentation
- * - Field Operations: On-site activities, project execution
- * - Team Collaboration: Peer support, knowledge sharing
- * - Individual Behavior: Professionalism, initiative, quality (0-3 rubric)
- */
-
-/**
- * Individual Behavior KPI Rubric Mapping
- * Based on qualitative assessment scale: 0 (Poor) to 3 (Excellent)
- * 
- * Each behavioral KPI is scored 0-3 and scaled to contribute up to 30 points total
+ * Before a category is scored, every KPI value is normalised to 0-100 with
+ * the method its definition declares (target ratio, inverse, banded, rubric),
+ * see src/utils/kpiNormalization.js.
  * 
- * Behavioral KPIs:
- * 1. Professionalism & Ethics (0-3)
- * 2. Initiative & Proactiveness (0-3)
- * 3. Quality of Work (0-3)
- * 4. Attendance & Punctuality (0-3)
- * 5. Communication Skills (0-3)
- * 
- * Scoring Rubric:
- * 0 = Needs Significant Improvement (0-25% effectiveness)
- * 1 = Meets Minimum Standards (26-50% effectiveness)
- * 2 = Meets Expectations (51-75% effectiveness)
- * 3 = Exceeds Expectations (76-100% effectiveness)
- * 
- * Conversion: Raw score (0-15 max) * 2 = Final score (0-30 max)
+ * KPIs are linked to their definition through the KPI catalogue (see
+ * src/utils/kpiCatalogue.js) and take their weight within the category from
+ * it. Once a category has linked KPIs, KPIs without a definition are left out
+ * of its score and reported as unmapped.
  */
-const BEHAVIORAL_KPI_MAX_SCORE = 30;
-const BEHAVIORAL_KPI_MAX_RAW = 15; // 5 KPIs * 3 points each
+
+import { DEFAULT_KPI_CATEGORIES, SCORING_METHODS, normalizeCategory } from './kpiCategories.js';
+import { linkKpiDefinitions } from './kpiCatalogue.js';
+import { normalizeKpiScore, resolveNormalization, validateNormalization } from './kpiNormalization.js';
 
 /**
- * Default Weight Distribution
- * Total weights should sum to 100%
+ * APAR Grade Boundaries
+ * Minimum composite score (0-100) for each letter grade, highest first
  */
-export const DEFAULT_WEIGHTS = {
-  hq_operations: 0.25,        // 25% weight
-  field_operations: 0.30,     // 30% weight
-  team_collaboration: 0.15,   // 15% weight
-  individual_behavior: 0.30,  // 30% weight (behavioral rubric)
-};
+export const GRADE_BOUNDARIES = [
+  { grade: 'A+', minScore: 90 },
+  { grade: 'A', minScore: 75 },
+  { grade: 'B', minScore: 60 },
+  { grade: 'C', minScore: 45 },
+  { grade: 'D', minScore: 0 },
+];
 
 /**
  * KPI Interface (TypeScript-style JSDoc)
@@ -55,8 +43,9 @@ export const DEFAULT_WEIGHTS = {
  * @property {string} name - KPI name
  * @property {number} value - Current value (0-100)
  * @property {number} target - Target value
- * @property {string} category - Category: 'hq_operations' | 'field_operations' | 'team_collaboration' | 'individual_behavior'
- * @property {number} [weight] - Optional individual weight within category
+ * @property {string} category - Category id from the weight configuration (e.g. 'hq_operations')
+ * @property {string} [definitionId] - KPI definition in the category (see KPI_CATALOGUE)
+ * @property {number} [weight] - Individual weight within category, used when the KPI has no definition
  */
 
 /**
@@ -67,6 +56,74 @@ export const DEFAULT_WEIGHTS = {
  * @property {string} version - Weight version (e.g., 'v2.1')
  */
 
+/**
+ * KPI Category (from the admin weight configuration)
+ * @typedef {Object} Category
+ * @property {string} id - Category id KPIs refer to
+ * @property {string} name - Display name
+ * @property {string} scoringMethod - 'average' | 'rubric' (see SCORING_METHODS)
+ * @property {number} weight - Weight value (0-1)
+ * @property {Array<{id: string, name: string, weight: number}>} [kpis] - KPI weights within the category
+ */
+
+/**
+ * Effective-Dated Weight Version
+ * A weight set that applies from `effectiveFrom` until the next version takes over.
+ * @typedef {Object} WeightVersion
+ * @property {string} versionId - Version identifier (e.g., 'v2.2')
+ * @property {string} effectiveFrom - ISO date the version takes effect
+ * @property {Category[]} categories - Category weight tree
+ */
+
+/**
+ * Scoring Options
+ * @typedef {Object} ScoringOptions
+ * @property {string|Date|{startDate: string, endDate: string}} [period] - Assessment period
+ *   (or a single date). Used to pick the weight version in force at the period start
+ *   when `weights` is a list of WeightVersion.
+ */
+
+/**
+ * Select the Weight Version Effective on a Date
+ * 
+ * Picks the version with the latest `effectiveFrom` on or before `asOf`.
+ * When two versions share an effective date, the later entry in the list wins
+ * (e.g. a rollback scheduled after the original save).
+ * 
+ * @param {WeightVersion[]} versions - Effective-dated versions
+ * @param {string|Date} [asOf] - Date to evaluate (defaults to now)
+ * @returns {WeightVersion|null} Effective version, or null when none applies yet
+ * 
+ * @example
+ * selectEffectiveVersion(versions, '2025-04-01'); // Version in force on 1 April 2025
+ */
+export function selectEffectiveVersion(versions = [], asOf = new Date()) {
+  const asOfTime = new Date(asOf).getTime();
+  let selected = null;
+  let selectedTime = -Infinity;
+
+  versions.forEach((version) => {
+    const effectiveTime = new Date(version.effectiveFrom).getTime();
+    if (effectiveTime <= asOfTime && effectiveTime >= selectedTime) {
+      selected = version;
+      selectedTime = effectiveTime;
+    }
+  });
+
+  return selected;
+}
+
+/**
+ * Resolve the date used to pick weights for an assessment period
+ * 
+ * @param {ScoringOptions['period']} period - Period object or date
+ * @returns {string|Date} Period start (or the date itself)
+ */
+function getPeriodDate(period) {
+  if (!period) return new Date();
+  return period.startDate || period;
+}
+
 /**
  * Compute Employee Performance Score
  * 
@@ -74,13 +131,18 @@ export const DEFAULT_WEIGHTS = {
  * 
  * Algorithm:
  * 1. Group KPIs by category
- * 2. Calculate average score per category
- * 3. Apply category weights
- * 4. Special handling for behavioral KPIs (0-3 rubric scaled to 30 points)
+ * 2. Link each KPI to its definition and normalise its value to 0-100
+ *    (target ratio, inverse, banded or rubric)
+ * 3. Score each category with its scoring method (average or rubric), using
+ *    the configured KPI weights
+ * 4. Apply category weights
  * 5. Sum weighted category scores
  * 
  * @param {KPI[]} kpis - Array of KPI objects with values and categories
- * @param {Weight[]} [weights] - Optional weight configuration (uses defaults if not provided)
+ * @param {Category[]|Weight[]|WeightVersion[]|Object} [weights] - Optional weight configuration
+ *   (DEFAULT_KPI_CATEGORIES if not provided). A list of effective-dated versions selects the
+ *   version in force for `options.period`.
+ * @param {ScoringOptions} [options] - Scoring options
  * @returns {number} Composite score (0-100)
  * 
  * @example
@@ -90,17 +152,18 @@ export const DEFAULT_WEIGHTS = {
  *   { id: 'KPI-3', name: 'Professionalism', value: 2.5, target: 3, category: 'individual_behavior' }
  * ];
  * const score = computeScore(kpis); // Returns weighted composite score
+ * 
+ * // Use the weights that were effective for Q1 FY2025-26
+ * computeScore(kpis, weightVersions, { period: { startDate: '2025-04-01', endDate: '2025-06-30' } });
  */
-export function computeScore(kpis = [], weights = null) {
+export function computeScore(kpis = [], weights = null, options = {}) {
   // Edge case: Empty KPI array
   if (!kpis || kpis.length === 0) {
     return 0;
   }
 
   // Use provided weights or defaults
-  const categoryWeights = weights 
-    ? convertWeightsToMap(weights) 
-    : DEFAULT_WEIGHTS;
+  const categories = indexCategories(resolveCategories(weights, options.period));
 
   // Group KPIs by category
   const categoryGroups = groupKPIsByCategory(kpis);
@@ -109,22 +172,16 @@ export function computeScore(kpis = [], weights = null) {
   let appliedWeight = 0;
 
   // Calculate weighted score for each category
-  Object.keys(categoryGroups).forEach((category) => {
-    const categoryKPIs = categoryGroups[category];
-    const weight = categoryWeights[category] || 0;
+  Object.keys(categoryGroups).forEach((categoryId) => {
+    const categoryKPIs = categoryGroups[categoryId];
+    const category = categories[categoryId];
+    const weight = category?.weight || 0;
 
     if (categoryKPIs.length === 0 || weight === 0) {
       return; // Skip empty categories
     }
 
-    let categoryScore;
-
-    // Special handling for behavioral KPIs
-    if (category === 'individual_behavior') {
-      categoryScore = computeBehavioralScore(categoryKPIs);
-    } else {
-      categoryScore = computeCategoryAverage(categoryKPIs);
-    }
+    const categoryScore = computeCategoryScore(categoryKPIs, category);
 
     totalScore += categoryScore * weight;
     appliedWeight += weight;
@@ -156,13 +213,67 @@ function groupKPIsByCategory(kpis) {
   }, {});
 }
 
+/**
+ * Normalise the KPIs of a Category
+ * 
+ * Each KPI is linked to its definition (see linkKpiDefinitions). Linked KPIs
+ * take the configured weight of their definition, split evenly when several
+ * KPIs share one definition.
+ * 
+ * @param {KPI[]} kpis - KPIs in the category
+ * @param {Category} [category] - Category configuration (KPI definitions and scoring method)
+ * @returns {Array<KPI & {definitionId: string|null, normalization: string, score: number}>} KPIs
+ *   with their definition, the normalisation method applied and their normalised 0-100 score
+ */
+export function normalizeCategoryKPIs(kpis, category) {
+  const linked = linkKpiDefinitions(kpis, category);
+  const instances = linked.reduce((counts, { definition }) => {
+    if (definition) counts[definition.id] = (counts[definition.id] || 0) + 1;
+    return counts;
+  }, {});
+
+  return linked.map(({ kpi, definition }) => ({
+    ...kpi,
+    definitionId: definition?.id || null,
+    ...(definition?.weight !== undefined && { weight: definition.weight / instances[definition.id] }),
+    normalization: resolveNormalization(kpi, definition || undefined, category?.scoringMethod).method,
+    score: normalizeKpiScore(kpi, definition || undefined, category?.scoringMethod),
+  }));
+}
+
+/**
+ * KPIs that Count towards a Category Score
+ * 
+ * When any KPI in the category is linked to a definition, only linked KPIs
+ * count. Categories with no linked KPIs (e.g. configured without KPI
+ * definitions) score all their KPIs with the KPIs' own weights.
+ * 
+ * @param {Array<{definitionId: string|null}>} scored - Result of normalizeCategoryKPIs
+ * @returns {Array} KPIs that count
+ */
+function countedKPIs(scored) {
+  return scored.some((kpi) => kpi.definitionId) ? scored.filter((kpi) => kpi.definitionId) : scored;
+}
+
+/**
+ * Score a Category with its Scoring Method
+ * 
+ * @param {KPI[]} kpis - KPIs in the category
+ * @param {Category} [category] - Category configuration
+ * @returns {number} Category score (0-100)
+ */
+function computeCategoryScore(kpis, category) {
+  const scored = countedKPIs(normalizeCategoryKPIs(kpis, category));
+  return category?.scoringMethod === SCORING_METHODS.RUBRIC ? computeRubricScore(scored) : computeCategoryAverage(scored);
+}
+
 /**
  * Compute Category Average Score
  * 
- * Calculates the average value of all KPIs in a category,
+ * Calculates the average normalised score of all KPIs in a category,
  * optionally applying individual KPI weights.
  * 
- * @param {KPI[]} kpis - KPIs in the category
+ * @param {Array<{score: number, weight?: number}>} kpis - Normalised KPIs in the category
  * @returns {number} Average score (0-100)
  */
 function computeCategoryAverage(kpis) {
@@ -177,67 +288,103 @@ function computeCategoryAverage(kpis) {
     let totalWeight = 0;
 
     kpis.forEach((kpi) => {
-      const weight = kpi.weight || 1;
-      totalWeightedValue += kpi.value * weight;
+      const weight = kpi.weight ?? 1;
+      totalWeightedValue += kpi.score * weight;
       totalWeight += weight;
     });
 
     return totalWeight > 0 ? totalWeightedValue / totalWeight : 0;
   } else {
     // Simple average
-    const sum = kpis.reduce((acc, kpi) => acc + kpi.value, 0);
+    const sum = kpis.reduce((acc, kpi) => acc + kpi.score, 0);
     return sum / kpis.length;
   }
 }
 
 /**
- * Compute Behavioral Score from Rubric (0-3 scale)
+ * Compute Rubric Score (0-3 scale)
  * 
- * Behavioral KPIs use a qualitative rubric (0-3) instead of percentage.
- * This function converts the 0-3 scores to a 0-100 scale for final scoring.
+ * Rubric categories (e.g. Individual Behavior) use a qualitative rubric (0-3)
+ * instead of percentage. Each KPI is normalised to 0-100 (value / 3) and the
+ * category scores their weighted average, using the configured KPI weights
+ * like computeCategoryAverage.
  * 
- * Reference Behavioral KPIs:
- * - Professionalism & Ethics: Adherence to code of conduct, integrity
- * - Initiative & Proactiveness: Self-motivation, problem-solving
- * - Quality of Work: Attention to detail, accuracy
- * - Attendance & Punctuality: Reliability, time management
- * - Communication Skills: Clarity, responsiveness, collaboration
+ * Scoring Rubric:
+ * 0 = Needs Significant Improvement (0-25% effectiveness)
+ * 1 = Meets Minimum Standards (26-50% effectiveness)
+ * 2 = Meets Expectations (51-75% effectiveness)
+ * 3 = Exceeds Expectations (76-100% effectiveness)
  * 
- * @param {KPI[]} behavioralKPIs - KPIs with 0-3 rubric values
+ * @param {Array<{score: number, weight?: number}>} rubricKPIs - Normalised rubric KPIs
  * @returns {number} Scaled score (0-100)
  * 
  * @example
- * // 5 behavioral KPIs with scores: [3, 2, 3, 2, 3] = 13 points
- * // Scaled: (13 / 15) * 100 = 86.67
+ * // Initiative (weight 0.35) scores 3, Learning & Development (0.15) scores 0
+ * // (100 * 0.35 + 0 * 0.15) / 0.5 = 70
  */
-function computeBehavioralScore(behavioralKPIs) {
-  if (behavioralKPIs.length === 0) return 0;
-
-  // Sum raw rubric scores (0-3 per KPI)
-  const totalRawScore = behavioralKPIs.reduce((sum, kpi) => sum + kpi.value, 0);
-
-  // Maximum possible raw score (3 points per KPI)
-  const maxRawScore = behavioralKPIs.length * 3;
+function computeRubricScore(rubricKPIs) {
+  return Math.max(0, Math.min(100, computeCategoryAverage(rubricKPIs)));
+}
 
-  // Convert to 0-100 scale
-  const percentage = (totalRawScore / maxRawScore) * 100;
+/**
+ * Resolve Categories
+ * 
+ * Accepts any supported weight input and returns the category list scoring uses:
+ * - null: DEFAULT_KPI_CATEGORIES
+ * - WeightVersion[]: categories of the version effective at the period start (defaults if none)
+ * - Category[]: used as-is
+ * - Weight[] ({ category, weight }): converted to categories
+ * - Object map ({ [categoryId]: weight }): converted to categories
+ * 
+ * Categories missing a name or scoring method take them from the default
+ * configuration (see normalizeCategory).
+ * 
+ * @param {Category[]|Weight[]|WeightVersion[]|Object} weights - Weight input
+ * @param {ScoringOptions['period']} [period] - Assessment period
+ * @returns {Category[]} Categories with id, name, scoringMethod and weight
+ */
+export function resolveCategories(weights, period) {
+  if (!weights) return DEFAULT_KPI_CATEGORIES.map(normalizeCategory);
+
+  let categories;
+  if (!Array.isArray(weights)) {
+    categories = Object.entries(weights).map(([id, weight]) => ({ id, weight }));
+  } else if (weights.some((w) => w.effectiveFrom && w.categories)) {
+    const version = selectEffectiveVersion(weights, getPeriodDate(period));
+    categories = version ? version.categories : DEFAULT_KPI_CATEGORIES;
+  } else {
+    categories = weights.map((w) => (w.id ? w : { id: w.category, weight: w.weight }));
+  }
 
-  return Math.max(0, Math.min(100, percentage));
+  return categories.map(normalizeCategory);
 }
 
 /**
- * Convert Weight Array to Map
+ * Resolve Category Weights
  * 
- * @param {Weight[]} weights - Array of weight configurations
+ * Same inputs as resolveCategories, as a category -> weight map.
+ * 
+ * @param {Category[]|Weight[]|WeightVersion[]|Object} weights - Weight input
+ * @param {ScoringOptions['period']} [period] - Assessment period
  * @returns {Object.<string, number>} Category to weight mapping
  */
-function convertWeightsToMap(weights) {
-  return weights.reduce((map, w) => {
-    map[w.category] = w.weight;
+export function resolveCategoryWeights(weights, period) {
+  return resolveCategories(weights, period).reduce((map, category) => {
+    map[category.id] = category.weight;
     return map;
   }, {});
 }
 
+/**
+ * Index Categories by Id
+ * 
+ * @param {Category[]} categories - Resolved categories
+ * @returns {Object.<string, Category>} Category id to category
+ */
+function indexCategories(categories) {
+  return Object.fromEntries(categories.map((category) => [category.id, category]));
+}
+
 /**
  * Compute Score Breakdown by Category
  * 
@@ -245,51 +392,206 @@ function convertWeightsToMap(weights) {
  * useful for displaying scorecard details.
  * 
  * @param {KPI[]} kpis - Array of KPIs
- * @param {Weight[]} [weights] - Optional weights
+ * @param {Category[]|Weight[]|WeightVersion[]|Object} [weights] - Optional weights
+ * @param {ScoringOptions} [options] - Scoring options (period selects the effective version)
  * @returns {Object} Breakdown with category scores and contributions
  * 
  * @example
  * const breakdown = computeScoreBreakdown(kpis);
  * // {
- * //   hq_operations: { score: 85, weight: 0.25, contribution: 21.25 },
- * //   field_operations: { score: 78, weight: 0.30, contribution: 23.4 },
+ * //   hq_operations: { name: 'HQ Operations', scoringMethod: 'average', score: 85, weight: 0.25, contribution: 21.25,
+ * //                    kpiCount: 2, unmappedCount: 0 },
+ * //   field_operations: { name: 'Field Operations', scoringMethod: 'average', score: 78, weight: 0.30, contribution: 23.4 },
  * //   ...
  * // }
  */
-export function computeScoreBreakdown(kpis = [], weights = null) {
+export function computeScoreBreakdown(kpis = [], weights = null, options = {}) {
   if (!kpis || kpis.length === 0) {
     return {};
   }
 
-  const categoryWeights = weights 
-    ? convertWeightsToMap(weights) 
-    : DEFAULT_WEIGHTS;
+  const categories = indexCategories(resolveCategories(weights, options.period));
 
   const categoryGroups = groupKPIsByCategory(kpis);
   const breakdown = {};
 
-  Object.keys(categoryGroups).forEach((category) => {
-    const categoryKPIs = categoryGroups[category];
-    const weight = categoryWeights[category] || 0;
+  Object.keys(categoryGroups).forEach((categoryId) => {
+    const categoryKPIs = categoryGroups[categoryId];
+    const category = categories[categoryId];
+    const weight = category?.weight || 0;
+    const scoringMethod = category?.scoringMethod || SCORING_METHODS.AVERAGE;
 
-    let categoryScore;
-    if (category === 'individual_behavior') {
-      categoryScore = computeBehavioralScore(categoryKPIs);
-    } else {
-      categoryScore = computeCategoryAverage(categoryKPIs);
-    }
+    const categoryScore = computeCategoryScore(categoryKPIs, category);
+    const counted = countedKPIs(normalizeCategoryKPIs(categoryKPIs, category));
 
-    breakdown[category] = {
+    breakdown[categoryId] = {
+      name: category?.name || categoryId,
+      scoringMethod,
       score: Math.round(categoryScore * 10) / 10, // Round to 1 decimal
       weight,
       contribution: Math.round(categoryScore * weight * 10) / 10,
-      kpiCount: categoryKPIs.length,
+      kpiCount: counted.length,
+      unmappedCount: categoryKPIs.length - counted.length,
     };
   });
 
   return breakdown;
 }
 
+/**
+ * KPI Shares within a Category
+ * 
+ * Fraction of the category score each KPI accounts for, matching
+ * computeCategoryAverage and computeRubricScore (KPI weights when present,
+ * otherwise equal shares).
+ * 
+ * @param {KPI[]} kpis - KPIs that count in the category (see countedKPIs)
+ * @returns {number[]} Shares summing to 1
+ */
+function computeKpiShares(kpis) {
+  const hasWeights = kpis.some((kpi) => kpi.weight !== undefined);
+  const weights = kpis.map((kpi) => (hasWeights ? (kpi.weight ?? 1) : 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return weights.map((weight) => (total > 0 ? weight / total : 0));
+}
+
+/**
+ * Explain Score
+ * 
+ * Full computation trace behind computeScore, for employees disputing a
+ * score: every KPI's raw value, normalised score and weight, each
+ * category's weight and score, the re-normalisation applied when
+ * categories have no KPIs, and every contribution to the final score.
+ * 
+ * Contributions are final: KPI contributions sum to their category's
+ * contribution, and category contributions sum to the score (before the
+ * 0-100 clamp).
+ * 
+ * @param {KPI[]} kpis - Array of KPIs
+ * @param {Category[]|Weight[]|WeightVersion[]|Object} [weights] - Optional weights
+ * @param {ScoringOptions} [options] - Scoring options (period selects the effective version)
+ * @returns {Object} Trace:
+ *   {
+ *     score,
+ *     appliedWeight,       // sum of weights of categories that have KPIs
+ *     normalizationFactor, // 1 / appliedWeight when categories are missing, else 1
+ *     categories: [{ id, name, scoringMethod, weight, effectiveWeight, score, contribution,
+ *                    kpis: [{ id, name, definitionId, value, target, normalization, normalizedScore, kpiWeight,
+ *                             contribution }] }],
+ *     missingCategories: [{ id, name, weight }], // configured but without KPIs
+ *     unscoredKpis: [{ id, name, category, reason }], // category not configured or weighted 0, or no KPI definition
+ *     unmappedKpis: [{ id, name, category }] // counted without a definition (none in the category is linked)
+ *   }
+ * 
+ * @example
+ * const trace = explainScore(kpis);
+ * trace.categories[0].kpis[0];
+ * // { id: 'KPI-E-005', name: 'Knowledge Sharing Sessions', value: 7, target: 8,
+ * //   normalization: 'target_ratio', normalizedScore: 87.5, kpiWeight: 0.5, contribution: 6.56 }
+ */
+export function explainScore(kpis = [], weights = null, options = {}) {
+  const resolved = resolveCategories(weights, options.period);
+  const categoryGroups = groupKPIsByCategory(kpis || []);
+  const known = new Set(resolved.map((category) => category.id));
+
+  const scoredCategories = resolved.filter((category) => category.weight > 0 && categoryGroups[category.id]);
+  const appliedWeight = scoredCategories.reduce((sum, category) => sum + category.weight, 0);
+  const normalizationFactor = appliedWeight > 0 && appliedWeight < 1.0 ? 1 / appliedWeight : 1;
+
+  const categories = scoredCategories.map((category) => {
+    const scored = countedKPIs(normalizeCategoryKPIs(categoryGroups[category.id], category));
+    const shares = computeKpiShares(scored);
+    const score = computeCategoryScore(categoryGroups[category.id], category);
+    const effectiveWeight = category.weight * normalizationFactor;
+
+    return {
+      id: category.id,
+      name: category.name,
+      scoringMethod: category.scoringMethod,
+      weight: category.weight,
+      effectiveWeight,
+      score,
+      contribution: score * effectiveWeight,
+      kpis: scored.map((kpi, index) => ({
+        id: kpi.id,
+        name: kpi.name,
+        definitionId: kpi.definitionId,
+        value: kpi.value,
+        target: kpi.target,
+        normalization: kpi.normalization,
+        normalizedScore: kpi.score,
+        kpiWeight: shares[index],
+        contribution: kpi.score * shares[index] * effectiveWeight,
+      })),
+    };
+  });
+
+  const missingCategories = resolved
+    .filter((category) => category.weight > 0 && !categoryGroups[category.id])
+    .map(({ id, name, weight }) => ({ id, name, weight }));
+
+  // Unmapped KPIs left out of the score are reported in unscoredKpis instead
+  const unmappedKpis = categories
+    .filter((category, index) => scoredCategories[index].kpis?.length > 0)
+    .flatMap((category) =>
+      category.kpis
+        .filter((kpi) => !kpi.definitionId)
+        .map((kpi) => ({ id: kpi.id, name: kpi.name, category: category.id }))
+    );
+
+  const unscoredKpis = Object.entries(categoryGroups)
+    .filter(([categoryId]) => !scoredCategories.some((category) => category.id === categoryId))
+    .flatMap(([categoryId, categoryKPIs]) =>
+      categoryKPIs.map((kpi) => ({
+        id: kpi.id,
+        name: kpi.name,
+        category: categoryId,
+        reason: known.has(categoryId) ? 'Category weight is 0' : 'Category is not in the weight configuration',
+      }))
+    )
+    .concat(
+      categories.flatMap((category) => {
+        const counted = new Set(category.kpis.map((kpi) => kpi.id));
+        return categoryGroups[category.id]
+          .filter((kpi) => !counted.has(kpi.id))
+          .map((kpi) => ({
+            id: kpi.id,
+            name: kpi.name,
+            category: category.id,
+            reason: 'No KPI definition in the weight configuration',
+          }));
+      })
+    );
+
+  const total = categories.reduce((sum, category) => sum + category.contribution, 0);
+
+  return {
+    score: Math.max(0, Math.min(100, total)),
+    appliedWeight,
+    normalizationFactor,
+    categories,
+    missingCategories,
+    unscoredKpis,
+    unmappedKpis,
+  };
+}
+
+/**
+ * Convert a Composite Score to an APAR Grade
+ * 
+ * @param {number} score - Composite score (0-100)
+ * @returns {string} Letter grade from GRADE_BOUNDARIES
+ * 
+ * @example
+ * scoreToGrade(78); // 'A'
+ * scoreToGrade(59.9); // 'C'
+ */
+export function scoreToGrade(score) {
+  const boundary = GRADE_BOUNDARIES.find((b) => score >= b.minScore);
+  return boundary ? boundary.grade : GRADE_BOUNDARIES[GRADE_BOUNDARIES.length - 1].grade;
+}
+
 /**
  * Validate KPI Data
  * 
@@ -316,6 +618,10 @@ export function validateKPIs(kpis) {
     if (!kpi.category) {
       errors.push(`KPI at index ${index} missing category`);
     }
+    const normalizationError = validateNormalization(kpi);
+    if (normalizationError) {
+      errors.push(`KPI at index ${index}: ${normalizationError}`);
+    }
   });
 
   return {
@@ -0,0 +1,122 @@
+/**
+ * Upload Chunks
+ *
+ * Evidence files are uploaded in fixed-size chunks so an interrupted upload
+ * can resume from the chunks the server is missing. Shared by
+ * useUploadQueue and the evidence server:
+ *
+ * - every chunk carries the SHA-256 of its bytes (`chunkChecksum`); the
+ *   server rejects a chunk whose bytes do not match and acknowledges a
+ *   repeat of a chunk it already holds without writing it again
+ * - the first chunk carries the SHA-256 of the whole file (`fileChecksum`),
+ *   checked once the chunks are merged
+ * - GET /api/evidence/upload/:uploadId/status lists the missing chunk indices
+ */
+
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Upload session statuses
+ */
+export const UPLOAD_STATUSES = {
+  UPLOADING: 'uploading',
+  MERGING: 'merging',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+/**
+ * Server error names the client reacts to
+ */
+export const UPLOAD_ERRORS = {
+  CHUNK_CHECKSUM_MISMATCH: 'Chunk checksum mismatch',
+  FILE_CHECKSUM_MISMATCH: 'File checksum mismatch',
+};
+
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+
+/**
+ * Number of chunks for a file (an empty file is one empty chunk)
+ *
+ * @param {number} fileSize - File size in bytes
+ * @param {number} [chunkSize]
+ * @returns {number}
+ */
+export function countChunks(fileSize, chunkSize = UPLOAD_CHUNK_SIZE) {
+  return Math.max(1, Math.ceil(fileSize / chunkSize));
+}
+
+/**
+ * Byte range of a chunk
+ *
+ * @param {number} chunkIndex - 0-based chunk index
+ * @param {number} fileSize - File size in bytes
+ * @param {number} [chunkSize]
+ * @returns {{ start: number, end: number }} End is exclusive
+ */
+export function chunkRange(chunkIndex, fileSize, chunkSize = UPLOAD_CHUNK_SIZE) {
+  const start = chunkIndex * chunkSize;
+  return { start, end: Math.min(start + chunkSize, fileSize) };
+}
+
+/**
+ * Chunk indices not received yet
+ *
+ * @param {number[]} receivedChunks - Indices already received
+ * @param {number} totalChunks
+ * @returns {number[]} Missing indices in ascending order
+ *
+ * @example
+ * findMissingChunks([0, 2], 4);
+ * // [1, 3]
+ */
+export function findMissingChunks(receivedChunks, totalChunks) {
+  const received = new Set(receivedChunks);
+  return Array.from({ length: totalChunks }, (_, index) => index).filter((index) => !received.has(index));
+}
+
+/**
+ * Whether a value is a hex SHA-256 digest
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isSha256(value) {
+  return typeof value === 'string' && SHA256_HEX.test(value);
+}
+
+/**
+ * Parse the `metadata` field sent with the first chunk
+ *
+ * @param {string} [value] - JSON object; missing means no metadata
+ * @returns {Object|null} Parsed metadata, or null when it is not a JSON object
+ *
+ * @example
+ * parseUploadMetadata('{"title":"Site visit"}'); // { title: 'Site visit' }
+ * parseUploadMetadata('{"title":'); // null
+ */
+export function parseUploadMetadata(value) {
+  if (value === undefined || value === '') return {};
+
+  let metadata;
+  try {
+    metadata = JSON.parse(value);
+  } catch {
+    return null;
+  }
+  return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : null;
+}
+
+/**
+ * SHA-256 of a Blob or bytes, as lowercase hex
+ * Reads the data into memory, so the whole-file hash is only suitable for
+ * evidence-sized files.
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(data) {
+  const bytes = typeof data.arrayBuffer === 'function' ? await data.arrayBuffer() : data;
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new Uint8Array(bytes));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,77 @@
+/**
+ * Upload File Store
+ *
+ * The upload queue is persisted to localStorage, which cannot hold File
+ * objects. The files themselves are kept in IndexedDB, keyed by upload
+ * item id, so useUploadQueue can resume an upload after a reload. Where
+ * IndexedDB is unavailable every call resolves to null and an interrupted
+ * upload needs its file added again.
+ */
+
+const DB_NAME = 'evidence_upload_files';
+const STORE_NAME = 'files';
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the file store
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {Function} operation - (objectStore) => IDBRequest
+ * @returns {Promise<*>} Request result, or null without IndexedDB
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result ?? null);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Keep the file for an upload item
+ *
+ * @param {string} itemId - Upload item id
+ * @param {File} file
+ */
+export function saveUploadFile(itemId, file) {
+  return withStore('readwrite', (store) => store.put(file, itemId));
+}
+
+/**
+ * File kept for an upload item
+ *
+ * @param {string} itemId - Upload item id
+ * @returns {Promise<File|null>}
+ */
+export function loadUploadFile(itemId) {
+  return withStore('readonly', (store) => store.get(itemId));
+}
+
+/**
+ * Forget the file for an upload item
+ *
+ * @param {string} itemId - Upload item id
+ */
+export function deleteUploadFile(itemId) {
+  return withStore('readwrite', (store) => store.delete(itemId));
+}
@@ -0,0 +1,119 @@
+/**
+ * Weight Configuration Diff
+ *
+ * Compares two weight trees and reports per-category and per-KPI deltas.
+ * Shared by the admin server (GET /api/admin/weights/diff) and the
+ * WeightEditor diff panel.
+ *
+ * Accepts categories either as an array ([{ id, name, weight, kpis }]) as
+ * stored by the admin server, or as an object keyed by category id as used
+ * by the frontend weight editor.
+ */
+
+// Changes smaller than this are treated as floating point noise
+const EPSILON = 1e-6;
+
+/**
+ * Normalise categories into an array of { id, name, weight, kpis }
+ *
+ * @param {Array|Object} categories - Category array or object keyed by id
+ * @returns {Array<{id, name, weight, kpis}>}
+ */
+export function toCategoryList(categories) {
+  if (!categories) return [];
+  if (Array.isArray(categories)) return categories;
+  return Object.entries(categories).map(([id, category]) => ({ id, name: category.name || id, ...category }));
+}
+
+/**
+ * Round a delta to 4 decimal places
+ */
+function roundDelta(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Describe how a single weighted item (category or KPI) changed
+ */
+function diffItem(from, to) {
+  const fromWeight = from ? from.weight : null;
+  const toWeight = to ? to.weight : null;
+
+  let status = 'unchanged';
+  if (!from) status = 'added';
+  else if (!to) status = 'removed';
+  else if (Math.abs(toWeight - fromWeight) > EPSILON) status = 'changed';
+
+  return {
+    id: (to || from).id,
+    name: (to || from).name,
+    status,
+    fromWeight,
+    toWeight,
+    delta: roundDelta((toWeight || 0) - (fromWeight || 0)),
+  };
+}
+
+/**
+ * Pair up items by id, keeping "to" order and appending removed items
+ */
+function pairById(fromItems, toItems) {
+  const fromById = new Map(fromItems.map((item) => [item.id, item]));
+  const toIds = new Set(toItems.map((item) => item.id));
+
+  return [
+    ...toItems.map((item) => [fromById.get(item.id), item]),
+    ...fromItems.filter((item) => !toIds.has(item.id)).map((item) => [item, undefined]),
+  ];
+}
+
+/**
+ * Diff two weight configurations
+ *
+ * @param {Array|Object} fromCategories - Older category tree
+ * @param {Array|Object} toCategories - Newer category tree
+ * @returns {{ categories: Array, summary: Object }}
+ *
+ * @example
+ * const { categories, summary } = diffWeightVersions(v20.categories, v21.categories);
+ * // categories[0] = { id, name, status, fromWeight, toWeight, delta, kpis: [...] }
+ */
+export function diffWeightVersions(fromCategories, toCategories) {
+  const summary = {
+    categoriesAdded: 0,
+    categoriesRemoved: 0,
+    categoriesChanged: 0,
+    kpisAdded: 0,
+    kpisRemoved: 0,
+    kpisChanged: 0,
+  };
+
+  const categories = pairById(toCategoryList(fromCategories), toCategoryList(toCategories)).map(
+    ([fromCategory, toCategory]) => {
+      const kpis = pairById(fromCategory?.kpis || [], toCategory?.kpis || []).map(([fromKpi, toKpi]) =>
+        diffItem(fromKpi, toKpi)
+      );
+
+      kpis.forEach((kpi) => {
+        if (kpi.status === 'added') summary.kpisAdded += 1;
+        if (kpi.status === 'removed') summary.kpisRemoved += 1;
+        if (kpi.status === 'changed') summary.kpisChanged += 1;
+      });
+
+      const category = { ...diffItem(fromCategory, toCategory), kpis };
+      if (category.status === 'added') summary.categoriesAdded += 1;
+      if (category.status === 'removed') summary.categoriesRemoved += 1;
+      if (category.status === 'changed') summary.categoriesChanged += 1;
+
+      return category;
+    }
+  );
+
+  return {
+    categories,
+    summary: {
+      ...summary,
+      hasChanges: Object.values(summary).some((count) => count > 0),
+    },
+  };
+}
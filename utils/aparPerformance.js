@@ -0,0 +1,111 @@
+/**
+ * APAR Performance Section
+ *
+ * Builds the "Performance by Category" data rendered by templates/apar.hbs
+ * from an employee's KPI values and the category configuration, using the
+ * same scoring as the dashboards (src/utils/scoring.js). Category names,
+ * weights and scoring methods therefore always match the active weights.
+ */
+
+import {
+  computeScore,
+  computeScoreBreakdown,
+  explainScore,
+  normalizeCategoryKPIs,
+  resolveCategories,
+  scoreToGrade,
+} from '../src/utils/scoring.js';
+import { SCORING_METHOD_LABELS } from '../src/utils/kpiCategories.js';
+import { NORMALIZATION_LABELS } from '../src/utils/kpiNormalization.js';
+
+/**
+ * Build the APAR performance section
+ *
+ * @param {Object} params
+ * @param {Object[]} params.kpis - KPI values ({ id, name, category, value, target })
+ * @param {Object[]} params.categories - Category configuration (active weight version)
+ * @returns {{ overallScore: number, grade: string, categories: Object[], explanation: Object }}
+ *   Categories: { id, name, weight (%), scoringMethod, scoringMethodLabel, score, kpis: [{ name, score, target, achieved }] }
+ *   Explanation: the explainScore trace formatted for the "Score Computation" annex (see formatExplanation)
+ *
+ * @example
+ * buildAparPerformance({ kpis, categories: readActiveCategories() });
+ */
+export function buildAparPerformance({ kpis, categories }) {
+  const resolved = resolveCategories(categories);
+  const breakdown = computeScoreBreakdown(kpis, resolved);
+  const overallScore = Math.round(computeScore(kpis, resolved));
+
+  return {
+    overallScore,
+    grade: scoreToGrade(overallScore),
+    explanation: formatExplanation(explainScore(kpis, resolved)),
+    categories: resolved
+      .filter((category) => breakdown[category.id])
+      .map((category) => {
+        const categoryKPIs = normalizeCategoryKPIs(
+          kpis.filter((kpi) => kpi.category === category.id),
+          category
+        );
+
+        return {
+          id: category.id,
+          name: category.name,
+          weight: Math.round(category.weight * 100),
+          scoringMethod: category.scoringMethod,
+          scoringMethodLabel: SCORING_METHOD_LABELS[category.scoringMethod],
+          score: Math.round(breakdown[category.id].score),
+          kpis: categoryKPIs.map((kpi) => ({
+            name: kpi.name,
+            score: Math.round(kpi.score),
+            target: kpi.target,
+            achieved: kpi.value,
+          })),
+        };
+      }),
+  };
+}
+
+const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+/**
+ * Format an explainScore trace for the APAR annex
+ * Numbers are rounded to display strings so the template needs no helpers.
+ *
+ * @param {Object} trace - Result of explainScore()
+ * @returns {Object} { score, normalizationNote, unscoredNote, categories: [{ name, score, weight, contribution, kpis }] }
+ */
+export function formatExplanation(trace) {
+  const { missingCategories, unscoredKpis, normalizationFactor } = trace;
+
+  return {
+    score: trace.score.toFixed(2),
+    normalizationNote:
+      missingCategories.length > 0
+        ? `No KPIs were recorded for ${missingCategories
+            .map((category) => `${category.name} (${percent(category.weight)})`)
+            .join(', ')}; the remaining category weights were scaled by ${normalizationFactor.toFixed(2)} to total 100%.`
+        : null,
+    unscoredNote:
+      unscoredKpis.length > 0
+        ? `Not counted: ${unscoredKpis.map((kpi) => `${kpi.name || kpi.id} (${kpi.reason})`).join(', ')}.`
+        : null,
+    categories: trace.categories.map((category) => ({
+      name: category.name,
+      score: category.score.toFixed(1),
+      weight:
+        category.effectiveWeight === category.weight
+          ? percent(category.weight)
+          : `${percent(category.weight)} → ${percent(category.effectiveWeight)}`,
+      contribution: category.contribution.toFixed(2),
+      kpis: category.kpis.map((kpi) => ({
+        name: kpi.name,
+        value: kpi.target === undefined ? String(kpi.value) : `${kpi.value} / ${kpi.target}`,
+        normalization: NORMALIZATION_LABELS[kpi.normalization],
+        score: kpi.normalizedScore.toFixed(1),
+        weight: percent(kpi.kpiWeight),
+        contribution: kpi.contribution.toFixed(2),
+      })),
+    })),
+  };
+}
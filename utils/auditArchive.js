@@ -0,0 +1,304 @@
+/**
+ * Audit Archive
+ *
+ * Retention policies and archive files for the shared audit log.
+ *
+ * A retention policy keeps each action type for a number of days (or forever):
+ * { defaultDays: null, actionTypes: { CALIBRATION_PREVIEW: 365, WEIGHT_UPDATE: null } }
+ *
+ * The archival job moves expired entries out of the live log into gzipped
+ * JSON Lines files. Each file's SHA-256 is recorded in manifest.json, and
+ * reading an archive fails if its checksum no longer matches. Archived
+ * entries keep their prevHash/hash, so the hash chain can still be verified
+ * across live and archived entries (see verifyAuditChain).
+ *
+ * Directory layout (next to audit.jsonl):
+ *   audit-archives/manifest.json
+ *   audit-archives/audit-archive-<timestamp>.jsonl.gz
+ */
+
+import { createHash } from 'crypto';
+import { gzipSync, gunzipSync } from 'zlib';
+import { dirname, join } from 'path';
+import fs from 'fs-extra';
+import { filterAuditEntries } from './auditStore.js';
+import { AUDIT_ACTIONS } from './auditLog.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention used until an admin configures one (days; null keeps forever)
+ */
+export const DEFAULT_RETENTION_POLICY = {
+  defaultDays: null,
+  actionTypes: {
+    CALIBRATION_PREVIEW: 365,
+    AI_QUERY: 365,
+    REPORT_DOWNLOADED: 2 * 365,
+    AUDIT_EXPORTED: 2 * 365,
+    WEIGHT_UPDATE: null,
+    KPI_WEIGHT_UPDATE: null,
+    WEIGHT_ROLLBACK: null,
+  },
+};
+
+/**
+ * Validate a retention policy
+ * @param {Object} policy - { defaultDays, actionTypes }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRetentionPolicy(policy) {
+  const isDays = (days) => days === null || (Number.isInteger(days) && days > 0);
+
+  if (!policy || typeof policy !== 'object') return 'Retention policy must be an object';
+  if (!isDays(policy.defaultDays ?? null)) return 'defaultDays must be a positive whole number of days or null';
+  if (!policy.actionTypes || typeof policy.actionTypes !== 'object' || Array.isArray(policy.actionTypes)) {
+    return 'actionTypes must map action types to days';
+  }
+
+  const unknown = Object.keys(policy.actionTypes).find((actionType) => !AUDIT_ACTIONS[actionType]);
+  if (unknown) return `Unknown action type: ${unknown}`;
+
+  const invalid = Object.entries(policy.actionTypes).find(([, days]) => !isDays(days));
+  return invalid ? `Retention for ${invalid[0]} must be a positive whole number of days or null` : null;
+}
+
+/**
+ * Create a retention policy store backed by a JSON file
+ * Until a policy is saved, DEFAULT_RETENTION_POLICY applies.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file location (created by the first update)
+ * @returns {{ get, update }}
+ */
+export function createRetentionStore({ filePath }) {
+  return {
+    /**
+     * Current policy: { defaultDays, actionTypes, updatedAt, updatedBy, updatedByName }
+     */
+    get() {
+      return fs.existsSync(filePath)
+        ? fs.readJsonSync(filePath)
+        : { ...DEFAULT_RETENTION_POLICY, updatedAt: null, updatedBy: null, updatedByName: null };
+    },
+
+    /**
+     * Replace the policy (validate first with validateRetentionPolicy)
+     */
+    update({ defaultDays = null, actionTypes }, { updatedBy, updatedByName }) {
+      const policy = { defaultDays, actionTypes, updatedAt: new Date().toISOString(), updatedBy, updatedByName };
+
+      fs.ensureDirSync(dirname(filePath));
+      writeAtomic(filePath, JSON.stringify(policy, null, 2));
+      return policy;
+    },
+  };
+}
+
+/**
+ * Retention in days for an action type (null keeps forever)
+ */
+export function retentionDays(policy, actionType) {
+  return actionType in policy.actionTypes ? policy.actionTypes[actionType] : (policy.defaultDays ?? null);
+}
+
+/**
+ * Entries past their retention period
+ * The newest entry is never expired: it anchors the live hash chain.
+ *
+ * @param {Object[]} entries - Live entries, newest first
+ * @param {Object} policy - Retention policy
+ * @param {Date} [now] - Reference time
+ * @returns {Object[]} Expired entries, oldest first
+ */
+export function findExpiredEntries(entries, policy, now = new Date()) {
+  return entries
+    .slice(1)
+    .filter((entry) => {
+      const days = retentionDays(policy, entry.actionType);
+      return days !== null && now - new Date(entry.timestamp) > days * DAY_MS;
+    })
+    .reverse();
+}
+
+/**
+ * Hex SHA-256 of a buffer
+ */
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Write a file via temp + rename so readers never see half a file
+ */
+function writeAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Create an archive repository in a directory
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Archive directory (created when missing)
+ * @returns {Object} Archive API
+ *
+ * @example
+ * const archive = createAuditArchive({ dir: './data/archives' });
+ * archive.write(expiredEntries); // { file, sha256, entryCount, ... }
+ * archive.search({ dateFrom: '2023-01-01' });
+ */
+export function createAuditArchive({ dir }) {
+  const manifestPath = join(dir, 'manifest.json');
+
+  function readManifest() {
+    return fs.existsSync(manifestPath) ? fs.readJsonSync(manifestPath) : { archives: [] };
+  }
+
+  /**
+   * Entries of one archive; throws when the checksum does not match
+   */
+  function readArchive(record) {
+    const compressed = fs.readFileSync(join(dir, record.file));
+    if (sha256(compressed) !== record.sha256) {
+      throw new Error(`Checksum mismatch for audit archive ${record.file}`);
+    }
+
+    return gunzipSync(compressed)
+      .toString('utf8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  return {
+    /**
+     * Archive records, oldest first
+     */
+    list() {
+      return readManifest().archives;
+    },
+
+    /**
+     * Write entries (oldest first) to a new compressed archive
+     * @returns {Object} Manifest record
+     */
+    write(entries, now = new Date()) {
+      fs.ensureDirSync(dir);
+
+      const compressed = gzipSync(entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+      const file = `audit-archive-${now.toISOString().replace(/[:.]/g, '-')}.jsonl.gz`;
+      const timestamps = entries.map((entry) => entry.timestamp).sort();
+      const record = {
+        file,
+        createdAt: now.toISOString(),
+        entryCount: entries.length,
+        firstId: entries[0].id,
+        lastId: entries[entries.length - 1].id,
+        fromTimestamp: timestamps[0],
+        toTimestamp: timestamps[timestamps.length - 1],
+        actionTypes: [...new Set(entries.map((entry) => entry.actionType))].sort(),
+        sizeBytes: compressed.length,
+        sha256: sha256(compressed),
+      };
+
+      writeAtomic(join(dir, file), compressed);
+      const manifest = readManifest();
+      manifest.archives.push(record);
+      writeAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+
+      return record;
+    },
+
+    /**
+     * Entries of one archive record, oldest first
+     * Throws when the file no longer matches its checksum.
+     */
+    read(record) {
+      return readArchive(record);
+    },
+
+    /**
+     * Archived entries matching the audit filters, newest first
+     * Only archives overlapping dateFrom..dateTo are opened.
+     *
+     * @param {Object} filters - Same as filterAuditEntries
+     * @returns {{ entries: Object[], archivesSearched: string[] }}
+     */
+    search(filters = {}) {
+      const toDate = filters.dateTo ? new Date(filters.dateTo) : null;
+      toDate?.setHours(23, 59, 59, 999);
+
+      const records = readManifest().archives.filter(
+        (record) =>
+          (!filters.dateFrom || new Date(record.toTimestamp) >= new Date(filters.dateFrom)) &&
+          (!toDate || new Date(record.fromTimestamp) <= toDate)
+      );
+      const entries = filterAuditEntries(records.flatMap(readArchive), filters).reverse();
+
+      return { entries, archivesSearched: records.map((record) => record.file) };
+    },
+
+    /**
+     * Re-check every archive against its recorded checksum
+     * @returns {Array<{ file, valid }>}
+     */
+    verify() {
+      return readManifest().archives.map((record) => {
+        const filePath = join(dir, record.file);
+        return {
+          file: record.file,
+          valid: fs.existsSync(filePath) && sha256(fs.readFileSync(filePath)) === record.sha256,
+        };
+      });
+    },
+  };
+}
+
+/**
+ * Verify the live chain together with every archive
+ * Archives failing their checksum are reported and left out of the chain
+ * walk, so the gap they should fill shows up as a break.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Audit store
+ * @param {Object} options.archive - Audit archive
+ * @returns {Object} store.verify() result plus `archives: [{ file, valid }]`
+ */
+export function verifyAuditTrail({ store, archive }) {
+  const checks = archive.verify();
+  const validFiles = new Set(checks.filter((check) => check.valid).map((check) => check.file));
+  const archivedEntries = archive
+    .list()
+    .filter((record) => validFiles.has(record.file))
+    .flatMap((record) => archive.read(record));
+  const result = store.verify(archivedEntries);
+
+  return {
+    ...result,
+    valid: result.valid && checks.every((check) => check.valid),
+    archives: checks,
+  };
+}
+
+/**
+ * Move expired live entries into a new archive
+ * Entries are written to the archive before they are removed from the log,
+ * so a crash in between leaves duplicates, never gaps.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Audit store (utils/auditStore.js)
+ * @param {Object} options.archive - Audit archive
+ * @param {Object} options.policy - Retention policy
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object|null>} Manifest record, or null when nothing expired
+ */
+export async function archiveExpiredEntries({ store, archive, policy, now = new Date() }) {
+  const expired = findExpiredEntries(store.list(), policy, now);
+  if (expired.length === 0) return null;
+
+  const record = archive.write(expired, now);
+  await store.remove(expired.map((entry) => entry.id));
+  return record;
+}
@@ -0,0 +1,74 @@
+/**
+ * Audit Export
+ *
+ * Serialises audit entries for the quarterly auditor extracts served by
+ * GET /api/admin/audit/export. CSV and JSON Lines are built here; the signed
+ * PDF lives in utils/auditPdf.js because it needs pdf-lib and the signing keys.
+ *
+ * Both formats keep each entry's `prevHash`/`hash`, so an extract can be
+ * matched line by line against the live chain.
+ */
+
+export const AUDIT_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+const CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'service',
+  'actor',
+  'actorName',
+  'actionType',
+  'target',
+  'oldValue',
+  'newValue',
+  'comment',
+  'metadata',
+  'prevHash',
+  'hash',
+];
+
+/**
+ * Format one CSV cell
+ * Objects are written as JSON. Text starting with =, +, -, @, a tab or a
+ * carriage return is prefixed with a quote so spreadsheet apps do not
+ * evaluate it as a formula.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Audit entries as CSV with a header row
+ * @param {Object[]} entries - Audit entries
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function toAuditCsv(entries) {
+  const rows = entries.map((entry) => CSV_COLUMNS.map((column) => toCsvCell(entry[column])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+/**
+ * Audit entries as JSON Lines (one entry per line)
+ * @param {Object[]} entries - Audit entries
+ * @returns {string} JSONL text
+ */
+export function toAuditJsonl(entries) {
+  return entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+}
+
+/**
+ * Download filename, e.g. audit-trail-2025-01-15.csv
+ */
+export function auditExportFilename(format, date = new Date()) {
+  return `audit-trail-${date.toISOString().slice(0, 10)}.${AUDIT_EXPORT_FORMATS[format].extension}`;
+}
@@ -0,0 +1,131 @@
+/**
+ * Shared Audit Log
+ *
+ * Every mock server (admin, evidence, report, AI) records its audited actions
+ * through this module, into one hash-chained log (see utils/auditStore.js)
+ * that the admin Audit Trail page queries.
+ *
+ * Entries share one shape:
+ * { id, timestamp, service, actor, actorName, actionType, target, oldValue, newValue, comment, metadata, prevHash, hash }
+ *
+ * The log lives in AUDIT_DATA_DIR (falling back to ADMIN_DATA_DIR, then
+ * server/data). All servers must point at the same directory. Entries past
+ * their retention period are moved to audit-archives/ in the same directory
+ * (see utils/auditArchive.js).
+ *
+ * Writes are asynchronous: `log` and `logSystem` resolve with the stored
+ * entry once it is on disk. Route handlers await them so a failed write
+ * fails the request.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import process from 'process';
+import { createAuditStore } from './auditStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const AUDIT_DATA_DIR = process.env.AUDIT_DATA_DIR || process.env.ADMIN_DATA_DIR || join(__dirname, '..', 'server', 'data');
+
+/**
+ * Default audit log location shared by all servers
+ */
+export const AUDIT_LOG_PATH = join(AUDIT_DATA_DIR, 'audit.jsonl');
+
+/**
+ * Archives of entries past their retention period
+ */
+export const AUDIT_ARCHIVE_DIR = join(AUDIT_DATA_DIR, 'audit-archives');
+
+/**
+ * Audit action types, grouped by the server that writes them
+ */
+export const AUDIT_ACTIONS = {
+  // Admin server
+  WEIGHT_UPDATE: 'WEIGHT_UPDATE',
+  KPI_WEIGHT_UPDATE: 'KPI_WEIGHT_UPDATE',
+  CALIBRATION_PREVIEW: 'CALIBRATION_PREVIEW',
+  WEIGHT_ROLLBACK: 'WEIGHT_ROLLBACK',
+  WEIGHT_ACTIVATED: 'WEIGHT_ACTIVATED',
+  WEIGHT_CHANGE_REQUESTED: 'WEIGHT_CHANGE_REQUESTED',
+  WEIGHT_CHANGE_APPROVED: 'WEIGHT_CHANGE_APPROVED',
+  WEIGHT_CHANGE_REJECTED: 'WEIGHT_CHANGE_REJECTED',
+  AUDIT_EXPORTED: 'AUDIT_EXPORTED',
+  AUDIT_RETENTION_UPDATED: 'AUDIT_RETENTION_UPDATED',
+  AUDIT_ARCHIVED: 'AUDIT_ARCHIVED',
+  FEEDBACK_SUBMITTED: 'FEEDBACK_SUBMITTED',
+  FEEDBACK_POLICY_UPDATED: 'FEEDBACK_POLICY_UPDATED',
+  // Evidence server
+  EVIDENCE_SUBMITTED: 'EVIDENCE_SUBMITTED',
+  EVIDENCE_STATUS_CHANGED: 'EVIDENCE_STATUS_CHANGED',
+  EVIDENCE_VERIFIED: 'EVIDENCE_VERIFIED',
+  EVIDENCE_REJECTED: 'EVIDENCE_REJECTED',
+  MILESTONE_UPDATED: 'MILESTONE_UPDATED',
+  // Report server
+  REPORT_GENERATED: 'REPORT_GENERATED',
+  REPORT_DOWNLOADED: 'REPORT_DOWNLOADED',
+  // AI server
+  AI_QUERY: 'AI_QUERY',
+};
+
+/**
+ * Create the audit logger for one server
+ *
+ * @param {Object} options
+ * @param {string} options.service - Writing server: 'admin' | 'evidence' | 'report' | 'ai'
+ * @param {string} [options.filePath] - Log location (defaults to AUDIT_LOG_PATH)
+ * @param {Object[]} [options.seed] - Entries written when the log is first created
+ * @returns {{ store, log, logSystem }}
+ *
+ * @example
+ * const auditLog = createAuditLog({ service: 'report' });
+ * await auditLog.log(req, AUDIT_ACTIONS.REPORT_DOWNLOADED, `report:${reportId}`, null, null, 'Downloaded APAR');
+ */
+export function createAuditLog({ service, filePath = AUDIT_LOG_PATH, seed = [] }) {
+  const store = createAuditStore({ filePath, seed });
+
+  return {
+    store,
+
+    /**
+     * Log an action by the authenticated user
+     * The actor is always the user on `req`, never the request body.
+     * Client IP and user-agent are recorded in metadata.
+     * @returns {Promise<Object>} The stored entry
+     */
+    log(req, actionType, target, oldValue, newValue, comment, metadata = {}) {
+      return store.append({
+        service,
+        actor: req.user.id,
+        actorName: req.user.name,
+        actionType,
+        target,
+        oldValue,
+        newValue,
+        comment,
+        metadata: {
+          ...metadata,
+          ip: req.ip,
+          userAgent: req.get('user-agent') || null,
+        },
+      });
+    },
+
+    /**
+     * Log an action taken by the server itself (no request)
+     * @returns {Promise<Object>} The stored entry
+     */
+    logSystem(actorName, actionType, target, oldValue, newValue, comment, metadata = {}) {
+      return store.append({
+        service,
+        actor: 'system',
+        actorName,
+        actionType,
+        target,
+        oldValue,
+        newValue,
+        comment,
+        metadata,
+      });
+    },
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Audit PDF Export
+ *
+ * Renders an audit trail extract as a PDF table and signs it with
+ * `signPDF` (utils/signing.js), so auditors can check that the extract
+ * itself was not altered after it left the system.
+ *
+ * The first page records who exported it, the filters applied and the
+ * result of verifying the hash chain at export time.
+ */
+
+import os from 'os';
+import { join } from 'path';
+import fs from 'fs-extra';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { signPDF } from './signing.js';
+
+// A4 landscape, in points
+const PAGE_SIZE = [842, 595];
+const MARGIN = 40;
+const LINE_HEIGHT = 14;
+const FONT_SIZE = 8;
+
+const COLUMNS = [
+  { label: 'Timestamp (UTC)', width: 105, value: (e) => e.timestamp.replace('T', ' ').slice(0, 19) },
+  { label: 'Actor', width: 100, value: (e) => `${e.actorName} (${e.actor})` },
+  { label: 'Action', width: 130, value: (e) => e.actionType },
+  { label: 'Target', width: 140, value: (e) => e.target },
+  { label: 'Comment', width: 215, value: (e) => e.comment || '' },
+  { label: 'Hash', width: 72, value: (e) => (e.hash ? e.hash.slice(0, 12) : '') },
+];
+
+/**
+ * Standard PDF fonts only cover WinAnsi; replace anything else
+ */
+function toPdfText(text) {
+  return String(text).replace(/[^\x20-\x7E]/g, '?');
+}
+
+/**
+ * Shorten text with "..." until it fits the width
+ */
+function fitText(text, font, maxWidth) {
+  let fitted = toPdfText(text);
+  if (font.widthOfTextAtSize(fitted, FONT_SIZE) <= maxWidth) return fitted;
+
+  while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}...`, FONT_SIZE) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+}
+
+/**
+ * Human-readable summary of the export filters
+ */
+function describeFilters(filters) {
+  const parts = Object.entries(filters)
+    .filter(([, value]) => value && value !== 'all')
+    .map(([key, value]) => `${key}=${value}`);
+  return parts.length ? parts.join(', ') : 'none';
+}
+
+/**
+ * Render the unsigned extract
+ *
+ * @param {Object[]} entries - Audit entries (newest first)
+ * @param {Object} options
+ * @param {Object} options.exportedBy - { id, name } of the requesting user
+ * @param {Object} options.filters - Filters applied to the extract
+ * @param {Object} options.integrity - Result of verifyAuditTrail() (utils/auditArchive.js)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function renderAuditPdf(entries, { exportedBy, filters, integrity }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const exportedAt = new Date().toISOString();
+
+  pdfDoc.setTitle('Audit Trail Extract');
+  pdfDoc.setAuthor(toPdfText(exportedBy.name));
+  pdfDoc.setCreationDate(new Date(exportedAt));
+
+  let page;
+  let y;
+
+  const drawLine = (text, { bold = false, size = FONT_SIZE, color = rgb(0, 0, 0) } = {}) => {
+    page.drawText(toPdfText(text), { x: MARGIN, y, size, font: bold ? boldFont : font, color });
+    y -= size + 6;
+  };
+
+  const drawRow = (values, rowFont) => {
+    let x = MARGIN;
+    values.forEach((value, index) => {
+      const { width } = COLUMNS[index];
+      page.drawText(fitText(value, rowFont, width - 6), { x, y, size: FONT_SIZE, font: rowFont });
+      x += width;
+    });
+    y -= LINE_HEIGHT;
+  };
+
+  const addPage = () => {
+    page = pdfDoc.addPage(PAGE_SIZE);
+    y = PAGE_SIZE[1] - MARGIN;
+  };
+
+  // Cover details
+  addPage();
+  drawLine('Audit Trail Extract', { bold: true, size: 16 });
+  drawLine(`Exported by ${exportedBy.name} (${exportedBy.id}) at ${exportedAt}`);
+  drawLine(`Filters: ${describeFilters(filters)}`);
+  drawLine(`Entries: ${entries.length}`);
+  if (integrity.valid) {
+    const archived = integrity.archivedEntries ? ` + ${integrity.archivedEntries} archived` : '';
+    drawLine(`Hash chain: intact (${integrity.verifiedEntries} entries${archived}, head ${integrity.headHash})`, {
+      color: rgb(0.1, 0.5, 0.2),
+    });
+  } else if (!integrity.brokenAt) {
+    const failed = integrity.archives.filter((archive) => !archive.valid).map((archive) => archive.file);
+    drawLine(`Hash chain: archive checksum mismatch (${failed.join(', ')})`, { color: rgb(0.8, 0.1, 0.1) });
+  } else {
+    drawLine(
+      `Hash chain: BROKEN at ${integrity.brokenAt.id || 'an unreadable entry'} (#${integrity.brokenAt.index + 1}) - ${integrity.brokenAt.message}`,
+      { color: rgb(0.8, 0.1, 0.1) }
+    );
+  }
+  y -= LINE_HEIGHT;
+
+  // Entry table, header repeated on each page
+  drawRow(COLUMNS.map((c) => c.label), boldFont);
+  entries.forEach((entry) => {
+    if (y < MARGIN + LINE_HEIGHT) {
+      addPage();
+      drawRow(COLUMNS.map((c) => c.label), boldFont);
+    }
+    drawRow(COLUMNS.map((c) => c.value(entry)), font);
+  });
+
+  const pages = pdfDoc.getPages();
+  pages.forEach((p, index) => {
+    p.drawText(`Page ${index + 1} of ${pages.length}`, {
+      x: PAGE_SIZE[0] - MARGIN - 60,
+      y: MARGIN / 2,
+      size: FONT_SIZE,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+    });
+  });
+
+  return pdfDoc.save();
+}
+
+/**
+ * Render and sign the extract
+ * Files are staged in a temp directory because signPDF works on paths.
+ *
+ * @param {Object[]} entries - Audit entries (newest first)
+ * @param {Object} options - See renderAuditPdf
+ * @returns {Promise<{ buffer: Buffer, signature: Object }>} Signed PDF and signature metadata
+ */
+export async function createSignedAuditPdf(entries, options) {
+  const dir = await fs.mkdtemp(join(os.tmpdir(), 'audit-export-'));
+  const unsignedPath = join(dir, 'audit.pdf');
+  const signedPath = join(dir, 'audit-signed.pdf');
+
+  try {
+    await fs.writeFile(unsignedPath, await renderAuditPdf(entries, options));
+    const signature = await signPDF(unsignedPath, signedPath);
+    return { buffer: await fs.readFile(signedPath), signature };
+  } finally {
+    await fs.remove(dir);
+  }
+}
@@ -0,0 +1,423 @@
+/**
+ * Audit Store
+ *
+ * Tamper-evident, append-only audit log kept as a JSON Lines file (one entry
+ * per line, oldest first). Entries are only ever appended; the one exception
+ * is `remove()`, used by the archival job once entries are safely written to
+ * an archive (see utils/auditArchive.js).
+ *
+ * Each entry is hash-chained to the one before it:
+ * - prevHash: hash of the previous entry (GENESIS_HASH for the first)
+ * - hash: SHA-256 of the entry's canonical JSON, excluding `hash` itself
+ *
+ * Editing, removing, inserting or reordering any line breaks the chain from
+ * that point on. `verify()` re-reads the file from disk and reports the first
+ * entry where the chain no longer holds. Gaps left by archival only pass when
+ * the archived entries are supplied and fill them exactly.
+ *
+ * Servers write through the shared logger in utils/auditLog.js rather than
+ * using this store directly.
+ */
+
+import { createHash } from 'crypto';
+import { dirname } from 'path';
+import process from 'process';
+import { Buffer } from 'buffer';
+import fs from 'fs-extra';
+import { setTimeout as delay } from 'timers/promises';
+
+// Cross-process append lock (see withFileLock)
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+/**
+ * prevHash of the first entry in the chain
+ */
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted at every level, so the hash does not depend
+ * on property order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash an entry (everything except its own `hash`)
+ * @param {Object} entry - Audit entry including prevHash
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashAuditEntry(entry) {
+  const content = { ...entry };
+  delete content.hash;
+  return createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Check a chain of entries (oldest first)
+ * Where an entry does not follow the one before it, archived entries are
+ * walked from the previous hash until the chain reaches it again.
+ *
+ * @param {Array<Object|null>} entries - Parsed entries; null marks an unreadable line
+ * @param {Object[]} [archivedEntries] - Entries moved out of the log by archival
+ * @returns {{ valid, totalEntries, verifiedEntries, archivedEntries, headHash, brokenAt }}
+ */
+export function verifyAuditChain(entries, archivedEntries = []) {
+  const archivedByPrevHash = new Map(archivedEntries.map((entry) => [entry.prevHash, entry]));
+  let prevHash = GENESIS_HASH;
+  let archivedVerified = 0;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const fail = (reason, message, id = entry?.id || null) => ({
+      valid: false,
+      totalEntries: entries.length,
+      verifiedEntries: index,
+      archivedEntries: archivedVerified,
+      headHash: prevHash,
+      brokenAt: { index, id, reason, message },
+    });
+
+    if (!entry || typeof entry !== 'object') {
+      return fail('malformed_entry', 'Entry could not be read');
+    }
+    while (entry.prevHash !== prevHash && archivedByPrevHash.has(prevHash)) {
+      const archived = archivedByPrevHash.get(prevHash);
+      if (hashAuditEntry(archived) !== archived.hash) {
+        return fail('hash_mismatch', 'Archived entry contents were modified after it was written', archived.id);
+      }
+      prevHash = archived.hash;
+      archivedVerified++;
+    }
+    if (entry.prevHash !== prevHash) {
+      return fail('chain_broken', 'Entry does not follow the previous entry (an entry was removed, inserted or reordered)');
+    }
+    if (hashAuditEntry(entry) !== entry.hash) {
+      return fail('hash_mismatch', 'Entry contents were modified after it was written');
+    }
+    prevHash = entry.hash;
+  }
+
+  return {
+    valid: true,
+    totalEntries: entries.length,
+    verifiedEntries: entries.length,
+    archivedEntries: archivedVerified,
+    headHash: prevHash,
+    brokenAt: null,
+  };
+}
+
+/**
+ * Apply the audit query filters
+ *
+ * @param {Object[]} entries - Audit entries
+ * @param {Object} filters
+ * @param {string} [filters.search] - Matches actor name, target or comment (case-insensitive)
+ * @param {string} [filters.actionType] - Exact action type ('all' or empty for any)
+ * @param {string} [filters.actor] - Actor id
+ * @param {string} [filters.dateFrom] - Earliest timestamp (ISO 8601)
+ * @param {string} [filters.dateTo] - Latest day (inclusive, ISO 8601)
+ * @returns {Object[]} Matching entries in their original order
+ */
+export function filterAuditEntries(entries, { search, actionType, actor, dateFrom, dateTo } = {}) {
+  let filtered = entries;
+
+  // Filter by search (actor, target, comment)
+  if (search) {
+    const searchLower = search.toLowerCase();
+    filtered = filtered.filter(
+      (entry) =>
+        entry.actorName.toLowerCase().includes(searchLower) ||
+        entry.target.toLowerCase().includes(searchLower) ||
+        entry.comment.toLowerCase().includes(searchLower)
+    );
+  }
+
+  // Filter by action type
+  if (actionType && actionType !== 'all') {
+    filtered = filtered.filter((entry) => entry.actionType === actionType);
+  }
+
+  // Filter by actor
+  if (actor) {
+    filtered = filtered.filter((entry) => entry.actor === actor);
+  }
+
+  // Filter by date range
+  if (dateFrom) {
+    const fromDate = new Date(dateFrom);
+    filtered = filtered.filter((entry) => new Date(entry.timestamp) >= fromDate);
+  }
+  if (dateTo) {
+    const toDate = new Date(dateTo);
+    toDate.setHours(23, 59, 59, 999); // End of day
+    filtered = filtered.filter((entry) => new Date(entry.timestamp) <= toDate);
+  }
+
+  return filtered;
+}
+
+/**
+ * Parse JSON Lines; unreadable lines become null
+ */
+function parseLines(text) {
+  return text
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    });
+}
+
+/**
+ * Parse a JSON Lines file
+ */
+function readEntries(filePath) {
+  return parseLines(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Numeric part of "audit-1247"
+ */
+function auditNumber(id) {
+  return parseInt(String(id).replace(/^audit-/, ''), 10) || 0;
+}
+
+/**
+ * Run `fn` while holding an exclusive lock file
+ * Several servers append to the same log, so reading the chain head and
+ * appending after it must not interleave between processes. Waiting for the
+ * lock never blocks the event loop.
+ */
+async function withFileLock(lockPath, fn) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (!tryLock(lockPath)) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for audit log lock ${lockPath}`);
+    await delay(LOCK_RETRY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    fs.removeSync(lockPath);
+  }
+}
+
+/**
+ * Take the lock file if it is free (clearing one left behind by a crashed process)
+ * @returns {boolean} Whether the lock was taken
+ */
+function tryLock(lockPath) {
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  try {
+    if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) fs.removeSync(lockPath);
+  } catch {
+    // Released in the meantime
+  }
+  return false;
+}
+
+/**
+ * Create an audit store backed by a JSON Lines file
+ *
+ * Any number of stores, in any number of processes, may share one file.
+ * Appends run one at a time per process and under a lock file across
+ * processes. Each store keeps the chain head (last hash and highest id) in
+ * memory together with the file size it was read at: when the file has not
+ * changed since, nothing is read; when another process appended, only the
+ * new lines are read; when archival rewrote the file, it is read again in
+ * full. Reads always come from disk.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - JSONL file location (created by the first write)
+ * @param {Object[]} options.seed - Initial entries (newest first) chained into the file when it does not exist
+ * @returns {Object} Store API
+ *
+ * @example
+ * const auditStore = createAuditStore({ filePath: './data/audit.jsonl', seed });
+ * await auditStore.append({ actor, actorName, actionType, target, oldValue, newValue, comment, metadata });
+ * auditStore.verify(); // { valid: true, totalEntries: 6, ... }
+ */
+export function createAuditStore({ filePath, seed = [] }) {
+  const lockPath = `${filePath}.lock`;
+
+  // { hash, lastNumber, size, ino } as of the last read or write by this store
+  let head = null;
+
+  // Appends and removals of this store, in call order
+  let queue = Promise.resolve();
+
+  /**
+   * Fold entries (oldest first) into a chain head
+   */
+  function advance(from, entries) {
+    return entries.filter(Boolean).reduce(
+      (current, entry) => ({
+        ...current,
+        hash: entry.hash,
+        lastNumber: Math.max(current.lastNumber, auditNumber(entry.id)),
+      }),
+      from
+    );
+  }
+
+  /**
+   * Chain head of the file on disk (caller holds the lock)
+   */
+  function currentHead() {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      return { hash: GENESIS_HASH, lastNumber: 0, size: 0, ino: null };
+    }
+
+    const sameFile = head && head.ino === stat.ino;
+    if (sameFile && head.size === stat.size) return head;
+
+    // Appended by another process since: only the new lines need reading
+    if (sameFile && stat.size > head.size) {
+      const length = stat.size - head.size;
+      const buffer = Buffer.alloc(length);
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, length, head.size);
+      } finally {
+        fs.closeSync(fd);
+      }
+      return { ...advance(head, parseLines(buffer.toString('utf8'))), size: stat.size };
+    }
+
+    // New file, or rewritten by archival
+    return {
+      ...advance({ hash: GENESIS_HASH, lastNumber: 0 }, readEntries(filePath)),
+      size: stat.size,
+      ino: stat.ino,
+    };
+  }
+
+  /**
+   * Chain `fields` after the chain head (caller holds the lock)
+   */
+  function write(fields) {
+    const current = currentHead();
+    const entry = { ...JSON.parse(JSON.stringify(fields)), prevHash: current.hash };
+    if (!entry.id) {
+      entry.id = `audit-${current.lastNumber + 1}`;
+    }
+    entry.hash = hashAuditEntry(entry);
+
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    const { size, ino } = fs.statSync(filePath);
+    head = { ...advance(current, [entry]), size, ino };
+    return entry;
+  }
+
+  function seedIfMissing() {
+    if (!fs.existsSync(filePath)) {
+      [...seed].reverse().forEach(write);
+    }
+  }
+
+  /**
+   * Run `fn` after earlier appends and removals of this store, holding the lock
+   */
+  function exclusive(fn) {
+    const run = queue.then(() => withFileLock(lockPath, fn));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  fs.ensureDirSync(dirname(filePath));
+  if (seed.length > 0) {
+    // Seed now when the lock is free, otherwise before this store's first append
+    if (tryLock(lockPath)) {
+      try {
+        seedIfMissing();
+      } finally {
+        fs.removeSync(lockPath);
+      }
+    } else {
+      exclusive(seedIfMissing);
+    }
+  }
+
+  return {
+    /**
+     * Append an entry; id, timestamp and hashes are assigned here
+     * @returns {Promise<Object>} The stored entry
+     */
+    append(fields) {
+      const timestamp = new Date().toISOString();
+      return exclusive(() => write({ id: null, timestamp, ...fields }));
+    },
+
+    /**
+     * All readable entries, newest first
+     */
+    list() {
+      return fs.existsSync(filePath) ? readEntries(filePath).filter(Boolean).reverse() : [];
+    },
+
+    /**
+     * Remove entries by id (archival only)
+     * The newest entry is always kept so later appends still chain from it.
+     * The file is rewritten via temp + rename under the lock.
+     *
+     * @param {string[]} ids - Entry ids to remove
+     * @returns {Promise<number>} Entries removed
+     */
+    remove(ids) {
+      const removeIds = new Set(ids);
+
+      return exclusive(() => {
+        if (!fs.existsSync(filePath)) return 0;
+
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter((line) => line.trim());
+        const entries = readEntries(filePath);
+        const kept = lines.filter(
+          (line, index) => index === lines.length - 1 || !entries[index] || !removeIds.has(entries[index].id)
+        );
+
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, `${kept.join('\n')}\n`);
+        fs.renameSync(tempPath, filePath);
+        return lines.length - kept.length;
+      });
+    },
+
+    /**
+     * Verify the chain as currently stored on disk
+     * @param {Object[]} [archivedEntries] - Archived entries that fill gaps left by archival
+     */
+    verify(archivedEntries = []) {
+      return {
+        ...verifyAuditChain(fs.existsSync(filePath) ? readEntries(filePath) : [], archivedEntries),
+        checkedAt: new Date().toISOString(),
+      };
+    },
+  };
+}
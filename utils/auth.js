@@ -0,0 +1,215 @@
+/**
+ * Authentication Utilities
+ *
+ * Shared helpers used by the mock servers for:
+ * - Password hashing with scrypt (salted, constant-time comparison)
+ * - Signed session tokens (HMAC-SHA256, JWT-compatible format)
+ * - Express middleware that resolves the caller from a bearer token, rejecting
+ *   tokens of sessions ended by logout (see utils/sessionRevocation.js)
+ * - Role-based authorization (roles defined in src/utils/roles.js)
+ *
+ * Security Best Practices:
+ * 1. Set SESSION_SECRET to a long random value outside development
+ * 2. Keep access tokens short-lived and rotate refresh tokens on use
+ * 3. Never log tokens or password hashes
+ */
+
+import crypto from 'crypto';
+import process from 'process';
+import { Buffer } from 'buffer';
+import { createRevocationList } from './sessionRevocation.js';
+
+/**
+ * Secret used to sign session tokens
+ * Every server verifying tokens must share the same value.
+ */
+const SESSION_SECRET = process.env.SESSION_SECRET || 'prabhaav-dev-session-secret';
+
+/**
+ * Token lifetimes (seconds)
+ */
+export const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // 7 days
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ *
+ * @param {string} password - Plain text password
+ * @param {string} [salt] - Hex salt (generated when omitted)
+ * @returns {string} Encoded hash: scrypt$<salt>$<hash>
+ */
+export function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Verify a password against an encoded hash
+ *
+ * @param {string} password - Plain text password
+ * @param {string} encodedHash - Hash produced by hashPassword
+ * @returns {boolean} True when the password matches
+ */
+export function verifyPassword(password, encodedHash) {
+  if (typeof password !== 'string' || typeof encodedHash !== 'string') return false;
+
+  const [scheme, salt, hash] = encodedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Encode JSON as base64url
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Compute HMAC signature for a token body
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ *
+ * @param {Object} payload - Claims to embed (e.g. { sub, type, sid })
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+export function signToken(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+  const body = encodeSegment({ ...payload, iat: now, exp: now + ttlSeconds });
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+/**
+ * Verify a signed token
+ *
+ * @param {string} token - Token to verify
+ * @param {string} [expectedType] - Required `type` claim ('access' | 'refresh')
+ * @returns {Object|null} Decoded claims, or null when invalid or expired
+ */
+export function verifyToken(token, expectedType) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+  if (expectedType && claims.type !== expectedType) return null;
+
+  return claims;
+}
+
+// Sessions ended on the auth server, shared with every server verifying tokens
+export const revokedSessions = createRevocationList();
+
+/**
+ * Extract bearer token from request headers
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware: require a valid access token
+ *
+ * On success sets `req.user` to { id, name, email, role, employeeId, permissions } from the token claims.
+ * Responds 401 when the token is missing, invalid or expired, or its session was revoked.
+ */
+export function authenticate(req, res, next) {
+  const claims = verifyToken(getBearerToken(req), 'access');
+
+  if (!claims) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (revokedSessions.isRevoked(claims.sid)) {
+    return res.status(401).json({ error: 'Session has been revoked' });
+  }
+
+  req.user = {
+    id: claims.sub,
+    name: claims.name,
+    email: claims.email,
+    role: claims.role,
+    employeeId: claims.employeeId || null,
+    permissions: claims.permissions || [],
+  };
+  req.sessionId = claims.sid;
+  next();
+}
+
+/**
+ * Express middleware factory: require one of the given roles
+ * Must run after `authenticate`. Responds 403 for other roles.
+ *
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.post('/api/admin/weights/config', authenticate, authorize(ROLES.ADMIN), handler);
+ */
+export function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware factory: require a permission
+ * Must run after `authenticate`. Responds 403 when the permission is missing.
+ *
+ * @param {string} permission - Permission from PERMISSIONS (src/utils/roles.js)
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user?.permissions?.includes(permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware: reject requests whose body claims a different actor
+ * Must run after `authenticate`. `actor`/`actorName` are optional in the body;
+ * when sent they must match the session, otherwise responds 403.
+ */
+export function rejectActorMismatch(req, res, next) {
+  const { actor, actorName } = req.body || {};
+
+  if ((actor && actor !== req.user.id) || (actorName && actorName !== req.user.name)) {
+    return res.status(403).json({ error: 'Actor does not match authenticated user' });
+  }
+  next();
+}
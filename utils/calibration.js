@@ -0,0 +1,369 @@
+/**
+ * Calibration Preview
+ *
+ * Scores every employee twice with `computeScore` (current weights vs
+ * proposed weights) and summarises the impact in the shape rendered by
+ * src/pages/Admin/CalibrationPreview.jsx:
+ * - summary: employees analysed, average change, impacted/significant counts
+ * - scoreDistribution: before/after histograms with average and median
+ * - topImpacted: largest individual score changes with a derived reason
+ * - kpiDeltaHeatmap: average score change attributed to each category
+ * - groups: impact statistics per division, grade band and designation
+ * - gradeAnalysis: APAR grade transitions (A+ → A, B → C, ...)
+ * - rankAnalysis: how far employees move in the organisation-wide ranking
+ * - significantEmployees: every grade change or score change of 5+ points
+ * - employees: every affected employee, for drill-down from a group
+ */
+
+import { GRADE_BOUNDARIES, computeScore, computeScoreBreakdown, scoreToGrade } from '../src/utils/scoring.js';
+import { toCategoryList } from '../src/utils/weightDiff.js';
+
+// Score changes of at least this many points count as significant
+export const SIGNIFICANT_CHANGE_THRESHOLD = 5;
+
+// Changes below this are rounding noise, not an impact
+const IMPACT_THRESHOLD = 0.05;
+
+const TOP_IMPACTED_COUNT = 5;
+const HEATMAP_SAMPLE_SIZE = 5;
+
+// Employee fields the impact is grouped by
+export const GROUP_DIMENSIONS = ['division', 'gradeBand', 'designation'];
+
+const HISTOGRAM_BINS = [
+  [0, 10],
+  [11, 20],
+  [21, 30],
+  [31, 40],
+  [41, 50],
+  [51, 60],
+  [61, 70],
+  [71, 80],
+  [81, 90],
+  [91, 100],
+];
+
+// `|| 0` turns -0 into 0
+const round1 = (value) => Math.round(value * 10) / 10 || 0;
+const formatPercent = (weight) => `${Math.round(weight * 100)}%`;
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Flatten a category tree into what scoring needs
+ * The category list keeps each category's scoring method.
+ */
+function toScoringWeights(categories) {
+  const list = toCategoryList(categories);
+
+  return {
+    categories: list,
+    kpiWeights: new Map(list.flatMap((category) => (category.kpis || []).map((kpi) => [kpi.id, kpi.weight]))),
+    categoryNames: Object.fromEntries(list.map((category) => [category.id, category.name])),
+  };
+}
+
+/**
+ * Score one employee under a weight configuration
+ * KPIs absent from the tree (or weighted 0) do not count.
+ */
+function scoreEmployee(employee, weights) {
+  const kpis = employee.kpis
+    .filter((kpi) => weights.kpiWeights.get(kpi.id) > 0)
+    .map((kpi) => ({ ...kpi, weight: weights.kpiWeights.get(kpi.id) }));
+
+  return {
+    score: computeScore(kpis, weights.categories),
+    breakdown: computeScoreBreakdown(kpis, weights.categories),
+  };
+}
+
+/**
+ * Attribute a score change to categories
+ *
+ * A category's effect is its contribution change measured against the
+ * employee's overall score: gaining weight only helps a category scoring
+ * above the employee's average. Effects sum to the total score change.
+ */
+function attributeChange(before, after) {
+  const categoryIds = new Set([...Object.keys(before.breakdown), ...Object.keys(after.breakdown)]);
+
+  return [...categoryIds].map((id) => {
+    const from = before.breakdown[id] || { score: 0, weight: 0, contribution: 0 };
+    const to = after.breakdown[id] || { score: 0, weight: 0, contribution: 0 };
+
+    return {
+      id,
+      delta: to.contribution - from.contribution - (to.weight - from.weight) * before.score,
+      scoreBefore: from.score,
+      scoreAfter: to.score,
+      weightBefore: from.weight,
+      weightAfter: to.weight,
+    };
+  });
+}
+
+/**
+ * Explain a score change by the category that moved it most
+ */
+function describeImpact(effects, overallScore, categoryNames) {
+  const [driver] = [...effects].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  if (!driver || Math.abs(driver.delta) < IMPACT_THRESHOLD) return 'No material change';
+
+  const name = categoryNames[driver.id] || driver.id;
+
+  if (driver.weightBefore !== driver.weightAfter) {
+    const strength = driver.scoreAfter >= overallScore ? 'Strong' : 'Weak';
+    const movement = driver.weightAfter > driver.weightBefore ? 'gains' : 'loses';
+    return `${strength} ${name} score (${driver.scoreAfter}) ${movement} weight: ${formatPercent(driver.weightBefore)} → ${formatPercent(driver.weightAfter)}`;
+  }
+  return `Revised ${name} KPI weights move its score ${driver.scoreBefore} → ${driver.scoreAfter}`;
+}
+
+/**
+ * Histogram plus average and median for a set of scores
+ */
+function buildDistribution(scores) {
+  return {
+    bins: HISTOGRAM_BINS.map(([low, high]) => ({
+      range: `${low}-${high}`,
+      count: scores.filter((score) => Math.round(score) >= low && Math.round(score) <= high).length,
+    })),
+    avgScore: round1(scores.reduce((sum, score) => sum + score, 0) / (scores.length || 1)),
+    medianScore: round1(median(scores)),
+  };
+}
+
+/**
+ * Position of a grade in GRADE_BOUNDARIES (0 = best)
+ */
+const gradeIndex = (grade) => GRADE_BOUNDARIES.findIndex((boundary) => boundary.grade === grade);
+
+/**
+ * Competition ranks (1 = highest score, ties share a rank)
+ * Scores are compared at one decimal so rounding noise does not split ties.
+ */
+function rankScores(scores) {
+  const rounded = scores.map(round1);
+  return rounded.map((score) => 1 + rounded.filter((other) => other > score).length);
+}
+
+/**
+ * Explain a grade change: the boundary crossed plus the category driving it
+ */
+function describeGradeChange(result) {
+  const upgraded = gradeIndex(result.gradeAfter) < gradeIndex(result.gradeBefore);
+  const boundaryGrade = upgraded ? result.gradeAfter : result.gradeBefore;
+  const { minScore } = GRADE_BOUNDARIES.find((boundary) => boundary.grade === boundaryGrade);
+
+  return `${upgraded ? 'Rises above' : 'Drops below'} the ${boundaryGrade} boundary (${minScore}): ${result.reason}`;
+}
+
+/**
+ * Public shape of one employee's calibration result
+ */
+function toEmployeeImpact(result) {
+  return {
+    employeeId: result.employee.employeeId,
+    name: result.employee.name,
+    ...Object.fromEntries(GROUP_DIMENSIONS.map((dimension) => [dimension, result.employee[dimension]])),
+    scoreBefore: round1(result.scoreBefore),
+    scoreAfter: round1(result.scoreAfter),
+    delta: round1(result.delta),
+    gradeBefore: result.gradeBefore,
+    gradeAfter: result.gradeAfter,
+    rankBefore: result.rankBefore,
+    rankAfter: result.rankAfter,
+    rankChange: result.rankBefore - result.rankAfter,
+    significant: result.significant,
+    reason: result.reason,
+  };
+}
+
+/**
+ * Count employees per grade transition, most common first
+ */
+function buildGradeAnalysis(results) {
+  const transitions = new Map();
+  results
+    .filter((result) => result.gradeChanged)
+    .forEach(({ gradeBefore, gradeAfter }) => {
+      const key = `${gradeBefore}->${gradeAfter}`;
+      const entry = transitions.get(key) || {
+        from: gradeBefore,
+        to: gradeAfter,
+        direction: gradeIndex(gradeAfter) < gradeIndex(gradeBefore) ? 'up' : 'down',
+        count: 0,
+      };
+      entry.count += 1;
+      transitions.set(key, entry);
+    });
+
+  const list = [...transitions.values()].sort((a, b) => b.count - a.count);
+  const countDirection = (direction) =>
+    list.filter((t) => t.direction === direction).reduce((sum, t) => sum + t.count, 0);
+
+  return { transitions: list, upgrades: countDirection('up'), downgrades: countDirection('down') };
+}
+
+/**
+ * Summarise movement in the organisation-wide ranking
+ */
+function buildRankAnalysis(results) {
+  const rankChange = (result) => result.rankBefore - result.rankAfter;
+  const byChange = [...results].sort((a, b) => rankChange(b) - rankChange(a));
+  const biggestRise = byChange[0];
+  const biggestFall = byChange[byChange.length - 1];
+  const rose = biggestRise && rankChange(biggestRise) > 0;
+  const fell = biggestFall && rankChange(biggestFall) < 0;
+
+  return {
+    employeesMoved: results.filter((result) => rankChange(result) !== 0).length,
+    meanAbsShift: round1(results.reduce((sum, result) => sum + Math.abs(rankChange(result)), 0) / (results.length || 1)),
+    maxRise: rose ? rankChange(biggestRise) : 0,
+    maxFall: fell ? -rankChange(biggestFall) : 0,
+    biggestRise: rose ? toEmployeeImpact(biggestRise) : null,
+    biggestFall: fell ? toEmployeeImpact(biggestFall) : null,
+  };
+}
+
+/**
+ * Impact statistics for each value of one employee field
+ * Groups are ordered by mean delta, most negative first.
+ */
+function buildGroups(results, dimension) {
+  const byKey = new Map();
+  results.forEach((result) => {
+    const key = result.employee[dimension] || 'Unassigned';
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(result);
+  });
+
+  return [...byKey.entries()]
+    .map(([key, members]) => {
+      const deltas = members.map((member) => member.delta);
+
+      return {
+        key,
+        employeeCount: members.length,
+        meanDelta: round1(deltas.reduce((sum, delta) => sum + delta, 0) / members.length),
+        medianShift: round1(
+          median(members.map((member) => member.scoreAfter)) - median(members.map((member) => member.scoreBefore))
+        ),
+        affectedEmployees: deltas.filter((delta) => Math.abs(delta) >= IMPACT_THRESHOLD).length,
+        gradeChanges: members.filter((member) => member.gradeChanged).length,
+        significantChanges: members.filter((member) => member.significant).length,
+      };
+    })
+    .sort((a, b) => a.meanDelta - b.meanDelta);
+}
+
+/**
+ * Run a calibration preview
+ *
+ * @param {Object} params
+ * @param {Array} params.employees - Employees with `kpis` (see utils/employeeDataset.js)
+ * @param {Array|Object} params.currentCategories - Active weight tree
+ * @param {Array|Object} params.proposedCategories - Proposed weight tree
+ * @returns {{ summary, scoreDistribution, topImpacted, kpiDeltaHeatmap, groups, gradeAnalysis, rankAnalysis, significantEmployees, employees }}
+ *
+ * @example
+ * const preview = runCalibration({
+ *   employees: createEmployeeDataset(),
+ *   currentCategories: weightStore.getActiveVersion().categories,
+ *   proposedCategories: req.body.weights.categories,
+ * });
+ */
+export function runCalibration({ employees, currentCategories, proposedCategories }) {
+  const current = toScoringWeights(currentCategories);
+  const proposed = toScoringWeights(proposedCategories);
+  const categoryNames = { ...current.categoryNames, ...proposed.categoryNames };
+
+  const results = employees.map((employee) => {
+    const before = scoreEmployee(employee, current);
+    const after = scoreEmployee(employee, proposed);
+    const effects = attributeChange(before, after);
+
+    return {
+      employee,
+      scoreBefore: before.score,
+      scoreAfter: after.score,
+      delta: after.score - before.score,
+      gradeBefore: scoreToGrade(before.score),
+      gradeAfter: scoreToGrade(after.score),
+      effects,
+      reason: describeImpact(effects, before.score, categoryNames),
+    };
+  });
+
+  // Ranks, grade changes and significance need the whole population
+  const ranksBefore = rankScores(results.map((result) => result.scoreBefore));
+  const ranksAfter = rankScores(results.map((result) => result.scoreAfter));
+  results.forEach((result, index) => {
+    result.rankBefore = ranksBefore[index];
+    result.rankAfter = ranksAfter[index];
+    result.gradeChanged = result.gradeBefore !== result.gradeAfter;
+    result.significant = result.gradeChanged || Math.abs(result.delta) >= SIGNIFICANT_CHANGE_THRESHOLD;
+    if (result.gradeChanged) result.reason = describeGradeChange(result);
+  });
+
+  const deltas = results.map((result) => result.delta);
+
+  const topImpacted = [...results]
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, TOP_IMPACTED_COUNT)
+    .map(toEmployeeImpact);
+
+  const categoryIds = Object.keys(categoryNames);
+  const kpiDeltaHeatmap = categoryIds.map((categoryId) => {
+    const impacts = results.map((result) => ({
+      id: result.employee.employeeId,
+      delta: result.effects.find((effect) => effect.id === categoryId)?.delta || 0,
+    }));
+
+    return {
+      category: categoryId,
+      avgImpact: round1(impacts.reduce((sum, impact) => sum + impact.delta, 0) / (impacts.length || 1)),
+      employees: impacts
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, HEATMAP_SAMPLE_SIZE)
+        .map((impact) => ({ id: impact.id, delta: round1(impact.delta) })),
+    };
+  });
+
+  return {
+    summary: {
+      employeesAnalyzed: results.length,
+      avgScoreChange: round1(deltas.reduce((sum, delta) => sum + delta, 0) / (deltas.length || 1)),
+      impactedEmployees: deltas.filter((delta) => Math.abs(delta) >= IMPACT_THRESHOLD).length,
+      gradeChanges: results.filter((result) => result.gradeChanged).length,
+      significantChanges: results.filter((result) => result.significant).length,
+    },
+    scoreDistribution: {
+      before: buildDistribution(results.map((result) => result.scoreBefore)),
+      after: buildDistribution(results.map((result) => result.scoreAfter)),
+    },
+    topImpacted,
+    kpiDeltaHeatmap,
+    groups: Object.fromEntries(GROUP_DIMENSIONS.map((dimension) => [dimension, buildGroups(results, dimension)])),
+    gradeAnalysis: buildGradeAnalysis(results),
+    rankAnalysis: buildRankAnalysis(results),
+    // Grade changes first, then by size of the score change
+    significantEmployees: results
+      .filter((result) => result.significant)
+      .sort((a, b) => Number(b.gradeChanged) - Number(a.gradeChanged) || Math.abs(b.delta) - Math.abs(a.delta))
+      .map(toEmployeeImpact),
+    employees: results
+      .filter((result) => Math.abs(result.delta) >= IMPACT_THRESHOLD)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+      .map(toEmployeeImpact),
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Employee KPI Dataset
+ *
+ * Organisation-wide KPI values used by the admin server to run calibration
+ * previews and score history. Values are generated from a fixed seed so
+ * previews are reproducible across restarts and identical for every admin.
+ *
+ * KPI ids match the default category configuration (DEFAULT_KPI_CATEGORIES
+ * in src/utils/kpiCategories.js):
+ * - KPIs in averaged categories carry values 0-100
+ * - KPIs in rubric categories use the 0-3 rubric (see src/utils/scoring.js)
+ */
+
+import { DEFAULT_KPI_CATEGORIES, SCORING_METHODS, RUBRIC_MAX } from '../src/utils/kpiCategories.js';
+
+/**
+ * KPIs collected per employee, grouped by weight category
+ */
+export const KPI_DEFINITIONS = Object.fromEntries(
+  DEFAULT_KPI_CATEGORIES.map((category) => [category.id, category.kpis.map(({ id, name }) => ({ id, name }))])
+);
+
+const RUBRIC_CATEGORIES = new Set(
+  DEFAULT_KPI_CATEGORIES.filter((category) => category.scoringMethod === SCORING_METHODS.RUBRIC).map(
+    (category) => category.id
+  )
+);
+
+const DIVISIONS = ['East Zone', 'West Zone', 'North Zone', 'South Zone', 'Central Zone'];
+
+// Supervisor (auth user id) each division's employees report to
+const DIVISION_SUPERVISORS = {
+  'East Zone': 'sup-001',
+  'West Zone': 'sup-002',
+  'North Zone': 'sup-003',
+  'South Zone': 'sup-004',
+  'Central Zone': 'sup-005',
+};
+
+// Designations with the pay levels they are appointed at
+const DESIGNATIONS = [
+  { designation: 'Junior Engineer', payLevels: [6, 7] },
+  { designation: 'Assistant Engineer', payLevels: [8, 10] },
+  { designation: 'Executive Engineer', payLevels: [11, 12] },
+  { designation: 'Superintending Engineer', payLevels: [13] },
+];
+
+// Grade bands group pay levels across designations
+const GRADE_BANDS = [
+  { band: 'L6-L8', maxLevel: 8 },
+  { band: 'L9-L11', maxLevel: 11 },
+  { band: 'L12+', maxLevel: Infinity },
+];
+
+const FIRST_NAMES = [
+  'Rajesh', 'Priya', 'Amit', 'Anjali', 'Vikram', 'Sneha', 'Arjun', 'Kavita',
+  'Rahul', 'Pooja', 'Suresh', 'Meera', 'Karan', 'Divya', 'Manoj', 'Lakshmi',
+];
+
+const LAST_NAMES = [
+  'Kumar', 'Sharma', 'Patel', 'Singh', 'Reddy', 'Gupta', 'Mehta', 'Desai',
+  'Verma', 'Nair', 'Iyer', 'Rao', 'Joshi', 'Das',
+];
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Generate the employee KPI dataset
+ *
+ * Each employee has an overall ability plus a per-category strength, so
+ * category weight changes move individual scores in different directions.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.count=248] - Number of employees
+ * @param {number} [options.seed=2025] - Random seed
+ * @returns {Array<{employeeId, name, division, supervisorId, designation, payLevel, gradeBand, kpis}>}
+ *
+ * @example
+ * const employees = createEmployeeDataset();
+ * // employees[0].kpis = [{ id: 'reporting_timeliness', category: 'hq_operations', value: 74, target: 100 }, ...]
+ */
+export function createEmployeeDataset({ count = 248, seed = 2025 } = {}) {
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  return Array.from({ length: count }, (_, index) => {
+    const ability = 45 + random() * 45;
+
+    const kpis = Object.entries(KPI_DEFINITIONS).flatMap(([category, definitions]) => {
+      const strength = (random() - 0.5) * 30;
+
+      return definitions.map(({ id, name }) => {
+        const percent = clamp(ability + strength + (random() - 0.5) * 16, 0, 100);
+        const isRubric = RUBRIC_CATEGORIES.has(category);
+
+        return {
+          id,
+          name,
+          category,
+          // Rubric KPIs are scored in half points
+          value: isRubric ? Math.round((percent / 100) * RUBRIC_MAX * 2) / 2 : Math.round(percent),
+          target: isRubric ? RUBRIC_MAX : 100,
+        };
+      });
+    });
+
+    const { designation, payLevels } = pick(DESIGNATIONS);
+    const payLevel = pick(payLevels);
+
+    const division = DIVISIONS[index % DIVISIONS.length];
+
+    return {
+      employeeId: `emp-${String(index + 1).padStart(3, '0')}`,
+      name: `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+      division,
+      supervisorId: DIVISION_SUPERVISORS[division],
+      designation,
+      payLevel,
+      gradeBand: GRADE_BANDS.find((band) => payLevel <= band.maxLevel).band,
+      kpis,
+    };
+  });
+}
+
+// Dataset values are the employee's KPIs at the start of FY 2025-26
+const DATASET_REFERENCE_TIME = Date.UTC(2025, 3, 1);
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Seed derived from a string (FNV-1a)
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * KPI values of a dataset employee for an assessment period
+ *
+ * Each employee improves or declines at a steady rate per year (seeded by
+ * employee id) around their dataset values, with per-period noise seeded by
+ * employee and period id, so every period is reproducible.
+ *
+ * @param {Object} employee - Employee from createEmployeeDataset()
+ * @param {Object} period - Period (see src/utils/periods.js)
+ * @returns {Object[]} KPIs with values for the period
+ *
+ * @example
+ * kpisForPeriod(employees[0], periodOf('2024-08-01', 'quarter'));
+ */
+export function kpisForPeriod(employee, period) {
+  const growth = (createRandom(hashSeed(employee.employeeId))() - 0.35) * 12;
+  const random = createRandom(hashSeed(`${employee.employeeId}:${period.id}`));
+  const years = (Date.parse(`${period.startDate}T00:00:00Z`) - DATASET_REFERENCE_TIME) / YEAR_MS;
+
+  return employee.kpis.map((kpi) => {
+    const isRubric = RUBRIC_CATEGORIES.has(kpi.category);
+    const percent = (isRubric ? (kpi.value / RUBRIC_MAX) * 100 : kpi.value) + growth * years + (random() - 0.5) * 8;
+    const clamped = clamp(percent, 0, 100);
+
+    return {
+      ...kpi,
+      value: isRubric ? Math.round((clamped / 100) * RUBRIC_MAX * 2) / 2 : Math.round(clamped),
+    };
+  });
+}
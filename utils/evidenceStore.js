@@ -0,0 +1,153 @@
+/**
+ * Evidence Store
+ *
+ * Durable JSON-file store of evidence records and their review history
+ * (see src/utils/evidenceWorkflow.js for the state machine).
+ *
+ * Record:
+ * {
+ *   id, ownerId, ownerName,
+ *   projectId, kpiId, taskId, milestoneId,   // what the evidence proves (null when not linked)
+ *   files: [{ uploadId, fileName, filePath, size }],
+ *   metadata: { title, description, tags, location, timestamp },
+ *   completeness: { evidenceType, score, checks, missing, evaluatedAt } | null,
+ *   status, reviewer: { id, name } | null, statusReason,
+ *   history: [{ from, to, by, byName, role, reason, at }],
+ *   createdAt, updatedAt
+ * }
+ *
+ * Writes go to a temp file and are renamed into place so a crash never
+ * leaves a half-written store.
+ */
+
+import fs from 'fs-extra';
+import { dirname } from 'path';
+import { EVIDENCE_STATUSES, applyTransition } from '../src/utils/evidenceWorkflow.js';
+
+const LIST_FILTERS = ['ownerId', 'projectId', 'kpiId', 'taskId', 'milestoneId', 'status'];
+const LINK_FIELDS = ['kpiId', 'taskId', 'milestoneId'];
+
+/**
+ * Create an evidence store backed by a JSON file
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file location (created on first write)
+ * @param {Function} [options.scoreCompleteness] - (record) => completeness; run when a record is
+ *   created or its metadata changes (see src/utils/evidenceCompleteness.js)
+ * @returns {Object} Store API
+ *
+ * @example
+ * const store = createEvidenceStore({ filePath: './data/evidence.json' });
+ * const record = store.create({ id: uploadId, owner: req.user, projectId, kpiId, taskId, milestoneId, files, metadata });
+ * store.transition(record.id, { to: 'under_review', user: req.user });
+ */
+export function createEvidenceStore({ filePath, scoreCompleteness }) {
+  const state = fs.existsSync(filePath) ? fs.readJsonSync(filePath) : { evidence: [] };
+
+  function persist() {
+    fs.ensureDirSync(dirname(filePath));
+    const tempPath = `${filePath}.tmp`;
+    fs.writeJsonSync(tempPath, state, { spaces: 2 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function findIndex(id) {
+    return state.evidence.findIndex((record) => record.id === id);
+  }
+
+  return {
+    /**
+     * Evidence record by id, or null
+     */
+    get(id) {
+      const index = findIndex(id);
+      return index === -1 ? null : structuredClone(state.evidence[index]);
+    },
+
+    /**
+     * Evidence records, newest first
+     *
+     * @param {Object} [filter] - { ownerId, projectId, kpiId, taskId, milestoneId, status }
+     */
+    list(filter = {}) {
+      return structuredClone(
+        state.evidence
+          .filter((record) =>
+            LIST_FILTERS.every((key) => !filter[key] || record[key] === filter[key])
+          )
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      );
+    },
+
+    /**
+     * Record a completed upload as submitted evidence
+     *
+     * @param {Object} data - { id, owner: { id, employeeId?, name, role }, projectId?, kpiId?, taskId?, milestoneId?, files, metadata }
+     * @returns {Object} The stored record
+     */
+    create({ id, owner, projectId, kpiId, taskId, milestoneId, files, metadata }) {
+      const now = new Date().toISOString();
+      const record = {
+        id,
+        ownerId: owner.employeeId || owner.id,
+        ownerName: owner.name,
+        projectId: projectId || null,
+        kpiId: kpiId || null,
+        taskId: taskId || null,
+        milestoneId: milestoneId || null,
+        files,
+        metadata,
+        status: EVIDENCE_STATUSES.SUBMITTED,
+        reviewer: null,
+        statusReason: null,
+        history: [
+          {
+            from: null,
+            to: EVIDENCE_STATUSES.SUBMITTED,
+            by: owner.id,
+            byName: owner.name,
+            role: owner.role,
+            reason: null,
+            at: now,
+          },
+        ],
+        createdAt: now,
+        updatedAt: now,
+      };
+      record.completeness = scoreCompleteness ? scoreCompleteness(record) : null;
+
+      state.evidence.push(record);
+      persist();
+      return structuredClone(record);
+    },
+
+    /**
+     * Move a record to a new status (validate first with validateTransition)
+     *
+     * @param {string} id - Evidence id
+     * @param {Object} params - { to, reason?, user, metadata? }; metadata updates are merged (resubmissions),
+     *   and kpiId, taskId or milestoneId in them relink the evidence
+     * @returns {Object|null} Updated record, or null when not found
+     */
+    transition(id, { to, reason, user, metadata }) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+
+      const current = state.evidence[index];
+      const updated = applyTransition(current, { to, reason, user });
+      if (metadata) {
+        const fields = { ...metadata };
+        for (const field of LINK_FIELDS) {
+          if (field in fields) updated[field] = fields[field] || null;
+          delete fields[field];
+        }
+        updated.metadata = { ...current.metadata, ...fields };
+        if (scoreCompleteness) updated.completeness = scoreCompleteness(updated);
+      }
+
+      state.evidence[index] = updated;
+      persist();
+      return structuredClone(updated);
+    },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Feedback Store
+ *
+ * Durable JSON-file store of 360-degree feedback submissions and the
+ * feedback policy (see src/utils/feedback360.js).
+ *
+ * File layout:
+ * {
+ *   policy: { raterWeights, minPeerRatings, updatedAt, updatedBy, updatedByName },
+ *   submissions: [{ submissionId, employeeId, period, raterId, raterName, raterType, ratings, comment, submittedAt }]
+ * }
+ *
+ * Each rater has one submission per employee and period; submitting again
+ * replaces it. Writes go to a temp file and are renamed into place so a
+ * crash never leaves a half-written store.
+ */
+
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { dirname } from 'path';
+import { DEFAULT_FEEDBACK_POLICY } from '../src/utils/feedback360.js';
+
+/**
+ * Create a feedback store backed by a JSON file
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file location (created on first write)
+ * @returns {Object} Store API
+ *
+ * @example
+ * const store = createFeedbackStore({ filePath: './data/feedback.json' });
+ * store.submit({ employeeId: 'emp-001', period: '2025-26-Q3', raterId, raterName, raterType: 'peer', ratings });
+ * aggregateFeedback(store.listSubmissions('emp-001', '2025-26-Q3'), store.getPolicy());
+ */
+export function createFeedbackStore({ filePath }) {
+  const state = fs.existsSync(filePath)
+    ? fs.readJsonSync(filePath)
+    : {
+        policy: { ...DEFAULT_FEEDBACK_POLICY, updatedAt: null, updatedBy: null, updatedByName: null },
+        submissions: [],
+      };
+
+  function persist() {
+    fs.ensureDirSync(dirname(filePath));
+    const tempPath = `${filePath}.tmp`;
+    fs.writeJsonSync(tempPath, state, { spaces: 2 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  return {
+    /**
+     * Current policy: { raterWeights, minPeerRatings, updatedAt, updatedBy, updatedByName }
+     */
+    getPolicy() {
+      return structuredClone(state.policy);
+    },
+
+    /**
+     * Replace the policy (validate first with validateFeedbackPolicy)
+     */
+    updatePolicy({ raterWeights, minPeerRatings }, { updatedBy, updatedByName }) {
+      state.policy = { raterWeights, minPeerRatings, updatedAt: new Date().toISOString(), updatedBy, updatedByName };
+      persist();
+      return structuredClone(state.policy);
+    },
+
+    /**
+     * Submissions about an employee, optionally for one period
+     */
+    listSubmissions(employeeId, period) {
+      return structuredClone(
+        state.submissions.filter((s) => s.employeeId === employeeId && (!period || s.period === period))
+      );
+    },
+
+    /**
+     * Record a rater's feedback, replacing their earlier submission for the same employee and period
+     *
+     * @param {Object} data - { employeeId, period, raterId, raterName, raterType, ratings, comment? }
+     * @returns {Object} The stored submission
+     */
+    submit({ employeeId, period, raterId, raterName, raterType, ratings, comment }) {
+      const submission = {
+        submissionId: `fb-${crypto.randomUUID()}`,
+        employeeId,
+        period,
+        raterId,
+        raterName,
+        raterType,
+        ratings,
+        comment: comment || null,
+        submittedAt: new Date().toISOString(),
+      };
+
+      state.submissions = state.submissions.filter(
+        (s) => !(s.employeeId === employeeId && s.period === period && s.raterId === raterId)
+      );
+      state.submissions.push(submission);
+      persist();
+
+      return structuredClone(submission);
+    },
+  };
+}
@@ -5,36 +5,28 @@
  * with context injection, safety guidelines, and structured output formatting.
  */
 
-/**
- * KPI Definitions for context
- */
-const KPI_DEFINITIONS = {
-  'HQ Operations': {
-    description: 'Measures efficiency and effectiveness of headquarters operations',
-    components: ['Process adherence', 'Documentation quality', 'Response time'],
-    weight: 0.3,
-  },
-  'Field Operations': {
-    description: 'Evaluates field activities, site visits, and operational execution',
-    components: ['Site coverage', 'Task completion', 'Quality of work'],
-    weight: 0.3,
-  },
-  'Team Collaboration': {
-    description: 'Assesses teamwork, communication, and collaborative effectiveness',
-    components: ['Meeting participation', 'Knowledge sharing', 'Cross-team coordination'],
-    weight: 0.2,
-  },
-  'Individual Behavior': {
-    description: 'Measures personal conduct, professionalism, and work ethics',
-    components: ['Punctuality', 'Initiative', 'Accountability'],
-    weight: 0.2,
-  },
-};
+import { DEFAULT_KPI_CATEGORIES, RUBRIC_MAX, SCORING_METHODS } from '../src/utils/kpiCategories.js';
 
 /**
- * System context for the AI
+ * Build the system context for the AI
+ * KPI categories come from the active weight configuration, so the weights
+ * and scoring methods quoted to the model match the ones used for scoring.
+ *
+ * @param {Object[]} categories - [{ name, description, scoringMethod, weight, kpis }]
+ * @returns {string} System context
  */
-const SYSTEM_CONTEXT = `You are Prabhaav AI Assistant, an intelligent query system for the Prabhaav Performance Management Platform.
+export function buildSystemContext(categories = DEFAULT_KPI_CATEGORIES) {
+  const categoryLines = categories
+    .map((category) => {
+      const rubric = category.scoringMethod === SCORING_METHODS.RUBRIC ? ` Scored on a 0-${RUBRIC_MAX} rubric.` : '';
+      const components = (category.kpis || []).map((kpi) => kpi.name).join(', ');
+      return `- ${category.name} (${Math.round(category.weight * 100)}%): ${category.description || ''}${rubric}${
+        components ? `\n  Components: ${components}` : ''
+      }`;
+    })
+    .join('\n');
+
+  return `You are Prabhaav AI Assistant, an intelligent query system for the Prabhaav Performance Management Platform.
 
 **Your Role:**
 - Answer questions about KPIs, projects, evidence, and performance metrics
@@ -45,18 +37,13 @@ const SYSTEM_CONTEXT = `You are Prabhaav AI Assistant, an intelligent query syst
 
 **Platform Overview:**
 Prabhaav is a performance assessment system used by government organizations to track:
-- Key Performance Indicators (KPIs) across 4 categories
+- Key Performance Indicators (KPIs) across ${categories.length} categories
 - Project progress and milestones
 - Evidence submissions for performance documentation
 - Team and individual performance metrics
 
 **KPI Categories:**
-${Object.entries(KPI_DEFINITIONS)
-  .map(
-    ([name, def]) =>
-      `- ${name} (${def.weight * 100}%): ${def.description}`
-  )
-  .join('\n')}
+${categoryLines}
 
 **Response Guidelines:**
 1. Keep answers concise (≤80 words)
@@ -65,19 +52,21 @@ ${Object.entries(KPI_DEFINITIONS)
 4. Suggest 2-4 actionable next steps
 5. Include confidence score if uncertain
 6. Use "I don't know" when data is insufficient`;
+}
 
 /**
  * Generate prompt for LLM
  * 
  * @param {object} params - Prompt parameters
+ * @param {object[]} [params.categories] - KPI categories of the active weight configuration
  * @returns {string} Formatted prompt
  */
-export function generatePrompt({ query, context, conversationHistory, userContext }) {
+export function generatePrompt({ query, context, conversationHistory, userContext, categories }) {
   const contextSection = formatContextSection(context);
   const historySection = formatHistorySection(conversationHistory);
   const userSection = formatUserContext(userContext);
 
-  return `${SYSTEM_CONTEXT}
+  return `${buildSystemContext(categories)}
 
 ${userSection}
 
@@ -0,0 +1,109 @@
+/**
+ * Score Snapshot Store
+ *
+ * Durable JSON-file store of per-period score snapshots (see
+ * src/utils/scoreHistory.js). A snapshot is written once its period has
+ * closed and is never recomputed, so a later weight change does not rewrite
+ * past scores: each one keeps the weight version it was computed with.
+ * Open periods are computed on every request and not stored.
+ *
+ * File layout:
+ * {
+ *   snapshots: [{ employeeId, period, granularity, score, weightVersion, final, computedAt, kpis, ... }]
+ * }
+ *
+ * Writes go to a temp file and are renamed into place so a crash never
+ * leaves a half-written store.
+ */
+
+import fs from 'fs-extra';
+import process from 'process';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Snapshot store file, next to the weight store
+ */
+export const SCORE_HISTORY_PATH = join(
+  process.env.ADMIN_DATA_DIR || join(dirname(fileURLToPath(import.meta.url)), '..', 'server', 'data'),
+  'score-history.json'
+);
+
+/**
+ * Create a score snapshot store backed by a JSON file
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file location (created on first write)
+ * @returns {Object} Store API
+ *
+ * @example
+ * const store = createScoreSnapshotStore({ filePath: SCORE_HISTORY_PATH });
+ * const snapshots = store.resolveSnapshots('emp-001', periods, (period) => computeScoreSnapshot({ ... }));
+ */
+export function createScoreSnapshotStore({ filePath }) {
+  const state = fs.existsSync(filePath) ? fs.readJsonSync(filePath) : { snapshots: [] };
+
+  function persist() {
+    fs.ensureDirSync(dirname(filePath));
+    const tempPath = `${filePath}.tmp`;
+    fs.writeJsonSync(tempPath, state, { spaces: 2 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function findSnapshot(employeeId, periodId) {
+    return state.snapshots.find((s) => s.employeeId === employeeId && s.period === periodId) || null;
+  }
+
+  return {
+    /**
+     * Stored snapshot for an employee and period id
+     */
+    getSnapshot(employeeId, periodId) {
+      const snapshot = findSnapshot(employeeId, periodId);
+      return snapshot ? structuredClone(snapshot) : null;
+    },
+
+    /**
+     * Stored snapshots for an employee, oldest period first
+     *
+     * @param {string} employeeId - Employee id
+     * @param {string} [granularity] - Only snapshots of this granularity
+     */
+    listSnapshots(employeeId, granularity) {
+      return structuredClone(
+        state.snapshots
+          .filter((s) => s.employeeId === employeeId && (!granularity || s.granularity === granularity))
+          .sort((a, b) => a.startDate.localeCompare(b.startDate))
+      );
+    },
+
+    /**
+     * Snapshots for a list of periods
+     * Stored snapshots are returned as they are; the others are computed, and
+     * those for closed periods are stored.
+     *
+     * @param {string} employeeId - Employee id
+     * @param {Object[]} periods - Periods, oldest first
+     * @param {Function} compute - (period) => snapshot (see computeScoreSnapshot)
+     * @returns {Object[]} Snapshots in period order
+     */
+    resolveSnapshots(employeeId, periods, compute) {
+      let changed = false;
+
+      const snapshots = periods.map((period) => {
+        const stored = findSnapshot(employeeId, period.id);
+        if (stored) return structuredClone(stored);
+
+        const snapshot = compute(period);
+        if (snapshot.final) {
+          state.snapshots.push(snapshot);
+          changed = true;
+        }
+        return structuredClone(snapshot);
+      });
+
+      if (changed) persist();
+      return snapshots;
+    },
+  };
+}
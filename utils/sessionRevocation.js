@@ -0,0 +1,102 @@
+/**
+ * Session Revocation List
+ *
+ * Access tokens are verified statelessly by every server (`authenticate` in
+ * utils/auth.js), so ending a session on the auth server alone would leave
+ * its access token usable until it expires. The auth server records ended
+ * session ids in a file every server reads, and `authenticate` rejects
+ * tokens whose `sid` is listed.
+ *
+ * File layout: { [sessionId]: expiresAt } (epoch seconds). An entry is only
+ * needed while access tokens of that session can still be valid, so expired
+ * entries are dropped on the next write.
+ *
+ * Readers keep the parsed list in memory and re-read it only when the file
+ * changes (every write renames a new file into place).
+ */
+
+import fs from 'fs-extra';
+import process from 'process';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const AUTH_DATA_DIR = process.env.AUTH_DATA_DIR || join(__dirname, '..', 'server', 'data');
+
+/**
+ * Revocation list location shared by all servers
+ */
+export const REVOKED_SESSIONS_PATH = join(AUTH_DATA_DIR, 'revoked-sessions.json');
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Create a revocation list backed by a JSON file
+ *
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - List location (defaults to REVOKED_SESSIONS_PATH)
+ * @returns {{ revoke: Function, isRevoked: Function }}
+ *
+ * @example
+ * const revocations = createRevocationList();
+ * revocations.revoke(sessionId, nowSeconds + ACCESS_TOKEN_TTL);
+ * revocations.isRevoked(sessionId); // true
+ */
+export function createRevocationList({ filePath = REVOKED_SESSIONS_PATH } = {}) {
+  let cached = {};
+  let cachedStamp = null;
+
+  function load() {
+    let stamp;
+    try {
+      const stat = fs.statSync(filePath);
+      stamp = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch {
+      cached = {};
+      cachedStamp = null;
+      return cached;
+    }
+
+    if (stamp !== cachedStamp) {
+      try {
+        cached = fs.readJsonSync(filePath);
+      } catch {
+        // Mid-rename or damaged file: keep the last list read
+        return cached;
+      }
+      cachedStamp = stamp;
+    }
+    return cached;
+  }
+
+  return {
+    /**
+     * Revoke a session until its last access token expires
+     *
+     * @param {string} sessionId
+     * @param {number} expiresAt - Epoch seconds after which no token of the session is valid
+     */
+    revoke(sessionId, expiresAt) {
+      const now = nowSeconds();
+      const entries = Object.fromEntries(Object.entries(load()).filter(([, expiry]) => expiry > now));
+      entries[sessionId] = expiresAt;
+
+      // Write to a temp file and rename so readers never see a partial list
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.outputJsonSync(tempPath, entries);
+      fs.renameSync(tempPath, filePath);
+    },
+
+    /**
+     * Whether a session has been revoked
+     *
+     * @param {string} [sessionId] - Token `sid` claim
+     * @returns {boolean}
+     */
+    isRevoked(sessionId) {
+      if (!sessionId) return false;
+      const expiresAt = load()[sessionId];
+      return expiresAt !== undefined && expiresAt > nowSeconds();
+    },
+  };
+}
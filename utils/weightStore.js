@@ -0,0 +1,419 @@
+/**
+ * Weight Configuration Store
+ *
+ * Durable JSON-file repository for KPI weight versions. Every version keeps
+ * its complete category/KPI weight tree so rollback can restore it exactly.
+ *
+ * File layout:
+ * {
+ *   activeVersion: 'v2.1',
+ *   versions: [{ versionId, timestamp, modifiedBy, modifiedByName, comment, status, effectiveFrom, categories }],
+ *   schedule: [{ versionId, effectiveFrom, scheduledAt }],
+ *   changeRequests: [{ requestId, status, categories, reason, effectiveFrom, rollbackTo, requestedBy, ... }]
+ * }
+ *
+ * The schedule is the effective-dated timeline: each save or rollback appends
+ * an entry, and the version in force at any date is the latest entry that is
+ * effective on or before it. Version status is derived from the schedule:
+ * - active: in force now
+ * - pending: scheduled to take effect in the future
+ * - archived: everything else
+ *
+ * Weight changes go through maker-checker approval: a save only records a
+ * change request ('pending_approval'). The version is created, and scheduled,
+ * when a reviewer approves it; rejected requests never become versions.
+ * Rollbacks are change requests too (`rollbackTo`): approving one makes the
+ * stored version active again instead of creating a new one.
+ *
+ * Versions are immutable once written; only `status` changes on activation.
+ * Writes go to a temp file and are renamed into place so a crash never
+ * leaves a half-written store.
+ */
+
+import fs from 'fs-extra';
+import process from 'process';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { selectEffectiveVersion } from '../src/utils/scoring.js';
+import { DEFAULT_KPI_CATEGORIES, normalizeCategory } from '../src/utils/kpiCategories.js';
+
+/**
+ * Weight store file shared by the admin server (writer) and the servers that
+ * read the active categories (AI prompt, report generation)
+ */
+export const WEIGHTS_PATH = join(
+  process.env.ADMIN_DATA_DIR || join(dirname(fileURLToPath(import.meta.url)), '..', 'server', 'data'),
+  'weights.json'
+);
+
+/**
+ * Deep copy so callers can never mutate stored trees
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Parse "v2.1" into a comparable number
+ */
+function versionNumber(versionId) {
+  return parseFloat(String(versionId).replace(/^v/, '')) || 0;
+}
+
+/**
+ * Build the initial timeline from versions (oldest first)
+ */
+function buildSchedule(versions) {
+  return [...versions].reverse().map((v) => ({
+    versionId: v.versionId,
+    effectiveFrom: v.effectiveFrom || v.timestamp,
+    scheduledAt: v.timestamp,
+  }));
+}
+
+/**
+ * Create a weight store backed by a JSON file
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file location (created when missing)
+ * @param {Object[]} options.seed - Initial versions (newest first) used when the file does not exist
+ * @returns {Object} Store API
+ *
+ * @example
+ * const store = createWeightStore({ filePath: './data/weights.json', seed });
+ * const request = store.createChangeRequest({ categories, requestedBy, requestedByName, reason });
+ * store.approveChangeRequest(request.requestId, { reviewedBy, reviewedByName, comment });
+ */
+export function createWeightStore({ filePath, seed = [] }) {
+  let state;
+
+  if (fs.existsSync(filePath)) {
+    state = fs.readJsonSync(filePath);
+  } else {
+    const active = seed.find((v) => v.status === 'active') || seed[0];
+    state = { activeVersion: active?.versionId || null, versions: clone(seed) };
+  }
+
+  // Stores written before effective dating have no timeline yet
+  if (!state.schedule) {
+    state.versions.forEach((v) => {
+      v.effectiveFrom = v.effectiveFrom || v.timestamp;
+    });
+    state.schedule = buildSchedule(state.versions);
+
+    // Keep a rolled-back active version in force
+    const active = state.activeVersion;
+    if (active && selectEffectiveVersion(state.schedule)?.versionId !== active) {
+      const now = new Date().toISOString();
+      state.schedule.push({ versionId: active, effectiveFrom: now, scheduledAt: now });
+    }
+  }
+  if (!state.changeRequests) {
+    state.changeRequests = [];
+  }
+  syncStatuses();
+  persist();
+
+  function persist() {
+    fs.ensureDirSync(dirname(filePath));
+    const tempPath = `${filePath}.tmp`;
+    fs.writeJsonSync(tempPath, state, { spaces: 2 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function findVersion(versionId) {
+    return state.versions.find((v) => v.versionId === versionId) || null;
+  }
+
+  /**
+   * Next version id: highest existing version + 0.1
+   */
+  function nextVersionId() {
+    const highest = Math.max(0, ...state.versions.map((v) => versionNumber(v.versionId)));
+    return `v${(highest + 0.1).toFixed(1)}`;
+  }
+
+  function findChangeRequest(requestId) {
+    return state.changeRequests.find((r) => r.requestId === requestId) || null;
+  }
+
+  /**
+   * Recompute statuses from the schedule
+   * @returns {string[]} Version ids that became active
+   */
+  function syncStatuses(now = new Date()) {
+    const nowTime = now.getTime();
+    const effective = selectEffectiveVersion(state.schedule, now);
+    const previous = state.activeVersion;
+    const pendingIds = new Set(
+      state.schedule
+        .filter((entry) => new Date(entry.effectiveFrom).getTime() > nowTime)
+        .map((entry) => entry.versionId)
+    );
+
+    state.activeVersion = effective?.versionId || null;
+    state.versions.forEach((v) => {
+      if (v.versionId === state.activeVersion) v.status = 'active';
+      else if (pendingIds.has(v.versionId)) v.status = 'pending';
+      else v.status = 'archived';
+    });
+
+    return state.activeVersion && state.activeVersion !== previous ? [state.activeVersion] : [];
+  }
+
+  const store = {
+    /**
+     * Currently active version (with full category tree)
+     */
+    getActiveVersion() {
+      return clone(findVersion(state.activeVersion));
+    },
+
+    /**
+     * Look up a single version (with full category tree)
+     */
+    getVersion(versionId) {
+      return clone(findVersion(versionId));
+    },
+
+    /**
+     * Version in force on a given date (with full category tree)
+     */
+    getEffectiveVersion(asOf) {
+      const entry = selectEffectiveVersion(state.schedule, asOf);
+      return entry ? clone(findVersion(entry.versionId)) : null;
+    },
+
+    /**
+     * All versions, newest first
+     */
+    listVersions() {
+      return clone(state.versions);
+    },
+
+    /**
+     * Effective-dated timeline joined with category trees, for scoring
+     * @returns {Array<{versionId, effectiveFrom, categories}>}
+     */
+    getTimeline() {
+      return state.schedule.map((entry) => ({
+        ...clone(entry),
+        categories: clone(findVersion(entry.versionId).categories),
+      }));
+    },
+
+    /**
+     * Store a new version, effective now or from a future date
+     * A past effectiveFrom is clamped to now: a version never takes effect
+     * retroactively, so earlier periods keep the weights they were scored with.
+     *
+     * @param {Object} data - { categories, modifiedBy, modifiedByName, comment, effectiveFrom?, approvedBy?, approvedByName? }
+     * @returns {Object} The stored version (status 'active' or 'pending')
+     */
+    createVersion({ categories, modifiedBy, modifiedByName, comment, effectiveFrom, approvedBy, approvedByName }) {
+      const timestamp = new Date().toISOString();
+      const isFuture = effectiveFrom && new Date(effectiveFrom).getTime() > new Date(timestamp).getTime();
+      const version = {
+        versionId: nextVersionId(),
+        timestamp,
+        modifiedBy,
+        modifiedByName,
+        approvedBy: approvedBy || null,
+        approvedByName: approvedByName || null,
+        comment,
+        status: 'archived',
+        effectiveFrom: isFuture ? new Date(effectiveFrom).toISOString() : timestamp,
+        categories: clone(categories),
+      };
+
+      state.versions.unshift(version);
+      state.schedule.push({
+        versionId: version.versionId,
+        effectiveFrom: version.effectiveFrom,
+        scheduledAt: timestamp,
+      });
+      syncStatuses();
+      persist();
+
+      return clone(findVersion(version.versionId));
+    },
+
+    /**
+     * Change requests, newest first
+     *
+     * @param {string} [status] - Only requests with this status
+     */
+    listChangeRequests(status) {
+      const requests = status ? state.changeRequests.filter((r) => r.status === status) : state.changeRequests;
+      return clone(requests);
+    },
+
+    /**
+     * Look up a single change request (with proposed category tree)
+     */
+    getChangeRequest(requestId) {
+      return clone(findChangeRequest(requestId));
+    },
+
+    /**
+     * Record a proposed weight change awaiting approval
+     *
+     * @param {Object} data - { categories, requestedBy, requestedByName, reason, effectiveFrom?, rollbackTo? }
+     *   rollbackTo: version to make active again (categories are its stored tree)
+     * @returns {Object} The stored request (status 'pending_approval')
+     */
+    createChangeRequest({ categories, requestedBy, requestedByName, reason, effectiveFrom, rollbackTo }) {
+      const request = {
+        requestId: `cr-${String(state.changeRequests.length + 1).padStart(4, '0')}`,
+        status: 'pending_approval',
+        baseVersion: state.activeVersion,
+        requestedBy,
+        requestedByName,
+        requestedAt: new Date().toISOString(),
+        reason,
+        effectiveFrom: effectiveFrom ? new Date(effectiveFrom).toISOString() : null,
+        rollbackTo: rollbackTo || null,
+        reviewedBy: null,
+        reviewedByName: null,
+        reviewedAt: null,
+        reviewComment: null,
+        versionId: null,
+        categories: clone(categories),
+      };
+
+      state.changeRequests.unshift(request);
+      persist();
+
+      return clone(request);
+    },
+
+    /**
+     * Whether a change request was made against a version that is no longer active
+     * Stale requests cannot be approved; the maker has to submit them again.
+     *
+     * @param {Object} request - Change request ({ baseVersion })
+     * @returns {boolean}
+     */
+    isStaleChangeRequest(request) {
+      return request.baseVersion !== state.activeVersion;
+    },
+
+    /**
+     * Approve a pending change request and store its version
+     * The version takes effect now, or from the requested effectiveFrom when
+     * that is still in the future at approval time. Approving a rollback makes
+     * the stored version active again from now. A request whose base version
+     * is no longer active is never applied: its reviewer saw a diff against
+     * weights that are no longer live (see isStaleChangeRequest).
+     *
+     * @param {string} requestId - Request to approve
+     * @param {Object} review - { reviewedBy, reviewedByName, comment }
+     * @returns {{ request: Object, version: Object }|null} null when not found, not pending or stale
+     */
+    approveChangeRequest(requestId, { reviewedBy, reviewedByName, comment }) {
+      const request = findChangeRequest(requestId);
+      if (!request || request.status !== 'pending_approval') return null;
+      if (store.isStaleChangeRequest(request)) return null;
+
+      const version = request.rollbackTo
+        ? store.activateVersion(request.rollbackTo)
+        : store.createVersion({
+            categories: request.categories,
+            modifiedBy: request.requestedBy,
+            modifiedByName: request.requestedByName,
+            comment: request.reason,
+            effectiveFrom: request.effectiveFrom,
+            approvedBy: reviewedBy,
+            approvedByName: reviewedByName,
+          });
+      if (!version) return null;
+
+      Object.assign(request, {
+        status: 'approved',
+        reviewedBy,
+        reviewedByName,
+        reviewedAt: new Date().toISOString(),
+        reviewComment: comment,
+        versionId: version.versionId,
+      });
+      persist();
+
+      return { request: clone(request), version };
+    },
+
+    /**
+     * Reject a pending change request (no version is created)
+     *
+     * @param {string} requestId - Request to reject
+     * @param {Object} review - { reviewedBy, reviewedByName, comment }
+     * @returns {Object|null} The rejected request, or null when not found or not pending
+     */
+    rejectChangeRequest(requestId, { reviewedBy, reviewedByName, comment }) {
+      const request = findChangeRequest(requestId);
+      if (!request || request.status !== 'pending_approval') return null;
+
+      Object.assign(request, {
+        status: 'rejected',
+        reviewedBy,
+        reviewedByName,
+        reviewedAt: new Date().toISOString(),
+        reviewComment: comment,
+      });
+      persist();
+
+      return clone(request);
+    },
+
+    /**
+     * Make an existing version active again from now, restoring its exact tree
+     * Used when a rollback request is approved.
+     *
+     * @param {string} versionId - Version to activate
+     * @returns {Object|null} The activated version, or null when not found
+     */
+    activateVersion(versionId) {
+      const target = findVersion(versionId);
+      if (!target) return null;
+
+      const now = new Date().toISOString();
+      state.schedule.push({ versionId, effectiveFrom: now, scheduledAt: now });
+      syncStatuses();
+      persist();
+
+      return clone(findVersion(versionId));
+    },
+
+    /**
+     * Activate scheduled versions whose effective time has passed
+     *
+     * @param {Date} [now] - Current time
+     * @returns {Object[]} Versions that became active
+     */
+    activateDueVersions(now = new Date()) {
+      const activated = syncStatuses(now);
+      if (activated.length > 0) persist();
+      return activated.map((versionId) => clone(findVersion(versionId)));
+    },
+  };
+
+  return store;
+}
+
+/**
+ * Categories of the version in force now, read straight from the store file
+ * Falls back to DEFAULT_KPI_CATEGORIES until the admin server has written one.
+ * Versions saved without a description or scoring method get the defaults.
+ *
+ * @param {string} [filePath] - Weight store file
+ * @returns {Object[]} Category tree ({ id, name, description, scoringMethod, weight, kpis })
+ */
+export function readActiveCategories(filePath = WEIGHTS_PATH) {
+  if (!fs.existsSync(filePath)) return clone(DEFAULT_KPI_CATEGORIES);
+
+  const state = fs.readJsonSync(filePath);
+  const entry = state.schedule ? selectEffectiveVersion(state.schedule) : null;
+  const versionId = entry?.versionId || state.activeVersion;
+  const version = state.versions.find((v) => v.versionId === versionId);
+
+  return clone(version?.categories || DEFAULT_KPI_CATEGORIES).map(normalizeCategory);
+}
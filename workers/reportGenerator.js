@@ -18,6 +18,8 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { signPDF } from '../utils/signing.js';
+import { buildAparPerformance } from '../utils/aparPerformance.js';
+import { readActiveCategories } from '../utils/weightStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -51,52 +53,26 @@ async function fetchEmployeeData(employeeId, startDate, endDate) {
       fiscalYear: '2024-25',
     },
     performance: {
-      overallScore: 78,
-      grade: 'A',
       ranking: '12/248',
-      categories: [
-        {
-          name: 'HQ Operations',
-          weight: 25,
-          score: 75,
-          kpis: [
-            { name: 'Reporting Timeliness', score: 80, target: 90, achieved: 88 },
-            { name: 'Data Accuracy', score: 85, target: 95, achieved: 92 },
-            { name: 'Process Adherence', score: 60, target: 85, achieved: 70 },
-          ],
-        },
-        {
-          name: 'Field Operations',
-          weight: 30,
-          score: 85,
-          kpis: [
-            { name: 'Inspection Completion Rate', score: 90, target: 100, achieved: 95 },
-            { name: 'Travel Efficiency', score: 75, target: 80, achieved: 78 },
-            { name: 'Quality Compliance', score: 88, target: 90, achieved: 89 },
-          ],
-        },
-        {
-          name: 'Team Collaboration',
-          weight: 15,
-          score: 70,
-          kpis: [
-            { name: 'Meeting Attendance', score: 75, target: 90, achieved: 85 },
-            { name: 'Peer Support', score: 68, target: 80, achieved: 75 },
-            { name: 'Knowledge Sharing', score: 67, target: 75, achieved: 70 },
-          ],
-        },
-        {
-          name: 'Individual Behavior',
-          weight: 30,
-          score: 72,
-          kpis: [
-            { name: 'Punctuality', score: 80, target: 95, achieved: 90 },
-            { name: 'Initiative', score: 70, target: 85, achieved: 75 },
-            { name: 'Professionalism', score: 75, target: 85, achieved: 80 },
-            { name: 'Learning & Development', score: 63, target: 70, achieved: 65 },
-          ],
-        },
-      ],
+      // Category names, weights and scoring methods come from the active weight configuration
+      ...buildAparPerformance({
+        categories: readActiveCategories(),
+        kpis: [
+          { id: 'reporting_timeliness', name: 'Reporting Timeliness', category: 'hq_operations', value: 80, target: 100 },
+          { id: 'data_accuracy', name: 'Data Accuracy', category: 'hq_operations', value: 85, target: 100 },
+          { id: 'process_adherence', name: 'Process Adherence', category: 'hq_operations', value: 60, target: 100 },
+          { id: 'inspection_completion', name: 'Inspection Completion Rate', category: 'field_operations', value: 90, target: 100 },
+          { id: 'travel_efficiency', name: 'Travel Efficiency', category: 'field_operations', value: 75, target: 100 },
+          { id: 'quality_compliance', name: 'Quality Compliance', category: 'field_operations', value: 88, target: 100 },
+          { id: 'meeting_attendance', name: 'Meeting Attendance', category: 'team_collaboration', value: 75, target: 100 },
+          { id: 'peer_support', name: 'Peer Support', category: 'team_collaboration', value: 68, target: 100 },
+          { id: 'knowledge_sharing', name: 'Knowledge Sharing', category: 'team_collaboration', value: 67, target: 100 },
+          { id: 'punctuality', name: 'Punctuality', category: 'individual_behavior', value: 2.5, target: 3 },
+          { id: 'initiative', name: 'Initiative', category: 'individual_behavior', value: 2, target: 3 },
+          { id: 'professionalism', name: 'Professionalism', category: 'individual_behavior', value: 2.5, target: 3 },
+          { id: 'learning_development', name: 'Learning & Development', category: 'individual_behavior', value: 2, target: 3 },
+        ],
+      }),
     },
     evidence: {
       totalSubmissions: 42,